@@ -12,6 +12,7 @@ import Register from './components/auth/Register';
 import Dashboard from './components/dashboard/Dashboard';
 import AnalyticsDashboard from './components/analytics/AnalyticsDashboard';
 import History from './components/History';
+import ScenarioComparison from './components/scenarios/ScenarioComparison';
 import Settings from './components/Settings';
 import { calculateImpact } from './services/api';
 
@@ -192,6 +193,14 @@ function App() {
                        </ProtectedRoute>
                      }
                    />
+                   <Route
+                     path="/scenarios"
+                     element={
+                       <ProtectedRoute requireAuth={true}>
+                         <ScenarioComparison />
+                       </ProtectedRoute>
+                     }
+                   />
                    <Route
                      path="/history"
                      element={
@@ -1,30 +1,81 @@
 import React, { useState, useEffect } from 'react';
-import { Calculator as CalculatorIcon, Zap, Globe, Brain } from 'lucide-react';
-import { getModels, getRegions, getUserPreferences } from '../services/api';
+import { Calculator as CalculatorIcon, Zap, Globe, Brain, Cpu, Layers, Scale } from 'lucide-react';
+import { getModels, getRegions, getHardwareCatalog, getEquivalenceRegistry, getUserPreferences } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import { WORKLOAD_TYPES, IMAGE_RESOLUTIONS } from '../config/workloads';
+
+// Workloads whose energy comes from the selected registry model
+const MODEL_FACTOR_WORKLOADS = ['text', 'fine_tuning'];
+
+const MODEL_LABEL_PLACEHOLDERS = {
+  text: 'e.g., llama-3-70b',
+  image: 'e.g., dall-e-3',
+  audio: 'e.g., whisper-1',
+  embedding: 'e.g., text-embedding-3-small',
+  fine_tuning: 'e.g., llama-3-8b'
+};
+
+// Countries with localized equivalence factors; anything else uses the default factors
+const EQUIVALENCE_COUNTRIES = {
+  '': 'Default',
+  US: 'United States',
+  GB: 'United Kingdom',
+  EU: 'European Union'
+};
 
 const Calculator = ({ onCalculate, onReset, loading }) => {
   const { currentUser } = useAuth();
   const [formData, setFormData] = useState({
     tokens: '',
+    inputTokens: '',
+    outputTokens: '',
+    cachedInputTokens: '',
+    imageCount: '',
+    imageResolution: '1024x1024',
+    audioMinutes: '',
+    embeddingTokens: '',
+    trainingTokens: '',
+    epochs: '1',
     model: 'default',
-    region: 'global-average'
+    region: 'global-average',
+    modelLabel: '',
+    gpuType: 'a100',
+    gpuCount: '1',
+    utilization: '100',
+    hours: '',
+    pue: '',
+    equivalenceSet: 'everyday',
+    equivalenceCountry: '',
+    equivalenceUnits: 'imperial'
   });
+  const [splitTokens, setSplitTokens] = useState(false);
+  const [estimationMethod, setEstimationMethod] = useState('per_token');
+  const [workloadType, setWorkloadType] = useState('text');
   
   const [models, setModels] = useState({});
   const [regions, setRegions] = useState({});
+  const [gridZones, setGridZones] = useState({});
+  const [cloudRegions, setCloudRegions] = useState({});
+  const [hardwareCatalog, setHardwareCatalog] = useState({ gpus: {}, defaultPue: null });
+  const [equivalenceSets, setEquivalenceSets] = useState([]);
   const [modelsLoading, setModelsLoading] = useState(true);
 
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const [modelsResponse, regionsResponse] = await Promise.all([
+        const [modelsResponse, regionsResponse, hardwareResponse, equivalenceResponse] = await Promise.all([
           getModels(),
-          getRegions()
+          getRegions(),
+          getHardwareCatalog(),
+          getEquivalenceRegistry()
         ]);
         
         setModels(modelsResponse.modelInfo);
         setRegions(regionsResponse.regionInfo);
+        setGridZones(regionsResponse.gridZones || {});
+        setCloudRegions(regionsResponse.cloudRegions || {});
+        setHardwareCatalog(hardwareResponse);
+        setEquivalenceSets(equivalenceResponse.sets);
 
         // Fetch user preferences if logged in OR in development mode
         if (currentUser || process.env.NODE_ENV === 'development') {
@@ -36,7 +87,8 @@ const Calculator = ({ onCalculate, onReset, loading }) => {
             setFormData(prev => ({
               ...prev,
               model: preferences.default_model || prev.model,
-              region: preferences.default_region || prev.region
+              region: preferences.default_region || prev.region,
+              equivalenceUnits: preferences.units_preference || prev.equivalenceUnits
             }));
           } catch (error) {
             console.log('Could not fetch user preferences, using defaults:', error);
@@ -60,27 +112,146 @@ const Calculator = ({ onCalculate, onReset, loading }) => {
     }));
   };
 
+  const usesModelFactor = estimationMethod !== 'hardware' && MODEL_FACTOR_WORKLOADS.includes(workloadType);
+
+  // Model and hardware fields for the selected estimation method
+  const getModelPayload = () => {
+    if (usesModelFactor) {
+      return { model: formData.model };
+    }
+
+    if (estimationMethod !== 'hardware') {
+      return { model: formData.modelLabel || undefined };
+    }
+
+    return {
+      model: formData.modelLabel || undefined,
+      hardware: {
+        gpuType: formData.gpuType,
+        gpuCount: parseInt(formData.gpuCount) || 1,
+        utilization: (parseFloat(formData.utilization) || 100) / 100,
+        hours: parseFloat(formData.hours),
+        pue: formData.pue ? parseFloat(formData.pue) : undefined
+      }
+    };
+  };
+
+  // Usage fields for the selected workload type, or an error message
+  const getUsagePayload = () => {
+    switch (workloadType) {
+      case 'image': {
+        const imageCount = parseInt(formData.imageCount);
+        if (!(imageCount > 0)) {
+          return { error: 'Please enter a valid number of images' };
+        }
+        return { workloadType, imageCount, imageResolution: formData.imageResolution };
+      }
+
+      case 'audio': {
+        const audioMinutes = parseFloat(formData.audioMinutes);
+        if (!(audioMinutes > 0)) {
+          return { error: 'Please enter a valid number of audio minutes' };
+        }
+        return { workloadType, audioMinutes };
+      }
+
+      case 'embedding': {
+        const embeddingTokens = parseInt(formData.embeddingTokens);
+        if (!(embeddingTokens > 0)) {
+          return { error: 'Please enter a valid number of tokens to embed' };
+        }
+        return { workloadType, embeddingTokens };
+      }
+
+      case 'fine_tuning': {
+        const trainingTokens = parseInt(formData.trainingTokens);
+        const epochs = parseInt(formData.epochs);
+        if (!(trainingTokens > 0) || !(epochs > 0)) {
+          return { error: 'Please enter valid training tokens and epochs' };
+        }
+        return { workloadType, trainingTokens, epochs };
+      }
+
+      default:
+        break;
+    }
+
+    if (splitTokens) {
+      const inputTokens = parseInt(formData.inputTokens) || 0;
+      const outputTokens = parseInt(formData.outputTokens) || 0;
+      const cachedInputTokens = parseInt(formData.cachedInputTokens) || 0;
+
+      if (inputTokens + outputTokens <= 0) {
+        return { error: 'Please enter a valid number of input or output tokens' };
+      }
+
+      if (cachedInputTokens > inputTokens) {
+        return { error: 'Cached input tokens cannot exceed input tokens' };
+      }
+
+      return { inputTokens, outputTokens, cachedInputTokens };
+    }
+
+    if (!formData.tokens || formData.tokens <= 0) {
+      return { error: 'Please enter a valid number of tokens' };
+    }
+
+    return { tokens: parseInt(formData.tokens) };
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    
-    if (!formData.tokens || formData.tokens <= 0) {
-      alert('Please enter a valid number of tokens');
+
+    if (estimationMethod === 'hardware' && !(parseFloat(formData.hours) > 0)) {
+      alert('Please enter how many hours the GPUs ran');
+      return;
+    }
+
+    const { error, ...usage } = getUsagePayload();
+    if (error) {
+      alert(error);
       return;
     }
     
+    // Cloud region options are keyed "provider:regionId"
+    const isCloudRegion = formData.region.includes(':');
     onCalculate({
-      tokens: parseInt(formData.tokens),
-      model: formData.model,
-      region: formData.region
+      ...usage,
+      ...getModelPayload(),
+      ...(isCloudRegion ? { cloudRegion: formData.region } : { region: formData.region }),
+      equivalenceSet: formData.equivalenceSet,
+      equivalenceCountry: formData.equivalenceCountry || undefined,
+      equivalenceUnits: formData.equivalenceUnits
     });
   };
 
   const handleReset = () => {
     setFormData({
       tokens: '',
+      inputTokens: '',
+      outputTokens: '',
+      cachedInputTokens: '',
+      imageCount: '',
+      imageResolution: '1024x1024',
+      audioMinutes: '',
+      embeddingTokens: '',
+      trainingTokens: '',
+      epochs: '1',
       model: 'default',
-      region: 'global-average'
+      region: 'global-average',
+      modelLabel: '',
+      gpuType: 'a100',
+      gpuCount: '1',
+      utilization: '100',
+      hours: '',
+      pue: '',
+      equivalenceSet: 'everyday',
+      equivalenceCountry: '',
+      equivalenceUnits: 'imperial'
     });
+    setSplitTokens(false);
+    setEstimationMethod('per_token');
+    setWorkloadType('text');
     onReset();
   };
 
@@ -97,52 +268,344 @@ const Calculator = ({ onCalculate, onReset, loading }) => {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Token Input */}
-        <div>
-          <label htmlFor="tokens" className="block text-sm font-medium text-gray-700 mb-2">
-            <Zap className="w-4 h-4 inline mr-2" />
-            Number of Tokens
-          </label>
-          <input
-            type="number"
-            id="tokens"
-            name="tokens"
-            value={formData.tokens}
-            onChange={handleInputChange}
-            placeholder="e.g., 1000, 50000, 100000"
-            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
-            required
-            min="1"
-          />
-          <p className="text-sm text-gray-500 mt-1">
-            Enter the total number of tokens used in your AI interactions
-          </p>
+        {/* Estimation Method */}
+        <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg">
+          {[
+            { key: 'per_token', label: 'Per token (API)' },
+            { key: 'hardware', label: 'Hardware (self-hosted)' }
+          ].map(option => (
+            <button
+              key={option.key}
+              type="button"
+              onClick={() => setEstimationMethod(option.key)}
+              className={`py-2 px-3 rounded-md text-sm font-medium transition-colors ${
+                estimationMethod === option.key
+                  ? 'bg-white text-green-700 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
         </div>
 
-        {/* Model Selection */}
+        {/* Workload Type */}
         <div>
-          <label htmlFor="model" className="block text-sm font-medium text-gray-700 mb-2">
-            <Brain className="w-4 h-4 inline mr-2" />
-            AI Model
+          <label htmlFor="workloadType" className="block text-sm font-medium text-gray-700 mb-2">
+            <Layers className="w-4 h-4 inline mr-2" />
+            Workload Type
           </label>
           <select
-            id="model"
-            name="model"
-            value={formData.model}
-            onChange={handleInputChange}
+            id="workloadType"
+            value={workloadType}
+            onChange={(e) => setWorkloadType(e.target.value)}
             className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
-            disabled={modelsLoading}
           >
-            {modelsLoading ? (
-              <option>Loading models...</option>
-            ) : (
-              Object.entries(models).map(([key, name]) => (
-                <option key={key} value={key}>{name}</option>
-              ))
-            )}
+            {Object.entries(WORKLOAD_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
           </select>
         </div>
 
+        {workloadType === 'image' && (
+          /* Image Generation */
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <input
+                type="number"
+                name="imageCount"
+                value={formData.imageCount}
+                onChange={handleInputChange}
+                placeholder="e.g., 10"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                min="1"
+                step="1"
+              />
+              <p className="text-xs text-gray-500 mt-1">Number of images</p>
+            </div>
+            <div>
+              <select
+                name="imageResolution"
+                value={formData.imageResolution}
+                onChange={handleInputChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              >
+                {IMAGE_RESOLUTIONS.map(resolution => (
+                  <option key={resolution} value={resolution}>{resolution}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">Resolution</p>
+            </div>
+          </div>
+        )}
+
+        {workloadType === 'audio' && (
+          /* Audio Transcription */
+          <div>
+            <input
+              type="number"
+              name="audioMinutes"
+              value={formData.audioMinutes}
+              onChange={handleInputChange}
+              placeholder="e.g., 60"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              min="0"
+              step="any"
+            />
+            <p className="text-sm text-gray-500 mt-1">Minutes of audio transcribed</p>
+          </div>
+        )}
+
+        {workloadType === 'embedding' && (
+          /* Embeddings */
+          <div>
+            <input
+              type="number"
+              name="embeddingTokens"
+              value={formData.embeddingTokens}
+              onChange={handleInputChange}
+              placeholder="e.g., 1000000"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              min="1"
+            />
+            <p className="text-sm text-gray-500 mt-1">Tokens embedded</p>
+          </div>
+        )}
+
+        {workloadType === 'fine_tuning' && (
+          /* Fine-tuning */
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <input
+                type="number"
+                name="trainingTokens"
+                value={formData.trainingTokens}
+                onChange={handleInputChange}
+                placeholder="e.g., 5000000"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                min="1"
+              />
+              <p className="text-xs text-gray-500 mt-1">Training tokens per epoch</p>
+            </div>
+            <div>
+              <input
+                type="number"
+                name="epochs"
+                value={formData.epochs}
+                onChange={handleInputChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                min="1"
+                step="1"
+              />
+              <p className="text-xs text-gray-500 mt-1">Epochs</p>
+            </div>
+          </div>
+        )}
+
+        {/* Token Input */}
+        {workloadType === 'text' && (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label htmlFor={splitTokens ? 'inputTokens' : 'tokens'} className="block text-sm font-medium text-gray-700">
+                <Zap className="w-4 h-4 inline mr-2" />
+                Number of Tokens
+              </label>
+              <label className="flex items-center text-sm text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={splitTokens}
+                  onChange={(e) => setSplitTokens(e.target.checked)}
+                  className="mr-2 rounded border-gray-300 text-green-600 focus:ring-green-500"
+                />
+                Split input/output
+              </label>
+            </div>
+            {splitTokens ? (
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <input
+                    type="number"
+                    id="inputTokens"
+                    name="inputTokens"
+                    value={formData.inputTokens}
+                    onChange={handleInputChange}
+                    placeholder="Input"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                    min="0"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Input (prompt)</p>
+                </div>
+                <div>
+                  <input
+                    type="number"
+                    id="outputTokens"
+                    name="outputTokens"
+                    value={formData.outputTokens}
+                    onChange={handleInputChange}
+                    placeholder="Output"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                    min="0"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Output (completion)</p>
+                </div>
+                <div>
+                  <input
+                    type="number"
+                    id="cachedInputTokens"
+                    name="cachedInputTokens"
+                    value={formData.cachedInputTokens}
+                    onChange={handleInputChange}
+                    placeholder="Cached"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                    min="0"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Cached input (optional)</p>
+                </div>
+              </div>
+            ) : (
+              <input
+                type="number"
+                id="tokens"
+                name="tokens"
+                value={formData.tokens}
+                onChange={handleInputChange}
+                placeholder="e.g., 1000, 50000, 100000"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                required
+                min="1"
+              />
+            )}
+            <p className="text-sm text-gray-500 mt-1">
+              {splitTokens
+                ? 'Output tokens cost more energy than prompt tokens; cached input is part of the input count'
+                : 'Enter the total number of tokens used in your AI interactions'}
+            </p>
+          </div>
+        )}
+
+        {estimationMethod === 'hardware' && (
+          <>
+            {/* Hardware Specification */}
+            <div>
+              <label htmlFor="gpuType" className="block text-sm font-medium text-gray-700 mb-2">
+                <Cpu className="w-4 h-4 inline mr-2" />
+                GPU
+              </label>
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-2">
+                  <select
+                    id="gpuType"
+                    name="gpuType"
+                    value={formData.gpuType}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                  >
+                    {Object.entries(hardwareCatalog.gpus).map(([key, gpu]) => (
+                      <option key={key} value={key}>{gpu.displayName} ({gpu.tdpWatts} W)</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <input
+                    type="number"
+                    name="gpuCount"
+                    value={formData.gpuCount}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                    min="1"
+                    step="1"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">GPU count</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <input
+                  type="number"
+                  name="hours"
+                  value={formData.hours}
+                  onChange={handleInputChange}
+                  placeholder="e.g., 24"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                  min="0"
+                  step="any"
+                />
+                <p className="text-xs text-gray-500 mt-1">Runtime (hours)</p>
+              </div>
+              <div>
+                <input
+                  type="number"
+                  name="utilization"
+                  value={formData.utilization}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                  min="1"
+                  max="100"
+                />
+                <p className="text-xs text-gray-500 mt-1">Utilization (%)</p>
+              </div>
+              <div>
+                <input
+                  type="number"
+                  name="pue"
+                  value={formData.pue}
+                  onChange={handleInputChange}
+                  placeholder={hardwareCatalog.defaultPue ? String(hardwareCatalog.defaultPue) : 'PUE'}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+                  min="1"
+                  max="3"
+                  step="0.01"
+                />
+                <p className="text-xs text-gray-500 mt-1">Data-center PUE</p>
+              </div>
+            </div>
+          </>
+        )}
+
+        {!usesModelFactor ? (
+          <div>
+            <label htmlFor="modelLabel" className="block text-sm font-medium text-gray-700 mb-2">
+              <Brain className="w-4 h-4 inline mr-2" />
+              Model Name (optional)
+            </label>
+            <input
+              type="text"
+              id="modelLabel"
+              name="modelLabel"
+              value={formData.modelLabel}
+              onChange={handleInputChange}
+              placeholder={MODEL_LABEL_PLACEHOLDERS[workloadType]}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+            />
+          </div>
+        ) : (
+          /* Model Selection */
+          <div>
+            <label htmlFor="model" className="block text-sm font-medium text-gray-700 mb-2">
+              <Brain className="w-4 h-4 inline mr-2" />
+              AI Model
+            </label>
+            <select
+              id="model"
+              name="model"
+              value={formData.model}
+              onChange={handleInputChange}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              disabled={modelsLoading}
+            >
+              {modelsLoading ? (
+                <option>Loading models...</option>
+              ) : (
+                Object.entries(models).map(([key, name]) => (
+                  <option key={key} value={key}>{name}</option>
+                ))
+              )}
+            </select>
+          </div>
+        )}
+
         {/* Region Selection */}
         <div>
           <label htmlFor="region" className="block text-sm font-medium text-gray-700 mb-2">
@@ -160,13 +623,78 @@ const Calculator = ({ onCalculate, onReset, loading }) => {
             {modelsLoading ? (
               <option>Loading regions...</option>
             ) : (
-              Object.entries(regions).map(([key, name]) => (
-                <option key={key} value={key}>{name}</option>
-              ))
+              <>
+                <optgroup label="Grid regions">
+                  {Object.entries(regions).map(([key, name]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
+                </optgroup>
+                {Object.entries(gridZones).map(([countryCode, country]) => (
+                  <optgroup key={countryCode} label={`${country.name} grid zones`}>
+                    <option value={country.slug}>{country.name} (national average)</option>
+                    {Object.entries(country.zones).map(([zone, name]) => (
+                      <option key={zone} value={zone}>{name} · {zone}</option>
+                    ))}
+                  </optgroup>
+                ))}
+                {Object.entries(cloudRegions).map(([provider, catalog]) => (
+                  <optgroup key={provider} label={`${catalog.name} (PUE ${catalog.pue})`}>
+                    {Object.entries(catalog.regions).map(([key, region]) => (
+                      <option key={key} value={key}>{region.name} · {region.regionId}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </>
             )}
           </select>
           <p className="text-sm text-gray-500 mt-1">
-            Select your region for accurate CO₂ emission calculations
+            Select your region for accurate CO₂ emission calculations. Grid zones (US balancing authorities, Canadian provinces, Australian states) use their own grid mix; cloud regions use their local grid and the provider's PUE.
+          </p>
+        </div>
+
+        {/* Equivalences */}
+        <div>
+          <label htmlFor="equivalenceSet" className="block text-sm font-medium text-gray-700 mb-2">
+            <Scale className="w-4 h-4 inline mr-2" />
+            Equivalences
+          </label>
+          <div className="grid grid-cols-3 gap-3">
+            <select
+              id="equivalenceSet"
+              name="equivalenceSet"
+              value={formData.equivalenceSet}
+              onChange={handleInputChange}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              disabled={modelsLoading}
+            >
+              {equivalenceSets.map(set => (
+                <option key={set.id} value={set.id}>{set.name}</option>
+              ))}
+            </select>
+            <select
+              name="equivalenceCountry"
+              value={formData.equivalenceCountry}
+              onChange={handleInputChange}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              aria-label="Equivalence country"
+            >
+              {Object.entries(EQUIVALENCE_COUNTRIES).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+            <select
+              name="equivalenceUnits"
+              value={formData.equivalenceUnits}
+              onChange={handleInputChange}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200"
+              aria-label="Equivalence units"
+            >
+              <option value="imperial">Miles, gallons</option>
+              <option value="metric">Kilometres, litres</option>
+            </select>
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            Which real-world comparisons to show, with factors for your country where available.
           </p>
         </div>
 
@@ -198,47 +726,49 @@ const Calculator = ({ onCalculate, onReset, loading }) => {
       </form>
 
       {/* Quick Examples */}
-      <div className="mt-8 p-4 bg-gray-50 rounded-lg">
-        <h3 className="text-sm font-medium text-gray-700 mb-3">Quick Examples:</h3>
-        <div className="grid grid-cols-2 gap-2 text-sm">
-          <button
-            type="button"
-            onClick={() => setFormData(prev => ({ ...prev, tokens: '1000' }))}
-            className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
-          >
-            <span className="font-medium">1,000 tokens</span>
-            <br />
-            <span className="text-gray-500">Short conversation</span>
-          </button>
-          <button
-            type="button"
-            onClick={() => setFormData(prev => ({ ...prev, tokens: '10000' }))}
-            className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
-          >
-            <span className="font-medium">10,000 tokens</span>
-            <br />
-            <span className="text-gray-500">Long document analysis</span>
-          </button>
-          <button
-            type="button"
-            onClick={() => setFormData(prev => ({ ...prev, tokens: '100000' }))}
-            className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
-          >
-            <span className="font-medium">100,000 tokens</span>
-            <br />
-            <span className="text-gray-500">Heavy usage session</span>
-          </button>
-          <button
-            type="button"
-            onClick={() => setFormData(prev => ({ ...prev, tokens: '1000000' }))}
-            className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
-          >
-            <span className="font-medium">1M tokens</span>
-            <br />
-            <span className="text-gray-500">Monthly usage</span>
-          </button>
+      {workloadType === 'text' && (
+        <div className="mt-8 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">Quick Examples:</h3>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <button
+              type="button"
+              onClick={() => setFormData(prev => ({ ...prev, tokens: '1000' }))}
+              className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
+            >
+              <span className="font-medium">1,000 tokens</span>
+              <br />
+              <span className="text-gray-500">Short conversation</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setFormData(prev => ({ ...prev, tokens: '10000' }))}
+              className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
+            >
+              <span className="font-medium">10,000 tokens</span>
+              <br />
+              <span className="text-gray-500">Long document analysis</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setFormData(prev => ({ ...prev, tokens: '100000' }))}
+              className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
+            >
+              <span className="font-medium">100,000 tokens</span>
+              <br />
+              <span className="text-gray-500">Heavy usage session</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setFormData(prev => ({ ...prev, tokens: '1000000' }))}
+              className="text-left p-2 hover:bg-gray-100 rounded transition-colors"
+            >
+              <span className="font-medium">1M tokens</span>
+              <br />
+              <span className="text-gray-500">Monthly usage</span>
+            </button>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Sun, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const INSTRUMENT_TYPES = {
+  ppa: 'Power purchase agreement (PPA)',
+  rec: 'Renewable energy certificate (REC)',
+  go: 'Guarantee of origin (GO)',
+  provider_matching: 'Provider renewable matching'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'rec',
+  volumeKwh: '',
+  matchingPercentage: '',
+  region: '',
+  provider: '',
+  validTo: ''
+};
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token') || 'dev-token'}`
+});
+
+/**
+ * Contractual instruments (PPAs, RECs/GOs, provider matching) used for the
+ * market-based Scope 2 CO₂ figure
+ */
+const EnergyInstruments = () => {
+  const [instruments, setInstruments] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchInstruments();
+  }, []);
+
+  const fetchInstruments = async () => {
+    try {
+      const response = await fetch('/api/user/instruments', { headers: authHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        setInstruments(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching energy instruments:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const isMatching = form.type === 'provider_matching';
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/user/instruments', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: form.name,
+          type: form.type,
+          volumeKwh: isMatching ? undefined : parseFloat(form.volumeKwh),
+          matchingPercentage: isMatching ? parseFloat(form.matchingPercentage) : undefined,
+          region: form.region || undefined,
+          provider: form.provider || undefined,
+          validTo: form.validTo || undefined
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add instrument');
+      }
+
+      toast.success('Instrument added');
+      setForm(EMPTY_FORM);
+      fetchInstruments();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (id) => {
+    try {
+      const response = await fetch(`/api/user/instruments/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (!response.ok) {
+        throw new Error('Failed to remove instrument');
+      }
+      fetchInstruments();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500';
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex items-center mb-6">
+        <div className="w-12 h-12 bg-green-100 rounded-xl flex items-center justify-center mr-4">
+          <Sun className="w-6 h-6 text-green-600" />
+        </div>
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Renewable Energy Instruments</h2>
+          <p className="text-gray-600">PPAs, certificates and provider matching for market-based CO₂</p>
+        </div>
+      </div>
+
+      {instruments.filter(instrument => instrument.isActive).length > 0 && (
+        <div className="divide-y divide-gray-100 mb-6">
+          {instruments.filter(instrument => instrument.isActive).map(instrument => (
+            <div key={instrument.id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{instrument.name}</p>
+                <p className="text-xs text-gray-500">
+                  {INSTRUMENT_TYPES[instrument.type]}
+                  {instrument.type === 'provider_matching'
+                    ? ` · ${instrument.matchingPercentage}% matched`
+                    : ` · ${instrument.remainingKwh.toFixed(3)} of ${instrument.volumeKwh} kWh remaining`}
+                  {instrument.region && ` · ${instrument.region}`}
+                  {instrument.provider && ` · ${instrument.provider}`}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDeactivate(instrument.id)}
+                className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                title="Remove instrument"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input name="name" value={form.name} onChange={handleChange} placeholder="Name, e.g. 2026 wind RECs" className={inputClass} required />
+        <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+          {Object.entries(INSTRUMENT_TYPES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {form.type === 'provider_matching' ? (
+          <input name="matchingPercentage" type="number" min="0" max="100" value={form.matchingPercentage} onChange={handleChange} placeholder="Matching (%)" className={inputClass} required />
+        ) : (
+          <input name="volumeKwh" type="number" min="0" step="any" value={form.volumeKwh} onChange={handleChange} placeholder="Volume (kWh)" className={inputClass} required />
+        )}
+        <input name="region" value={form.region} onChange={handleChange} placeholder="Region (optional, e.g. europe-average)" className={inputClass} />
+        <input name="provider" value={form.provider} onChange={handleChange} placeholder="Provider (optional, e.g. openai)" className={inputClass} />
+        <input name="validTo" type="date" value={form.validTo} onChange={handleChange} className={inputClass} title="Valid until (optional)" />
+        <button
+          type="submit"
+          disabled={saving}
+          className="md:col-span-2 flex items-center justify-center space-x-2 px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 transition-colors disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          <span>{saving ? 'Adding...' : 'Add Instrument'}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default EnergyInstruments;
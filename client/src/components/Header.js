@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Leaf, Calculator, User, LogOut, BarChart3, Settings } from 'lucide-react';
+import { Leaf, Calculator, User, LogOut, BarChart3, Settings, LayoutGrid } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
 const Header = () => {
@@ -58,6 +58,14 @@ const Header = () => {
                   <span className="hidden sm:inline">Analytics</span>
                 </Link>
 
+                <Link
+                  to="/scenarios"
+                  className="flex items-center space-x-2 px-3 py-2 text-gray-700 hover:text-green-600 transition-colors"
+                >
+                  <LayoutGrid className="w-4 h-4" />
+                  <span className="hidden sm:inline">Scenarios</span>
+                </Link>
+
                 <Link
                   to="/settings"
                   className="flex items-center space-x-2 px-3 py-2 text-gray-700 hover:text-green-600 transition-colors"
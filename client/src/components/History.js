@@ -15,6 +15,8 @@ import {
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import { getModels } from '../services/api';
+import { WORKLOAD_TYPES, formatWorkloadUsage } from '../config/workloads';
 
 const History = () => {
   const { currentUser } = useAuth();
@@ -22,9 +24,12 @@ const History = () => {
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [massUnit, setMassUnit] = useState('kg');
+  const [models, setModels] = useState({});
   const [filters, setFilters] = useState({
     model: '',
     region: '',
+    dataQuality: '',
     dateFrom: '',
     dateTo: '',
     search: ''
@@ -32,6 +37,12 @@ const History = () => {
 
   const itemsPerPage = 10;
 
+  useEffect(() => {
+    getModels()
+      .then(data => setModels(data.modelInfo))
+      .catch(error => console.error('Error fetching models:', error));
+  }, []);
+
   useEffect(() => {
     // In development mode, always fetch calculations (currentUser might be null)
     if (currentUser || process.env.NODE_ENV === 'development') {
@@ -60,6 +71,7 @@ const History = () => {
 
       const data = await response.json();
       setCalculations(data.calculations);
+      setMassUnit(data.units?.mass || 'kg');
       setTotalPages(data.pagination.pages);
     } catch (error) {
       console.error('Error fetching calculations:', error);
@@ -78,6 +90,7 @@ const History = () => {
     setFilters({
       model: '',
       region: '',
+      dataQuality: '',
       dateFrom: '',
       dateTo: '',
       search: ''
@@ -198,7 +211,7 @@ const History = () => {
               </button>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
                 <div className="relative">
@@ -221,11 +234,9 @@ const History = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
                 >
                   <option value="">All Models</option>
-                  <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                  <option value="gpt-4">GPT-4</option>
-                  <option value="claude-3">Claude 3</option>
-                  <option value="gemini-pro">Gemini Pro</option>
-                  <option value="default">Default</option>
+                  {Object.entries(models).map(([key, name]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
                 </select>
               </div>
 
@@ -244,6 +255,20 @@ const History = () => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Data Quality</label>
+                <select
+                  value={filters.dataQuality}
+                  onChange={(e) => handleFilterChange('dataQuality', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+                >
+                  <option value="">All Data</option>
+                  <option value="realtime">Real-time intensity</option>
+                  <option value="average">Averaged readings</option>
+                  <option value="fallback">Fallback factors</option>
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">From Date</label>
                 <input
@@ -302,7 +327,7 @@ const History = () => {
                           <div className="flex items-center space-x-4 mb-2">
                             <div className="flex items-center text-sm text-gray-500">
                               <Clock className="w-4 h-4 mr-1" />
-                              {formatDate(calc.created_at)}
+                              {formatDate(calc.occurred_at || calc.created_at)}
                             </div>
                             <div className="flex items-center text-sm text-gray-500">
                               <Cpu className="w-4 h-4 mr-1" />
@@ -312,6 +337,12 @@ const History = () => {
                               <Globe className="w-4 h-4 mr-1" />
                               {calc.region || 'Global Average'}
                             </div>
+                            {calc.carbon_intensity_quality && (
+                              <span className={`px-2 py-0.5 text-xs rounded-full ${calc.carbon_intensity_quality === 'realtime' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                {calc.carbon_intensity_source} · {calc.carbon_intensity_quality}
+                                {calc.carbon_intensity_dataset_version && ` · dataset ${calc.carbon_intensity_dataset_version} (${calc.carbon_intensity_dataset_year})`}
+                              </span>
+                            )}
                           </div>
                           
                           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -320,8 +351,8 @@ const History = () => {
                                 <Cpu className="w-4 h-4 text-blue-600" />
                               </div>
                               <div>
-                                <p className="text-sm text-gray-600">Tokens</p>
-                                <p className="font-semibold text-gray-900">{calc.tokens.toLocaleString()}</p>
+                                <p className="text-sm text-gray-600">{WORKLOAD_TYPES[calc.workload_type] || WORKLOAD_TYPES.text}</p>
+                                <p className="font-semibold text-gray-900">{formatWorkloadUsage(calc)}</p>
                               </div>
                             </div>
                             
@@ -331,7 +362,7 @@ const History = () => {
                               </div>
                               <div>
                                 <p className="text-sm text-gray-600">CO₂ Emissions</p>
-                                <p className="font-semibold text-gray-900">{calc.co2_kg.toFixed(4)} kg</p>
+                                <p className="font-semibold text-gray-900">{calc.co2_kg.toFixed(4)} {massUnit}</p>
                               </div>
                             </div>
                             
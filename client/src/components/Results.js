@@ -8,15 +8,100 @@ import {
   TreePine, 
   Laptop, 
   Lightbulb,
+  Fuel,
+  Sprout,
+  Zap,
+  Scale,
   AlertCircle,
   TrendingUp,
   Leaf,
-  DollarSign
+  DollarSign,
+  Droplets,
+  ChevronDown,
+  ChevronUp,
+  ListChecks,
+  Activity
 } from 'lucide-react';
 import OffsetSuggestions from './offsets/OffsetSuggestions';
+import IntensityHistoryChart from './carbon/IntensityHistoryChart';
+import { WORKLOAD_TYPES, formatWorkloadUsage } from '../config/workloads';
+
+// Icon and colours of each equivalence in the server's registry (services/equivalences.js)
+const EQUIVALENCE_STYLES = {
+  car: { icon: Car, color: 'text-blue-600', bgColor: 'bg-blue-100' },
+  flight: { icon: Plane, color: 'text-sky-600', bgColor: 'bg-sky-100' },
+  beefBurger: { icon: Beef, color: 'text-orange-600', bgColor: 'bg-orange-100' },
+  smartphone: { icon: Smartphone, color: 'text-purple-600', bgColor: 'bg-purple-100' },
+  householdElectricity: { icon: Home, color: 'text-yellow-600', bgColor: 'bg-yellow-100' },
+  gridElectricity: { icon: Zap, color: 'text-yellow-700', bgColor: 'bg-yellow-50' },
+  gasoline: { icon: Fuel, color: 'text-red-600', bgColor: 'bg-red-100' },
+  tree: { icon: TreePine, color: 'text-green-600', bgColor: 'bg-green-100' },
+  treeSeedling: { icon: Sprout, color: 'text-emerald-600', bgColor: 'bg-emerald-100' },
+  laptop: { icon: Laptop, color: 'text-indigo-600', bgColor: 'bg-indigo-100' },
+  lightbulb: { icon: Lightbulb, color: 'text-amber-600', bgColor: 'bg-amber-100' }
+};
+const DEFAULT_EQUIVALENCE_STYLE = { icon: Scale, color: 'text-gray-600', bgColor: 'bg-gray-100' };
+
+// The offsets API takes CO2 in kg whatever unit system the result is shown in
+const LB_PER_KG = 2.2046226218;
+
+// Readable lines for one step of the calculation trace returned with `trace: true`
+const describeTraceStep = (step) => {
+  switch (step.step) {
+    case 'workload':
+      return [
+        `${WORKLOAD_TYPES[step.type] || step.type}${step.tokens ? `, ${step.tokens.toLocaleString()} tokens` : ''}`,
+        step.tokenBreakdown && `${step.tokenBreakdown.input.toLocaleString()} input (${step.tokenBreakdown.cachedInput.toLocaleString()} cached), ${step.tokenBreakdown.output.toLocaleString()} output`
+      ];
+    case 'model':
+      return [
+        step.requested !== undefined && `${step.requested || 'default'} → ${step.resolved}${step.matchedBy ? ` (${step.matchedBy} match)` : ''}`,
+        step.factor && `Factor v${step.factor.version}: ${step.factor.coefficients.input} kWh/input token, ${step.factor.coefficients.output} kWh/output token`,
+        step.factor && `Source: ${step.factor.citation}`,
+        step.note
+      ];
+    case 'energy':
+      return [
+        step.engine ? `Engine: ${step.engine.name}` : 'Hardware power draw',
+        step.formula,
+        step.pueSource && `PUE source: ${step.pueSource}`,
+        `Source: ${step.source}`
+      ];
+    case 'zone':
+      return [
+        `${step.requested || 'global-average'} → ${step.name} (${step.zone || 'no grid zone'}, ${step.kind})`,
+        !step.known && 'Region not recognized, global average used',
+        `Factor: ${step.factorSource === 'static' ? 'static regional average' : 'country fallback when live data is unavailable'}`
+      ];
+    case 'intensity':
+      return [
+        `${step.factor !== null ? step.factor.toFixed(4) : '—'} ${step.unit}`,
+        step.source && `Source: ${step.source}${step.period ? ` (${step.period})` : ''}`,
+        step.quality && `Data quality: ${step.quality}`,
+        step.timestamp && `Timestamp: ${new Date(step.timestamp).toLocaleString()}`,
+        step.renewablePercentage != null && `Renewable share: ${step.renewablePercentage}%`,
+        step.note
+      ];
+    case 'co2':
+      return [
+        step.formula,
+        `Market-based: ${step.marketBased.toFixed(6)} ${step.unit}`,
+        step.embodied != null && `Embodied: ${step.embodied.toFixed(6)} ${step.unit}`
+      ];
+    case 'equivalences':
+      return [
+        step.formula,
+        ...step.factors.map(factor => `${factor.label}: ${Number(factor.factor.toPrecision(4))} ${factor.factorUnit} (${factor.source})`)
+      ];
+    default:
+      return [];
+  }
+};
 
 const Results = ({ result, loading, error }) => {
   const [showOffsetSuggestions, setShowOffsetSuggestions] = useState(false);
+  const [showTrace, setShowTrace] = useState(false);
+  const [showIntensityHistory, setShowIntensityHistory] = useState(false);
   if (loading) {
     return (
       <div className="bg-white rounded-2xl shadow-lg p-8">
@@ -60,74 +145,17 @@ const Results = ({ result, loading, error }) => {
 
   const equivalences = result.equivalences;
   const co2Total = result.co2.total;
+  // Figures arrive in the user's unit system; older responses without `units` are metric
+  const massUnit = result.units?.mass || 'kg';
+  const volumeUnit = result.units?.volume || 'L';
   const energyTotal = result.energy.total;
 
-  const equivalenceItems = [
-    {
-      icon: Car,
-      label: 'Car Miles',
-      value: equivalences.carMiles,
-      unit: 'miles',
-      color: 'text-blue-600',
-      bgColor: 'bg-blue-100'
-    },
-    {
-      icon: Plane,
-      label: 'Flight Miles',
-      value: equivalences.flightMiles,
-      unit: 'miles',
-      color: 'text-sky-600',
-      bgColor: 'bg-sky-100'
-    },
-    {
-      icon: Beef,
-      label: 'Beef Burgers',
-      value: equivalences.beefBurgers,
-      unit: 'burgers',
-      color: 'text-orange-600',
-      bgColor: 'bg-orange-100'
-    },
-    {
-      icon: Smartphone,
-      label: 'Phone Charges',
-      value: equivalences.smartphoneCharges,
-      unit: 'charges',
-      color: 'text-purple-600',
-      bgColor: 'bg-purple-100'
-    },
-    {
-      icon: Home,
-      label: 'Household Electricity',
-      value: equivalences.householdElectricityDays,
-      unit: 'days',
-      color: 'text-yellow-600',
-      bgColor: 'bg-yellow-100'
-    },
-    {
-      icon: TreePine,
-      label: 'Tree Years',
-      value: equivalences.treeYears,
-      unit: 'years',
-      color: 'text-green-600',
-      bgColor: 'bg-green-100'
-    },
-    {
-      icon: Laptop,
-      label: 'Laptop Hours',
-      value: equivalences.laptopHours,
-      unit: 'hours',
-      color: 'text-indigo-600',
-      bgColor: 'bg-indigo-100'
-    },
-    {
-      icon: Lightbulb,
-      label: 'Lightbulb Hours',
-      value: equivalences.lightbulbHours,
-      unit: 'hours',
-      color: 'text-amber-600',
-      bgColor: 'bg-amber-100'
-    }
-  ];
+  const equivalenceItems = result.equivalenceSet.items.map(item => ({
+    ...(EQUIVALENCE_STYLES[item.id] || DEFAULT_EQUIVALENCE_STYLE),
+    ...item,
+    value: equivalences[item.key]
+  }));
+  const carItem = equivalenceItems.find(item => item.id === 'car');
 
   return (
     <>
@@ -150,10 +178,20 @@ const Results = ({ result, loading, error }) => {
               <TrendingUp className="w-4 h-4 text-red-600" />
             </div>
             <div>
-              <p className="text-sm text-red-600 font-medium">CO₂ Emissions</p>
+              <p className="text-sm text-red-600 font-medium">CO₂ Emissions (location-based)</p>
               <p className="text-xl font-bold text-red-700">
-                {co2Total.toFixed(4)} kg
+                {co2Total.toFixed(4)} {massUnit}
               </p>
+              {result.uncertainty && (
+                <p className="text-xs text-red-600">
+                  {result.uncertainty.co2.low.toFixed(4)}–{result.uncertainty.co2.high.toFixed(4)} {massUnit}
+                </p>
+              )}
+              {result.co2.marketBased && (
+                <p className="text-xs text-red-600">
+                  Market-based: {result.co2.marketBased.total.toFixed(4)} {massUnit}
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -168,9 +206,75 @@ const Results = ({ result, loading, error }) => {
               <p className="text-xl font-bold text-blue-700">
                 {energyTotal.toFixed(6)} kWh
               </p>
+              {result.uncertainty && (
+                <p className="text-xs text-blue-600">
+                  {result.uncertainty.energy.low.toFixed(6)}–{result.uncertainty.energy.high.toFixed(6)} kWh
+                </p>
+              )}
             </div>
           </div>
         </div>
+
+        {result.embodied && (
+          <div className="col-span-2 bg-gray-50 rounded-lg p-4 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Operational CO₂</span>
+              <span className="font-medium text-gray-900">{co2Total.toFixed(6)} {massUnit}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">
+                Embodied CO₂ (hardware manufacturing, {result.embodied.method === 'gpu_hours' ? 'per GPU-hour' : 'per token'})
+              </span>
+              <span className="font-medium text-gray-900">{result.embodied.total.toFixed(6)} {massUnit}</span>
+            </div>
+            <div className="flex items-center justify-between pt-1 mt-1 border-t border-gray-200">
+              <span className="text-gray-700 font-medium">Lifecycle total</span>
+              <span className="font-bold text-gray-900">{(co2Total + result.embodied.total).toFixed(6)} {massUnit}</span>
+            </div>
+          </div>
+        )}
+
+        {result.water && (
+          <div className="col-span-2 bg-cyan-50 rounded-lg p-4">
+            <div className="flex items-center">
+              <div className="w-8 h-8 bg-cyan-100 rounded-lg flex items-center justify-center mr-3">
+                <Droplets className="w-4 h-4 text-cyan-600" />
+              </div>
+              <div className="flex-1">
+                <p className="text-sm text-cyan-600 font-medium">Water Consumed</p>
+                <p className="text-xl font-bold text-cyan-700">
+                  {result.water.total.toFixed(4)} {volumeUnit}
+                </p>
+              </div>
+              <div className="text-right text-xs text-cyan-700">
+                <p>On-site cooling: {result.water.onSite.toFixed(4)} {volumeUnit} (WUE {result.water.wue} {volumeUnit}/kWh)</p>
+                <p>Electricity generation: {result.water.offSite.toFixed(4)} {volumeUnit} ({result.water.offSiteFactor} {volumeUnit}/kWh)</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {result.cost && (
+          <div className="col-span-2 bg-amber-50 rounded-lg p-4">
+            <div className="flex items-center">
+              <div className="w-8 h-8 bg-amber-100 rounded-lg flex items-center justify-center mr-3">
+                <DollarSign className="w-4 h-4 text-amber-600" />
+              </div>
+              <div className="flex-1">
+                <p className="text-sm text-amber-600 font-medium">Estimated Cost (list price)</p>
+                <p className="text-xl font-bold text-amber-700">
+                  {result.cost.total.toFixed(4)} {result.cost.currency}
+                </p>
+              </div>
+              <div className="text-right text-xs text-amber-700">
+                <p>
+                  {result.cost.pricing.key} prices from {result.cost.pricing.effectiveFrom}: {result.cost.pricing.input} in / {result.cost.pricing.output} out ({result.cost.pricing.unit})
+                </p>
+                {result.cost.blended && <p>No input/output split: one third of tokens assumed to be output</p>}
+              </div>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Model and Region Info */}
@@ -182,20 +286,83 @@ const Results = ({ result, loading, error }) => {
           </div>
           <div>
             <span className="text-gray-600">Region:</span>
-            <span className="font-medium text-gray-900 ml-2">{result.region}</span>
+            <span className="font-medium text-gray-900 ml-2">{result.cloudRegion ? result.cloudRegion.name : result.region}</span>
           </div>
           <div>
-            <span className="text-gray-600">Tokens:</span>
-            <span className="font-medium text-gray-900 ml-2">{result.tokens.toLocaleString()}</span>
+            <span className="text-gray-600">Usage:</span>
+            <span className="font-medium text-gray-900 ml-2">{formatWorkloadUsage(result)}</span>
+          </div>
+          <div>
+            <span className="text-gray-600">Workload:</span>
+            <span className="font-medium text-gray-900 ml-2">{WORKLOAD_TYPES[result.workloadType] || WORKLOAD_TYPES.text}</span>
           </div>
         </div>
+        {result.cloudRegion && (
+          <p className="text-xs text-gray-500 mt-3">
+            Grid zone {result.cloudRegion.gridZone} · PUE {result.cloudRegion.pue} ({result.cloudRegion.pueSource})
+          </p>
+        )}
+        {result.tokenBreakdown && (
+          <div className="grid grid-cols-3 gap-4 text-sm mt-4 pt-4 border-t border-gray-200">
+            <div>
+              <p className="text-gray-600">Input tokens</p>
+              <p className="font-medium text-gray-900">{result.tokenBreakdown.input.toLocaleString()}</p>
+              {result.energy.breakdown && (
+                <p className="text-xs text-gray-500">
+                  {(result.energy.breakdown.input + result.energy.breakdown.cachedInput).toFixed(6)} kWh
+                </p>
+              )}
+            </div>
+            <div>
+              <p className="text-gray-600">Output tokens</p>
+              <p className="font-medium text-gray-900">{result.tokenBreakdown.output.toLocaleString()}</p>
+              {result.energy.breakdown && (
+                <p className="text-xs text-gray-500">{result.energy.breakdown.output.toFixed(6)} kWh</p>
+              )}
+            </div>
+            <div>
+              <p className="text-gray-600">Cached input</p>
+              <p className="font-medium text-gray-900">{result.tokenBreakdown.cachedInput.toLocaleString()}</p>
+              {result.energy.breakdown && (
+                <p className="text-xs text-gray-500">{result.energy.breakdown.cachedInput.toFixed(6)} kWh</p>
+              )}
+            </div>
+          </div>
+        )}
+        {result.hardware && (
+          <div className="grid grid-cols-3 gap-4 text-sm mt-4 pt-4 border-t border-gray-200">
+            <div>
+              <p className="text-gray-600">Hardware</p>
+              <p className="font-medium text-gray-900">{result.hardware.gpuCount} × {result.hardware.gpuName}</p>
+              <p className="text-xs text-gray-500">{result.hardware.tdpWatts} W each</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Runtime</p>
+              <p className="font-medium text-gray-900">{result.hardware.hours} h</p>
+              <p className="text-xs text-gray-500">{Math.round(result.hardware.utilization * 100)}% utilization</p>
+            </div>
+            <div>
+              <p className="text-gray-600">PUE {result.hardware.pue}</p>
+              <p className="font-medium text-gray-900">{result.hardware.itEnergy.toFixed(3)} kWh IT</p>
+              <p className="text-xs text-gray-500">+{result.hardware.overheadEnergy.toFixed(3)} kWh facility</p>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Environmental Equivalences */}
       <div>
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        <h3 className={`text-lg font-semibold text-gray-900 ${result.uncertainty ? 'mb-1' : 'mb-4'}`}>
           Real-World Equivalences
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            {result.equivalenceSet.name}{result.equivalenceSet.country ? ` · ${result.equivalenceSet.country}` : ''}
+          </span>
         </h3>
+        {result.uncertainty && (
+          <p className="text-xs text-gray-500 mb-4">
+            Ranges show the {Math.round(result.uncertainty.confidenceLevel * 100)}% interval; per-token energy factors are rough estimates.
+          </p>
+        )}
         <div className="grid grid-cols-2 gap-3">
           {equivalenceItems.map((item, index) => {
             const IconComponent = item.icon;
@@ -203,6 +370,7 @@ const Results = ({ result, loading, error }) => {
               <div
                 key={index}
                 className={`${item.bgColor} rounded-lg p-3 transition-all duration-200 hover:scale-105`}
+                title={`${Number(item.factor.toPrecision(4))} ${item.factorUnit}. Source: ${item.source}`}
               >
                 <div className="flex items-center">
                   <IconComponent className={`w-5 h-5 ${item.color} mr-2`} />
@@ -211,6 +379,11 @@ const Results = ({ result, loading, error }) => {
                     <p className={`text-lg font-bold ${item.color}`}>
                       {item.value.toLocaleString()} {item.unit}
                     </p>
+                    {result.uncertainty && (
+                      <p className="text-xs text-gray-500">
+                        {result.uncertainty.equivalences[item.key].low.toLocaleString()}–{result.uncertainty.equivalences[item.key].high.toLocaleString()}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -219,13 +392,67 @@ const Results = ({ result, loading, error }) => {
         </div>
       </div>
 
+      {/* How was this calculated? */}
+      {result.trace && (
+        <div className="mt-6 border border-gray-200 rounded-lg">
+          <button
+            onClick={() => setShowTrace(!showTrace)}
+            className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50 transition-colors"
+          >
+            <span className="text-sm font-semibold text-gray-800 flex items-center">
+              <ListChecks className="w-4 h-4 mr-2 text-gray-600" />
+              How was this calculated?
+            </span>
+            {showTrace
+              ? <ChevronUp className="w-4 h-4 text-gray-500" />
+              : <ChevronDown className="w-4 h-4 text-gray-500" />}
+          </button>
+          {showTrace && (
+            <ol className="px-4 pb-4 space-y-3">
+              {result.trace.steps.map((step, index) => (
+                <li key={step.step} className="text-sm">
+                  <p className="font-medium text-gray-900">{index + 1}. {step.label}</p>
+                  {describeTraceStep(step).filter(Boolean).map((line, lineIndex) => (
+                    <p key={lineIndex} className="text-xs text-gray-600 ml-4 break-words">{line}</p>
+                  ))}
+                </li>
+              ))}
+              <li className="text-xs text-gray-500">Methodology version {result.trace.methodologyVersion}</li>
+            </ol>
+          )}
+        </div>
+      )}
+
+      {/* Grid intensity history (zones without a grid, such as the global average, have none) */}
+      {result.metadata?.zone?.countryCode && (
+        <div className="mt-6 border border-gray-200 rounded-lg">
+          <button
+            onClick={() => setShowIntensityHistory(!showIntensityHistory)}
+            className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50 transition-colors"
+          >
+            <span className="text-sm font-semibold text-gray-800 flex items-center">
+              <Activity className="w-4 h-4 mr-2 text-gray-600" />
+              How does this grid change over time?
+            </span>
+            {showIntensityHistory
+              ? <ChevronUp className="w-4 h-4 text-gray-500" />
+              : <ChevronDown className="w-4 h-4 text-gray-500" />}
+          </button>
+          {showIntensityHistory && (
+            <div className="px-4 pb-4">
+              <IntensityHistoryChart zone={result.metadata.zone.id} zoneName={result.metadata.zone.name} />
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Insights */}
       <div className="mt-6 p-4 bg-green-50 rounded-lg">
         <h4 className="text-sm font-semibold text-green-800 mb-2">💡 Insight</h4>
         <p className="text-sm text-green-700">
           {co2Total > 0.1 
-            ? `Your AI usage generated ${co2Total.toFixed(4)} kg of CO₂, equivalent to driving ${equivalences.carMiles.toFixed(2)} miles in a car. Consider optimizing your prompts to reduce token usage.`
-            : `Your AI usage has a minimal environmental impact (${co2Total.toFixed(6)} kg CO₂). Great job on efficient usage!`
+            ? `Your AI usage generated ${co2Total.toFixed(4)} ${massUnit} of CO₂${carItem ? `, equivalent to driving ${carItem.value.toFixed(2)} ${carItem.unit} in a car` : ''}. Consider optimizing your prompts to reduce token usage.`
+            : `Your AI usage has a minimal environmental impact (${co2Total.toFixed(6)} ${massUnit} CO₂). Great job on efficient usage!`
           }
         </p>
       </div>
@@ -240,7 +467,7 @@ const Results = ({ result, loading, error }) => {
                 Offset Your Impact
               </h4>
               <p className="text-sm text-blue-700">
-                Neutralize your {co2Total.toFixed(4)} kg CO₂ emissions with verified offset projects
+                Neutralize your {co2Total.toFixed(4)} {massUnit} CO₂ emissions with verified offset projects
               </p>
             </div>
             <button
@@ -258,7 +485,7 @@ const Results = ({ result, loading, error }) => {
     {/* Offset Suggestions Modal */}
     {showOffsetSuggestions && (
       <OffsetSuggestions
-        co2Kg={co2Total}
+        co2Kg={massUnit === 'lb' ? co2Total / LB_PER_KG : co2Total}
         onClose={() => setShowOffsetSuggestions(false)}
       />
     )}
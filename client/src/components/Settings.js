@@ -13,12 +13,15 @@ import {
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
+import { getModels } from '../services/api';
+import EnergyInstruments from './EnergyInstruments';
 
 const Settings = () => {
   const { currentUser, userProfile } = useAuth();
   const [preferences, setPreferences] = useState({
     default_model: 'default',
     default_region: 'global-average',
+    units_preference: 'metric',
     notifications_enabled: true,
     email_notifications: false,
     weekly_reports: false,
@@ -27,6 +30,7 @@ const Settings = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [models, setModels] = useState({ default: 'Average Model' });
 
   useEffect(() => {
     if (currentUser) {
@@ -34,6 +38,12 @@ const Settings = () => {
     }
   }, [currentUser]);
 
+  useEffect(() => {
+    getModels()
+      .then(data => setModels(data.modelInfo))
+      .catch(error => console.error('Error fetching models:', error));
+  }, []);
+
   const fetchPreferences = async () => {
     try {
       setLoading(true);
@@ -203,11 +213,13 @@ const Settings = () => {
                       onChange={(e) => handlePreferenceChange('default_model', e.target.value)}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
                     >
-                      <option value="default">Default</option>
-                      <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                      <option value="gpt-4">GPT-4</option>
-                      <option value="claude-3">Claude 3</option>
-                      <option value="gemini-pro">Gemini Pro</option>
+                      {Object.entries(models).map(([key, name]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                      {/* Keep provider model IDs saved before the registry list was used */}
+                      {preferences.default_model && !models[preferences.default_model] && (
+                        <option value={preferences.default_model}>{preferences.default_model}</option>
+                      )}
                     </select>
                   </div>
                   <div>
@@ -223,9 +235,24 @@ const Settings = () => {
                       <option value="asia-average">Asia Average</option>
                     </select>
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Units</label>
+                    <select
+                      value={preferences.units_preference}
+                      onChange={(e) => handlePreferenceChange('units_preference', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+                    >
+                      <option value="metric">Metric (kg, km, L)</option>
+                      <option value="imperial">Imperial (lb, mi, gal)</option>
+                    </select>
+                    <p className="text-sm text-gray-500 mt-1">Used for results, history, analytics and exports</p>
+                  </div>
                 </div>
               </div>
 
+              {/* Market-based Scope 2 instruments */}
+              <EnergyInstruments />
+
               {/* Notification Settings */}
               <div className="bg-white rounded-xl shadow-sm p-6">
                 <div className="flex items-center mb-6">
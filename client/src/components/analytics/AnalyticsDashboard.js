@@ -33,7 +33,8 @@ import {
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  ArcElement,
+  Filler
 } from 'chart.js';
 import toast from 'react-hot-toast';
 import TrendChart from './TrendChart';
@@ -50,7 +51,8 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  ArcElement,
+  Filler
 );
 
 const AnalyticsDashboard = () => {
@@ -59,6 +61,7 @@ const AnalyticsDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('30d');
   const [activeTab, setActiveTab] = useState('overview');
+  const [regionView, setRegionView] = useState('zones');
 
   useEffect(() => {
     fetchAnalyticsData();
@@ -177,6 +180,7 @@ const AnalyticsDashboard = () => {
   }
 
   const { trends, modelComparison, regionalComparison, predictions } = analyticsData;
+  const massUnit = analyticsData.units?.mass || 'kg';
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -277,7 +281,12 @@ const AnalyticsDashboard = () => {
               </div>
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-500">Total CO₂</p>
-                <p className="text-2xl font-semibold text-gray-900">{trends.summary.totalCo2} kg</p>
+                <p className="text-2xl font-semibold text-gray-900">{trends.summary.totalCo2} {massUnit}</p>
+                {trends.summary.pricedCalculations > 0 && (
+                  <p className="text-xs text-gray-500">
+                    {trends.summary.totalCost} {trends.summary.currency} · {trends.summary.costPerKgCo2} {trends.summary.currency}/{massUnit}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -329,11 +338,12 @@ const AnalyticsDashboard = () => {
             {activeTab === 'overview' && (
               <div className="space-y-6">
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                  <TrendChart data={trends.trends.daily} title="Daily CO₂ Emissions" />
+                  <TrendChart data={trends.trends.daily} title="Daily CO₂ Emissions" massUnit={massUnit} />
                   <ComparisonChart 
                     data={modelComparison.models} 
                     title="Model Comparison" 
                     type="models"
+                    massUnit={massUnit}
                   />
                 </div>
                 
@@ -342,13 +352,13 @@ const AnalyticsDashboard = () => {
                     <PredictionCard 
                       title="7-Day Forecast"
                       value={predictions.predictions.weekly}
-                      unit="kg CO₂"
+                      unit={`${massUnit} CO₂`}
                       trend={predictions.insights.trend}
                     />
                     <PredictionCard 
                       title="Monthly Projection"
                       value={predictions.predictions.monthly}
-                      unit="kg CO₂"
+                      unit={`${massUnit} CO₂`}
                       trend={predictions.insights.trend}
                     />
                     <div className="bg-gray-50 rounded-lg p-6">
@@ -363,10 +373,10 @@ const AnalyticsDashboard = () => {
             {/* Trends Tab */}
             {activeTab === 'trends' && (
               <div className="space-y-6">
-                <TrendChart data={trends.trends.daily} title="Daily Trends" />
+                <TrendChart data={trends.trends.daily} title="Daily Trends" massUnit={massUnit} />
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                  <TrendChart data={trends.trends.weekly} title="Weekly Trends" />
-                  <TrendChart data={trends.trends.monthly} title="Monthly Trends" />
+                  <TrendChart data={trends.trends.weekly} title="Weekly Trends" massUnit={massUnit} />
+                  <TrendChart data={trends.trends.monthly} title="Monthly Trends" massUnit={massUnit} />
                 </div>
               </div>
             )}
@@ -378,6 +388,7 @@ const AnalyticsDashboard = () => {
                   data={modelComparison.models} 
                   title="Model Efficiency Comparison" 
                   type="models"
+                  massUnit={massUnit}
                 />
                 {modelComparison.insights && (
                   <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -385,14 +396,14 @@ const AnalyticsDashboard = () => {
                       <h3 className="text-lg font-semibold text-green-900 mb-2">Most Efficient</h3>
                       <p className="text-green-700">{modelComparison.insights.mostEfficient?.model}</p>
                       <p className="text-sm text-green-600">
-                        {modelComparison.insights.mostEfficient?.avgCo2PerToken} kg CO₂/token
+                        {modelComparison.insights.mostEfficient?.avgCo2PerToken} {massUnit} CO₂/token
                       </p>
                     </div>
                     <div className="bg-red-50 rounded-lg p-6">
                       <h3 className="text-lg font-semibold text-red-900 mb-2">Least Efficient</h3>
                       <p className="text-red-700">{modelComparison.insights.leastEfficient?.model}</p>
                       <p className="text-sm text-red-600">
-                        {modelComparison.insights.leastEfficient?.avgCo2PerToken} kg CO₂/token
+                        {modelComparison.insights.leastEfficient?.avgCo2PerToken} {massUnit} CO₂/token
                       </p>
                     </div>
                   </div>
@@ -403,10 +414,34 @@ const AnalyticsDashboard = () => {
             {/* Regions Tab */}
             {activeTab === 'regions' && (
               <div className="space-y-6">
+                {/* Grid zones, or the same calculations rolled up to their country */}
+                <div className="flex justify-end space-x-1">
+                  {[
+                    { id: 'zones', name: 'Grid zones' },
+                    { id: 'countries', name: 'Countries' }
+                  ].map((view) => (
+                    <button
+                      key={view.id}
+                      onClick={() => setRegionView(view.id)}
+                      className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                        regionView === view.id ? 'bg-green-100 text-green-700' : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      {view.name}
+                    </button>
+                  ))}
+                </div>
                 <ComparisonChart 
-                  data={regionalComparison.regions} 
-                  title="Regional Carbon Intensity" 
+                  data={regionView === 'zones'
+                    ? regionalComparison.regions
+                    : (regionalComparison.countries || []).map(country => ({
+                      ...country,
+                      region: country.countryCode,
+                      regionName: country.countryName
+                    }))} 
+                  title={regionView === 'zones' ? 'Carbon Intensity by Grid Zone' : 'Carbon Intensity by Country'} 
                   type="regions"
+                  massUnit={massUnit}
                 />
                 {regionalComparison.insights && (
                   <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -414,14 +449,14 @@ const AnalyticsDashboard = () => {
                       <h3 className="text-lg font-semibold text-green-900 mb-2">Lowest Intensity</h3>
                       <p className="text-green-700">{regionalComparison.insights.lowestIntensity?.regionName}</p>
                       <p className="text-sm text-green-600">
-                        {regionalComparison.insights.lowestIntensity?.avgCarbonIntensity} kg CO₂/kWh
+                        {regionalComparison.insights.lowestIntensity?.avgCarbonIntensity} {massUnit} CO₂/kWh
                       </p>
                     </div>
                     <div className="bg-red-50 rounded-lg p-6">
                       <h3 className="text-lg font-semibold text-red-900 mb-2">Highest Intensity</h3>
                       <p className="text-red-700">{regionalComparison.insights.highestIntensity?.regionName}</p>
                       <p className="text-sm text-red-600">
-                        {regionalComparison.insights.highestIntensity?.avgCarbonIntensity} kg CO₂/kWh
+                        {regionalComparison.insights.highestIntensity?.avgCarbonIntensity} {massUnit} CO₂/kWh
                       </p>
                     </div>
                   </div>
@@ -438,13 +473,13 @@ const AnalyticsDashboard = () => {
                       <PredictionCard 
                         title="7-Day Forecast"
                         value={predictions.predictions.weekly}
-                        unit="kg CO₂"
+                        unit={`${massUnit} CO₂`}
                         trend={predictions.insights.trend}
                       />
                       <PredictionCard 
                         title="Monthly Projection"
                         value={predictions.predictions.monthly}
-                        unit="kg CO₂"
+                        unit={`${massUnit} CO₂`}
                         trend={predictions.insights.trend}
                       />
                       <div className="bg-blue-50 rounded-lg p-6">
@@ -462,7 +497,7 @@ const AnalyticsDashboard = () => {
                         {predictions.predictions.daily.map((prediction, index) => (
                           <div key={index} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
                             <span className="text-gray-700">{prediction.date}</span>
-                            <span className="font-medium text-gray-900">{prediction.predictedCo2} kg CO₂</span>
+                            <span className="font-medium text-gray-900">{prediction.predictedCo2} {massUnit} CO₂</span>
                             <span className="text-sm text-gray-500">
                               {Math.round(prediction.confidence * 100)}% confidence
                             </span>
@@ -8,7 +8,7 @@
 import React from 'react';
 import { Bar, Doughnut } from 'react-chartjs-2';
 
-const ComparisonChart = ({ data, title, type = 'models' }) => {
+const ComparisonChart = ({ data, title, type = 'models', massUnit = 'kg' }) => {
   if (!data || data.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
@@ -44,7 +44,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
       labels: data.map(item => item.model.toUpperCase()),
       datasets: [
         {
-          label: 'CO₂ per Token (kg)',
+          label: `CO₂ per Token (${massUnit})`,
           data: data.map(item => item.avgCo2PerToken),
           backgroundColor: colors.map(color => color.replace('rgb', 'rgba').replace(')', ', 0.8)')),
           borderColor: colors,
@@ -69,7 +69,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
           beginAtZero: true,
           title: {
             display: true,
-            text: 'CO₂ per Token (kg)'
+            text: `CO₂ per Token (${massUnit})`
           },
           grid: {
             color: 'rgba(0, 0, 0, 0.1)',
@@ -115,7 +115,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
       labels: data.map(item => item.regionName || item.region),
       datasets: [
         {
-          label: 'Carbon Intensity (kg CO₂/kWh)',
+          label: `Carbon Intensity (${massUnit} CO₂/kWh)`,
           data: data.map(item => item.avgCarbonIntensity),
           backgroundColor: colors.map(color => color.replace('rgb', 'rgba').replace(')', ', 0.8)')),
           borderColor: colors,
@@ -140,7 +140,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
           beginAtZero: true,
           title: {
             display: true,
-            text: 'Carbon Intensity (kg CO₂/kWh)'
+            text: `Carbon Intensity (${massUnit} CO₂/kWh)`
           },
           grid: {
             color: 'rgba(0, 0, 0, 0.1)',
@@ -186,7 +186,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
       labels: data.map(item => item.model || item.region),
       datasets: [
         {
-          label: 'Total CO₂ (kg)',
+          label: `Total CO₂ (${massUnit})`,
           data: data.map(item => item.totalCo2),
           backgroundColor: colors.map(color => color.replace('rgb', 'rgba').replace(')', ', 0.8)')),
           borderColor: colors,
@@ -211,7 +211,7 @@ const ComparisonChart = ({ data, title, type = 'models' }) => {
           beginAtZero: true,
           title: {
             display: true,
-            text: 'Total CO₂ (kg)'
+            text: `Total CO₂ (${massUnit})`
           },
           grid: {
             color: 'rgba(0, 0, 0, 0.1)',
@@ -2,13 +2,14 @@
  * Trend Chart Component
  * 
  * Line chart for displaying historical trends
+ * CO₂ is drawn with a shaded band for its uncertainty range when available.
  * Phase 4: Advanced Analytics & Reporting
  */
 
 import React from 'react';
 import { Line } from 'react-chartjs-2';
 
-const TrendChart = ({ data, title, type = 'co2' }) => {
+const TrendChart = ({ data, title, type = 'co2', massUnit = 'kg' }) => {
   if (!data || data.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
@@ -20,6 +21,30 @@ const TrendChart = ({ data, title, type = 'co2' }) => {
     );
   }
 
+  const hasRange = data.some(item => item.co2Low !== undefined && item.co2High !== undefined);
+
+  // Upper bound fills down to the lower bound, which follows directly after it
+  const rangeDatasets = hasRange ? [
+    {
+      label: 'CO₂ high estimate',
+      data: data.map(item => item.co2High ?? item.co2),
+      borderColor: 'rgba(34, 197, 94, 0)',
+      backgroundColor: 'rgba(34, 197, 94, 0.15)',
+      pointRadius: 0,
+      fill: '+1',
+      tension: 0.4,
+    },
+    {
+      label: 'CO₂ low estimate',
+      data: data.map(item => item.co2Low ?? item.co2),
+      borderColor: 'rgba(34, 197, 94, 0)',
+      backgroundColor: 'rgba(34, 197, 94, 0.15)',
+      pointRadius: 0,
+      fill: false,
+      tension: 0.4,
+    }
+  ] : [];
+
   const chartData = {
     labels: data.map(item => {
       // Format date based on data type
@@ -37,12 +62,12 @@ const TrendChart = ({ data, title, type = 'co2' }) => {
     }),
     datasets: [
       {
-        label: 'CO₂ Emissions (kg)',
+        label: `CO₂ Emissions (${massUnit})`,
         data: data.map(item => item.co2),
         borderColor: 'rgb(34, 197, 94)',
         backgroundColor: 'rgba(34, 197, 94, 0.1)',
         borderWidth: 2,
-        fill: true,
+        fill: !hasRange,
         tension: 0.4,
       },
       {
@@ -54,7 +79,8 @@ const TrendChart = ({ data, title, type = 'co2' }) => {
         fill: false,
         tension: 0.4,
         yAxisID: 'y1',
-      }
+      },
+      ...rangeDatasets
     ]
   };
 
@@ -64,6 +90,10 @@ const TrendChart = ({ data, title, type = 'co2' }) => {
     plugins: {
       legend: {
         position: 'top',
+        labels: {
+          // Band bounds show up in the tooltip, not as separate legend entries
+          filter: (item) => !item.text.endsWith('estimate'),
+        },
       },
       title: {
         display: false,
@@ -76,7 +106,7 @@ const TrendChart = ({ data, title, type = 'co2' }) => {
         position: 'left',
         title: {
           display: true,
-          text: 'CO₂ Emissions (kg)'
+          text: `CO₂ Emissions (${massUnit})`
         },
         grid: {
           color: 'rgba(0, 0, 0, 0.1)',
@@ -0,0 +1,197 @@
+/**
+ * Intensity History Chart Component
+ *
+ * Line chart of a grid zone's stored carbon intensity over a day, week, month or year,
+ * with the range between the lowest and highest reading of each period shaded.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+  Filler
+} from 'chart.js';
+import { getIntensityHistory } from '../../services/api';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Filler);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const RANGES = {
+  '24h': { label: '24 hours', span: DAY, granularity: 'hourly' },
+  '7d': { label: '7 days', span: 7 * DAY, granularity: 'hourly' },
+  '30d': { label: '30 days', span: 30 * DAY, granularity: 'daily' },
+  '1y': { label: '1 year', span: 365 * DAY, granularity: 'daily' }
+};
+
+const formatLabel = (timestamp, granularity) => {
+  const date = new Date(timestamp);
+  return granularity === 'hourly'
+    ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const IntensityHistoryChart = ({ zone, zoneName }) => {
+  const [range, setRange] = useState('24h');
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const to = new Date();
+        const from = new Date(to.getTime() - RANGES[range].span);
+        const response = await getIntensityHistory(zone, {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          granularity: RANGES[range].granularity
+        });
+        setHistory(response.data);
+      } catch (fetchError) {
+        console.error('Error fetching carbon intensity history:', fetchError);
+        setError('Failed to load carbon intensity history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [zone, range]);
+
+  const points = history ? history.points : [];
+
+  const chartData = {
+    labels: points.map(point => formatLabel(point.timestamp, history.granularity)),
+    datasets: [
+      {
+        label: 'Highest reading',
+        data: points.map(point => point.max),
+        borderColor: 'rgba(234, 88, 12, 0)',
+        backgroundColor: 'rgba(234, 88, 12, 0.15)',
+        pointRadius: 0,
+        fill: '+1',
+        tension: 0.3,
+      },
+      {
+        label: 'Lowest reading',
+        data: points.map(point => point.min),
+        borderColor: 'rgba(234, 88, 12, 0)',
+        backgroundColor: 'rgba(234, 88, 12, 0.15)',
+        pointRadius: 0,
+        fill: false,
+        tension: 0.3,
+      },
+      {
+        label: 'Carbon intensity (gCO₂/kWh)',
+        data: points.map(point => point.carbonIntensity),
+        borderColor: 'rgb(234, 88, 12)',
+        backgroundColor: 'rgba(234, 88, 12, 0.1)',
+        borderWidth: 2,
+        pointRadius: points.length > 48 ? 0 : 2,
+        fill: false,
+        tension: 0.3,
+      },
+      {
+        label: 'Annual fallback value',
+        data: points.map(() => history.fallbackIntensity),
+        borderColor: 'rgb(156, 163, 175)',
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          // The shaded band shows up in the tooltip, not as separate legend entries
+          filter: (item) => !item.text.endsWith('reading'),
+        },
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'gCO₂/kWh'
+        },
+        grid: {
+          color: 'rgba(0, 0, 0, 0.1)',
+        },
+      },
+      x: {
+        grid: {
+          display: false,
+        },
+      },
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm text-gray-600">
+          {zoneName || zone}
+          {history && history.summary.readings > 0 && (
+            <span className="text-gray-500">
+              {' '}· average {history.summary.average} gCO₂/kWh ({history.summary.min}–{history.summary.max}), {history.summary.readings} readings
+            </span>
+          )}
+        </p>
+        <div className="flex space-x-1">
+          {Object.entries(RANGES).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              className={`px-2 py-1 text-xs rounded-md transition-colors ${
+                range === key ? 'bg-orange-100 text-orange-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-600"></div>
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-64 text-red-600 text-sm">{error}</div>
+      ) : points.length === 0 ? (
+        <div className="flex items-center justify-center h-64 text-gray-500 text-sm text-center">
+          No readings stored for this zone in the last {RANGES[range].label} yet.
+          Readings are recorded while a live data provider is configured.
+        </div>
+      ) : (
+        <div className="h-64">
+          <Line data={chartData} options={options} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IntensityHistoryChart;
@@ -7,7 +7,8 @@ import {
   History, 
   Settings, 
   LogOut,
-  BarChart3
+  BarChart3,
+  Droplets
 } from 'lucide-react';
 import { Link, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
@@ -169,7 +170,7 @@ const Dashboard = () => {
       <main className="container mx-auto px-4 py-8">
         <div className="max-w-6xl mx-auto">
           {/* Stats Overview */}
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
             <div className="bg-white rounded-2xl shadow-lg p-6">
               <div className="flex items-center">
                 <div className="w-12 h-12 bg-blue-100 rounded-xl flex items-center justify-center mr-4">
@@ -225,6 +226,20 @@ const Dashboard = () => {
                 </div>
               </div>
             </div>
+
+            <div className="bg-white rounded-2xl shadow-lg p-6">
+              <div className="flex items-center">
+                <div className="w-12 h-12 bg-cyan-100 rounded-xl flex items-center justify-center mr-4">
+                  <Droplets className="w-6 h-6 text-cyan-600" />
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Water Used</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats?.overview?.total_water?.toFixed(3) || 0} L
+                  </p>
+                </div>
+              </div>
+            </div>
           </div>
 
           {/* Quick Actions */}
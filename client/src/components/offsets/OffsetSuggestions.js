@@ -146,7 +146,7 @@ const OffsetSuggestions = ({ co2Kg, onClose }) => {
                 Offset Your Impact
               </h2>
               <p className="text-green-100 mt-1">
-                {co2Kg} kg CO₂ • {equivalences.co2Tons} tons
+                {equivalences.co2Kg} {equivalences.units.mass} CO₂ • {equivalences.co2Tons} {equivalences.units.largeMass}
               </p>
             </div>
             <button
@@ -305,18 +305,18 @@ const OffsetSuggestions = ({ co2Kg, onClose }) => {
                   Impact Equivalences
                 </h3>
                 <p className="text-gray-600">
-                  See what offsetting {co2Kg} kg of CO₂ means in real-world terms
+                  See what offsetting {equivalences.co2Kg} {equivalences.units.mass} of CO₂ means in real-world terms
                 </p>
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {Object.entries(equivalences.equivalences).map(([key, value]) => (
-                  <div key={key} className="bg-gray-50 rounded-lg p-4 text-center">
+                {equivalences.equivalenceSet.items.map(item => (
+                  <div key={item.key} className="bg-gray-50 rounded-lg p-4 text-center" title={`Source: ${item.source}`}>
                     <div className="text-2xl font-bold text-green-600 mb-2">
-                      {value.toLocaleString()}
+                      {equivalences.equivalences[item.key].toLocaleString()}
                     </div>
-                    <div className="text-sm text-gray-600 capitalize">
-                      {key.replace(/([A-Z])/g, ' $1').trim()}
+                    <div className="text-sm text-gray-600">
+                      {item.label}
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,478 @@
+/**
+ * Scenario Comparison
+ *
+ * Runs one token workload across several models, regions and methodologies and
+ * shows the ranked matrix as a sortable table and a model × region heatmap
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Home,
+  ArrowLeft,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  LayoutGrid,
+  Layers,
+  Play,
+  Loader2
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getModels, getRegions, getMethodology } from '../../services/api';
+
+const METRICS = [
+  { key: 'co2', label: 'CO₂', unit: units => units.mass, digits: 6 },
+  { key: 'energy', label: 'Energy', unit: () => 'kWh', digits: 6 },
+  { key: 'water', label: 'Water', unit: units => units.volume, digits: 4 },
+  { key: 'cost', label: 'Cost', unit: (units, currency) => currency || 'USD', digits: 4 }
+];
+
+const DEFAULT_UNITS = { mass: 'kg', volume: 'L' };
+
+// Green for the lowest value of the matrix, red for the highest
+const getHeatColor = (value, min, max) => {
+  if (value === null || value === undefined) {
+    return 'rgb(243, 244, 246)';
+  }
+  const share = max > min ? (value - min) / (max - min) : 0;
+  const red = Math.round(34 + share * (239 - 34));
+  const green = Math.round(197 - share * (197 - 68));
+  const blue = Math.round(94 - share * (94 - 68));
+  return `rgba(${red}, ${green}, ${blue}, 0.75)`;
+};
+
+const formatValue = (value, digits) => (value === null || value === undefined ? '—' : Number(value).toFixed(digits));
+
+const formatSavings = (savings) => {
+  if (!savings || savings.percent === null) {
+    return '—';
+  }
+  return `${savings.percent > 0 ? '−' : '+'}${Math.abs(savings.percent).toFixed(1)}%`;
+};
+
+const ScenarioComparison = () => {
+  const [models, setModels] = useState({});
+  const [regions, setRegions] = useState({});
+  const [engines, setEngines] = useState([]);
+  const [form, setForm] = useState({
+    splitTokens: false,
+    tokens: '10000',
+    inputTokens: '',
+    outputTokens: '',
+    models: [],
+    regions: [],
+    methodologies: ['per_token'],
+    rankBy: 'co2'
+  });
+  const [matrix, setMatrix] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [sort, setSort] = useState({ key: 'rank', direction: 'asc' });
+  const [heatmapMetric, setHeatmapMetric] = useState('co2');
+  const [heatmapMethodology, setHeatmapMethodology] = useState('per_token');
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [modelsResponse, regionsResponse, methodologyResponse] = await Promise.all([
+          getModels(),
+          getRegions(),
+          getMethodology()
+        ]);
+        setModels(modelsResponse.modelInfo);
+        setRegions(regionsResponse.regionInfo);
+        setEngines(methodologyResponse.engines.filter(engine => engine.workloadTypes.includes('text')));
+        setForm(prev => ({
+          ...prev,
+          models: Object.keys(modelsResponse.modelInfo).slice(0, 3),
+          regions: Object.keys(regionsResponse.regionInfo).slice(0, 3)
+        }));
+      } catch (error) {
+        console.error('Error loading scenario options:', error);
+        toast.error('Failed to load models and regions');
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const toggleValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const runScenarios = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+
+    try {
+      const workload = form.splitTokens
+        ? { inputTokens: parseInt(form.inputTokens || 0), outputTokens: parseInt(form.outputTokens || 0) }
+        : { tokens: parseInt(form.tokens) };
+
+      const response = await fetch('/api/scenarios', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token') || 'dev-token'}`
+        },
+        body: JSON.stringify({
+          ...workload,
+          models: form.models,
+          regions: form.regions,
+          methodologies: form.methodologies,
+          rankBy: form.rankBy
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare scenarios');
+      }
+
+      setMatrix(data);
+      setSort({ key: 'rank', direction: 'asc' });
+      setHeatmapMetric(data.rankBy);
+      setHeatmapMethodology(data.dimensions.methodologies[0]);
+    } catch (error) {
+      console.error('Error comparing scenarios:', error);
+      toast.error(error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const sortedScenarios = useMemo(() => {
+    if (!matrix) {
+      return [];
+    }
+    const getValue = (scenario) => (sort.key.startsWith('savings.')
+      ? scenario.savings[sort.key.split('.')[1]]?.percent ?? null
+      : scenario[sort.key]);
+
+    return [...matrix.scenarios].sort((a, b) => {
+      const first = getValue(a);
+      const second = getValue(b);
+      if (first === null || second === null) {
+        return (first === null) - (second === null);
+      }
+      const order = typeof first === 'string' ? first.localeCompare(second) : first - second;
+      return sort.direction === 'asc' ? order : -order;
+    });
+  }, [matrix, sort]);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const units = matrix?.units || DEFAULT_UNITS;
+  const currency = matrix?.scenarios.find(scenario => scenario.currency)?.currency;
+  const heatmap = METRICS.find(metric => metric.key === heatmapMetric);
+  const heatmapRows = matrix ? matrix.scenarios.filter(scenario => scenario.methodology === heatmapMethodology) : [];
+  const heatmapValues = heatmapRows.map(scenario => scenario[heatmapMetric]).filter(value => value !== null);
+  const heatmapMin = Math.min(...heatmapValues);
+  const heatmapMax = Math.max(...heatmapValues);
+
+  const SortHeader = ({ sortKey, children }) => (
+    <th
+      onClick={() => toggleSort(sortKey)}
+      className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-900"
+    >
+      <span className="inline-flex items-center space-x-1">
+        <span>{children}</span>
+        {sort.key !== sortKey
+          ? <ArrowUpDown className="w-3 h-3" />
+          : sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+      </span>
+    </th>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex items-center space-x-4 mb-2">
+            <Link
+              to="/"
+              className="flex items-center space-x-2 text-gray-600 hover:text-green-600 transition-colors"
+            >
+              <Home className="w-5 h-5" />
+              <span>Home</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300"></div>
+            <Link
+              to="/dashboard"
+              className="flex items-center space-x-2 text-gray-600 hover:text-green-600 transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              <span>Dashboard</span>
+            </Link>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">Compare Scenarios</h1>
+          <p className="mt-1 text-gray-600">Try one workload across models, regions and methodologies at once</p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Scenario Form */}
+        <form onSubmit={runScenarios} className="bg-white rounded-lg shadow p-6 space-y-6">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">Workload</label>
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.splitTokens}
+                  onChange={(e) => setForm(prev => ({ ...prev, splitTokens: e.target.checked }))}
+                  className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                />
+                <span>Split input and output tokens</span>
+              </label>
+            </div>
+            {form.splitTokens ? (
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="number"
+                  min="0"
+                  value={form.inputTokens}
+                  onChange={(e) => setForm(prev => ({ ...prev, inputTokens: e.target.value }))}
+                  placeholder="Input tokens"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={form.outputTokens}
+                  onChange={(e) => setForm(prev => ({ ...prev, outputTokens: e.target.value }))}
+                  placeholder="Output tokens"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+                />
+              </div>
+            ) : (
+              <input
+                type="number"
+                min="1"
+                value={form.tokens}
+                onChange={(e) => setForm(prev => ({ ...prev, tokens: e.target.value }))}
+                placeholder="Tokens"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+              />
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <fieldset>
+              <legend className="text-sm font-medium text-gray-700 mb-2">Models</legend>
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {Object.entries(models).map(([key, label]) => (
+                  <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.models.includes(key)}
+                      onChange={() => toggleValue('models', key)}
+                      className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <fieldset>
+              <legend className="text-sm font-medium text-gray-700 mb-2">Regions</legend>
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {Object.entries(regions).map(([key, label]) => (
+                  <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.regions.includes(key)}
+                      onChange={() => toggleValue('regions', key)}
+                      className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <fieldset>
+              <legend className="text-sm font-medium text-gray-700 mb-2">Methodologies</legend>
+              <div className="space-y-1">
+                {engines.map(engine => (
+                  <label key={engine.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.methodologies.includes(engine.id)}
+                      onChange={() => toggleValue('methodologies', engine.id)}
+                      className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                    />
+                    <span>{engine.name}</span>
+                  </label>
+                ))}
+              </div>
+              <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Rank by</label>
+              <select
+                value={form.rankBy}
+                onChange={(e) => setForm(prev => ({ ...prev, rankBy: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-green-500 focus:border-green-500"
+              >
+                {METRICS.map(metric => (
+                  <option key={metric.key} value={metric.key}>{metric.label}</option>
+                ))}
+              </select>
+            </fieldset>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              {form.models.length * form.regions.length * form.methodologies.length} scenarios (at most 60)
+            </p>
+            <button
+              type="submit"
+              disabled={running || form.models.length === 0 || form.regions.length === 0 || form.methodologies.length === 0}
+              className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 transition-colors"
+            >
+              {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+              <span>Compare</span>
+            </button>
+          </div>
+        </form>
+
+        {matrix && (
+          <>
+            {/* Baseline */}
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+              Savings are compared with {matrix.baseline.source === 'preferences' ? 'your default' : 'the default'}:{' '}
+              <span className="font-medium">{matrix.baseline.model}</span> in{' '}
+              <span className="font-medium">{matrix.baseline.region}</span>{' '}
+              ({formatValue(matrix.baseline.co2, 6)} {units.mass} CO₂, {formatValue(matrix.baseline.energy, 6)} kWh).
+              Best option by {matrix.rankBy}: <span className="font-medium">{matrix.best.model}</span> in{' '}
+              <span className="font-medium">{matrix.best.region}</span>.
+            </div>
+
+            {/* Ranked Table */}
+            <div className="bg-white rounded-lg shadow overflow-x-auto">
+              <div className="flex items-center px-6 py-4 border-b">
+                <Layers className="w-5 h-5 text-green-600 mr-2" />
+                <h2 className="text-lg font-semibold text-gray-900">Ranked Scenarios</h2>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <SortHeader sortKey="rank">Rank</SortHeader>
+                    <SortHeader sortKey="model">Model</SortHeader>
+                    <SortHeader sortKey="region">Region</SortHeader>
+                    <SortHeader sortKey="methodology">Methodology</SortHeader>
+                    {METRICS.map(metric => (
+                      <SortHeader key={metric.key} sortKey={metric.key}>
+                        {metric.label} ({metric.unit(units, currency)})
+                      </SortHeader>
+                    ))}
+                    <SortHeader sortKey="savings.co2">CO₂ vs default</SortHeader>
+                    <SortHeader sortKey="savings.cost">Cost vs default</SortHeader>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {sortedScenarios.map(scenario => (
+                    <tr key={`${scenario.model}-${scenario.region}-${scenario.methodology}`} className="hover:bg-gray-50">
+                      <td className="px-3 py-2 font-medium text-gray-900">{scenario.rank}</td>
+                      <td className="px-3 py-2 text-gray-700">{models[scenario.model] || scenario.model}</td>
+                      <td className="px-3 py-2 text-gray-700">{regions[scenario.region] || scenario.region}</td>
+                      <td className="px-3 py-2 text-gray-700">{scenario.methodology}</td>
+                      {METRICS.map(metric => (
+                        <td key={metric.key} className="px-3 py-2 text-gray-900">{formatValue(scenario[metric.key], metric.digits)}</td>
+                      ))}
+                      <td className={`px-3 py-2 ${scenario.savings.co2?.percent > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatSavings(scenario.savings.co2)}
+                      </td>
+                      <td className={`px-3 py-2 ${scenario.savings.cost?.percent > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatSavings(scenario.savings.cost)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Heatmap */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center">
+                  <LayoutGrid className="w-5 h-5 text-green-600 mr-2" />
+                  <h2 className="text-lg font-semibold text-gray-900">Model × Region Heatmap</h2>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={heatmapMetric}
+                    onChange={(e) => setHeatmapMetric(e.target.value)}
+                    className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    {METRICS.map(metric => (
+                      <option key={metric.key} value={metric.key}>{metric.label}</option>
+                    ))}
+                  </select>
+                  {matrix.dimensions.methodologies.length > 1 && (
+                    <select
+                      value={heatmapMethodology}
+                      onChange={(e) => setHeatmapMethodology(e.target.value)}
+                      className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                      {matrix.dimensions.methodologies.map(methodology => (
+                        <option key={methodology} value={methodology}>{methodology}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-3 py-2"></th>
+                      {matrix.dimensions.regions.map(region => (
+                        <th key={region} className="px-3 py-2 text-xs font-medium text-gray-500 text-center">
+                          {regions[region] || region}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {matrix.dimensions.models.map(model => (
+                      <tr key={model}>
+                        <th className="px-3 py-2 text-xs font-medium text-gray-500 text-left">{models[model] || model}</th>
+                        {matrix.dimensions.regions.map(region => {
+                          const cell = heatmapRows.find(scenario => scenario.model === model && scenario.region === region);
+                          const value = cell ? cell[heatmapMetric] : null;
+                          return (
+                            <td
+                              key={region}
+                              className="px-3 py-3 text-center font-medium text-gray-900 border border-white"
+                              style={{ backgroundColor: getHeatColor(value, heatmapMin, heatmapMax) }}
+                            >
+                              {formatValue(value, heatmap.digits)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                {heatmap.label} in {heatmap.unit(units, currency)}; green is lowest, red is highest
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioComparison;
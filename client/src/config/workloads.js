@@ -0,0 +1,39 @@
+/**
+ * Workload Types
+ *
+ * Labels and usage formatting for the workload types supported by the calculator.
+ * Keys match the server's `workloadType` values.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+export const WORKLOAD_TYPES = {
+  text: 'Text generation',
+  image: 'Image generation',
+  audio: 'Audio transcription',
+  embedding: 'Embeddings',
+  fine_tuning: 'Fine-tuning'
+};
+
+export const IMAGE_RESOLUTIONS = ['512x512', '1024x1024', '1024x1792', '1792x1024'];
+
+/**
+ * Describe the usage of a calculation, e.g. "4 images at 1024x1024"
+ * Accepts either an API result (camelCase) or a saved calculation (snake_case).
+ */
+export const formatWorkloadUsage = (calculation) => {
+  const type = calculation.workloadType || calculation.workload_type || 'text';
+  const details = calculation.workloadDetails || calculation.workload_details || {};
+
+  switch (type) {
+    case 'image':
+      return `${details.imageCount.toLocaleString()} images at ${details.imageResolution}`;
+    case 'audio':
+      return `${details.audioMinutes.toLocaleString()} min of audio`;
+    case 'fine_tuning':
+      return `${details.trainingTokens.toLocaleString()} tokens × ${details.epochs} epochs`;
+    default:
+      return `${(calculation.tokens || 0).toLocaleString()} tokens`;
+  }
+};
@@ -54,7 +54,8 @@ export const calculateImpact = async (formData) => {
       headers.Authorization = 'Bearer dev-token';
     }
     
-    const response = await api.post('/calculate', formData, { headers });
+    // Ask for the step-by-step trace shown in the "How was this calculated?" panel
+    const response = await api.post('/calculate', { ...formData, trace: true }, { headers });
     
     // Trigger dashboard refresh by updating a timestamp in localStorage
     // This will be detected by the dashboard to refresh statistics
@@ -90,6 +91,42 @@ export const getRegions = async () => {
   }
 };
 
+export const getHardwareCatalog = async () => {
+  try {
+    const response = await api.get('/hardware');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getMethodology = async () => {
+  try {
+    const response = await api.get('/methodology');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getIntensityHistory = async (zone, params = {}) => {
+  try {
+    const response = await api.get(`/carbon/intensity/${encodeURIComponent(zone)}/history`, { params });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getEquivalenceRegistry = async () => {
+  try {
+    const response = await api.get('/equivalences');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 export const getModelInfo = async (modelName) => {
   try {
     const response = await api.get(`/models/${modelName}`);
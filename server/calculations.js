@@ -6,191 +6,1062 @@
  */
 
 const carbonIntensityService = require('./services/carbonIntensity');
+const regionResolver = require('./services/regionResolver');
+const { CURRENT_METHODOLOGY_VERSION, UNVERSIONED } = require('./services/methodology');
+const modelRegistry = require('./services/modelRegistry');
+const modelAliases = require('./services/modelAliases');
+const hardwareCatalog = require('./services/hardwareCatalog');
+const estimationEngines = require('./services/estimationEngines');
+const calculationTrace = require('./services/calculationTrace');
+const equivalenceRegistry = require('./services/equivalences');
+const waterFootprint = require('./services/waterFootprint');
+const uncertainty = require('./services/uncertainty');
+const embodiedCarbon = require('./services/embodiedCarbon');
+const scope2 = require('./services/scope2');
+const pricing = require('./services/pricing');
 
-// Energy consumption estimates (in kWh per 1M tokens)
-// Based on research: GPT-3 training consumed ~1,287 MWh for ~300B tokens
-// Inference is typically 10-100x more efficient than training
-const ENERGY_PER_TOKEN = {
-  // Conservative estimates based on research
-  gpt3: 0.0000043, // kWh per token (inference)
-  gpt4: 0.0000086, // kWh per token (inference, estimated 2x GPT-3)
-  claude: 0.0000065, // kWh per token (inference, estimated)
-  gemini: 0.0000055, // kWh per token (inference, estimated)
-  default: 0.000006 // kWh per token (average)
-};
+// Energy consumption estimates (in kWh per token) live in the versioned model
+// factor registry (services/modelRegistry.js). Output tokens are generated one
+// forward pass at a time, while prompt tokens are processed in parallel during
+// prefill, so generation costs several times more per token. Cached prompt
+// tokens skip most of the prefill work. `blended` is the single-rate estimate
+// used when only a total token count is known. `uncertainty` is the 90% range of
+// every coefficient, as multipliers of the central value.
+const ENERGY_PER_TOKEN = Object.fromEntries(
+  Object.entries(modelRegistry.BUILTIN_MODEL_FACTORS).map(([key, factor]) => [key, {
+    input: factor.input,
+    output: factor.output,
+    cachedInput: factor.cachedInput,
+    blended: factor.blended,
+    uncertainty: { ...modelRegistry.BUILTIN_UNCERTAINTY }
+  }])
+);
 
-// Regional CO2 emission factors (kg CO2 per kWh)
-const CO2_EMISSION_FACTORS = {
-  'global-average': 0.475, // kg CO2/kWh
-  'usa-average': 0.416, // kg CO2/kWh
-  'europe-average': 0.276, // kg CO2/kWh
-  'china-average': 0.581, // kg CO2/kWh
-  'canada-average': 0.130, // kg CO2/kWh
-  'iowa-usa': 0.737, // kg CO2/kWh (high carbon intensity)
-  'quebec-canada': 0.020, // kg CO2/kWh (low carbon intensity)
-  'renewable': 0.050 // kg CO2/kWh (renewable energy)
-};
+// Workload types. Text and fine-tuning energy scales with the model; image
+// generation, speech recognition and embeddings are served by dedicated models.
+// Energy of each type comes from the estimation engine (services/estimationEngines.js).
+const WORKLOAD_TYPES = ['text', 'image', 'audio', 'embedding', 'fine_tuning'];
 
-// Environmental equivalence factors
-const EQUIVALENCE_FACTORS = {
-  // CO2 emissions per activity (kg CO2)
-  carMilePerGallon: 0.411, // kg CO2 per mile (average car, 25 mpg)
-  flightPerMile: 0.255, // kg CO2 per mile (domestic flight)
-  beefBurger: 3.4, // kg CO2 per burger
-  smartphoneCharge: 0.0001, // kg CO2 per charge
-  householdElectricityPerDay: 20.5, // kg CO2 per day (average US household)
-  treeYearAbsorption: 22, // kg CO2 absorbed per tree per year
-  laptopHour: 0.05, // kg CO2 per hour of laptop use
-  lightbulbHour: 0.0004 // kg CO2 per hour (LED bulb)
-};
+// Regional CO2 emission factors (kg CO2 per kWh), defined with the static regions in services/regionResolver
+const CO2_EMISSION_FACTORS = Object.fromEntries(
+  Object.entries(regionResolver.STATIC_REGIONS).map(([key, region]) => [key, region.factor])
+);
+
+// Usage older than this is priced at the intensity of its own time rather than the latest reading
+const HISTORICAL_INTENSITY_AGE = 60 * 60 * 1000; // 1 hour
+
+// Tolerated clock skew for occurredAt timestamps slightly in the future
+const OCCURRED_AT_SKEW = 5 * 60 * 1000; // 5 minutes
+
+// Energy source of hardware-based estimates
+const HARDWARE_ENERGY_SOURCE = 'Hardware power draw (TDP x GPU count x utilization x hours x PUE)';
+
+/**
+ * Normalize token usage into a total plus an optional input/output split
+ *
+ * Accepts either a plain token count or an object with `inputTokens`,
+ * `outputTokens` and optionally `cachedInputTokens`. Cached input tokens are
+ * a subset of `inputTokens`, matching how providers report prompt caching.
+ * @param {number|Object} usage - Token count or token split
+ * @returns {Object} { total, input, output, cachedInput, split }
+ */
+function normalizeTokenUsage(usage) {
+  if (usage !== null && typeof usage === 'object') {
+    const hasSplit = usage.inputTokens != null || usage.outputTokens != null;
+    if (!hasSplit) {
+      return normalizeTokenUsage(usage.tokens);
+    }
+
+    const input = Number(usage.inputTokens || 0);
+    const output = Number(usage.outputTokens || 0);
+    const cachedInput = Number(usage.cachedInputTokens || 0);
+
+    if ([input, output, cachedInput].some(value => !Number.isInteger(value) || value < 0)) {
+      throw new Error('Input, output and cached input token counts must be non-negative integers');
+    }
+    if (cachedInput > input) {
+      throw new Error('Cached input tokens cannot exceed input tokens');
+    }
+    if (input + output <= 0) {
+      throw new Error('Token count must be a positive number');
+    }
+
+    return { total: input + output, input, output, cachedInput, split: true };
+  }
+
+  const total = parseInt(usage);
+  if (isNaN(total) || total <= 0) {
+    throw new Error('Token count must be a positive number');
+  }
+
+  return { total, input: null, output: null, cachedInput: null, split: false };
+}
+
+/**
+ * Validate when usage happened
+ * @param {Date|string|number} occurredAt - Timestamp of the usage (defaults to now)
+ * @returns {Date} Validated timestamp
+ * @throws {Error} When the timestamp is invalid or in the future
+ */
+function normalizeOccurredAt(occurredAt) {
+  if (occurredAt === undefined || occurredAt === null || occurredAt === '') {
+    return new Date();
+  }
+
+  const date = new Date(occurredAt);
+  if (isNaN(date)) {
+    throw new Error('occurredAt must be a valid date');
+  }
+  if (date.getTime() > Date.now() + OCCURRED_AT_SKEW) {
+    throw new Error('occurredAt must not be in the future');
+  }
+  return date;
+}
+
+/**
+ * Validate a positive integer input
+ * @param {*} value - Raw input value
+ * @param {string} name - Field name used in error messages
+ * @returns {number} Validated integer
+ */
+function requirePositiveInteger(value, name) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse an image resolution such as "1024x1024"
+ * @param {string} resolution - Resolution as WIDTHxHEIGHT
+ * @returns {Object} { width, height }
+ */
+function parseImageResolution(resolution) {
+  const match = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(String(resolution || '').trim());
+  const width = match ? parseInt(match[1]) : NaN;
+  const height = match ? parseInt(match[2]) : NaN;
+  if (!(width >= 64 && width <= 8192 && height >= 64 && height <= 8192)) {
+    throw new Error('imageResolution must be WIDTHxHEIGHT with each side between 64 and 8192 pixels (e.g. 1024x1024)');
+  }
+  return { width, height };
+}
+
+/**
+ * Normalize a workload into its type, token usage and type-specific inputs
+ *
+ * Text workloads take the token fields accepted by normalizeTokenUsage. Other
+ * types take `imageCount` and `imageResolution` (image), `audioMinutes` (audio),
+ * `embeddingTokens` (embedding) or `trainingTokens` and `epochs` (fine_tuning).
+ * @param {number|Object} usage - Token count, or an object with `workloadType` and its inputs
+ * @returns {Object} { type, tokenUsage, details, usesModelFactor }
+ */
+function normalizeWorkload(usage) {
+  const type = (usage !== null && typeof usage === 'object' && usage.workloadType) || 'text';
+
+  switch (type) {
+    case 'text':
+      return { type, tokenUsage: normalizeTokenUsage(usage), details: null, usesModelFactor: true };
+
+    case 'image': {
+      const imageCount = requirePositiveInteger(usage.imageCount, 'imageCount');
+      const { width, height } = parseImageResolution(usage.imageResolution || '1024x1024');
+      return {
+        type,
+        tokenUsage: null,
+        details: { imageCount, imageResolution: `${width}x${height}`, pixels: width * height },
+        usesModelFactor: false
+      };
+    }
+
+    case 'audio': {
+      const audioMinutes = Number(usage.audioMinutes);
+      if (usage.audioMinutes == null || !Number.isFinite(audioMinutes) || audioMinutes <= 0) {
+        throw new Error('audioMinutes must be a positive number');
+      }
+      return { type, tokenUsage: null, details: { audioMinutes }, usesModelFactor: false };
+    }
+
+    case 'embedding': {
+      const embeddingTokens = requirePositiveInteger(usage.embeddingTokens, 'embeddingTokens');
+      return {
+        type,
+        tokenUsage: normalizeTokenUsage(embeddingTokens),
+        details: { embeddingTokens },
+        usesModelFactor: false
+      };
+    }
+
+    case 'fine_tuning': {
+      const trainingTokens = requirePositiveInteger(usage.trainingTokens, 'trainingTokens');
+      const epochs = requirePositiveInteger(usage.epochs ?? 1, 'epochs');
+      return {
+        type,
+        tokenUsage: normalizeTokenUsage(trainingTokens * epochs),
+        details: { trainingTokens, epochs },
+        usesModelFactor: true
+      };
+    }
+
+    default:
+      throw new Error(`Unknown workload type "${type}". Supported: ${WORKLOAD_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Pick workload inputs from a request body
+ * @param {Object} body - Request body or batch entry
+ * @returns {Object} Usage accepted by normalizeWorkload
+ */
+function getWorkloadUsage(body) {
+  const {
+    workloadType, tokens, inputTokens, outputTokens, cachedInputTokens,
+    imageCount, imageResolution, audioMinutes, embeddingTokens, trainingTokens, epochs
+  } = body;
+
+  return {
+    workloadType, tokens, inputTokens, outputTokens, cachedInputTokens,
+    imageCount, imageResolution, audioMinutes, embeddingTokens, trainingTokens, epochs
+  };
+}
+
+/**
+ * Get the CO2 emission factor for a resolved region
+ * Uses real-time carbon intensity for the region's grid zone when available and requested.
+ * Otherwise static regions use their own factor and countries, zones and cloud regions the
+ * carbon intensity service's fallback dataset for their grid zone.
+ * Back-dated usage is matched to the intensity of its own time (see getHistoricalCarbonIntensity),
+ * and fallback values to the latest dataset year up to it.
+ * @param {Object} resolved - Region from regionResolver.resolveRegion
+ * @param {boolean} useRealTimeData - Whether to use real-time carbon intensity data
+ * @param {Date} occurredAt - When the usage happened
+ * @returns {Promise<Object>} { co2Factor (kg CO2/kWh), carbonData (intensity data or null for static factors) }
+ */
+async function getCO2Factor(resolved, useRealTimeData, occurredAt = new Date()) {
+  let carbonData = null;
+  if (useRealTimeData && resolved.liveZone) {
+    carbonData = Date.now() - occurredAt.getTime() > HISTORICAL_INTENSITY_AGE
+      ? await carbonIntensityService.getHistoricalCarbonIntensity(resolved.liveZone, occurredAt)
+      : await carbonIntensityService.getCarbonIntensity(resolved.liveZone);
+    if (carbonData.source !== 'fallback') {
+      console.log(`🌍 Using ${carbonData.granularity || 'real-time'} carbon intensity for ${resolved.zone}: ${carbonData.carbonIntensity} gCO2/kWh`);
+      return { co2Factor: carbonData.carbonIntensity / 1000, carbonData }; // Convert gCO2/kWh to kgCO2/kWh
+    }
+  }
+
+  if (resolved.staticFactor !== null) {
+    return { co2Factor: resolved.staticFactor, carbonData: null };
+  }
+
+  if (!carbonData) {
+    carbonData = carbonIntensityService.getFallbackCarbonIntensity(resolved.liveZone || resolved.countryCode, {
+      year: occurredAt.getUTCFullYear()
+    });
+  }
+  return { co2Factor: carbonData.carbonIntensity / 1000, carbonData };
+}
+
+/**
+ * Build the cloud region block of a result
+ * @param {Object|null} cloud - Resolved cloud region
+ * @param {number} itEnergy - IT energy before facility overhead (kWh)
+ * @param {number} totalEnergy - Energy including facility overhead (kWh)
+ * @param {number} pue - PUE applied, when it was not the provider's (e.g. set on a hardware spec)
+ * @returns {Object|null} Cloud region details
+ */
+function getCloudRegionFields(cloud, itEnergy, totalEnergy, pue = null) {
+  if (!cloud) {
+    return null;
+  }
+
+  return {
+    key: cloud.key,
+    provider: cloud.provider,
+    regionId: cloud.regionId,
+    name: `${cloud.providerName} ${cloud.name}`,
+    countryCode: cloud.countryCode,
+    gridZone: cloud.gridZone,
+    pue: pue ?? cloud.pue,
+    pueSource: pue === null || pue === cloud.pue ? cloud.pueSource : 'Hardware specification',
+    itEnergy,
+    overheadEnergy: totalEnergy - itEnergy
+  };
+}
+
+/**
+ * Build low/central/high bands for energy, CO2 and equivalences
+ * @param {number} totalEnergy - Central energy estimate (kWh)
+ * @param {Object} energyRange - Energy range as { low, high } multipliers
+ * @param {number} co2Factor - CO2 emission factor (kg CO2/kWh)
+ * @param {Object} intensityRange - Carbon intensity range as { low, high } multipliers
+ * @param {Object} equivalenceOptions - Equivalence set, country and units (see services/equivalences.js)
+ * @returns {Object} Uncertainty bands
+ */
+function calculateUncertainty(totalEnergy, energyRange, co2Factor, intensityRange, equivalenceOptions) {
+  const co2Range = uncertainty.combineRanges(energyRange, intensityRange);
+  const co2 = uncertainty.toBand(totalEnergy * co2Factor, co2Range);
+
+  // Equivalences scale linearly with CO2, so their bands follow the CO2 band
+  const low = equivalenceRegistry.calculateEquivalences(co2.low, equivalenceOptions);
+  const central = equivalenceRegistry.calculateEquivalences(co2.central, equivalenceOptions);
+  const high = equivalenceRegistry.calculateEquivalences(co2.high, equivalenceOptions);
+
+  return {
+    method: 'analytic-lognormal',
+    confidenceLevel: uncertainty.CONFIDENCE_LEVEL,
+    energy: uncertainty.toBand(totalEnergy, energyRange),
+    co2,
+    equivalences: Object.fromEntries(
+      Object.keys(central).map(key => [key, { low: low[key], central: central[key], high: high[key] }])
+    )
+  };
+}
+
+/**
+ * Check whether carbon intensity was measured for the hour of use, rather than averaged
+ * @param {Object|null} carbonData - Carbon intensity data
+ * @returns {boolean} Whether the tighter real-time uncertainty range applies
+ */
+function isMeasuredIntensity(carbonData) {
+  return carbonData !== null && carbonData.source !== 'fallback' &&
+    !['monthly', 'annual'].includes(carbonData.granularity);
+}
+
+/**
+ * Grade the carbon intensity behind a result
+ * @param {Object|null} carbonData - Carbon intensity data (null for static factors)
+ * @returns {string} 'realtime', 'average' (monthly or annual average of readings) or 'fallback'
+ */
+function getIntensityQuality(carbonData) {
+  if (carbonData === null || carbonData.source === 'fallback') {
+    return 'fallback';
+  }
+  return isMeasuredIntensity(carbonData) ? 'realtime' : 'average';
+}
+
+/**
+ * Build carbon intensity metadata for a result
+ * @param {Object|null} carbonData - Real-time carbon intensity data
+ * @param {boolean} useRealTimeData - Whether real-time data was requested
+ * @returns {Object} Carbon intensity metadata
+ */
+function getCarbonMetadata(carbonData, useRealTimeData) {
+  return {
+    // Only measured or stored grid data counts; the fallback dataset is not real-time
+    realTimeData: useRealTimeData && carbonData !== null && carbonData.source !== 'fallback',
+    dataSource: carbonData ? carbonData.source : 'static',
+    dataQuality: getIntensityQuality(carbonData),
+    timestamp: carbonData ? carbonData.timestamp : new Date().toISOString(),
+    // 'latest' for live readings, 'hourly' for time-matched ones, 'monthly' or 'annual' for averages
+    intensityPeriod: carbonData ? carbonData.granularity || 'latest' : 'annual',
+    fossilFuelPercentage: carbonData ? carbonData.fossilFuelPercentage : null,
+    renewablePercentage: carbonData ? carbonData.renewablePercentage : null,
+    // Dataset version, year and source behind a fallback intensity
+    fallbackDataset: carbonData && carbonData.dataset ? carbonData.dataset : null
+  };
+}
+
+/**
+ * Build the grid zone metadata of a result
+ * @param {Object} resolved - Region from regionResolver.resolveRegion
+ * @returns {Object} The zone the intensity was looked up for
+ */
+function getZoneMetadata(resolved) {
+  return {
+    requested: resolved.requested,
+    known: resolved.known,
+    kind: resolved.kind,
+    id: resolved.zone,
+    name: resolved.name,
+    countryCode: resolved.countryCode,
+    factorSource: resolved.factorSource
+  };
+}
+
+/**
+ * Build the token fields of a result
+ * @param {Object} workload - Normalized workload
+ * @returns {Object} { tokens, tokenBreakdown }
+ */
+function getTokenFields(workload) {
+  const usage = workload.tokenUsage;
+  return {
+    tokens: usage ? usage.total : null,
+    tokenBreakdown: usage && usage.split ? {
+      input: usage.input,
+      output: usage.output,
+      cachedInput: usage.cachedInput
+    } : null
+  };
+}
+
+/**
+ * Build the model part of a trace
+ * The factor is only listed when the per-token engine used its coefficients.
+ * @param {Object} params - { resolution: { requested, known, matchedBy }, modelKey, workload, engineId, factor }
+ * @returns {Object} Model part for calculationTrace.buildTrace
+ */
+function getTraceModel({ resolution, modelKey, workload, engineId, factor }) {
+  let note = null;
+  if (!workload.usesModelFactor) {
+    note = `${workload.type} workloads use dedicated-model energy factors (see the energy step)`;
+  } else if (engineId !== estimationEngines.DEFAULT_ENGINE) {
+    note = `The ${engineId} engine estimates energy from its own assumptions (see the energy step)`;
+  } else if (!factor) {
+    note = 'The factor version used is no longer in the registry';
+  } else if (!resolution.known) {
+    note = 'Unknown model ID: the default factor was used';
+  }
+
+  return {
+    requested: resolution.requested,
+    modelKey,
+    known: resolution.known,
+    matchedBy: resolution.matchedBy,
+    factor: workload.usesModelFactor && engineId === estimationEngines.DEFAULT_ENGINE ? factor : null,
+    note
+  };
+}
+
+/**
+ * Get the facility overhead applied to IT energy
+ * @param {Object|null} hardware - Hardware block of a result or stored hardware_spec
+ * @param {Object|null} cloudRegion - Cloud region block of a result
+ * @param {number} totalEnergy - Energy including facility overhead (kWh)
+ * @returns {Object} { itEnergy, pue, pueSource }
+ */
+function getTraceFacility(hardware, cloudRegion, totalEnergy) {
+  if (hardware) {
+    return {
+      itEnergy: hardware.itEnergy,
+      pue: hardware.pue,
+      pueSource: cloudRegion ? cloudRegion.pueSource : 'Hardware specification'
+    };
+  }
+  if (cloudRegion) {
+    return { itEnergy: cloudRegion.itEnergy, pue: cloudRegion.pue, pueSource: cloudRegion.pueSource };
+  }
+  return { itEnergy: totalEnergy, pue: null, pueSource: null };
+}
 
 /**
- * Calculate environmental impact for given token usage
- * @param {number} tokens - Number of tokens used
- * @param {string} model - AI model type
+ * Build the step-by-step trace of a result
+ * @param {Object} result - Result of calculateEnvironmentalImpact or calculateHardwareImpact
+ * @param {Object|null} model - Model part from getTraceModel (null for hardware estimates)
+ * @returns {Object} Trace (see services/calculationTrace.js)
+ */
+function getResultTrace(result, model) {
+  const { metadata } = result;
+
+  return calculationTrace.buildTrace({
+    methodologyVersion: metadata.methodologyVersion,
+    workload: {
+      type: result.workloadType,
+      tokens: result.tokens,
+      tokenBreakdown: result.tokenBreakdown,
+      details: result.workloadDetails
+    },
+    model,
+    energy: {
+      method: result.estimationMethod,
+      engine: metadata.estimationEngine,
+      source: metadata.energySource,
+      hardware: result.hardware,
+      breakdown: result.energy.breakdown,
+      ...getTraceFacility(result.hardware, result.cloudRegion, result.energy.total),
+      total: result.energy.total,
+      range: result.uncertainty.energy
+    },
+    zone: metadata.zone,
+    cloudRegion: result.cloudRegion,
+    intensity: {
+      factor: result.co2.factor,
+      source: metadata.dataSource,
+      timestamp: metadata.timestamp,
+      period: metadata.intensityPeriod,
+      quality: metadata.dataQuality,
+      renewablePercentage: metadata.renewablePercentage,
+      fossilFuelPercentage: metadata.fossilFuelPercentage,
+      dataset: metadata.fallbackDataset,
+      recorded: true
+    },
+    co2: {
+      energy: result.energy.total,
+      factor: result.co2.factor,
+      total: result.co2.total,
+      marketBased: result.co2.marketBased.total,
+      embodied: result.embodied.total,
+      range: result.uncertainty.co2
+    },
+    equivalenceSet: result.equivalenceSet,
+    equivalences: result.equivalences
+  });
+}
+
+/**
+ * Calculate environmental impact for given token usage or workload
+ * @param {number|Object} tokens - Number of tokens used, { inputTokens, outputTokens, cachedInputTokens },
+ *   or a workload with `workloadType` and its inputs (see normalizeWorkload)
+ * @param {string} model - Registry model key or provider model ID (e.g. gpt-4o-2024-08-06).
+ *   Image, audio and embedding workloads do not use model factors, so any label is accepted.
  * @param {string} region - Geographic region for CO2 calculation
  * @param {boolean} useRealTimeData - Whether to use real-time carbon intensity data
+ * @param {Object} options - Additional options
+ * @param {Object[]} options.instruments - Contractual instruments for market-based CO2 (see scope2.getActiveInstruments)
+ * @param {string|Object} options.cloudRegion - Cloud region the workload ran in, e.g. "aws:eu-west-1".
+ *   Replaces `region`: intensity comes from the region's grid and the provider's PUE is applied to energy.
+ * @param {Date|string} options.occurredAt - When the usage happened (defaults to now); back-dated usage
+ *   uses the grid intensity and the model factor version of that time
+ * @param {string} options.methodology - Estimation engine for energy (see services/estimationEngines.js);
+ *   defaults to the per-token factors
+ * @param {Object} options.equivalences - Equivalence set, country and units (see services/equivalences.js)
+ * @param {boolean} options.trace - Whether to add the step-by-step trace under `trace`
  * @returns {Promise<Object>} Environmental impact calculations
  */
-async function calculateEnvironmentalImpact(tokens, model = 'default', region = 'global-average', useRealTimeData = true) {
+async function calculateEnvironmentalImpact(tokens, model = 'default', region = 'global-average', useRealTimeData = true, options = {}) {
   // Validate inputs
-  if (!tokens || tokens <= 0) {
-    throw new Error('Token count must be a positive number');
+  const workload = normalizeWorkload(tokens);
+  const engine = estimationEngines.getEngine(options.methodology, workload.type);
+  const occurredAt = normalizeOccurredAt(options.occurredAt);
+  const equivalenceSet = equivalenceRegistry.getEquivalenceSet(options.equivalences);
+  const resolved = regionResolver.resolveRegion(options.cloudRegion || region);
+  const cloud = resolved.cloud;
+  if (cloud) {
+    region = cloud.region;
   }
 
-  // Get energy consumption per token for the model
-  const energyPerToken = ENERGY_PER_TOKEN[model] || ENERGY_PER_TOKEN.default;
-  
-  // Calculate total energy consumption (kWh)
-  const totalEnergy = tokens * energyPerToken;
-  
-  let co2Factor;
-  let carbonData = null;
-  
-  // Get CO2 emission factor - use real-time data if available and requested
-  if (useRealTimeData && region !== 'global-average' && region !== 'renewable') {
-    try {
-      // Try to get real-time carbon intensity data
-      carbonData = await carbonIntensityService.getCarbonIntensity(region);
-      co2Factor = carbonData.carbonIntensity / 1000; // Convert gCO2/kWh to kgCO2/kWh
-      console.log(`🌍 Using real-time carbon intensity for ${region}: ${carbonData.carbonIntensity} gCO2/kWh`);
-    } catch (error) {
-      console.warn(`⚠️ Failed to get real-time data for ${region}, using fallback:`, error.message);
-      co2Factor = CO2_EMISSION_FACTORS[region] || CO2_EMISSION_FACTORS['global-average'];
-    }
-  } else {
-    // Use static data for global average, renewable, or when real-time is disabled
-    co2Factor = CO2_EMISSION_FACTORS[region] || CO2_EMISSION_FACTORS['global-average'];
+  // Resolve provider model IDs to a registry model. Unknown IDs fall back to the
+  // default factor and are flagged in metadata.modelResolution.
+  const modelResolution = await modelAliases.resolveModelId(model);
+  if (!modelResolution.known && workload.usesModelFactor) {
+    console.warn(`⚠️ Unknown model ID "${model}", using default energy factor`);
   }
+
+  // Get energy consumption per token for the model from the factor registry
+  const modelFactor = await modelRegistry.resolveModelFactor(modelResolution.canonical || 'default', occurredAt);
   
-  // Calculate total CO2 emissions (kg)
-  const totalCO2 = totalEnergy * co2Factor;
+  // Calculate total energy consumption (kWh); a known cloud region adds its provider's facility overhead
+  const energy = engine.estimateEnergy(workload, modelFactor);
+  const itEnergy = energy.total;
+  const totalEnergy = cloud ? itEnergy * cloud.pue : itEnergy;
   
-  // Calculate environmental equivalences
-  const equivalences = {
-    carMiles: totalCO2 / EQUIVALENCE_FACTORS.carMilePerGallon,
-    flightMiles: totalCO2 / EQUIVALENCE_FACTORS.flightPerMile,
-    beefBurgers: totalCO2 / EQUIVALENCE_FACTORS.beefBurger,
-    smartphoneCharges: totalCO2 / EQUIVALENCE_FACTORS.smartphoneCharge,
-    householdElectricityDays: totalCO2 / EQUIVALENCE_FACTORS.householdElectricityPerDay,
-    treeYears: totalCO2 / EQUIVALENCE_FACTORS.treeYearAbsorption,
-    laptopHours: totalCO2 / EQUIVALENCE_FACTORS.laptopHour,
-    lightbulbHours: totalCO2 / EQUIVALENCE_FACTORS.lightbulbHour
-  };
+  // Get CO2 emission factor and calculate total CO2 emissions (kg)
+  const { co2Factor, carbonData } = await getCO2Factor(resolved, useRealTimeData, occurredAt);
+  const totalCO2 = totalEnergy * co2Factor;
+
+  // Market-based Scope 2 figure from the user's PPAs, certificates and provider matching
+  const marketBased = scope2.calculateMarketBased({
+    energyKwh: totalEnergy,
+    locationFactor: co2Factor,
+    gridZone: { zone: resolved.zone, countryCode: resolved.countryCode },
+    provider: modelFactor.provider,
+    instruments: options.instruments
+  });
+
+  // Water consumed by data-center cooling (provider WUE) and electricity generation (region)
+  const water = waterFootprint.calculateWaterFootprint({
+    energyKwh: totalEnergy,
+    itEnergyKwh: itEnergy,
+    provider: modelFactor.provider,
+    region: resolved.region
+  });
   
   const result = {
-    tokens,
-    model,
+    ...getTokenFields(workload),
+    // Models outside the registry are kept as labels when they do not drive energy
+    model: modelResolution.known || workload.usesModelFactor ? modelFactor.modelKey : model,
+    modelId: modelResolution.requested,
     region,
+    cloudRegion: getCloudRegionFields(cloud, itEnergy, totalEnergy),
+    workloadType: workload.type,
+    workloadDetails: workload.details,
+    occurredAt: occurredAt.toISOString(),
+    estimationMethod: 'per_token',
+    estimationEngine: engine.id,
+    hardware: null,
     energy: {
       total: totalEnergy,
-      unit: 'kWh'
+      unit: 'kWh',
+      breakdown: energy.breakdown
     },
     co2: {
       total: totalCO2,
       unit: 'kg CO2e',
       factor: co2Factor,
-      factorUnit: 'kg CO2/kWh'
-    },
-    equivalences: {
-      carMiles: Math.round(equivalences.carMiles * 100) / 100,
-      flightMiles: Math.round(equivalences.flightMiles * 100) / 100,
-      beefBurgers: Math.round(equivalences.beefBurgers * 100) / 100,
-      smartphoneCharges: Math.round(equivalences.smartphoneCharges),
-      householdElectricityDays: Math.round(equivalences.householdElectricityDays * 100) / 100,
-      treeYears: Math.round(equivalences.treeYears * 100) / 100,
-      laptopHours: Math.round(equivalences.laptopHours * 100) / 100,
-      lightbulbHours: Math.round(equivalences.lightbulbHours)
+      factorUnit: 'kg CO2/kWh',
+      method: 'location-based',
+      marketBased
     },
+    embodied: embodiedCarbon.calculateTokenEmbodied(itEnergy, modelFactor),
+    water,
+    // List-price cost of text workloads at the price in effect when the usage happened
+    cost: pricing.estimateCost({
+      workload,
+      modelId: modelResolution.requested,
+      modelKey: modelFactor.modelKey,
+      occurredAt
+    }),
+    equivalences: equivalenceRegistry.calculateEquivalences(totalCO2, options.equivalences),
+    equivalenceSet,
+    uncertainty: calculateUncertainty(
+      totalEnergy,
+      energy.uncertainty,
+      co2Factor,
+      uncertainty.getGridIntensityRange(isMeasuredIntensity(carbonData)),
+      options.equivalences
+    ),
     metadata: {
-      realTimeData: useRealTimeData && carbonData !== null,
-      dataSource: carbonData ? carbonData.source : 'static',
-      timestamp: carbonData ? carbonData.timestamp : new Date().toISOString(),
-      fossilFuelPercentage: carbonData ? carbonData.fossilFuelPercentage : null,
-      renewablePercentage: carbonData ? carbonData.renewablePercentage : null
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION,
+      modelFactor: workload.usesModelFactor ? {
+        id: modelFactor.id,
+        modelKey: modelFactor.modelKey,
+        version: modelFactor.version,
+        citation: modelFactor.source.citation
+      } : null,
+      modelResolution,
+      energySource: energy.source,
+      estimationEngine: {
+        id: engine.id,
+        name: engine.name,
+        assumptions: energy.assumptions
+      },
+      zone: getZoneMetadata(resolved),
+      ...getCarbonMetadata(carbonData, useRealTimeData)
     }
   };
+
+  if (options.trace) {
+    result.trace = getResultTrace(result, getTraceModel({
+      resolution: modelResolution,
+      modelKey: result.model,
+      workload,
+      engineId: engine.id,
+      factor: modelFactor
+    }));
+  }
   
   return result;
 }
 
+/**
+ * Calculate environmental impact from hardware usage (self-hosted models)
+ * Energy comes from GPU power draw, utilization, runtime and PUE instead of a
+ * per-token factor. The result has the same shape as calculateEnvironmentalImpact.
+ * @param {number|Object} tokens - Tokens served during the run, { inputTokens, outputTokens, cachedInputTokens },
+ *   or a workload with `workloadType` and its inputs (see normalizeWorkload)
+ * @param {Object} hardware - { gpuType, gpuCount, utilization, hours, pue, tdpWatts }
+ * @param {string} model - Model label (e.g. llama-3-70b)
+ * @param {string} region - Geographic region for CO2 calculation
+ * @param {boolean} useRealTimeData - Whether to use real-time carbon intensity data
+ * @param {Object} options - Additional options
+ * @param {Object[]} options.instruments - Contractual instruments for market-based CO2 (see scope2.getActiveInstruments)
+ * @param {string|Object} options.cloudRegion - Cloud region the GPUs ran in; replaces `region` and
+ *   supplies the provider's PUE when `hardware.pue` is not set
+ * @param {Date|string} options.occurredAt - When the GPUs ran (defaults to now)
+ * @param {Object} options.equivalences - Equivalence set, country and units (see services/equivalences.js)
+ * @param {boolean} options.trace - Whether to add the step-by-step trace under `trace`
+ * @returns {Promise<Object>} Environmental impact calculations
+ */
+async function calculateHardwareImpact(tokens, hardware, model = 'self-hosted', region = 'global-average', useRealTimeData = true, options = {}) {
+  // Validate inputs
+  const workload = normalizeWorkload(tokens);
+  const occurredAt = normalizeOccurredAt(options.occurredAt);
+  const equivalenceSet = equivalenceRegistry.getEquivalenceSet(options.equivalences);
+  const resolved = regionResolver.resolveRegion(options.cloudRegion || region);
+  const cloud = resolved.cloud;
+  if (cloud) {
+    region = cloud.region;
+  }
+  const spec = hardwareCatalog.normalizeHardwareSpec(
+    cloud && hardware && typeof hardware === 'object' ? { ...hardware, pue: hardware.pue ?? cloud.pue } : hardware
+  );
+
+  // Calculate total energy consumption (kWh) including facility overhead
+  const energy = hardwareCatalog.calculateHardwareEnergy(spec);
+
+  const { co2Factor, carbonData } = await getCO2Factor(resolved, useRealTimeData, occurredAt);
+  const totalCO2 = energy.total * co2Factor;
+
+  // Self-hosted runs have no model provider, so only provider-agnostic matching applies
+  const marketBased = scope2.calculateMarketBased({
+    energyKwh: energy.total,
+    locationFactor: co2Factor,
+    gridZone: { zone: resolved.zone, countryCode: resolved.countryCode },
+    instruments: options.instruments
+  });
+
+  // Cooling water applies to IT energy only; generation water to everything drawn from the grid
+  const water = waterFootprint.calculateWaterFootprint({
+    energyKwh: energy.total,
+    itEnergyKwh: energy.itEnergy,
+    region: resolved.region,
+    wue: spec.wue
+  });
+
+  const result = {
+    ...getTokenFields(workload),
+    model: model || 'self-hosted',
+    modelId: model || null,
+    region,
+    cloudRegion: getCloudRegionFields(cloud, energy.itEnergy, energy.total, spec.pue),
+    workloadType: workload.type,
+    workloadDetails: workload.details,
+    occurredAt: occurredAt.toISOString(),
+    estimationMethod: 'hardware',
+    estimationEngine: null,
+    hardware: {
+      ...spec,
+      itEnergy: energy.itEnergy,
+      overheadEnergy: energy.overheadEnergy
+    },
+    energy: {
+      total: energy.total,
+      unit: 'kWh',
+      breakdown: null
+    },
+    co2: {
+      total: totalCO2,
+      unit: 'kg CO2e',
+      factor: co2Factor,
+      factorUnit: 'kg CO2/kWh',
+      method: 'location-based',
+      marketBased
+    },
+    embodied: embodiedCarbon.calculateHardwareEmbodied(spec),
+    water,
+    // Self-hosted runs have no list price
+    cost: null,
+    equivalences: equivalenceRegistry.calculateEquivalences(totalCO2, options.equivalences),
+    equivalenceSet,
+    uncertainty: calculateUncertainty(
+      energy.total,
+      hardwareCatalog.HARDWARE_ENERGY_UNCERTAINTY,
+      co2Factor,
+      uncertainty.getGridIntensityRange(isMeasuredIntensity(carbonData)),
+      options.equivalences
+    ),
+    metadata: {
+      methodologyVersion: CURRENT_METHODOLOGY_VERSION,
+      modelFactor: null,
+      modelResolution: null,
+      energySource: HARDWARE_ENERGY_SOURCE,
+      estimationEngine: null,
+      zone: getZoneMetadata(resolved),
+      ...getCarbonMetadata(carbonData, useRealTimeData)
+    }
+  };
+
+  if (options.trace) {
+    result.trace = getResultTrace(result, null);
+  }
+
+  return result;
+}
+
+/**
+ * Run every estimation engine on the same workload, to show the spread between methodologies
+ * Engines that do not support the workload type are listed with the reason.
+ * @param {number|Object} tokens - Token usage or workload (see normalizeWorkload)
+ * @param {string} model - Registry model key or provider model ID
+ * @param {string} region - Geographic region for CO2 calculation
+ * @param {boolean} useRealTimeData - Whether to use real-time carbon intensity data
+ * @param {Object} options - cloudRegion and occurredAt, as for calculateEnvironmentalImpact
+ * @returns {Promise<Object>} { engines, spread } where spread gives min, max and max/min ratio of energy and CO2
+ */
+async function compareMethodologies(tokens, model = 'default', region = 'global-average', useRealTimeData = true, options = {}) {
+  const workload = normalizeWorkload(tokens);
+  const engines = [];
+
+  for (const engine of estimationEngines.listEngines()) {
+    if (!engine.workloadTypes.includes(workload.type)) {
+      engines.push({
+        methodology: engine.id,
+        name: engine.name,
+        supported: false,
+        reason: `Does not support ${workload.type} workloads`
+      });
+      continue;
+    }
+
+    const result = await calculateEnvironmentalImpact(tokens, model, region, useRealTimeData, {
+      cloudRegion: options.cloudRegion,
+      occurredAt: options.occurredAt,
+      methodology: engine.id
+    });
+    engines.push({
+      methodology: engine.id,
+      name: engine.name,
+      supported: true,
+      energy: result.energy,
+      co2: {
+        total: result.co2.total,
+        unit: result.co2.unit,
+        factor: result.co2.factor
+      },
+      embodied: result.embodied.total,
+      water: result.water.total,
+      uncertainty: {
+        energy: result.uncertainty.energy,
+        co2: result.uncertainty.co2
+      },
+      energySource: result.metadata.energySource,
+      assumptions: result.metadata.estimationEngine.assumptions
+    });
+  }
+
+  const getSpread = values => ({
+    min: Math.min(...values),
+    max: Math.max(...values),
+    ratio: Math.min(...values) > 0 ? Math.max(...values) / Math.min(...values) : null
+  });
+  const supported = engines.filter(engine => engine.supported);
+
+  return {
+    model,
+    region,
+    workloadType: workload.type,
+    engines,
+    spread: supported.length > 0 ? {
+      energyKwh: getSpread(supported.map(engine => engine.energy.total)),
+      co2Kg: getSpread(supported.map(engine => engine.co2.total))
+    } : null
+  };
+}
+
+/**
+ * Explain a stored calculation step by step
+ * Steps are rebuilt from the stored figures, the model factor version and carbon intensity
+ * it recorded and the current region mapping. Rows saved before intensity provenance was
+ * recorded get a factor derived from their stored CO2 and energy.
+ * @param {Object} calc - Calculation instance
+ * @returns {Promise<Object>} Trace (see services/calculationTrace.js)
+ */
+async function explainCalculation(calc) {
+  const hardware = calc.estimation_method === 'hardware';
+  const resolved = regionResolver.resolveRegion(calc.cloud_region || calc.region);
+  const workload = normalizeWorkload({ workloadType: calc.workload_type, tokens: calc.tokens, ...calc.workload_details });
+  const engine = hardware ? null : estimationEngines.getEngine(calc.estimation_engine);
+  const energyTotal = parseFloat(calc.energy_kwh);
+  const co2Total = parseFloat(calc.co2_kg);
+  const recorded = calc.carbon_intensity_factor !== null;
+  const intensityFactor = recorded ? calc.carbon_intensity_factor : energyTotal > 0 ? co2Total / energyTotal : null;
+  const parseBand = (low, central, high) => low !== null && high !== null
+    ? { low: parseFloat(low), central: parseFloat(central), high: parseFloat(high) }
+    : null;
+
+  let factor = null;
+  if (!hardware && calc.model_factor_version) {
+    const history = await modelRegistry.getModelFactorHistory(calc.model);
+    factor = history.find(version => version.version === calc.model_factor_version) || null;
+  }
+
+  let energySource = HARDWARE_ENERGY_SOURCE;
+  if (!hardware) {
+    if (!workload.usesModelFactor) {
+      energySource = estimationEngines.WORKLOAD_ENERGY_FACTORS[workload.type].source;
+    } else if (engine.id !== estimationEngines.DEFAULT_ENGINE) {
+      energySource = engine.description;
+    } else if (factor) {
+      energySource = factor.source.citation;
+    }
+  }
+
+  const cloud = resolved.cloud;
+  const hardwareSpec = hardware ? calc.hardware_spec : null;
+  const itEnergy = hardwareSpec ? hardwareSpec.itEnergy : cloud ? energyTotal / cloud.pue : energyTotal;
+  const cloudRegion = getCloudRegionFields(cloud, itEnergy, energyTotal, hardwareSpec ? hardwareSpec.pue : null);
+
+  const trace = calculationTrace.buildTrace({
+    methodologyVersion: calc.methodology_version || UNVERSIONED,
+    workload: {
+      type: calc.workload_type,
+      tokens: calc.tokens,
+      tokenBreakdown: calc.input_tokens !== null ? {
+        input: calc.input_tokens,
+        output: calc.output_tokens,
+        cachedInput: calc.cached_input_tokens
+      } : null,
+      details: calc.workload_details
+    },
+    model: hardware ? null : getTraceModel({
+      resolution: { requested: calc.model_id || calc.model, known: true, matchedBy: null },
+      modelKey: calc.model,
+      workload,
+      engineId: engine.id,
+      factor
+    }),
+    energy: {
+      method: calc.estimation_method,
+      engine: engine ? { id: engine.id, name: engine.name, assumptions: null } : null,
+      source: energySource,
+      hardware: hardwareSpec,
+      breakdown: null,
+      ...getTraceFacility(hardwareSpec, cloudRegion, energyTotal),
+      total: energyTotal,
+      range: parseBand(calc.energy_kwh_low, calc.energy_kwh, calc.energy_kwh_high)
+    },
+    zone: getZoneMetadata(resolved),
+    cloudRegion,
+    intensity: {
+      factor: intensityFactor,
+      source: calc.carbon_intensity_source,
+      timestamp: calc.carbon_intensity_at,
+      period: null,
+      quality: calc.carbon_intensity_quality,
+      renewablePercentage: calc.renewable_percentage,
+      fossilFuelPercentage: null,
+      dataset: calc.carbon_intensity_dataset_version !== null
+        ? { version: calc.carbon_intensity_dataset_version, year: calc.carbon_intensity_dataset_year }
+        : null,
+      recorded
+    },
+    co2: {
+      energy: energyTotal,
+      factor: intensityFactor ?? 0,
+      total: co2Total,
+      marketBased: calc.co2_kg_market !== null ? parseFloat(calc.co2_kg_market) : co2Total,
+      embodied: calc.embodied_co2_kg !== null ? parseFloat(calc.embodied_co2_kg) : null,
+      range: parseBand(calc.co2_kg_low, calc.co2_kg, calc.co2_kg_high)
+    },
+    equivalenceSet: equivalenceRegistry.getEquivalenceSet(calc.equivalence_options || {}),
+    equivalences: calc.equivalences
+  });
+
+  return {
+    calculationId: calc.id,
+    occurredAt: calc.occurred_at,
+    ...trace
+  };
+}
+
+/**
+ * Map a calculation result to Calculation model attributes
+ * @param {Object} result - Result from calculateEnvironmentalImpact
+ * @returns {Object} Attributes shared by every save path
+ */
+function getCalculationAttributes(result) {
+  return {
+    tokens: result.tokens,
+    model: result.model,
+    model_id: result.modelId,
+    workload_type: result.workloadType,
+    workload_details: result.workloadDetails,
+    region: result.region || 'global-average',
+    grid_zone: result.metadata.zone ? result.metadata.zone.id : null,
+    grid_country: result.metadata.zone ? result.metadata.zone.countryCode : null,
+    occurred_at: result.occurredAt,
+    cloud_region: result.cloudRegion ? result.cloudRegion.key : null,
+    input_tokens: result.tokenBreakdown ? result.tokenBreakdown.input : null,
+    output_tokens: result.tokenBreakdown ? result.tokenBreakdown.output : null,
+    cached_input_tokens: result.tokenBreakdown ? result.tokenBreakdown.cachedInput : null,
+    methodology_version: result.metadata.methodologyVersion,
+    model_factor_id: result.metadata.modelFactor ? result.metadata.modelFactor.id : null,
+    model_factor_version: result.metadata.modelFactor ? result.metadata.modelFactor.version : null,
+    estimation_method: result.estimationMethod,
+    estimation_engine: result.estimationEngine,
+    hardware_spec: result.hardware,
+    energy_kwh: result.energy.total,
+    energy_kwh_low: result.uncertainty.energy.low,
+    energy_kwh_high: result.uncertainty.energy.high,
+    co2_kg: result.co2.total,
+    co2_kg_low: result.uncertainty.co2.low,
+    co2_kg_high: result.uncertainty.co2.high,
+    co2_kg_market: result.co2.marketBased.total,
+    carbon_intensity_factor: result.co2.factor,
+    carbon_intensity_source: result.metadata.dataSource,
+    // Static and fallback factors are not readings, so they have no time of their own
+    carbon_intensity_at: result.metadata.dataQuality === 'fallback' ? null : result.metadata.timestamp,
+    renewable_percentage: result.metadata.renewablePercentage ?? null,
+    carbon_intensity_dataset_version: result.metadata.fallbackDataset ? result.metadata.fallbackDataset.version : null,
+    carbon_intensity_dataset_year: result.metadata.fallbackDataset ? result.metadata.fallbackDataset.year : null,
+    carbon_intensity_quality: result.metadata.dataQuality,
+    scope2_allocations: result.co2.marketBased.allocations,
+    embodied_co2_kg: result.embodied.total,
+    water_liters: result.water.total,
+    water_onsite_liters: result.water.onSite,
+    water_offsite_liters: result.water.offSite,
+    cost: result.cost ? result.cost.total : null,
+    cost_currency: result.cost ? result.cost.currency : null,
+    cost_pricing: result.cost ? result.cost.pricing : null,
+    equivalences: result.equivalences,
+    equivalence_options: {
+      set: result.equivalenceSet.id,
+      country: result.equivalenceSet.country,
+      units: result.equivalenceSet.units
+    }
+  };
+}
+
+/**
+ * Ensure a model ID resolves to a registry model
+ * @param {string} model - Registry model key or provider model ID (empty means `default`)
+ * @returns {Promise<Object>} Model resolution
+ * @throws {Error} When the model ID is not recognized
+ */
+async function assertKnownModel(model) {
+  const resolution = await modelAliases.resolveModelId(model);
+  if (!resolution.known) {
+    const models = await getAvailableModels();
+    throw new Error(`Unknown model ID "${model}". Use a provider model ID or one of: ${models.join(', ')}`);
+  }
+  return resolution;
+}
+
 /**
  * Get available models
+ * @returns {Promise<string[]>} Model keys currently in the factor registry
  */
-function getAvailableModels() {
-  return Object.keys(ENERGY_PER_TOKEN);
+async function getAvailableModels() {
+  const factors = await modelRegistry.getCurrentFactors();
+  return Object.keys(factors);
 }
 
 /**
  * Get available regions
+ * @returns {string[]} Static regions, country keys and sub-national zones accepted as `region`
  */
 function getAvailableRegions() {
-  // Get regions from carbon intensity service (includes real-time data regions)
-  const carbonRegions = carbonIntensityService.getAvailableRegions();
-  
-  // Merge with static regions
-  const staticRegions = Object.keys(CO2_EMISSION_FACTORS);
-  const allRegions = [...new Set([...Object.keys(carbonRegions), ...staticRegions])];
-  
-  return allRegions;
+  return Object.keys(regionResolver.listRegions());
 }
 
 /**
  * Get model information
+ * @returns {Promise<Object>} Display names keyed by model key
  */
-function getModelInfo() {
-  return {
-    'gpt3': 'GPT-3 (OpenAI)',
-    'gpt4': 'GPT-4 (OpenAI)',
-    'claude': 'Claude (Anthropic)',
-    'gemini': 'Gemini (Google)',
-    'default': 'Average Model'
-  };
+async function getModelInfo() {
+  const factors = await modelRegistry.getCurrentFactors();
+  return Object.fromEntries(
+    Object.entries(factors).map(([key, factor]) => [key, factor.displayName])
+  );
 }
 
 /**
  * Get region information
+ * @returns {Object} Display names of the static regions, keyed by region key
  */
 function getRegionInfo() {
-  return {
-    'global-average': 'Global Average',
-    'usa-average': 'USA Average',
-    'europe-average': 'Europe Average',
-    'china-average': 'China Average',
-    'canada-average': 'Canada Average',
-    'iowa-usa': 'Iowa, USA (High Carbon)',
-    'quebec-canada': 'Quebec, Canada (Low Carbon)',
-    'renewable': 'Renewable Energy'
-  };
+  return Object.fromEntries(
+    Object.entries(regionResolver.STATIC_REGIONS).map(([key, region]) => [key, region.name])
+  );
 }
 
 module.exports = {
   calculateEnvironmentalImpact,
+  calculateHardwareImpact,
+  compareMethodologies,
+  explainCalculation,
+  normalizeTokenUsage,
+  normalizeWorkload,
+  normalizeOccurredAt,
+  getWorkloadUsage,
+  getCalculationAttributes,
+  assertKnownModel,
   getAvailableModels,
   getAvailableRegions,
   getModelInfo,
   getRegionInfo,
   ENERGY_PER_TOKEN,
-  CO2_EMISSION_FACTORS,
-  EQUIVALENCE_FACTORS
+  WORKLOAD_TYPES,
+  WORKLOAD_ENERGY_FACTORS: estimationEngines.WORKLOAD_ENERGY_FACTORS,
+  CO2_EMISSION_FACTORS
 };
@@ -5,14 +5,30 @@ require('dotenv').config();
 
 const { 
   calculateEnvironmentalImpact, 
+  calculateHardwareImpact,
+  normalizeWorkload,
+  normalizeOccurredAt,
+  getWorkloadUsage,
+  getCalculationAttributes,
+  assertKnownModel,
   getAvailableModels, 
   getAvailableRegions,
-  getModelInfo,
   getRegionInfo 
 } = require('./calculations');
 
+const { normalizeHardwareSpec, getGpuCatalog } = require('./services/hardwareCatalog');
+const { resolveCloudRegion, getCloudRegionCatalog } = require('./services/cloudRegions');
+const { getGridZoneCatalog } = require('./services/regionResolver');
+const scope2 = require('./services/scope2');
+const { getMethodologyVersions } = require('./services/methodology');
+const { getEngine, listEngines } = require('./services/estimationEngines');
+const { getEquivalenceOptions, getEquivalenceRegistry } = require('./services/equivalences');
 const { apiRateLimit, optionalAuth } = require('./middleware/auth');
+const { resolveUnits } = require('./middleware/units');
+const { localizeCalculationResult } = require('./services/units');
 const { testConnection } = require('./models');
+const { startSampler } = require('./services/carbonSampler');
+const { failInterruptedRuns } = require('./services/recalculation');
 const authRoutes = require('./routes/auth');
 const calculationRoutes = require('./routes/calculations');
 const carbonRoutes = require('./routes/carbon');
@@ -20,10 +36,15 @@ const analyticsRoutes = require('./routes/analytics');
 const organizationRoutes = require('./routes/organizations');
 const offsetRoutes = require('./routes/offsets');
 const userRoutes = require('./routes/user');
+const modelRoutes = require('./routes/models');
+const scenarioRoutes = require('./routes/scenarios');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Largest number of entries accepted by a single batch calculation
+const MAX_BATCH_ENTRIES = 100;
+
 // JWT authentication is now the default - no external dependencies required
 
 // Test database connection
@@ -48,27 +69,34 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'AI Environmental Impact Calculator API is running' });
 });
 
-// Get available models and regions
-app.get('/api/models', (req, res) => {
-  try {
-    const models = getAvailableModels();
-    const modelInfo = getModelInfo();
-    res.json({ models, modelInfo });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
+// Get available regions, with sub-national grid zones grouped by country
 app.get('/api/regions', (req, res) => {
   try {
     const regions = getAvailableRegions();
     const regionInfo = getRegionInfo();
-    res.json({ regions, regionInfo });
+    const gridZones = getGridZoneCatalog();
+    const cloudRegions = getCloudRegionCatalog();
+    res.json({ regions, regionInfo, gridZones, cloudRegions });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get methodology versions, newest last, and the estimation engines
+app.get('/api/methodology', (req, res) => {
+  res.json({ ...getMethodologyVersions(), engines: listEngines() });
+});
+
+// Get the equivalence registry: factors with sources, localizations and sets
+app.get('/api/equivalences', (req, res) => {
+  res.json(getEquivalenceRegistry());
+});
+
+// Get GPU catalog for hardware-based estimation
+app.get('/api/hardware', (req, res) => {
+  res.json(getGpuCatalog());
+});
+
 // Mount route modules
 app.use('/api/auth', authRoutes);
 app.use('/api/calculations', calculationRoutes);
@@ -77,39 +105,59 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/offsets', offsetRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/models', modelRoutes);
+app.use('/api/scenarios', scenarioRoutes);
 
 // Legacy calculate endpoint (for backward compatibility)
-app.post('/api/calculate', optionalAuth, async (req, res) => {
+app.post('/api/calculate', optionalAuth, resolveUnits, async (req, res) => {
   try {
-    const { tokens, model, region } = req.body;
+    const { workloadType, tokens, inputTokens, outputTokens, model, region, cloudRegion, methodology, hardware, trace } = req.body;
     
     // Validate required fields
-    if (!tokens) {
+    if ((!workloadType || workloadType === 'text') && !tokens && inputTokens == null && outputTokens == null) {
       return res.status(400).json({ error: 'Token count is required' });
     }
     
-    // Validate token count
-    const tokenCount = parseInt(tokens);
-    if (isNaN(tokenCount) || tokenCount <= 0) {
-      return res.status(400).json({ error: 'Token count must be a positive number' });
+    // Validate workload inputs
+    const usage = getWorkloadUsage(req.body);
+    let occurredAt;
+    let equivalences;
+    try {
+      const workload = normalizeWorkload(usage);
+      occurredAt = normalizeOccurredAt(req.body.occurredAt);
+      equivalences = getEquivalenceOptions(req.body, req.unitSystem);
+      if (cloudRegion) {
+        resolveCloudRegion(cloudRegion);
+      }
+      if (hardware) {
+        normalizeHardwareSpec(hardware);
+      } else {
+        getEngine(methodology, workload.type);
+        if (workload.usesModelFactor) {
+          await assertKnownModel(model);
+        }
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
     
     // Calculate impact (with real-time data enabled by default)
-    const result = await calculateEnvironmentalImpact(tokenCount, model, region, true);
+    const instruments = req.user ? await scope2.getActiveInstruments(req.user.id, occurredAt) : [];
+    const result = hardware
+      ? await calculateHardwareImpact(usage, hardware, model, region, true, { instruments, cloudRegion, occurredAt, equivalences, trace })
+      : await calculateEnvironmentalImpact(usage, model, region, true, { instruments, cloudRegion, occurredAt, methodology, equivalences, trace });
     
     // If user is authenticated, save the calculation
     if (req.user) {
       try {
         const { Calculation } = require('./models');
-        await Calculation.create({
-          user_id: req.user.id,
-          tokens: tokenCount,
-          model: model || 'default',
-          region: region || 'global-average',
-          energy_kwh: result.energy.total,
-          co2_kg: result.co2.total,
-          equivalences: result.equivalences,
-          source: 'manual'
+        await Calculation.sequelize.transaction(async (transaction) => {
+          result.co2.marketBased = await scope2.allocateInstruments(result.co2.marketBased, { transaction });
+          await Calculation.create({
+            user_id: req.user.id,
+            ...getCalculationAttributes(result),
+            source: 'manual'
+          }, { transaction });
         });
       } catch (saveError) {
         if (process.env.NODE_ENV === 'development') {
@@ -119,7 +167,7 @@ app.post('/api/calculate', optionalAuth, async (req, res) => {
       }
     }
     
-    res.json(result);
+    res.json(localizeCalculationResult(result, req.unitSystem));
     
   } catch (error) {
     if (process.env.NODE_ENV === 'development') {
@@ -137,11 +185,46 @@ app.post('/api/calculate/batch', async (req, res) => {
     if (!Array.isArray(entries)) {
       return res.status(400).json({ error: 'Entries must be an array' });
     }
+    if (entries.length > MAX_BATCH_ENTRIES) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_ENTRIES} entries can be calculated at once` });
+    }
+    
+    // Validate every entry before calculating any
+    const prepared = [];
+    for (const [index, entry] of entries.entries()) {
+      try {
+        if (!entry) {
+          throw new Error('Entry is empty');
+        }
+        const usage = getWorkloadUsage(entry);
+        const workload = normalizeWorkload(usage);
+        const occurredAt = normalizeOccurredAt(entry.occurredAt);
+        const equivalences = getEquivalenceOptions(entry);
+        if (entry.cloudRegion) {
+          resolveCloudRegion(entry.cloudRegion);
+        }
+        if (entry.hardware) {
+          normalizeHardwareSpec(entry.hardware);
+        } else {
+          getEngine(entry.methodology, workload.type);
+          if (workload.usesModelFactor) {
+            await assertKnownModel(entry.model);
+          }
+        }
+        prepared.push({ entry, usage, occurredAt, equivalences });
+      } catch (validationError) {
+        return res.status(400).json({ error: `Entry ${index + 1}: ${validationError.message}` });
+      }
+    }
     
-    const results = await Promise.all(entries.map(async entry => {
-      const { tokens, model, region } = entry;
-      return await calculateEnvironmentalImpact(tokens, model, region, true);
-    }));
+    // One entry at a time, so a batch does not fan out into parallel provider calls
+    const results = [];
+    for (const { entry, usage, occurredAt, equivalences } of prepared) {
+      const { model, region, cloudRegion, methodology, hardware } = entry;
+      results.push(hardware
+        ? await calculateHardwareImpact(usage, hardware, model, region, true, { cloudRegion, occurredAt, equivalences })
+        : await calculateEnvironmentalImpact(usage, model, region, true, { cloudRegion, occurredAt, methodology, equivalences }));
+    }
     
     res.json({ results });
     
@@ -151,10 +234,11 @@ app.post('/api/calculate/batch', async (req, res) => {
 });
 
 // Get calculation statistics
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
   try {
+    const models = await getAvailableModels();
     const stats = {
-      supportedModels: getAvailableModels().length,
+      supportedModels: models.length,
       supportedRegions: getAvailableRegions().length,
       lastUpdated: new Date().toISOString(),
       version: '1.0.0'
@@ -180,4 +264,6 @@ app.listen(PORT, () => {
   console.log(`🚀 AI Environmental Impact Calculator API running on port ${PORT}`);
   console.log(`📊 Available at: http://localhost:${PORT}`);
   console.log(`🌱 Ready to calculate environmental impact!`);
+  startSampler();
+  failInterruptedRuns().catch(error => console.error('❌ Failed to clean up recalculation runs:', error.message));
 });
@@ -72,6 +72,24 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admin authorization middleware (use after verifyToken)
+// Admin rights come from the user's is_admin flag (see scripts/set-admin.js), read from the
+// database so the development mock user is covered and revoking takes effect immediately
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = req.user ? await User.findByPk(req.user.id) : null;
+
+    if (!user || !user.is_active || !user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin authorization error:', error);
+    return res.status(500).json({ error: 'Failed to verify admin access' });
+  }
+};
+
 // Rate limiting middleware
 const rateLimit = require('express-rate-limit');
 
@@ -114,6 +132,7 @@ const profileStatsRateLimit = createRateLimit(
 module.exports = {
   verifyToken,
   optionalAuth,
+  requireAdmin,
   authRateLimit,
   apiRateLimit,
   calculationRateLimit,
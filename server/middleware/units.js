@@ -0,0 +1,27 @@
+const { UserPreference } = require('../models');
+const { normalizeUnitSystem } = require('../services/units');
+
+// Unit system middleware (use after verifyToken or optionalAuth)
+// Sets req.unitSystem from the `units` query parameter, else the user's units_preference.
+// Anonymous requests without `units` get null: figures are returned as computed.
+const resolveUnits = async (req, res, next) => {
+  try {
+    if (req.query.units) {
+      req.unitSystem = normalizeUnitSystem(req.query.units);
+      return next();
+    }
+
+    req.unitSystem = null;
+    if (req.user) {
+      const preferences = await UserPreference.findOne({ where: { user_id: req.user.id } });
+      req.unitSystem = preferences ? preferences.units_preference : 'metric';
+    }
+    next();
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  resolveUnits
+};
@@ -15,33 +15,216 @@ const Calculation = sequelize.define('Calculation', {
       key: 'id'
     }
   },
+  // Null for image and audio workloads, which are not measured in tokens
   tokens: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     validate: {
       min: 1
     }
   },
+  input_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  output_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  cached_input_tokens: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   model: {
     type: DataTypes.STRING,
     allowNull: false
   },
+  model_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   region: {
     type: DataTypes.STRING,
     allowNull: false
   },
+  // Cloud region the workload ran in ("provider:regionId"); region then holds its closest static region
+  cloud_region: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Grid zone the carbon intensity applies to ("US-MIDA-PJM", "DE", "GLOBAL") and its country,
+  // so analytics can break emissions down by zone and roll them up to countries
+  grid_zone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  grid_country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  // When the usage happened; differs from created_at for imported and back-dated usage
+  occurred_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  workload_type: {
+    type: DataTypes.ENUM('text', 'image', 'audio', 'embedding', 'fine_tuning'),
+    allowNull: false,
+    defaultValue: 'text'
+  },
+  workload_details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Methodology version the figures were computed under (null: saved before versions were recorded)
+  methodology_version: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  recalculated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  recalculation_run_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'recalculation_runs',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  model_factor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'model_factors',
+      key: 'id'
+    }
+  },
+  model_factor_version: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  estimation_method: {
+    type: DataTypes.ENUM('per_token', 'hardware'),
+    allowNull: false,
+    defaultValue: 'per_token'
+  },
+  // Estimation engine of per-token estimates (null: saved before engines were recorded, i.e. per_token)
+  estimation_engine: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  hardware_spec: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   energy_kwh: {
     type: DataTypes.DECIMAL(10, 6),
     allowNull: false
   },
+  energy_kwh_low: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
+  energy_kwh_high: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
   co2_kg: {
     type: DataTypes.DECIMAL(10, 6),
     allowNull: false
   },
+  co2_kg_low: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
+  co2_kg_high: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
+  // Carbon intensity the location-based CO2 was computed with (kg CO2/kWh) and where it came from
+  carbon_intensity_factor: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  carbon_intensity_source: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Time of the reading; null for static and fallback factors
+  carbon_intensity_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  renewable_percentage: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  // Fallback dataset version and data year the factor came from; null when it did not come from the dataset
+  carbon_intensity_dataset_version: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  carbon_intensity_dataset_year: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // realtime: measured for the hour of use; average: monthly or annual average of readings;
+  // fallback: static regional or country fallback factor
+  carbon_intensity_quality: {
+    type: DataTypes.ENUM('realtime', 'average', 'fallback'),
+    allowNull: true
+  },
+  // Market-based Scope 2 CO2; co2_kg is the location-based figure
+  co2_kg_market: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
+  scope2_allocations: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  embodied_co2_kg: {
+    type: DataTypes.DECIMAL(10, 6),
+    allowNull: true
+  },
+  water_liters: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+  },
+  water_onsite_liters: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+  },
+  water_offsite_liters: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+  },
+  // List-price cost of text workloads (null: not priced) and the price it was computed with
+  cost: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+  },
+  cost_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  cost_pricing: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   equivalences: {
     type: DataTypes.JSON,
     allowNull: false
   },
+  // Equivalence set, country and units the equivalences were computed with (null: the defaults)
+  equivalence_options: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   source: {
     type: DataTypes.ENUM('manual', 'openai_api', 'import'),
     defaultValue: 'manual'
@@ -59,11 +242,20 @@ const Calculation = sequelize.define('Calculation', {
     {
       fields: ['created_at']
     },
+    {
+      fields: ['occurred_at']
+    },
     {
       fields: ['model']
     },
     {
       fields: ['region']
+    },
+    {
+      fields: ['grid_zone']
+    },
+    {
+      fields: ['carbon_intensity_quality']
     }
   ]
 });
@@ -0,0 +1,67 @@
+/**
+ * Carbon Intensity Reading Model
+ *
+ * Grid carbon intensity of a zone at a point in time, as reported by a data
+ * provider. Used to price back-dated usage at the intensity of its own hour,
+ * and averaged by month or year when no reading is close enough. Only average
+ * readings are used for that; marginal ones (WattTime) are kept apart by `signal`.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const CarbonIntensityReading = sequelize.define('CarbonIntensityReading', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  // Grid zone key (ISO country code or sub-national zone, e.g. "US-MIDA-PJM")
+  zone: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  measured_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // gCO2/kWh
+  carbon_intensity: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  fossil_fuel_percentage: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  renewable_percentage: {
+    type: DataTypes.DOUBLE,
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // 'average' grid mix or 'marginal' emissions rate, as reported by the source
+  signal: {
+    type: DataTypes.ENUM('average', 'marginal'),
+    allowNull: false,
+    defaultValue: 'average'
+  }
+}, {
+  tableName: 'carbon_intensity_readings',
+  indexes: [
+    {
+      unique: true,
+      fields: ['zone', 'measured_at', 'source']
+    },
+    {
+      fields: ['zone', 'signal', 'measured_at']
+    }
+  ]
+});
+
+module.exports = CarbonIntensityReading;
@@ -0,0 +1,111 @@
+/**
+ * Energy Instrument Model
+ *
+ * Contractual instruments used for market-based Scope 2 reporting: power
+ * purchase agreements, energy attribute certificates (RECs, GOs) and a
+ * provider's renewable matching percentage. Owned by a user or an organization.
+ * Volume-based instruments track how many kWh have been claimed by calculations.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const EnergyInstrument = sequelize.define('EnergyInstrument', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  org_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  instrument_type: {
+    type: DataTypes.ENUM('ppa', 'rec', 'go', 'provider_matching'),
+    allowNull: false
+  },
+  // Market boundary: the instrument only covers consumption in this region (null = any)
+  region: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Model provider the matching applies to (null = any)
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  volume_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  allocated_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    defaultValue: 0
+  },
+  matching_percentage: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  emission_factor: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  valid_from: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  valid_to: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'energy_instruments',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['org_id']
+    }
+  ]
+});
+
+module.exports = EnergyInstrument;
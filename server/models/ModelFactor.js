@@ -0,0 +1,133 @@
+/**
+ * Model Factor Model
+ *
+ * Versioned per-model energy coefficients with their uncertainty range, display
+ * metadata and citations.
+ * A new row is written for every change so stored calculations stay reproducible.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const ModelFactor = sequelize.define('ModelFactor', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  model_key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      is: /^[a-z0-9][a-z0-9._-]*$/
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  display_name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  energy_input_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  energy_output_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  energy_cached_input_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  energy_blended_kwh: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  energy_low_multiplier: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 1
+    }
+  },
+  energy_high_multiplier: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  embodied_kg_per_token: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  source_citation: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  source_url: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  valid_from: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  valid_to: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'model_factors',
+  indexes: [
+    {
+      unique: true,
+      fields: ['model_key', 'version']
+    },
+    {
+      fields: ['model_key']
+    },
+    {
+      fields: ['valid_from']
+    }
+  ]
+});
+
+module.exports = ModelFactor;
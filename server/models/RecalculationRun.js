@@ -0,0 +1,103 @@
+/**
+ * Recalculation Run Model
+ *
+ * Audit record of a bulk recalculation of a user's or an organization's history
+ * under a new methodology version: who ran it, which versions it replaced, the
+ * totals before and after, and the change to every calculation it touched.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const RecalculationRun = sequelize.define('RecalculationRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  // Scope: a user's own history or an organization's members' history
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  org_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_version: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Calculation counts by the version they were recalculated from
+  from_versions: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  calculation_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Totals, per-model and per-region diff and per-calculation changes
+  diff: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'recalculation_runs',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['org_id']
+    },
+    // At most one running run per scope
+    {
+      name: 'recalculation_runs_running_user',
+      unique: true,
+      fields: ['user_id'],
+      where: { status: 'running' }
+    },
+    {
+      name: 'recalculation_runs_running_org',
+      unique: true,
+      fields: ['org_id'],
+      where: { status: 'running' }
+    }
+  ]
+});
+
+module.exports = RecalculationRun;
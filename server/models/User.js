@@ -31,6 +31,12 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // May manage the model factor registry; granted with scripts/set-admin.js only
+  is_admin: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   last_login: {
     type: DataTypes.DATE,
     allowNull: true
@@ -5,6 +5,10 @@ const UserPreference = require('./UserPreference');
 const ApiKey = require('./ApiKey');
 const Organization = require('./Organization');
 const OrganizationMember = require('./OrganizationMember');
+const ModelFactor = require('./ModelFactor');
+const EnergyInstrument = require('./EnergyInstrument');
+const CarbonIntensityReading = require('./CarbonIntensityReading');
+const RecalculationRun = require('./RecalculationRun');
 
 // Define associations
 User.hasMany(Calculation, { foreignKey: 'user_id', as: 'calculations' });
@@ -39,6 +43,28 @@ OrganizationMember.belongsTo(Organization, { foreignKey: 'org_id', as: 'organiza
 OrganizationMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 OrganizationMember.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
 
+// Model factor registry associations
+ModelFactor.hasMany(Calculation, { foreignKey: 'model_factor_id', as: 'calculations' });
+Calculation.belongsTo(ModelFactor, { foreignKey: 'model_factor_id', as: 'modelFactor' });
+
+// Scope 2 contractual instrument associations
+User.hasMany(EnergyInstrument, { foreignKey: 'user_id', as: 'energyInstruments' });
+EnergyInstrument.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Organization.hasMany(EnergyInstrument, { foreignKey: 'org_id', as: 'energyInstruments' });
+EnergyInstrument.belongsTo(Organization, { foreignKey: 'org_id', as: 'organization' });
+
+// Methodology recalculation audit associations
+User.hasMany(RecalculationRun, { foreignKey: 'user_id', as: 'recalculationRuns' });
+RecalculationRun.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+RecalculationRun.belongsTo(User, { foreignKey: 'requested_by', as: 'requester' });
+
+Organization.hasMany(RecalculationRun, { foreignKey: 'org_id', as: 'recalculationRuns' });
+RecalculationRun.belongsTo(Organization, { foreignKey: 'org_id', as: 'organization' });
+
+RecalculationRun.hasMany(Calculation, { foreignKey: 'recalculation_run_id', as: 'calculations' });
+Calculation.belongsTo(RecalculationRun, { foreignKey: 'recalculation_run_id', as: 'recalculationRun' });
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -57,5 +83,9 @@ module.exports = {
   ApiKey,
   Organization,
   OrganizationMember,
+  ModelFactor,
+  EnergyInstrument,
+  CarbonIntensityReading,
+  RecalculationRun,
   testConnection
 };
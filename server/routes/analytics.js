@@ -9,12 +9,14 @@ const express = require('express');
 const router = express.Router();
 const analyticsService = require('../services/analytics');
 const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { resolveUnits } = require('../middleware/units');
+const { getUnitLabels } = require('../services/units');
 
 /**
  * GET /api/analytics/trends
  * Get historical trends for user's carbon emissions
  */
-router.get('/trends', verifyToken, async (req, res) => {
+router.get('/trends', verifyToken, resolveUnits, async (req, res) => {
   try {
     const { timeRange = '30d' } = req.query;
     
@@ -31,7 +33,10 @@ router.get('/trends', verifyToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: trends
+      data: {
+        ...analyticsService.localizeTrends(trends, req.unitSystem),
+        units: getUnitLabels(req.unitSystem)
+      }
     });
   } catch (error) {
     console.error('Error fetching trends:', error);
@@ -46,13 +51,16 @@ router.get('/trends', verifyToken, async (req, res) => {
  * GET /api/analytics/predictions
  * Get predictive insights based on historical data
  */
-router.get('/predictions', verifyToken, async (req, res) => {
+router.get('/predictions', verifyToken, resolveUnits, async (req, res) => {
   try {
     const predictions = await analyticsService.getPredictiveInsights(req.user.id);
     
     res.json({
       success: true,
-      data: predictions
+      data: {
+        ...analyticsService.localizePredictions(predictions, req.unitSystem),
+        units: getUnitLabels(req.unitSystem)
+      }
     });
   } catch (error) {
     console.error('Error fetching predictions:', error);
@@ -65,20 +73,28 @@ router.get('/predictions', verifyToken, async (req, res) => {
 
 /**
  * GET /api/analytics/comparison
- * Get model and regional comparison data
+ * Get model, regional or workload-type comparison data
+ * Query: type = models | regions | both | workloads
  */
-router.get('/comparison', verifyToken, async (req, res) => {
+router.get('/comparison', verifyToken, resolveUnits, async (req, res) => {
   try {
     const { type = 'both' } = req.query;
     
-    let data = {};
+    let data = { units: getUnitLabels(req.unitSystem) };
     
     if (type === 'models' || type === 'both') {
-      data.modelComparison = await analyticsService.getModelComparison(req.user.id);
+      data.modelComparison = analyticsService.localizeModelComparison(
+        await analyticsService.getModelComparison(req.user.id), req.unitSystem);
     }
     
     if (type === 'regions' || type === 'both') {
-      data.regionalComparison = await analyticsService.getRegionalComparison(req.user.id);
+      data.regionalComparison = analyticsService.localizeRegionalComparison(
+        await analyticsService.getRegionalComparison(req.user.id), req.unitSystem);
+    }
+    
+    if (type === 'workloads') {
+      data.workloadBreakdown = analyticsService.localizeWorkloadBreakdown(
+        await analyticsService.getWorkloadBreakdown(req.user.id), req.unitSystem);
     }
     
     res.json({
@@ -98,7 +114,7 @@ router.get('/comparison', verifyToken, async (req, res) => {
  * GET /api/analytics/export
  * Export analytics data in specified format
  */
-router.get('/export', verifyToken, async (req, res) => {
+router.get('/export', verifyToken, resolveUnits, async (req, res) => {
   try {
     const { format = 'json', timeRange = '30d' } = req.query;
     
@@ -120,7 +136,7 @@ router.get('/export', verifyToken, async (req, res) => {
       });
     }
 
-    const exportData = await analyticsService.exportAnalyticsData(req.user.id, format, timeRange);
+    const exportData = await analyticsService.exportAnalyticsData(req.user.id, format, timeRange, req.unitSystem);
     
     if (format === 'csv') {
       res.setHeader('Content-Type', 'text/csv');
@@ -144,25 +160,28 @@ router.get('/export', verifyToken, async (req, res) => {
  * GET /api/analytics/summary
  * Get comprehensive analytics summary
  */
-router.get('/summary', verifyToken, async (req, res) => {
+router.get('/summary', verifyToken, resolveUnits, async (req, res) => {
   try {
     const { timeRange = '30d' } = req.query;
     
     // Get all analytics data in parallel
-    const [trends, modelComparison, regionalComparison, predictions] = await Promise.all([
+    const [trends, modelComparison, regionalComparison, workloadBreakdown, predictions] = await Promise.all([
       analyticsService.getHistoricalTrends(req.user.id, timeRange),
       analyticsService.getModelComparison(req.user.id),
       analyticsService.getRegionalComparison(req.user.id),
+      analyticsService.getWorkloadBreakdown(req.user.id),
       analyticsService.getPredictiveInsights(req.user.id)
     ]);
     
     res.json({
       success: true,
       data: {
-        trends,
-        modelComparison,
-        regionalComparison,
-        predictions,
+        trends: analyticsService.localizeTrends(trends, req.unitSystem),
+        modelComparison: analyticsService.localizeModelComparison(modelComparison, req.unitSystem),
+        regionalComparison: analyticsService.localizeRegionalComparison(regionalComparison, req.unitSystem),
+        workloadBreakdown: analyticsService.localizeWorkloadBreakdown(workloadBreakdown, req.unitSystem),
+        predictions: analyticsService.localizePredictions(predictions, req.unitSystem),
+        units: getUnitLabels(req.unitSystem),
         generatedAt: new Date().toISOString()
       }
     });
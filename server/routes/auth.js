@@ -143,6 +143,7 @@ router.get('/profile', profileStatsRateLimit, verifyToken, async (req, res) => {
       email: user.email,
       name: user.name,
       avatar_url: user.avatar_url,
+      is_admin: user.is_admin,
       created_at: user.created_at,
       last_login: user.last_login,
       preferences: user.preferences || {
@@ -258,7 +259,9 @@ router.get('/stats', profileStatsRateLimit, verifyToken, async (req, res) => {
         [sequelize.fn('COUNT', sequelize.col('id')), 'total_calculations'],
         [sequelize.fn('SUM', sequelize.col('tokens')), 'total_tokens'],
         [sequelize.fn('SUM', sequelize.col('energy_kwh')), 'total_energy'],
-        [sequelize.fn('SUM', sequelize.col('co2_kg')), 'total_co2']
+        [sequelize.fn('SUM', sequelize.col('co2_kg')), 'total_co2'],
+        [sequelize.fn('SUM', sequelize.fn('COALESCE', sequelize.col('co2_kg_market'), sequelize.col('co2_kg'))), 'total_co2_market'],
+        [sequelize.fn('SUM', sequelize.col('water_liters')), 'total_water']
       ],
       raw: true
     });
@@ -290,7 +293,9 @@ router.get('/stats', profileStatsRateLimit, verifyToken, async (req, res) => {
         total_calculations: 0,
         total_tokens: 0,
         total_energy: 0,
-        total_co2: 0
+        total_co2: 0,
+        total_co2_market: 0,
+        total_water: 0
       },
       by_model: modelStats,
       by_region: regionStats
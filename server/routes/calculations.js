@@ -1,33 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, optionalAuth, calculationRateLimit } = require('../middleware/auth');
+const { resolveUnits } = require('../middleware/units');
 const { Calculation, User } = require('../models');
-const { calculateEnvironmentalImpact } = require('../calculations');
+const {
+  calculateEnvironmentalImpact,
+  calculateHardwareImpact,
+  compareMethodologies,
+  explainCalculation,
+  normalizeWorkload,
+  normalizeOccurredAt,
+  getWorkloadUsage,
+  getCalculationAttributes,
+  assertKnownModel
+} = require('../calculations');
+const { normalizeHardwareSpec } = require('../services/hardwareCatalog');
+const { getEngine } = require('../services/estimationEngines');
+const { resolveCloudRegion } = require('../services/cloudRegions');
+const { resolveModelId } = require('../services/modelAliases');
+const { getEquivalenceOptions, getStoredEquivalence } = require('../services/equivalences');
+const units = require('../services/units');
+const scope2 = require('../services/scope2');
+const recalculation = require('../services/recalculation');
 const { Op } = require('sequelize');
 
+// Largest number of entries accepted by a single import request
+const MAX_IMPORT_ENTRIES = 1000;
+
+// Carbon intensity grades accepted by the history `dataQuality` filter
+const DATA_QUALITY_LEVELS = ['realtime', 'average', 'fallback'];
+
 // Apply rate limiting to calculation routes
 router.use(calculationRateLimit);
 
 // Get user's calculation history
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', verifyToken, resolveUnits, async (req, res) => {
   try {
-    const { page = 1, limit = 20, model, region, startDate, endDate } = req.query;
+    const { page = 1, limit = 20, model, region, startDate, endDate, dataQuality } = req.query;
     const offset = (page - 1) * limit;
 
+    if (dataQuality && !DATA_QUALITY_LEVELS.includes(dataQuality)) {
+      return res.status(400).json({ error: `dataQuality must be one of: ${DATA_QUALITY_LEVELS.join(', ')}` });
+    }
+
     const whereClause = { user_id: req.user.id };
 
     // Add filters
-    if (model) whereClause.model = model;
+    if (model) {
+      // Match the model family, plus rows saved under the raw ID before aliasing existed
+      const { canonical } = await resolveModelId(model);
+      whereClause.model = canonical && canonical !== model ? { [Op.in]: [canonical, model] } : model;
+    }
     if (region) whereClause.region = region;
+    if (dataQuality) whereClause.carbon_intensity_quality = dataQuality;
     if (startDate || endDate) {
-      whereClause.created_at = {};
-      if (startDate) whereClause.created_at[Op.gte] = new Date(startDate);
-      if (endDate) whereClause.created_at[Op.lte] = new Date(endDate);
+      whereClause.occurred_at = {};
+      if (startDate) whereClause.occurred_at[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.occurred_at[Op.lte] = new Date(endDate);
     }
 
     const { count, rows: calculations } = await Calculation.findAndCountAll({
       where: whereClause,
-      order: [['created_at', 'DESC']],
+      order: [['occurred_at', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset),
       include: [
@@ -40,7 +74,8 @@ router.get('/history', verifyToken, async (req, res) => {
     });
 
     res.json({
-      calculations,
+      calculations: calculations.map(calc => units.localizeCalculationRecord(calc.toJSON(), req.unitSystem)),
+      units: units.getUnitLabels(req.unitSystem),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -55,34 +90,53 @@ router.get('/history', verifyToken, async (req, res) => {
 });
 
 // Create a new calculation (authenticated)
-router.post('/create', verifyToken, async (req, res) => {
+router.post('/create', verifyToken, resolveUnits, async (req, res) => {
   try {
-    const { tokens, model, region, notes } = req.body;
+    const { model, region, cloudRegion, methodology, hardware, notes } = req.body;
 
     // Validate input
-    if (!tokens || tokens <= 0) {
-      return res.status(400).json({ error: 'Token count must be a positive number' });
+    const usage = getWorkloadUsage(req.body);
+    let occurredAt;
+    let equivalences;
+    try {
+      const workload = normalizeWorkload(usage);
+      occurredAt = normalizeOccurredAt(req.body.occurredAt);
+      equivalences = getEquivalenceOptions(req.body, req.unitSystem);
+      if (cloudRegion) {
+        resolveCloudRegion(cloudRegion);
+      }
+      if (hardware) {
+        normalizeHardwareSpec(hardware);
+      } else {
+        getEngine(methodology, workload.type);
+        if (workload.usesModelFactor) {
+          await assertKnownModel(model);
+        }
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
     // Calculate environmental impact (with real-time data enabled)
-    const result = await calculateEnvironmentalImpact(parseInt(tokens), model, region, true);
-
-    // Save to database
-    const calculation = await Calculation.create({
-      user_id: req.user.id,
-      tokens: parseInt(tokens),
-      model: model || 'default',
-      region: region || 'global-average',
-      energy_kwh: result.energy.total,
-      co2_kg: result.co2.total,
-      equivalences: result.equivalences,
-      source: 'manual',
-      notes: notes || null
+    const instruments = req.user ? await scope2.getActiveInstruments(req.user.id, occurredAt) : [];
+    const result = hardware
+      ? await calculateHardwareImpact(usage, hardware, model, region, true, { instruments, cloudRegion, occurredAt, equivalences })
+      : await calculateEnvironmentalImpact(usage, model, region, true, { instruments, cloudRegion, occurredAt, methodology, equivalences });
+
+    // Save to database, together with the instrument volume it claims
+    const calculation = await Calculation.sequelize.transaction(async (transaction) => {
+      result.co2.marketBased = await scope2.allocateInstruments(result.co2.marketBased, { transaction });
+      return Calculation.create({
+        user_id: req.user.id,
+        ...getCalculationAttributes(result),
+        source: 'manual',
+        notes: notes || null
+      }, { transaction });
     });
 
     res.status(201).json({
       id: calculation.id,
-      ...result,
+      ...units.localizeCalculationResult(result, req.unitSystem),
       created_at: calculation.created_at
     });
   } catch (error) {
@@ -92,31 +146,51 @@ router.post('/create', verifyToken, async (req, res) => {
 });
 
 // Create a calculation (public endpoint with optional user tracking)
-router.post('/calculate', optionalAuth, async (req, res) => {
+router.post('/calculate', optionalAuth, resolveUnits, async (req, res) => {
   try {
-    const { tokens, model, region } = req.body;
+    const { model, region, cloudRegion, methodology, hardware } = req.body;
+    const trace = req.body.trace === true || req.query.trace === 'true';
 
     // Validate input
-    if (!tokens || tokens <= 0) {
-      return res.status(400).json({ error: 'Token count must be a positive number' });
+    const usage = getWorkloadUsage(req.body);
+    let occurredAt;
+    let equivalences;
+    try {
+      const workload = normalizeWorkload(usage);
+      occurredAt = normalizeOccurredAt(req.body.occurredAt);
+      equivalences = getEquivalenceOptions(req.body, req.unitSystem);
+      if (cloudRegion) {
+        resolveCloudRegion(cloudRegion);
+      }
+      if (hardware) {
+        normalizeHardwareSpec(hardware);
+      } else {
+        getEngine(methodology, workload.type);
+        if (workload.usesModelFactor) {
+          await assertKnownModel(model);
+        }
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
     // Calculate environmental impact (with real-time data enabled)
-    const result = await calculateEnvironmentalImpact(parseInt(tokens), model, region, true);
+    const instruments = req.user ? await scope2.getActiveInstruments(req.user.id, occurredAt) : [];
+    const result = hardware
+      ? await calculateHardwareImpact(usage, hardware, model, region, true, { instruments, cloudRegion, occurredAt, equivalences, trace })
+      : await calculateEnvironmentalImpact(usage, model, region, true, { instruments, cloudRegion, occurredAt, methodology, equivalences, trace });
 
     // If user is authenticated, save the calculation
     if (req.user) {
       try {
         console.log('💾 Saving calculation for user:', req.user.id);
-        const calculation = await Calculation.create({
-          user_id: req.user.id,
-          tokens: parseInt(tokens),
-          model: model || 'default',
-          region: region || 'global-average',
-          energy_kwh: result.energy.total,
-          co2_kg: result.co2.total,
-          equivalences: result.equivalences,
-          source: 'manual'
+        const calculation = await Calculation.sequelize.transaction(async (transaction) => {
+          result.co2.marketBased = await scope2.allocateInstruments(result.co2.marketBased, { transaction });
+          return Calculation.create({
+            user_id: req.user.id,
+            ...getCalculationAttributes(result),
+            source: 'manual'
+          }, { transaction });
         });
         console.log('✅ Calculation saved with ID:', calculation.id);
       } catch (saveError) {
@@ -127,15 +201,178 @@ router.post('/calculate', optionalAuth, async (req, res) => {
       console.log('⚠️ No user authenticated, calculation not saved');
     }
 
-    res.json(result);
+    res.json(units.localizeCalculationResult(result, req.unitSystem));
   } catch (error) {
     console.error('Calculation error:', error);
     res.status(500).json({ error: error.message || 'Failed to calculate impact' });
   }
 });
 
+// Run every estimation methodology on the same workload side by side (not saved)
+router.post('/compare-methodologies', optionalAuth, async (req, res) => {
+  try {
+    const { model, region, cloudRegion } = req.body;
+
+    // Validate input
+    const usage = getWorkloadUsage(req.body);
+    let occurredAt;
+    try {
+      const workload = normalizeWorkload(usage);
+      occurredAt = normalizeOccurredAt(req.body.occurredAt);
+      if (cloudRegion) {
+        resolveCloudRegion(cloudRegion);
+      }
+      if (workload.usesModelFactor) {
+        await assertKnownModel(model);
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const comparison = await compareMethodologies(usage, model, region, true, { cloudRegion, occurredAt });
+    res.json(comparison);
+  } catch (error) {
+    console.error('Methodology comparison error:', error);
+    res.status(500).json({ error: error.message || 'Failed to compare methodologies' });
+  }
+});
+
+// Import back-dated usage, e.g. rows from a provider's usage export (authenticated)
+router.post('/import', verifyToken, resolveUnits, async (req, res) => {
+  try {
+    const { entries } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'Entries must be a non-empty array' });
+    }
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_ENTRIES} entries can be imported at once` });
+    }
+
+    // Validate every entry before saving any, so a bad row does not leave a partial import
+    const prepared = [];
+    for (const [index, entry] of entries.entries()) {
+      try {
+        if (!entry || !entry.occurredAt) {
+          throw new Error('occurredAt is required for imported usage');
+        }
+        const usage = getWorkloadUsage(entry);
+        const workload = normalizeWorkload(usage);
+        const occurredAt = normalizeOccurredAt(entry.occurredAt);
+        const equivalences = getEquivalenceOptions(entry, req.unitSystem);
+        if (entry.cloudRegion) {
+          resolveCloudRegion(entry.cloudRegion);
+        }
+        if (entry.hardware) {
+          normalizeHardwareSpec(entry.hardware);
+        } else {
+          getEngine(entry.methodology, workload.type);
+          if (workload.usesModelFactor) {
+            await assertKnownModel(entry.model);
+          }
+        }
+        prepared.push({ entry, usage, occurredAt, equivalences });
+      } catch (validationError) {
+        return res.status(400).json({ error: `Entry ${index + 1}: ${validationError.message}` });
+      }
+    }
+
+    // Oldest first, so instruments are drawn down in the order the energy was consumed
+    prepared.sort((a, b) => a.occurredAt - b.occurredAt);
+
+    // Calculate every entry before saving any, so a provider error does not leave a partial import
+    const results = [];
+    for (const { entry, usage, occurredAt, equivalences } of prepared) {
+      const { model, region, cloudRegion, methodology, hardware } = entry;
+      const instruments = await scope2.getActiveInstruments(req.user.id, occurredAt);
+      results.push({
+        entry,
+        result: hardware
+          ? await calculateHardwareImpact(usage, hardware, model, region, true, { instruments, cloudRegion, occurredAt, equivalences })
+          : await calculateEnvironmentalImpact(usage, model, region, true, { instruments, cloudRegion, occurredAt, methodology, equivalences })
+      });
+    }
+
+    // Save all or nothing; each claim sees the instrument volume earlier entries took
+    const calculations = await Calculation.sequelize.transaction(async (transaction) => {
+      const saved = [];
+      for (const { entry, result } of results) {
+        result.co2.marketBased = await scope2.allocateInstruments(result.co2.marketBased, { transaction });
+        const calculation = await Calculation.create({
+          user_id: req.user.id,
+          ...getCalculationAttributes(result),
+          source: 'import',
+          notes: entry.notes || null
+        }, { transaction });
+
+        saved.push({
+          id: calculation.id,
+          occurredAt: result.occurredAt,
+          co2: units.convert(result.co2.total, 'mass', req.unitSystem),
+          intensityPeriod: result.metadata.intensityPeriod
+        });
+      }
+      return saved;
+    });
+
+    console.log(`📥 Imported ${calculations.length} calculations for user ${req.user.id}`);
+    res.status(201).json({ imported: calculations.length, calculations, units: units.getUnitLabels(req.unitSystem) });
+  } catch (error) {
+    console.error('Calculation import error:', error);
+    res.status(500).json({ error: 'Failed to import calculations' });
+  }
+});
+
+// Recalculate the user's history under the current methodology (authenticated)
+// With dryRun the diff is returned without saving; otherwise a run starts in the background
+router.post('/recalculate', verifyToken, async (req, res) => {
+  try {
+    const scope = { userId: req.user.id };
+
+    if (req.body.dryRun) {
+      return res.json(await recalculation.previewRecalculation(scope));
+    }
+
+    try {
+      const run = await recalculation.startRecalculation(scope, req.user.id);
+      res.status(202).json(run);
+    } catch (conflictError) {
+      res.status(409).json({ error: conflictError.message });
+    }
+  } catch (error) {
+    console.error('Recalculation error:', error);
+    res.status(500).json({ error: 'Failed to recalculate calculations' });
+  }
+});
+
+// List the user's recalculation runs
+router.get('/recalculations', verifyToken, async (req, res) => {
+  try {
+    res.json(await recalculation.listRuns({ userId: req.user.id }));
+  } catch (error) {
+    console.error('Recalculation runs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch recalculation runs' });
+  }
+});
+
+// Get a recalculation run with its per-calculation changes
+router.get('/recalculations/:runId', verifyToken, async (req, res) => {
+  try {
+    const run = await recalculation.getRun({ userId: req.user.id }, req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Recalculation run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Recalculation run fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch recalculation run' });
+  }
+});
+
 // Get a specific calculation
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, resolveUnits, async (req, res) => {
   try {
     const calculation = await Calculation.findOne({
       where: {
@@ -155,13 +392,37 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Calculation not found' });
     }
 
-    res.json(calculation);
+    res.json({
+      ...units.localizeCalculationRecord(calculation.toJSON(), req.unitSystem),
+      units: units.getUnitLabels(req.unitSystem)
+    });
   } catch (error) {
     console.error('Calculation fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch calculation' });
   }
 });
 
+// Explain how a stored calculation was computed, step by step
+router.get('/:id/explain', verifyToken, async (req, res) => {
+  try {
+    const calculation = await Calculation.findOne({
+      where: {
+        id: req.params.id,
+        user_id: req.user.id
+      }
+    });
+
+    if (!calculation) {
+      return res.status(404).json({ error: 'Calculation not found' });
+    }
+
+    res.json(await explainCalculation(calculation));
+  } catch (error) {
+    console.error('Calculation explain error:', error);
+    res.status(500).json({ error: 'Failed to explain calculation' });
+  }
+});
+
 // Update a calculation
 router.put('/:id', verifyToken, async (req, res) => {
   try {
@@ -201,7 +462,11 @@ router.delete('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Calculation not found' });
     }
 
-    await calculation.destroy();
+    // Certificate and PPA volume claimed by the calculation becomes available again
+    await Calculation.sequelize.transaction(async (transaction) => {
+      await scope2.releaseInstruments(calculation.scope2_allocations, { transaction });
+      await calculation.destroy({ transaction });
+    });
 
     res.json({ message: 'Calculation deleted successfully' });
   } catch (error) {
@@ -211,19 +476,26 @@ router.delete('/:id', verifyToken, async (req, res) => {
 });
 
 // Export calculations as CSV
-router.get('/export/csv', verifyToken, async (req, res) => {
+router.get('/export/csv', verifyToken, resolveUnits, async (req, res) => {
   try {
     const calculations = await Calculation.findAll({
       where: { user_id: req.user.id },
-      order: [['created_at', 'DESC']]
+      order: [['occurred_at', 'DESC']]
     });
 
     // Convert to CSV
-    const csvHeader = 'Date,Tokens,Model,Region,Energy (kWh),CO2 (kg),Car Miles,Flight Miles,Beef Burgers,Smartphone Charges,Tree Years\n';
-    const csvRows = calculations.map(calc => {
-      const date = new Date(calc.created_at).toISOString().split('T')[0];
+    const labels = units.getUnitLabels(req.unitSystem);
+    const csvHeader = `Date,Workload Type,Tokens,Input Tokens,Output Tokens,Cached Input Tokens,Model,Estimation Method,Region,Energy (kWh),Carbon Intensity (${labels.intensity}),Intensity Source,Intensity Quality,CO2 Location-based (${labels.mass}),CO2 Market-based (${labels.mass}),Embodied CO2 (${labels.mass}),Water (${labels.volume}),Cost,Cost Currency,Car (${labels.distance}),Flight (${labels.distance}),Beef Burgers,Smartphone Charges,Tree Years\n`;
+    const csvRows = calculations.map(record => {
+      const calc = units.localizeCalculationRecord(record.toJSON(), req.unitSystem);
+      const date = new Date(calc.occurred_at).toISOString().split('T')[0];
       const equiv = calc.equivalences;
-      return `${date},${calc.tokens},${calc.model},${calc.region},${calc.energy_kwh},${calc.co2_kg},${equiv.carMiles},${equiv.flightMiles},${equiv.beefBurgers},${equiv.smartphoneCharges},${equiv.treeYears}`;
+      const inputTokens = calc.input_tokens ?? '';
+      const outputTokens = calc.output_tokens ?? '';
+      const cachedInputTokens = calc.cached_input_tokens ?? '';
+      const carDistance = getStoredEquivalence(equiv, 'car', labels.system) ?? '';
+      const flightDistance = getStoredEquivalence(equiv, 'flight', labels.system) ?? '';
+      return `${date},${calc.workload_type || 'text'},${calc.tokens ?? ''},${inputTokens},${outputTokens},${cachedInputTokens},${calc.model},${calc.estimation_method || 'per_token'},${calc.region},${calc.energy_kwh},${calc.carbon_intensity_factor ?? ''},${calc.carbon_intensity_source ?? ''},${calc.carbon_intensity_quality ?? ''},${calc.co2_kg},${calc.co2_kg_market ?? calc.co2_kg},${calc.embodied_co2_kg ?? ''},${calc.water_liters ?? ''},${calc.cost ?? ''},${calc.cost_currency ?? ''},${carDistance},${flightDistance},${equiv.beefBurgers ?? ''},${equiv.smartphoneCharges ?? ''},${equiv.treeYears ?? ''}`;
     }).join('\n');
 
     const csv = csvHeader + csvRows;
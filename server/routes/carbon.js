@@ -8,8 +8,47 @@
 const express = require('express');
 const router = express.Router();
 const carbonIntensityService = require('../services/carbonIntensity');
+const carbonProviders = require('../services/carbonProviders');
+const regionResolver = require('../services/regionResolver');
+const timeShifting = require('../services/timeShifting');
+const intensityDatasets = require('../services/intensityDatasets');
 const { optionalAuth } = require('../middleware/auth');
 
+/**
+ * Get the grid zone to look up for a country code or zone key
+ * Any 2-letter code is accepted (unknown countries get the global fallback).
+ * @param {string} value - ISO country code, sub-national zone key or region with a live grid zone
+ * @returns {string|null} Zone key, or null when the value names no grid zone
+ */
+function getZoneKey(value) {
+  const key = String(value || '').trim().toUpperCase();
+  if (key.length === 2 || regionResolver.SUBNATIONAL_ZONES[key]) {
+    return key;
+  }
+  try {
+    const resolved = regionResolver.resolveRegion(value);
+    return resolved.known ? resolved.liveZone : null;
+  } catch (error) {
+    // Cloud regions outside the catalog
+    return null;
+  }
+}
+
+/**
+ * Add the parent country to carbon intensity data
+ * @param {Object} carbonData - Carbon intensity data for a zone
+ * @returns {Object} The data with `zone`, `zoneName` and `country` ({ code, slug, name } or null)
+ */
+function withCountry(carbonData) {
+  const zone = regionResolver.getZone(carbonData.countryCode);
+  return {
+    ...carbonData,
+    zone: carbonData.countryCode,
+    zoneName: zone ? zone.name : null,
+    country: regionResolver.getCountry(carbonData.countryCode)
+  };
+}
+
 /**
  * GET /api/carbon/regions
  * Get available regions for carbon intensity data
@@ -36,28 +75,87 @@ router.get('/regions', optionalAuth, async (req, res) => {
 });
 
 /**
- * GET /api/carbon/intensity/:countryCode
- * Get real-time carbon intensity for a specific country
+ * GET /api/carbon/datasets
+ * List the fallback carbon intensity dataset versions: the years they cover and their
+ * sources with licenses. `current` is the version used when no live data is available.
  */
-router.get('/intensity/:countryCode', optionalAuth, async (req, res) => {
+router.get('/datasets', optionalAuth, async (req, res) => {
   try {
-    const { countryCode } = req.params;
-    
-    if (!countryCode || countryCode.length !== 2) {
+    res.json({
+      success: true,
+      data: intensityDatasets.listDatasets()
+    });
+  } catch (error) {
+    console.error('Error fetching carbon intensity datasets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch carbon intensity datasets'
+    });
+  }
+});
+
+/**
+ * GET /api/carbon/datasets/:zone
+ * Get a zone's fallback records by year (intensity, generation mix and source) and the
+ * record the fallback uses for it today. Query: version (default: current dataset)
+ */
+router.get('/datasets/:zone', optionalAuth, async (req, res) => {
+  try {
+    const zone = getZoneKey(req.params.zone);
+    if (!zone) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid country code. Must be a 2-letter ISO country code (e.g., US, DE, FR)'
+        error: 'Invalid zone. Use a 2-letter ISO country code (e.g., US, DE, FR) or a grid zone key (e.g., US-MIDA-PJM, CA-QC)'
+      });
+    }
+
+    let records;
+    try {
+      records = intensityDatasets.getZoneRecords(zone, req.query.version || undefined);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
       });
     }
 
-    const carbonData = await carbonIntensityService.getCarbonIntensity(countryCode);
-    
     res.json({
       success: true,
-      data: carbonData
+      data: records
     });
   } catch (error) {
-    console.error(`Error fetching carbon intensity for ${req.params.countryCode}:`, error);
+    console.error(`Error fetching carbon intensity dataset records for ${req.params.zone}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch carbon intensity dataset records'
+    });
+  }
+});
+
+/**
+ * GET /api/carbon/intensity/:zone
+ * Get real-time carbon intensity for a country or sub-national grid zone
+ * (e.g., DE, US-MIDA-PJM, CA-QC, AU-NSW). Zones name their parent country.
+ */
+router.get('/intensity/:zone', optionalAuth, async (req, res) => {
+  try {
+    const zone = getZoneKey(req.params.zone);
+
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid zone. Use a 2-letter ISO country code (e.g., US, DE, FR) or a grid zone key (e.g., US-MIDA-PJM, CA-QC)'
+      });
+    }
+
+    const carbonData = await carbonIntensityService.getCarbonIntensity(zone);
+
+    res.json({
+      success: true,
+      data: withCountry(carbonData)
+    });
+  } catch (error) {
+    console.error(`Error fetching carbon intensity for ${req.params.zone}:`, error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch carbon intensity data'
@@ -65,18 +163,131 @@ router.get('/intensity/:countryCode', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/carbon/intensity/:zone/history
+ * Get the stored carbon intensity of a zone over time
+ * Query: from, to (ISO 8601; default the last 24 hours) and granularity
+ * (raw, hourly, daily or monthly; default the finest allowed for the range).
+ * The zone can be a country code, sub-national zone or any region with a live grid zone.
+ */
+router.get('/intensity/:zone/history', optionalAuth, async (req, res) => {
+  try {
+    const resolved = regionResolver.resolveRegion(req.params.zone);
+    if (!resolved.known || !resolved.liveZone) {
+      return res.status(400).json({
+        success: false,
+        error: `No grid zone for "${req.params.zone}". Use a country code (e.g., DE), a zone key (e.g., US-CAL-CISO) or a region with a grid`
+      });
+    }
+
+    try {
+      carbonIntensityService.normalizeHistoryQuery(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const history = await carbonIntensityService.getIntensityHistory(resolved.liveZone, req.query);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error(`Error fetching carbon intensity history for ${req.params.zone}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch carbon intensity history'
+    });
+  }
+});
+
+/**
+ * GET /api/carbon/intensity/:zone/forecast
+ * Forecast the carbon intensity of a zone hour by hour
+ * Query: hours (1-72, default 24). `method` says whether the forecast came from a
+ * provider, from stored history or from the flat fallback value.
+ */
+router.get('/intensity/:zone/forecast', optionalAuth, async (req, res) => {
+  try {
+    const resolved = regionResolver.resolveRegion(req.params.zone);
+    if (!resolved.known || !resolved.liveZone) {
+      return res.status(400).json({
+        success: false,
+        error: `No grid zone for "${req.params.zone}". Use a country code (e.g., DE), a zone key (e.g., US-CAL-CISO) or a region with a grid`
+      });
+    }
+
+    let forecast;
+    try {
+      forecast = await carbonIntensityService.getCarbonIntensityForecast(resolved.liveZone, { hours: req.query.hours || 24 });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error(`Error forecasting carbon intensity for ${req.params.zone}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to forecast carbon intensity'
+    });
+  }
+});
+
+/**
+ * GET /api/carbon/best-window
+ * Find the lowest-carbon start time and zone for a flexible job
+ * Query: zones (comma-separated, the first is where the job would run now), durationHours
+ * (default 1), deadline (ISO 8601, default 24 hours from now, at most 72) and optionally
+ * energyKwh to express the savings in kg CO2.
+ */
+router.get('/best-window', optionalAuth, async (req, res) => {
+  try {
+    try {
+      timeShifting.normalizeWindowQuery(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const advice = await timeShifting.findBestWindow(req.query);
+
+    res.json({
+      success: true,
+      data: advice
+    });
+  } catch (error) {
+    console.error('Error finding best carbon window:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find the best carbon window'
+    });
+  }
+});
+
 /**
  * POST /api/carbon/intensity/batch
- * Get carbon intensity for multiple countries
+ * Get carbon intensity for multiple countries or sub-national grid zones
  */
 router.post('/intensity/batch', optionalAuth, async (req, res) => {
   try {
     const { countryCodes } = req.body;
-    
+
     if (!Array.isArray(countryCodes) || countryCodes.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'countryCodes must be a non-empty array of 2-letter ISO country codes'
+        error: 'countryCodes must be a non-empty array of 2-letter ISO country codes or grid zone keys'
       });
     }
 
@@ -87,21 +298,22 @@ router.post('/intensity/batch', optionalAuth, async (req, res) => {
       });
     }
 
-    // Validate country codes
-    const invalidCodes = countryCodes.filter(code => !code || code.length !== 2);
+    // Validate country codes and zones
+    const zones = countryCodes.map(getZoneKey);
+    const invalidCodes = countryCodes.filter((code, index) => !zones[index]);
     if (invalidCodes.length > 0) {
       return res.status(400).json({
         success: false,
-        error: `Invalid country codes: ${invalidCodes.join(', ')}. Must be 2-letter ISO codes.`
+        error: `Invalid country codes: ${invalidCodes.join(', ')}. Must be 2-letter ISO codes or grid zone keys.`
       });
     }
 
-    const carbonData = await carbonIntensityService.getMultipleCarbonIntensities(countryCodes);
-    
+    const carbonData = await carbonIntensityService.getMultipleCarbonIntensities(zones);
+
     res.json({
       success: true,
       data: {
-        results: carbonData,
+        results: carbonData.map(withCountry),
         count: carbonData.length,
         requested: countryCodes.length
       }
@@ -166,6 +378,7 @@ router.get('/health', optionalAuth, async (req, res) => {
     // Test with a known country code
     const testData = await carbonIntensityService.getCarbonIntensity('US');
     const cacheStats = carbonIntensityService.getCacheStats();
+    const providers = carbonProviders.listProviders();
     
     res.json({
       success: true,
@@ -174,10 +387,11 @@ router.get('/health', optionalAuth, async (req, res) => {
         service: 'carbon-intensity',
         version: '3.0.0',
         features: {
-          realTimeData: !!process.env.CO2SIGNAL_API_KEY,
+          realTimeData: providers.providers.some(provider => provider.configured),
           caching: true,
           fallbackData: true
         },
+        providers,
         cache: cacheStats,
         testResult: {
           country: 'US',
@@ -0,0 +1,177 @@
+/**
+ * Model Factor Registry API Routes
+ *
+ * Lists available AI models and lets admins publish new versions of their
+ * energy factors without a deploy
+ */
+
+const express = require('express');
+const router = express.Router();
+const modelRegistry = require('../services/modelRegistry');
+const { resolveModelId } = require('../services/modelAliases');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+
+const COEFFICIENT_FIELDS = ['energyInputKwh', 'energyOutputKwh', 'energyCachedInputKwh', 'energyBlendedKwh'];
+const MODEL_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * Validate coefficient fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCoefficients(body) {
+  const invalid = COEFFICIENT_FIELDS.filter(field =>
+    body[field] !== undefined && (typeof body[field] !== 'number' || !Number.isFinite(body[field]) || body[field] < 0)
+  );
+
+  return invalid.length > 0
+    ? `Invalid energy coefficients: ${invalid.join(', ')}. Must be non-negative numbers (kWh per token).`
+    : null;
+}
+
+/**
+ * GET /api/models
+ * Get available models, their display names and current factors
+ */
+router.get('/', async (req, res) => {
+  try {
+    const factors = await modelRegistry.getCurrentFactors();
+    const models = Object.keys(factors);
+    const modelInfo = Object.fromEntries(
+      Object.entries(factors).map(([key, factor]) => [key, factor.displayName])
+    );
+
+    res.json({ models, modelInfo, factors });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/models/resolve/:modelId
+ * Resolve a provider model ID (e.g. gpt-4o-2024-08-06) to a registry model
+ * IDs containing "/" (e.g. models/gemini-1.5-pro) must be URL-encoded.
+ */
+router.get('/resolve/:modelId', async (req, res) => {
+  try {
+    const resolution = await resolveModelId(req.params.modelId);
+
+    if (!resolution.known) {
+      return res.status(404).json({ error: `Unknown model ID "${req.params.modelId}"`, ...resolution });
+    }
+
+    res.json(resolution);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/models/:modelKey
+ * Get the current factor and full version history for a model
+ */
+router.get('/:modelKey', async (req, res) => {
+  try {
+    const history = await modelRegistry.getModelFactorHistory(req.params.modelKey);
+
+    if (history.length === 0) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const current = history.find(factor => !factor.validTo) || null;
+    res.json({ model: req.params.modelKey, current, versions: history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/models
+ * Register a new model (admin only)
+ */
+router.post('/', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { modelKey, displayName } = req.body;
+
+    if (!modelKey || !MODEL_KEY_PATTERN.test(modelKey)) {
+      return res.status(400).json({
+        error: 'modelKey is required and may only contain lowercase letters, digits, ".", "_" and "-"'
+      });
+    }
+
+    if (!displayName) {
+      return res.status(400).json({ error: 'displayName is required' });
+    }
+
+    const missing = COEFFICIENT_FIELDS.filter(field => req.body[field] === undefined);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Missing energy coefficients: ${missing.join(', ')}` });
+    }
+
+    const coefficientError = validateCoefficients(req.body);
+    if (coefficientError) {
+      return res.status(400).json({ error: coefficientError });
+    }
+
+    const existing = await modelRegistry.getModelFactorHistory(modelKey);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Model already exists. Use PUT to publish a new version.' });
+    }
+
+    const factor = await modelRegistry.publishModelFactor(modelKey, req.body, req.user.id);
+    res.status(201).json(factor);
+  } catch (error) {
+    console.error('Model factor creation error:', error);
+    res.status(500).json({ error: error.message || 'Failed to create model factor' });
+  }
+});
+
+/**
+ * PUT /api/models/:modelKey
+ * Publish a new factor version for an existing model (admin only)
+ * Omitted fields are carried over from the current version.
+ */
+router.put('/:modelKey', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const coefficientError = validateCoefficients(req.body);
+    if (coefficientError) {
+      return res.status(400).json({ error: coefficientError });
+    }
+
+    const existing = await modelRegistry.getModelFactorHistory(req.params.modelKey);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const factor = await modelRegistry.publishModelFactor(req.params.modelKey, req.body, req.user.id);
+    res.json(factor);
+  } catch (error) {
+    console.error('Model factor update error:', error);
+    res.status(500).json({ error: error.message || 'Failed to publish model factor' });
+  }
+});
+
+/**
+ * DELETE /api/models/:modelKey
+ * Retire a model (admin only)
+ * Past versions are kept so existing calculations stay reproducible.
+ */
+router.delete('/:modelKey', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    if (req.params.modelKey === 'default') {
+      return res.status(400).json({ error: 'The default model factor cannot be retired' });
+    }
+
+    const closed = await modelRegistry.retireModel(req.params.modelKey);
+    if (closed === 0) {
+      return res.status(404).json({ error: 'Model not found or already retired' });
+    }
+
+    res.json({ message: 'Model retired successfully' });
+  } catch (error) {
+    console.error('Model factor retirement error:', error);
+    res.status(500).json({ error: error.message || 'Failed to retire model' });
+  }
+});
+
+module.exports = router;
@@ -8,7 +8,13 @@
 const express = require('express');
 const router = express.Router();
 const offsetService = require('../services/offsetSuggestions');
+const { getEquivalenceOptions } = require('../services/equivalences');
 const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { resolveUnits } = require('../middleware/units');
+const { convertFields, getUnitLabels } = require('../services/units');
+
+// co2Kg and co2Tons keep their names; `units` on the response says what they hold
+const OFFSET_AMOUNT_FIELDS = { co2Kg: 'mass', co2Tons: 'largeMass' };
 
 /**
  * POST /api/offsets/calculate
@@ -61,7 +67,7 @@ router.post('/calculate', optionalAuth, async (req, res) => {
  * POST /api/offsets/suggestions
  * Get offset project suggestions
  */
-router.post('/suggestions', optionalAuth, async (req, res) => {
+router.post('/suggestions', optionalAuth, resolveUnits, async (req, res) => {
   try {
     const { co2Kg, preferences = {} } = req.body;
     
@@ -81,10 +87,19 @@ router.post('/suggestions', optionalAuth, async (req, res) => {
     }
 
     const suggestions = offsetService.suggestProjects(co2Kg, preferences);
+    const localizeSuggestion = suggestion => ({
+      ...suggestion,
+      impact: convertFields(suggestion.impact, { co2Offset: 'largeMass' }, req.unitSystem)
+    });
     
     res.json({
       success: true,
-      data: suggestions
+      data: {
+        ...convertFields(suggestions, OFFSET_AMOUNT_FIELDS, req.unitSystem),
+        suggestions: suggestions.suggestions.map(localizeSuggestion),
+        allProjects: suggestions.allProjects.map(localizeSuggestion),
+        units: getUnitLabels(req.unitSystem)
+      }
     });
   } catch (error) {
     console.error('Error getting offset suggestions:', error);
@@ -119,8 +134,10 @@ router.get('/providers', optionalAuth, async (req, res) => {
 /**
  * POST /api/offsets/equivalences
  * Calculate offset impact equivalences
+ * Optional equivalenceSet, equivalenceCountry and equivalenceUnits pick the
+ * equivalences (defaults to the offsets set, in the caller's unit system)
  */
-router.post('/equivalences', optionalAuth, async (req, res) => {
+router.post('/equivalences', optionalAuth, resolveUnits, async (req, res) => {
   try {
     const { co2Kg } = req.body;
     
@@ -139,11 +156,24 @@ router.post('/equivalences', optionalAuth, async (req, res) => {
       });
     }
 
-    const equivalences = offsetService.calculateOffsetEquivalences(co2Kg);
+    let options;
+    try {
+      options = getEquivalenceOptions({ equivalenceSet: 'offsets', ...req.body }, req.unitSystem);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const equivalences = offsetService.calculateOffsetEquivalences(co2Kg, options);
     
     res.json({
       success: true,
-      data: equivalences
+      data: {
+        ...convertFields(equivalences, OFFSET_AMOUNT_FIELDS, req.unitSystem),
+        units: getUnitLabels(req.unitSystem)
+      }
     });
   } catch (error) {
     console.error('Error calculating offset equivalences:', error);
@@ -8,6 +8,8 @@
 const express = require('express');
 const router = express.Router();
 const organizationService = require('../services/organization');
+const scope2 = require('../services/scope2');
+const recalculation = require('../services/recalculation');
 const { verifyToken } = require('../middleware/auth');
 
 /**
@@ -405,4 +407,231 @@ router.put('/:id/settings', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/organizations/:id/instruments
+ * List the organization's contractual instruments for market-based Scope 2 reporting
+ */
+router.get('/:id/instruments', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    
+    if (isNaN(orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id);
+    const instruments = await scope2.listInstruments({ orgId });
+    
+    res.json({
+      success: true,
+      data: instruments
+    });
+  } catch (error) {
+    console.error('Error getting organization instruments:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retrieve energy instruments'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/:id/instruments
+ * Register a PPA, REC/GO or provider matching percentage for all members (owners and admins)
+ */
+router.post('/:id/instruments', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    
+    if (isNaN(orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    try {
+      scope2.normalizeInstrumentInput(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id, true);
+    const instrument = await scope2.createInstrument({ orgId }, req.body);
+    
+    res.status(201).json({
+      success: true,
+      data: instrument
+    });
+  } catch (error) {
+    console.error('Error creating organization instrument:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create energy instrument'
+    });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/instruments/:instrumentId
+ * Deactivate an organization instrument (owners and admins)
+ */
+router.delete('/:id/instruments/:instrumentId', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    const instrumentId = parseInt(req.params.instrumentId);
+    
+    if (isNaN(orgId) || isNaN(instrumentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization or instrument ID'
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id, true);
+    const instrument = await scope2.deactivateInstrument({ orgId }, instrumentId);
+
+    if (!instrument) {
+      return res.status(404).json({
+        success: false,
+        error: 'Energy instrument not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: instrument
+    });
+  } catch (error) {
+    console.error('Error deactivating organization instrument:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to deactivate energy instrument'
+    });
+  }
+});
+
+/**
+ * POST /api/organizations/:id/recalculate
+ * Recalculate members' history under the current methodology (owners and admins)
+ * With dryRun the diff is returned without saving
+ */
+router.post('/:id/recalculate', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    
+    if (isNaN(orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id, true);
+
+    if (req.body.dryRun) {
+      const diff = await recalculation.previewRecalculation({ orgId });
+      return res.json({
+        success: true,
+        data: diff
+      });
+    }
+
+    try {
+      const run = await recalculation.startRecalculation({ orgId }, req.user.id);
+      res.status(202).json({
+        success: true,
+        data: run
+      });
+    } catch (conflictError) {
+      res.status(409).json({
+        success: false,
+        error: conflictError.message
+      });
+    }
+  } catch (error) {
+    console.error('Error recalculating organization history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to recalculate organization history'
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:id/recalculations
+ * List the organization's recalculation runs
+ */
+router.get('/:id/recalculations', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    
+    if (isNaN(orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id);
+    const runs = await recalculation.listRuns({ orgId });
+    
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error getting organization recalculation runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retrieve recalculation runs'
+    });
+  }
+});
+
+/**
+ * GET /api/organizations/:id/recalculations/:runId
+ * Get a recalculation run with its per-calculation changes
+ */
+router.get('/:id/recalculations/:runId', verifyToken, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    const runId = parseInt(req.params.runId);
+    
+    if (isNaN(orgId) || isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization or run ID'
+      });
+    }
+
+    await scope2.assertOrganizationAccess(orgId, req.user.id);
+    const run = await recalculation.getRun({ orgId }, runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recalculation run not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error getting organization recalculation run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retrieve recalculation run'
+    });
+  }
+});
+
 module.exports = router;
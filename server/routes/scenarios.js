@@ -0,0 +1,53 @@
+/**
+ * Scenario API Routes
+ *
+ * What-if comparison of one workload across models, regions and methodologies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { optionalAuth, calculationRateLimit } = require('../middleware/auth');
+const { resolveUnits } = require('../middleware/units');
+const { UserPreference } = require('../models');
+const scenarioService = require('../services/scenarios');
+const { getUnitLabels } = require('../services/units');
+const scope2 = require('../services/scope2');
+
+// Baseline for anonymous users and users without preferences
+const DEFAULT_BASELINE = { model: 'default', region: 'global-average' };
+
+/**
+ * POST /api/scenarios
+ * Rank a token workload across models × regions × methodologies
+ * Body: tokens or inputTokens/outputTokens/cachedInputTokens, models, regions,
+ * optional methodologies (defaults to per_token), rankBy (co2, energy, water or cost)
+ * and occurredAt. Savings are relative to the user's default model and region.
+ */
+router.post('/', calculationRateLimit, optionalAuth, resolveUnits, async (req, res) => {
+  try {
+    let input;
+    try {
+      input = await scenarioService.normalizeScenarioInput(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const preferences = req.user ? await UserPreference.findOne({ where: { user_id: req.user.id } }) : null;
+    const baseline = preferences
+      ? { model: preferences.default_model, region: preferences.default_region, source: 'preferences' }
+      : { ...DEFAULT_BASELINE, source: 'default' };
+
+    const instruments = req.user ? await scope2.getActiveInstruments(req.user.id, input.occurredAt) : [];
+    const matrix = await scenarioService.runScenarios(input, baseline, { instruments });
+
+    res.json({
+      ...scenarioService.localizeScenarios(matrix, req.unitSystem),
+      units: getUnitLabels(req.unitSystem)
+    });
+  } catch (error) {
+    console.error('Scenario comparison error:', error);
+    res.status(500).json({ error: error.message || 'Failed to compare scenarios' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, apiRateLimit } = require('../middleware/auth');
-const { User, UserPreference, Calculation } = require('../models');
+const { User, UserPreference, Calculation, EnergyInstrument, sequelize } = require('../models');
+const scope2 = require('../services/scope2');
+const { normalizeUnitSystem } = require('../services/units');
 
 // Apply rate limiting to user routes
 router.use(apiRateLimit);
@@ -44,7 +46,15 @@ router.get('/preferences', verifyToken, async (req, res) => {
  */
 router.put('/preferences', verifyToken, async (req, res) => {
   try {
-    const { default_model, default_region, notifications_enabled, email_notifications, weekly_reports, theme } = req.body;
+    const { default_model, default_region, units_preference, notifications_enabled, email_notifications, weekly_reports, theme } = req.body;
+
+    if (units_preference !== undefined) {
+      try {
+        normalizeUnitSystem(units_preference);
+      } catch (validationError) {
+        return res.status(400).json({ success: false, error: `units_preference: ${validationError.message}` });
+      }
+    }
 
     let preferences = await UserPreference.findOne({
       where: { user_id: req.user.id }
@@ -55,6 +65,7 @@ router.put('/preferences', verifyToken, async (req, res) => {
         user_id: req.user.id,
         default_model: default_model || 'default',
         default_region: default_region || 'global-average',
+        units_preference: units_preference || 'metric',
         notifications_enabled: notifications_enabled !== undefined ? notifications_enabled : true,
         email_notifications: email_notifications || false,
         weekly_reports: weekly_reports || false,
@@ -64,6 +75,7 @@ router.put('/preferences', verifyToken, async (req, res) => {
       await preferences.update({
         default_model: default_model || preferences.default_model,
         default_region: default_region || preferences.default_region,
+        units_preference: units_preference || preferences.units_preference,
         notifications_enabled: notifications_enabled !== undefined ? notifications_enabled : preferences.notifications_enabled,
         email_notifications: email_notifications !== undefined ? email_notifications : preferences.email_notifications,
         weekly_reports: weekly_reports !== undefined ? weekly_reports : preferences.weekly_reports,
@@ -78,6 +90,61 @@ router.put('/preferences', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/user/instruments
+ * @desc List the user's contractual instruments (PPAs, RECs/GOs, provider matching)
+ * @access Private (User)
+ */
+router.get('/instruments', verifyToken, async (req, res) => {
+  try {
+    const instruments = await scope2.listInstruments({ userId: req.user.id });
+    res.json({ success: true, data: instruments });
+  } catch (error) {
+    console.error('Error fetching energy instruments:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch energy instruments', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/user/instruments
+ * @desc Register a contractual instrument for market-based Scope 2 reporting
+ * @access Private (User)
+ */
+router.post('/instruments', verifyToken, async (req, res) => {
+  try {
+    try {
+      scope2.normalizeInstrumentInput(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const instrument = await scope2.createInstrument({ userId: req.user.id }, req.body);
+    res.status(201).json({ success: true, data: instrument });
+  } catch (error) {
+    console.error('Error creating energy instrument:', error);
+    res.status(500).json({ success: false, error: 'Failed to create energy instrument', details: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/user/instruments/:id
+ * @desc Deactivate a contractual instrument
+ * @access Private (User)
+ */
+router.delete('/instruments/:id', verifyToken, async (req, res) => {
+  try {
+    const instrument = await scope2.deactivateInstrument({ userId: req.user.id }, parseInt(req.params.id));
+    if (!instrument) {
+      return res.status(404).json({ success: false, error: 'Energy instrument not found' });
+    }
+
+    res.json({ success: true, data: instrument });
+  } catch (error) {
+    console.error('Error deactivating energy instrument:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate energy instrument', details: error.message });
+  }
+});
+
 /**
  * @route DELETE /api/user/delete
  * @desc Delete user account
@@ -87,19 +154,40 @@ router.delete('/delete', verifyToken, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Delete user preferences
-    await UserPreference.destroy({
-      where: { user_id: userId }
-    });
+    await sequelize.transaction(async (transaction) => {
+      // Delete user preferences
+      await UserPreference.destroy({
+        where: { user_id: userId },
+        transaction
+      });
 
-    // Delete user calculations
-    await Calculation.destroy({
-      where: { user_id: userId }
-    });
+      // Return the volume the user's calculations claimed from organization instruments
+      const calculations = await Calculation.findAll({
+        where: { user_id: userId },
+        attributes: ['scope2_allocations'],
+        transaction
+      });
+      for (const calculation of calculations) {
+        await scope2.releaseInstruments(calculation.scope2_allocations, { transaction });
+      }
 
-    // Delete user
-    await User.destroy({
-      where: { id: userId }
+      // Delete user calculations
+      await Calculation.destroy({
+        where: { user_id: userId },
+        transaction
+      });
+
+      // Delete user's energy instruments
+      await EnergyInstrument.destroy({
+        where: { user_id: userId },
+        transaction
+      });
+
+      // Delete user
+      await User.destroy({
+        where: { id: userId },
+        transaction
+      });
     });
 
     res.json({ success: true, message: 'Account deleted successfully' });
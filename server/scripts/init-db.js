@@ -1,5 +1,143 @@
 const { sequelize } = require('../models');
-const { User, Calculation, UserPreference, ApiKey, Organization, OrganizationMember } = require('../models');
+const { User, Calculation, UserPreference, ApiKey, Organization, OrganizationMember, ModelFactor } = require('../models');
+const { seedDefaultModelFactors } = require('../services/modelRegistry');
+const { failInterruptedRuns } = require('../services/recalculation');
+
+// Columns that cannot be added with their model default (SQLite only allows constant defaults
+// on ADD COLUMN); existing rows take the value of the named column, or of an SQL expression
+const COLUMN_BACKFILLS = {
+  calculations: {
+    occurred_at: 'created_at'
+  },
+  carbon_intensity_readings: {
+    // WattTime is the only source of marginal emissions rates
+    signal: { sql: "CASE WHEN source = 'watttime' THEN 'marginal' ELSE 'average' END" }
+  }
+};
+
+/**
+ * Add the columns models have gained to tables created by an earlier version
+ * sync() creates missing tables but never alters existing ones, so without this step an
+ * upgraded database fails with "no such column" on the first query using a new field.
+ * Runs before sync() so indexes on new columns can be created. Safe to run repeatedly.
+ * @returns {Promise<number>} Number of columns added
+ */
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = (await queryInterface.showAllTables()).map(table => table.tableName || table);
+  let added = 0;
+
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    if (!tables.includes(table)) {
+      continue; // New table, created by sync()
+    }
+
+    const columns = await queryInterface.describeTable(table);
+    for (const attribute of Object.values(model.rawAttributes)) {
+      if (columns[attribute.field]) {
+        continue;
+      }
+
+      const backfill = COLUMN_BACKFILLS[table] && COLUMN_BACKFILLS[table][attribute.field];
+      await queryInterface.addColumn(table, attribute.field, backfill
+        ? { ...attribute, allowNull: true, defaultValue: undefined }
+        : attribute);
+      if (backfill) {
+        const value = backfill.sql || queryInterface.quoteIdentifier(backfill);
+        await sequelize.query(
+          `UPDATE ${queryInterface.quoteIdentifier(table)} SET ${queryInterface.quoteIdentifier(attribute.field)} = ` +
+          `${value} WHERE ${queryInterface.quoteIdentifier(attribute.field)} IS NULL`
+        );
+      }
+      console.log(`✅ Added column ${table}.${attribute.field}`);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Drop NOT NULL from columns of a SQLite table by rebuilding it
+ * SQLite cannot alter a column, and queryInterface.changeColumn() rebuilds the table from
+ * describeTable(), losing AUTOINCREMENT and the foreign keys' ON DELETE actions. This keeps
+ * the table's own CREATE statement and indexes, only removing NOT NULL from the columns.
+ * @param {string} table - Table name
+ * @param {string[]} fields - Columns to allow null in
+ */
+async function allowNullOnSqlite(table, fields) {
+  const [[{ sql: createSql }]] = await sequelize.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", { replacements: [table] }
+  );
+  const [indexes] = await sequelize.query(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL", { replacements: [table] }
+  );
+
+  const rebuilt = `${table}_rebuild`;
+  let definition = createSql.replace(/^CREATE TABLE [`"]?\w+[`"]?/, `CREATE TABLE \`${rebuilt}\``);
+  for (const field of fields) {
+    definition = definition.replace(new RegExp(`([\`"]${field}[\`"] [^,\`"]*?) NOT NULL`), '$1');
+  }
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query(definition, { transaction });
+      await sequelize.query(`INSERT INTO \`${rebuilt}\` SELECT * FROM \`${table}\``, { transaction });
+      await sequelize.query(`DROP TABLE \`${table}\``, { transaction });
+      await sequelize.query(`ALTER TABLE \`${rebuilt}\` RENAME TO \`${table}\``, { transaction });
+      for (const index of indexes) {
+        await sequelize.query(index.sql, { transaction });
+      }
+    });
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+}
+
+/**
+ * Drop NOT NULL from columns models now allow to be null (e.g. calculations.tokens,
+ * which non-text workloads leave empty). addMissingColumns() never alters existing
+ * columns, so without this step such saves fail with a NOT NULL constraint error.
+ * Safe to run repeatedly.
+ * @returns {Promise<number>} Number of columns relaxed
+ */
+async function relaxNotNullColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = (await queryInterface.showAllTables()).map(table => table.tableName || table);
+  let relaxed = 0;
+
+  for (const model of Object.values(sequelize.models)) {
+    const table = model.getTableName();
+    if (!tables.includes(table)) {
+      continue;
+    }
+
+    const columns = await queryInterface.describeTable(table);
+    const attributes = Object.values(model.rawAttributes).filter(attribute => {
+      const column = columns[attribute.field];
+      return column && !column.allowNull && attribute.allowNull !== false && !attribute.primaryKey;
+    });
+    if (attributes.length === 0) {
+      continue;
+    }
+
+    if (sequelize.getDialect() === 'sqlite') {
+      await allowNullOnSqlite(table, attributes.map(attribute => attribute.field));
+    } else {
+      for (const attribute of attributes) {
+        await queryInterface.changeColumn(table, attribute.field, { type: attribute.type, allowNull: true });
+      }
+    }
+    for (const attribute of attributes) {
+      console.log(`✅ Allowed null in ${table}.${attribute.field}`);
+    }
+    relaxed += attributes.length;
+  }
+
+  return relaxed;
+}
 
 async function initializeDatabase() {
   try {
@@ -9,10 +147,34 @@ async function initializeDatabase() {
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
     
+    // Upgrade tables created by an earlier version
+    const added = await addMissingColumns();
+    if (added > 0) {
+      console.log(`✅ Upgraded existing tables with ${added} new columns.`);
+    }
+    
+    // Runs left running by a crash would block the unique index on running runs
+    const tables = (await sequelize.getQueryInterface().showAllTables()).map(table => table.tableName || table);
+    if (tables.includes('recalculation_runs')) {
+      await failInterruptedRuns();
+    }
+    
     // Sync all models (create tables if they don't exist)
     await sequelize.sync({ force: false });
     console.log('✅ Database tables synchronized successfully.');
     
+    // Allow null where models now do
+    const relaxed = await relaxNotNullColumns();
+    if (relaxed > 0) {
+      console.log(`✅ Relaxed ${relaxed} NOT NULL constraints.`);
+    }
+    
+    // Seed the model factor registry with built-in factors
+    const seeded = await seedDefaultModelFactors();
+    if (seeded > 0) {
+      console.log(`✅ Seeded ${seeded} model factors.`);
+    }
+    
     console.log('🎉 Database initialization completed!');
     
   } catch (error) {
@@ -35,3 +197,5 @@ if (require.main === module) {
 }
 
 module.exports = initializeDatabase;
+module.exports.addMissingColumns = addMissingColumns;
+module.exports.relaxNotNullColumns = relaxNotNullColumns;
@@ -0,0 +1,28 @@
+const { User } = require('../models');
+
+// Usage: node scripts/set-admin.js <email> [--revoke]
+async function setAdmin(email, revoke) {
+  try {
+    if (!email) {
+      console.error('❌ Usage: node scripts/set-admin.js <email> [--revoke]');
+      process.exit(1);
+    }
+
+    const user = await User.findOne({ where: { email: email.trim() } });
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exit(1);
+    }
+
+    await user.update({ is_admin: !revoke });
+    console.log(revoke
+      ? `✅ Admin access revoked for ${user.email}`
+      : `✅ ${user.email} can now manage the model factor registry`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error updating admin access:', error);
+    process.exit(1);
+  }
+}
+
+setAdmin(process.argv[2], process.argv.includes('--revoke'));
@@ -10,6 +10,27 @@
 
 const { Calculation, User } = require('../models');
 const { Op } = require('sequelize');
+const { getMethodologySummary } = require('./recalculation');
+const { convert, convertFields, getUnitLabels } = require('./units');
+const { getCostPerKgCo2, roundCost, PRICE_CURRENCY } = require('./pricing');
+const regionResolver = require('./regionResolver');
+
+// Market-based CO2 per row. Rows saved before market-based reporting carry only
+// the location-based figure, which equals the market-based one without instruments.
+const MARKET_CO2 = Calculation.sequelize.fn('COALESCE', Calculation.sequelize.col('co2_kg_market'), Calculation.sequelize.col('co2_kg'));
+
+// CO2 of priced calculations only, so cost per kg CO2 is not diluted by unpriced workloads
+const PRICED_CO2 = Calculation.sequelize.literal('CASE WHEN cost IS NOT NULL THEN co2_kg END');
+
+// Stored intensity per row; rows saved before it was recorded fall back to their CO2 per kWh
+const ROW_INTENSITY = Calculation.sequelize.literal('COALESCE(carbon_intensity_factor, co2_kg / energy_kwh)');
+
+// Mass and volume fields of each analytics section, converted for imperial users (see localize* below)
+const TREND_FIELDS = { co2: 'mass', co2Market: 'mass', co2Low: 'mass', co2High: 'mass', embodiedCo2: 'mass', water: 'volume' };
+const SUMMARY_FIELDS = { totalCo2: 'mass', totalCo2Market: 'mass', totalEmbodiedCo2: 'mass', totalWater: 'volume', averageCo2PerCalculation: 'mass', costPerKgCo2: 'perMass' };
+const MODEL_FIELDS = { totalCo2: 'mass', totalCo2Market: 'mass', avgCo2PerCalculation: 'mass', avgCo2PerToken: 'mass', costPerKgCo2: 'perMass' };
+const REGION_FIELDS = { totalCo2: 'mass', totalCo2Market: 'mass', avgCo2PerCalculation: 'mass', avgCarbonIntensity: 'mass' };
+const WORKLOAD_FIELDS = { totalCo2: 'mass', totalCo2Market: 'mass', totalEmbodiedCo2: 'mass', totalWater: 'volume', avgCo2PerCalculation: 'mass' };
 
 /**
  * Get historical trends for a user's carbon emissions
@@ -44,11 +65,11 @@ async function getHistoricalTrends(userId, timeRange = '30d') {
     const calculations = await Calculation.findAll({
       where: {
         user_id: userId,
-        created_at: {
+        occurred_at: {
           [Op.gte]: startDate
         }
       },
-      order: [['created_at', 'ASC']]
+      order: [['occurred_at', 'ASC']]
     });
 
     // Group by date and aggregate
@@ -57,55 +78,14 @@ async function getHistoricalTrends(userId, timeRange = '30d') {
     const monthlyData = {};
 
     calculations.forEach(calc => {
-      const date = new Date(calc.created_at);
+      const date = new Date(calc.occurred_at);
       const dayKey = date.toISOString().split('T')[0];
       const weekKey = getWeekKey(date);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
 
-      // Daily aggregation
-      if (!dailyData[dayKey]) {
-        dailyData[dayKey] = {
-          date: dayKey,
-          tokens: 0,
-          co2: 0,
-          energy: 0,
-          calculations: 0
-        };
-      }
-      dailyData[dayKey].tokens += calc.tokens;
-      dailyData[dayKey].co2 += parseFloat(calc.co2_kg);
-      dailyData[dayKey].energy += parseFloat(calc.energy_kwh);
-      dailyData[dayKey].calculations += 1;
-
-      // Weekly aggregation
-      if (!weeklyData[weekKey]) {
-        weeklyData[weekKey] = {
-          week: weekKey,
-          tokens: 0,
-          co2: 0,
-          energy: 0,
-          calculations: 0
-        };
-      }
-      weeklyData[weekKey].tokens += calc.tokens;
-      weeklyData[weekKey].co2 += parseFloat(calc.co2_kg);
-      weeklyData[weekKey].energy += parseFloat(calc.energy_kwh);
-      weeklyData[weekKey].calculations += 1;
-
-      // Monthly aggregation
-      if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = {
-          month: monthKey,
-          tokens: 0,
-          co2: 0,
-          energy: 0,
-          calculations: 0
-        };
-      }
-      monthlyData[monthKey].tokens += calc.tokens;
-      monthlyData[monthKey].co2 += parseFloat(calc.co2_kg);
-      monthlyData[monthKey].energy += parseFloat(calc.energy_kwh);
-      monthlyData[monthKey].calculations += 1;
+      addToTrendBucket(dailyData, 'date', dayKey, calc);
+      addToTrendBucket(weeklyData, 'week', weekKey, calc);
+      addToTrendBucket(monthlyData, 'month', monthKey, calc);
     });
 
     // Calculate trends and statistics
@@ -116,6 +96,14 @@ async function getHistoricalTrends(userId, timeRange = '30d') {
     const totalCo2 = calculations.reduce((sum, calc) => sum + parseFloat(calc.co2_kg), 0);
     const totalTokens = calculations.reduce((sum, calc) => sum + calc.tokens, 0);
     const totalEnergy = calculations.reduce((sum, calc) => sum + parseFloat(calc.energy_kwh), 0);
+    const totalWater = calculations.reduce((sum, calc) => sum + parseFloat(calc.water_liters || 0), 0);
+    const totalCo2Market = calculations.reduce((sum, calc) => sum + parseFloat(calc.co2_kg_market ?? calc.co2_kg), 0);
+    const totalCo2Low = calculations.reduce((sum, calc) => sum + parseFloat(calc.co2_kg_low ?? calc.co2_kg), 0);
+    const totalCo2High = calculations.reduce((sum, calc) => sum + parseFloat(calc.co2_kg_high ?? calc.co2_kg), 0);
+    const totalEmbodiedCo2 = calculations.reduce((sum, calc) => sum + parseFloat(calc.embodied_co2_kg || 0), 0);
+    const pricedCalculations = calculations.filter(calc => calc.cost !== null);
+    const totalCost = pricedCalculations.reduce((sum, calc) => sum + parseFloat(calc.cost), 0);
+    const pricedCo2 = pricedCalculations.reduce((sum, calc) => sum + parseFloat(calc.co2_kg), 0);
 
     // Calculate trend direction
     const trendDirection = calculateTrendDirection(dailyArray, 'co2');
@@ -130,8 +118,19 @@ async function getHistoricalTrends(userId, timeRange = '30d') {
         totalCalculations: calculations.length,
         totalTokens,
         totalCo2: Math.round(totalCo2 * 1000) / 1000,
+        totalCo2Market: Math.round(totalCo2Market * 1000) / 1000,
+        totalCo2Range: {
+          low: Math.round(totalCo2Low * 1000) / 1000,
+          high: Math.round(totalCo2High * 1000) / 1000
+        },
+        totalEmbodiedCo2: Math.round(totalEmbodiedCo2 * 1000000) / 1000000,
         totalEnergy: Math.round(totalEnergy * 1000) / 1000,
+        totalWater: Math.round(totalWater * 1000) / 1000,
         averageCo2PerCalculation: calculations.length > 0 ? Math.round((totalCo2 / calculations.length) * 1000) / 1000 : 0,
+        totalCost: roundCost(totalCost),
+        pricedCalculations: pricedCalculations.length,
+        costPerKgCo2: getCostPerKgCo2(totalCost, pricedCo2),
+        currency: PRICE_CURRENCY,
         trendDirection
       },
       trends: {
@@ -161,9 +160,12 @@ async function getModelComparison(userId) {
         [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'count'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('tokens')), 'totalTokens'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'totalCo2'],
+        [Calculation.sequelize.fn('SUM', MARKET_CO2), 'totalCo2Market'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('energy_kwh')), 'totalEnergy'],
         [Calculation.sequelize.fn('AVG', Calculation.sequelize.col('co2_kg')), 'avgCo2PerCalculation'],
-        [Calculation.sequelize.fn('AVG', Calculation.sequelize.literal('co2_kg / tokens')), 'avgCo2PerToken']
+        [Calculation.sequelize.fn('AVG', Calculation.sequelize.literal('co2_kg / tokens')), 'avgCo2PerToken'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('cost')), 'totalCost'],
+        [Calculation.sequelize.fn('SUM', PRICED_CO2), 'pricedCo2']
       ],
       group: ['model'],
       order: [[Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'DESC']]
@@ -175,20 +177,27 @@ async function getModelComparison(userId) {
       return {
         model: data.model,
         calculations: parseInt(data.count),
-        totalTokens: parseInt(data.totalTokens),
+        totalTokens: parseInt(data.totalTokens) || 0,
         totalCo2: Math.round(parseFloat(data.totalCo2) * 1000) / 1000,
+        totalCo2Market: Math.round(parseFloat(data.totalCo2Market) * 1000) / 1000,
         totalEnergy: Math.round(parseFloat(data.totalEnergy) * 1000) / 1000,
         avgCo2PerCalculation: Math.round(parseFloat(data.avgCo2PerCalculation) * 1000) / 1000,
-        avgCo2PerToken: Math.round(parseFloat(data.avgCo2PerToken) * 1000000) / 1000000, // mg CO2 per token
-        efficiency: calculateModelEfficiency(data.model, parseFloat(data.avgCo2PerToken))
+        // Null when the model only ran image or audio workloads
+        avgCo2PerToken: data.avgCo2PerToken !== null ? Math.round(parseFloat(data.avgCo2PerToken) * 1000000) / 1000000 : null, // mg CO2 per token
+        efficiency: data.avgCo2PerToken !== null ? calculateModelEfficiency(data.model, parseFloat(data.avgCo2PerToken)) : null,
+        // Null when none of the model's calculations were priced
+        totalCost: data.totalCost !== null ? roundCost(parseFloat(data.totalCost)) : null,
+        costPerKgCo2: data.totalCost !== null ? getCostPerKgCo2(parseFloat(data.totalCost), parseFloat(data.pricedCo2)) : null,
+        currency: PRICE_CURRENCY
       };
     });
 
     // Find most and least efficient models
-    const mostEfficient = modelComparison.reduce((min, model) => 
-      model.avgCo2PerToken < min.avgCo2PerToken ? model : min, modelComparison[0]);
-    const leastEfficient = modelComparison.reduce((max, model) => 
-      model.avgCo2PerToken > max.avgCo2PerToken ? model : max, modelComparison[0]);
+    const tokenModels = modelComparison.filter(model => model.avgCo2PerToken !== null);
+    const mostEfficient = tokenModels.reduce((min, model) => 
+      model.avgCo2PerToken < min.avgCo2PerToken ? model : min, tokenModels[0]);
+    const leastEfficient = tokenModels.reduce((max, model) => 
+      model.avgCo2PerToken > max.avgCo2PerToken ? model : max, tokenModels[0]);
 
     return {
       models: modelComparison,
@@ -207,10 +216,34 @@ async function getModelComparison(userId) {
   }
 }
 
+/**
+ * Add up regional stats rows
+ * @param {Object[]} rows - Rows with count, totalTokens, totalCo2, totalCo2Market, intensitySum,
+ *   intensityCount and realtimeCount
+ * @returns {Object} Regional figures (calculations, totals, averages and real-time share)
+ */
+function sumRegionalStats(rows) {
+  const sum = field => rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+  const calculations = sum('count');
+  const intensityCount = sum('intensityCount');
+  return {
+    calculations,
+    totalTokens: sum('totalTokens'),
+    totalCo2: Math.round(sum('totalCo2') * 1000) / 1000,
+    totalCo2Market: Math.round(sum('totalCo2Market') * 1000) / 1000,
+    avgCo2PerCalculation: Math.round(sum('totalCo2') / calculations * 1000) / 1000,
+    avgCarbonIntensity: intensityCount > 0 ? Math.round(sum('intensitySum') / intensityCount * 1000) / 1000 : null,
+    realtimeShare: Math.round(sum('realtimeCount') / calculations * 100)
+  };
+}
+
 /**
  * Get regional comparison analytics
+ * Regions are grid zones, so calculations for "US-MIDA-PJM" and "US-CAL-CISO" are compared
+ * separately; `countries` rolls the zones up to their country. Aggregate regions without a
+ * country (global or European average, renewable) appear as zones only.
  * @param {number} userId - User ID
- * @returns {Promise<Object>} Regional comparison data
+ * @returns {Promise<Object>} { regions, countries, insights }
  */
 async function getRegionalComparison(userId) {
   try {
@@ -218,28 +251,62 @@ async function getRegionalComparison(userId) {
       where: { user_id: userId },
       attributes: [
         'region',
+        'grid_zone',
+        'grid_country',
         [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'count'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('tokens')), 'totalTokens'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'totalCo2'],
-        [Calculation.sequelize.fn('AVG', Calculation.sequelize.col('co2_kg')), 'avgCo2PerCalculation'],
-        [Calculation.sequelize.fn('AVG', Calculation.sequelize.literal('co2_kg / energy_kwh')), 'avgCarbonIntensity']
+        [Calculation.sequelize.fn('SUM', MARKET_CO2), 'totalCo2Market'],
+        // Sums rather than averages, so rows of the same zone or country can be combined
+        [Calculation.sequelize.fn('SUM', ROW_INTENSITY), 'intensitySum'],
+        [Calculation.sequelize.fn('COUNT', ROW_INTENSITY), 'intensityCount'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.literal("CASE WHEN carbon_intensity_quality = 'realtime' THEN 1 ELSE 0 END")), 'realtimeCount']
       ],
-      group: ['region'],
-      order: [[Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'DESC']]
+      group: ['region', 'grid_zone', 'grid_country'],
+      raw: true
     });
 
-    const regionalComparison = regionalStats.map(stat => {
-      const data = stat.dataValues;
+    const zoneRows = new Map();
+    for (const data of regionalStats) {
+      const { zone, countryCode } = regionResolver.getCalculationZone(data);
+      const entry = zoneRows.get(zone) || { countryCode, rows: [] };
+      entry.rows.push(data);
+      zoneRows.set(zone, entry);
+    }
+
+    const regionalComparison = [...zoneRows.entries()].map(([zone, { countryCode, rows }]) => {
+      const described = regionResolver.getZone(zone);
+      const country = countryCode ? regionResolver.getCountry(countryCode) : null;
       return {
-        region: data.region,
-        calculations: parseInt(data.count),
-        totalTokens: parseInt(data.totalTokens),
-        totalCo2: Math.round(parseFloat(data.totalCo2) * 1000) / 1000,
-        avgCo2PerCalculation: Math.round(parseFloat(data.avgCo2PerCalculation) * 1000) / 1000,
-        avgCarbonIntensity: Math.round(parseFloat(data.avgCarbonIntensity) * 1000) / 1000,
-        regionName: getRegionDisplayName(data.region)
+        region: zone,
+        regionName: described ? described.name : getRegionDisplayName(zone),
+        kind: described ? described.kind : 'region',
+        countryCode: country ? country.code : null,
+        countryName: country ? country.name : null,
+        ...sumRegionalStats(rows)
       };
-    });
+    }).sort((a, b) => b.totalCo2 - a.totalCo2);
+
+    const countryRows = new Map();
+    for (const [zone, { countryCode, rows }] of zoneRows.entries()) {
+      if (!countryCode) {
+        continue;
+      }
+      const entry = countryRows.get(countryCode) || { zones: [], rows: [] };
+      entry.zones.push(zone);
+      entry.rows.push(...rows);
+      countryRows.set(countryCode, entry);
+    }
+
+    const countries = [...countryRows.entries()].map(([countryCode, { zones, rows }]) => {
+      const country = regionResolver.getCountry(countryCode);
+      return {
+        countryCode,
+        countryName: country ? country.name : countryCode,
+        zones,
+        ...sumRegionalStats(rows)
+      };
+    }).sort((a, b) => b.totalCo2 - a.totalCo2);
 
     // Find highest and lowest carbon intensity regions
     const highestIntensity = regionalComparison.reduce((max, region) => 
@@ -249,6 +316,7 @@ async function getRegionalComparison(userId) {
 
     return {
       regions: regionalComparison,
+      countries,
       insights: {
         highestIntensity,
         lowestIntensity,
@@ -264,6 +332,62 @@ async function getRegionalComparison(userId) {
   }
 }
 
+/**
+ * Get emissions broken down by workload type (text, image, audio, embedding, fine-tuning)
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Per-workload totals and each type's share of operational CO2
+ */
+async function getWorkloadBreakdown(userId) {
+  try {
+    const workloadStats = await Calculation.findAll({
+      where: { user_id: userId },
+      attributes: [
+        'workload_type',
+        [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'count'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('tokens')), 'totalTokens'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'totalCo2'],
+        [Calculation.sequelize.fn('SUM', MARKET_CO2), 'totalCo2Market'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('embodied_co2_kg')), 'totalEmbodiedCo2'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('energy_kwh')), 'totalEnergy'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('water_liters')), 'totalWater']
+      ],
+      group: ['workload_type'],
+      order: [[Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'DESC']]
+    });
+
+    const totalCo2 = workloadStats.reduce((sum, stat) => sum + (parseFloat(stat.dataValues.totalCo2) || 0), 0);
+
+    const workloads = workloadStats.map(stat => {
+      const data = stat.dataValues;
+      const co2 = parseFloat(data.totalCo2) || 0;
+      return {
+        workloadType: data.workload_type || 'text',
+        calculations: parseInt(data.count),
+        totalTokens: parseInt(data.totalTokens) || 0,
+        totalCo2: Math.round(co2 * 1000) / 1000,
+        totalCo2Market: Math.round((parseFloat(data.totalCo2Market) || 0) * 1000) / 1000,
+        totalEmbodiedCo2: Math.round((parseFloat(data.totalEmbodiedCo2) || 0) * 1000) / 1000,
+        totalEnergy: Math.round((parseFloat(data.totalEnergy) || 0) * 1000) / 1000,
+        totalWater: Math.round((parseFloat(data.totalWater) || 0) * 1000) / 1000,
+        avgCo2PerCalculation: Math.round((co2 / parseInt(data.count)) * 1000) / 1000,
+        co2Share: totalCo2 > 0 ? Math.round((co2 / totalCo2) * 1000) / 10 : 0 // percent
+      };
+    });
+
+    return {
+      workloads,
+      insights: {
+        largestSource: workloads[0] || null,
+        totalWorkloadTypes: workloads.length
+      }
+    };
+
+  } catch (error) {
+    console.error('Error getting workload breakdown:', error);
+    throw new Error('Failed to retrieve workload breakdown data');
+  }
+}
+
 /**
  * Get predictive insights based on historical data
  * @param {number} userId - User ID
@@ -277,11 +401,11 @@ async function getPredictiveInsights(userId) {
     const recentCalculations = await Calculation.findAll({
       where: {
         user_id: userId,
-        created_at: {
+        occurred_at: {
           [Op.gte]: thirtyDaysAgo
         }
       },
-      order: [['created_at', 'ASC']]
+      order: [['occurred_at', 'ASC']]
     });
 
     if (recentCalculations.length < 7) {
@@ -297,7 +421,7 @@ async function getPredictiveInsights(userId) {
     // Simple linear trend analysis
     const dailyTotals = {};
     recentCalculations.forEach(calc => {
-      const day = new Date(calc.created_at).toISOString().split('T')[0];
+      const day = new Date(calc.occurred_at).toISOString().split('T')[0];
       if (!dailyTotals[day]) {
         dailyTotals[day] = { co2: 0, tokens: 0, count: 0 };
       }
@@ -363,21 +487,28 @@ async function getPredictiveInsights(userId) {
  * @param {number} userId - User ID
  * @param {string} format - Export format: 'csv' or 'json'
  * @param {string} timeRange - Time range for export
+ * @param {string|null} unitSystem - metric or imperial (null: metric)
  * @returns {Promise<Object>} Exported data
  */
-async function exportAnalyticsData(userId, format = 'json', timeRange = '30d') {
+async function exportAnalyticsData(userId, format = 'json', timeRange = '30d', unitSystem = null) {
   try {
-    const trends = await getHistoricalTrends(userId, timeRange);
-    const modelComparison = await getModelComparison(userId);
-    const regionalComparison = await getRegionalComparison(userId);
+    const trends = localizeTrends(await getHistoricalTrends(userId, timeRange), unitSystem);
+    const modelComparison = localizeModelComparison(await getModelComparison(userId), unitSystem);
+    const regionalComparison = localizeRegionalComparison(await getRegionalComparison(userId), unitSystem);
+    const workloadBreakdown = localizeWorkloadBreakdown(await getWorkloadBreakdown(userId), unitSystem);
+    const methodology = await getMethodologySummary({ userId });
 
     const exportData = {
       exportDate: new Date().toISOString(),
       timeRange,
+      units: getUnitLabels(unitSystem),
       summary: trends.summary,
       trends: trends.trends,
       modelComparison: modelComparison.models,
-      regionalComparison: regionalComparison.regions
+      regionalComparison: regionalComparison.regions,
+      countryComparison: regionalComparison.countries,
+      workloadBreakdown: workloadBreakdown.workloads,
+      methodology
     };
 
     if (format === 'csv') {
@@ -400,8 +531,149 @@ async function exportAnalyticsData(userId, format = 'json', timeRange = '30d') {
   }
 }
 
+/**
+ * Express historical trends in a unit system
+ * @param {Object} trends - Result of getHistoricalTrends
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Trends with CO2 and water converted
+ */
+function localizeTrends(trends, unitSystem) {
+  const localizeBuckets = buckets => buckets.map(bucket => convertFields(bucket, TREND_FIELDS, unitSystem));
+  return {
+    ...trends,
+    summary: {
+      ...convertFields(trends.summary, SUMMARY_FIELDS, unitSystem),
+      totalCo2Range: convertFields(trends.summary.totalCo2Range, { low: 'mass', high: 'mass' }, unitSystem)
+    },
+    trends: {
+      daily: localizeBuckets(trends.trends.daily),
+      weekly: localizeBuckets(trends.trends.weekly),
+      monthly: localizeBuckets(trends.trends.monthly)
+    }
+  };
+}
+
+/**
+ * Express model comparison in a unit system
+ * @param {Object} comparison - Result of getModelComparison
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Comparison with CO2 converted
+ */
+function localizeModelComparison(comparison, unitSystem) {
+  return {
+    models: comparison.models.map(model => convertFields(model, MODEL_FIELDS, unitSystem)),
+    insights: {
+      ...comparison.insights,
+      mostEfficient: convertFields(comparison.insights.mostEfficient, MODEL_FIELDS, unitSystem),
+      leastEfficient: convertFields(comparison.insights.leastEfficient, MODEL_FIELDS, unitSystem),
+      efficiencyRange: convert(comparison.insights.efficiencyRange, 'mass', unitSystem)
+    }
+  };
+}
+
+/**
+ * Express regional comparison in a unit system
+ * @param {Object} comparison - Result of getRegionalComparison
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Comparison with CO2 and carbon intensity converted
+ */
+function localizeRegionalComparison(comparison, unitSystem) {
+  return {
+    regions: comparison.regions.map(region => convertFields(region, REGION_FIELDS, unitSystem)),
+    countries: comparison.countries.map(country => convertFields(country, REGION_FIELDS, unitSystem)),
+    insights: {
+      ...comparison.insights,
+      highestIntensity: convertFields(comparison.insights.highestIntensity, REGION_FIELDS, unitSystem),
+      lowestIntensity: convertFields(comparison.insights.lowestIntensity, REGION_FIELDS, unitSystem),
+      intensityRange: convert(comparison.insights.intensityRange, 'mass', unitSystem)
+    }
+  };
+}
+
+/**
+ * Express the workload breakdown in a unit system
+ * @param {Object} breakdown - Result of getWorkloadBreakdown
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Breakdown with CO2 and water converted
+ */
+function localizeWorkloadBreakdown(breakdown, unitSystem) {
+  return {
+    workloads: breakdown.workloads.map(workload => convertFields(workload, WORKLOAD_FIELDS, unitSystem)),
+    insights: {
+      ...breakdown.insights,
+      largestSource: convertFields(breakdown.insights.largestSource, WORKLOAD_FIELDS, unitSystem)
+    }
+  };
+}
+
+/**
+ * Express predictive insights in a unit system
+ * @param {Object} insights - Result of getPredictiveInsights
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Insights with predicted CO2 converted
+ */
+function localizePredictions(insights, unitSystem) {
+  if (!insights.predictions) {
+    return insights;
+  }
+  return {
+    predictions: {
+      daily: insights.predictions.daily.map(day => convertFields(day, { predictedCo2: 'mass' }, unitSystem)),
+      weekly: convert(insights.predictions.weekly, 'mass', unitSystem),
+      monthly: convert(insights.predictions.monthly, 'mass', unitSystem)
+    },
+    insights: {
+      ...insights.insights,
+      trendStrength: convert(insights.insights.trendStrength, 'mass', unitSystem)
+    }
+  };
+}
+
 // Helper functions
 
+/**
+ * Add a calculation to a trend bucket
+ * Uncertainty bounds are summed, treating factor errors as fully correlated across
+ * calculations; rows saved before bands were stored count at their central value.
+ * @param {Object} buckets - Buckets keyed by period
+ * @param {string} periodField - Name of the period field (date, week or month)
+ * @param {string} key - Period key
+ * @param {Object} calc - Calculation instance
+ */
+function addToTrendBucket(buckets, periodField, key, calc) {
+  if (!buckets[key]) {
+    buckets[key] = {
+      [periodField]: key,
+      tokens: 0,
+      co2: 0,
+      co2Market: 0,
+      co2Low: 0,
+      co2High: 0,
+      embodiedCo2: 0,
+      energy: 0,
+      energyLow: 0,
+      energyHigh: 0,
+      water: 0,
+      cost: 0,
+      calculations: 0
+    };
+  }
+
+  const bucket = buckets[key];
+  bucket.tokens += calc.tokens;
+  bucket.co2 += parseFloat(calc.co2_kg);
+  bucket.co2Market += parseFloat(calc.co2_kg_market ?? calc.co2_kg);
+  bucket.co2Low += parseFloat(calc.co2_kg_low ?? calc.co2_kg);
+  bucket.co2High += parseFloat(calc.co2_kg_high ?? calc.co2_kg);
+  bucket.embodiedCo2 += parseFloat(calc.embodied_co2_kg || 0);
+  bucket.energy += parseFloat(calc.energy_kwh);
+  bucket.energyLow += parseFloat(calc.energy_kwh_low ?? calc.energy_kwh);
+  bucket.energyHigh += parseFloat(calc.energy_kwh_high ?? calc.energy_kwh);
+  bucket.water += parseFloat(calc.water_liters || 0);
+  bucket.cost = roundCost(bucket.cost + parseFloat(calc.cost || 0));
+  bucket.calculations += 1;
+}
+
 /**
  * Get week key for grouping
  * @param {Date} date - Date object
@@ -530,39 +802,70 @@ function calculateLinearTrend(values) {
  */
 function convertToCSV(data) {
   const csvRows = [];
+  const { mass, volume, intensity } = data.units;
   
   // Summary section
   csvRows.push('SUMMARY');
   csvRows.push('Metric,Value');
   csvRows.push(`Total Calculations,${data.summary.totalCalculations}`);
   csvRows.push(`Total Tokens,${data.summary.totalTokens}`);
-  csvRows.push(`Total CO2 (kg),${data.summary.totalCo2}`);
+  csvRows.push(`Total Operational CO2 Location-based (${mass}),${data.summary.totalCo2}`);
+  csvRows.push(`Total Operational CO2 Market-based (${mass}),${data.summary.totalCo2Market}`);
+  csvRows.push(`Total Embodied CO2 (${mass}),${data.summary.totalEmbodiedCo2}`);
   csvRows.push(`Total Energy (kWh),${data.summary.totalEnergy}`);
-  csvRows.push(`Average CO2 per Calculation,${data.summary.averageCo2PerCalculation}`);
+  csvRows.push(`Average CO2 per Calculation (${mass}),${data.summary.averageCo2PerCalculation}`);
+  csvRows.push(`Total Cost (${data.summary.currency}),${data.summary.totalCost}`);
+  csvRows.push(`Cost per ${mass} CO2 (${data.summary.currency}),${data.summary.costPerKgCo2 ?? ''}`);
   csvRows.push(`Trend Direction,${data.summary.trendDirection}`);
   csvRows.push('');
   
   // Daily trends
   csvRows.push('DAILY TRENDS');
-  csvRows.push('Date,Tokens,CO2 (kg),Energy (kWh),Calculations');
+  csvRows.push(`Date,Tokens,Operational CO2 Location-based (${mass}),Operational CO2 Market-based (${mass}),Embodied CO2 (${mass}),Energy (kWh),Cost (${data.summary.currency}),Calculations`);
   data.trends.daily.forEach(day => {
-    csvRows.push(`${day.date},${day.tokens},${day.co2},${day.energy},${day.calculations}`);
+    csvRows.push(`${day.date},${day.tokens},${day.co2},${day.co2Market},${day.embodiedCo2},${day.energy},${day.cost},${day.calculations}`);
   });
   csvRows.push('');
   
   // Model comparison
   csvRows.push('MODEL COMPARISON');
-  csvRows.push('Model,Calculations,Total Tokens,Total CO2 (kg),Avg CO2 per Calculation,Avg CO2 per Token,Efficiency');
+  csvRows.push(`Model,Calculations,Total Tokens,Total CO2 Location-based (${mass}),Total CO2 Market-based (${mass}),Avg CO2 per Calculation (${mass}),Avg CO2 per Token (${mass}),Efficiency,Total Cost (${data.summary.currency}),Cost per ${mass} CO2`);
   data.modelComparison.forEach(model => {
-    csvRows.push(`${model.model},${model.calculations},${model.totalTokens},${model.totalCo2},${model.avgCo2PerCalculation},${model.avgCo2PerToken},${model.efficiency}`);
+    csvRows.push(`${model.model},${model.calculations},${model.totalTokens},${model.totalCo2},${model.totalCo2Market},${model.avgCo2PerCalculation},${model.avgCo2PerToken},${model.efficiency},${model.totalCost ?? ''},${model.costPerKgCo2 ?? ''}`);
   });
   csvRows.push('');
   
   // Regional comparison
   csvRows.push('REGIONAL COMPARISON');
-  csvRows.push('Region,Calculations,Total Tokens,Total CO2 (kg),Avg CO2 per Calculation,Avg Carbon Intensity');
+  csvRows.push(`Zone,Country,Calculations,Total Tokens,Total CO2 Location-based (${mass}),Total CO2 Market-based (${mass}),Avg CO2 per Calculation (${mass}),Avg Carbon Intensity (${intensity}),Real-time Intensity (%)`);
   data.regionalComparison.forEach(region => {
-    csvRows.push(`${region.region},${region.calculations},${region.totalTokens},${region.totalCo2},${region.avgCo2PerCalculation},${region.avgCarbonIntensity}`);
+    csvRows.push(`${region.region},${region.countryCode ?? ''},${region.calculations},${region.totalTokens},${region.totalCo2},${region.totalCo2Market},${region.avgCo2PerCalculation},${region.avgCarbonIntensity ?? ''},${region.realtimeShare}`);
+  });
+  csvRows.push('');
+
+  // Zones rolled up to their country
+  csvRows.push('COUNTRY COMPARISON');
+  csvRows.push(`Country,Zones,Calculations,Total Tokens,Total CO2 Location-based (${mass}),Total CO2 Market-based (${mass}),Avg CO2 per Calculation (${mass}),Avg Carbon Intensity (${intensity}),Real-time Intensity (%)`);
+  data.countryComparison.forEach(country => {
+    csvRows.push(`${country.countryCode},${country.zones.join(' ')},${country.calculations},${country.totalTokens},${country.totalCo2},${country.totalCo2Market},${country.avgCo2PerCalculation},${country.avgCarbonIntensity ?? ''},${country.realtimeShare}`);
+  });
+  csvRows.push('');
+
+  // Workload breakdown
+  csvRows.push('WORKLOAD BREAKDOWN');
+  csvRows.push(`Workload Type,Calculations,Total Tokens,Operational CO2 Location-based (${mass}),Operational CO2 Market-based (${mass}),Embodied CO2 (${mass}),Energy (kWh),Water (${volume}),Share of CO2 (%)`);
+  data.workloadBreakdown.forEach(workload => {
+    csvRows.push(`${workload.workloadType},${workload.calculations},${workload.totalTokens},${workload.totalCo2},${workload.totalCo2Market},${workload.totalEmbodiedCo2},${workload.totalEnergy},${workload.totalWater},${workload.co2Share}`);
+  });
+  csvRows.push('');
+  
+  // Methodology versions behind the figures
+  csvRows.push('METHODOLOGY');
+  csvRows.push(`Current Version,${data.methodology.currentVersion}`);
+  csvRows.push(`Last Recalculation,${data.methodology.lastRecalculation ? data.methodology.lastRecalculation.completedAt.toISOString() : 'never'}`);
+  csvRows.push('Version,Calculations');
+  data.methodology.versions.forEach(version => {
+    csvRows.push(`${version.version},${version.calculations}`);
   });
   
   return csvRows.join('\n');
@@ -572,6 +875,12 @@ module.exports = {
   getHistoricalTrends,
   getModelComparison,
   getRegionalComparison,
+  getWorkloadBreakdown,
   getPredictiveInsights,
-  exportAnalyticsData
+  exportAnalyticsData,
+  localizeTrends,
+  localizeModelComparison,
+  localizeRegionalComparison,
+  localizeWorkloadBreakdown,
+  localizePredictions
 };
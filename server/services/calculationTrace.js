@@ -0,0 +1,219 @@
+/**
+ * Calculation Trace Service
+ *
+ * Turns the inputs and intermediate values of a calculation into an ordered list
+ * of steps an auditor can follow: the workload, the resolved model and its energy
+ * factor, the energy estimate, the grid zone, the carbon intensity and its source,
+ * the CO2 arithmetic and the equivalence factors. Used by the `trace` option of
+ * POST /api/calculations/calculate and by GET /api/calculations/:id/explain.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+/**
+ * Format a number for a formula line
+ * @param {number} value - Value
+ * @returns {string} Value with 4 significant digits
+ */
+function formatNumber(value) {
+  return String(Number(Number(value).toPrecision(4)));
+}
+
+/**
+ * Build the workload step
+ * @param {Object} workload - { type, tokens, tokenBreakdown, details }
+ * @returns {Object} Step
+ */
+function getWorkloadStep(workload) {
+  return {
+    step: 'workload',
+    label: 'Workload',
+    type: workload.type,
+    tokens: workload.tokens,
+    tokenBreakdown: workload.tokenBreakdown,
+    details: workload.details
+  };
+}
+
+/**
+ * Build the model resolution step
+ * @param {Object|null} model - { requested, modelKey, known, matchedBy, factor, note }
+ * @returns {Object} Step
+ */
+function getModelStep(model) {
+  if (!model) {
+    return {
+      step: 'model',
+      label: 'Model',
+      note: 'Hardware estimate: energy comes from GPU power draw, not a model factor'
+    };
+  }
+
+  return {
+    step: 'model',
+    label: 'Model',
+    requested: model.requested,
+    resolved: model.modelKey,
+    known: model.known,
+    matchedBy: model.matchedBy,
+    factor: model.factor ? {
+      id: model.factor.id,
+      version: model.factor.version,
+      coefficients: model.factor.coefficients,
+      unit: 'kWh/token',
+      uncertainty: model.factor.uncertainty,
+      citation: model.factor.source.citation,
+      url: model.factor.source.url,
+      validFrom: model.factor.validFrom
+    } : null,
+    note: model.note || null
+  };
+}
+
+/**
+ * Build the energy step
+ * @param {Object} energy - { method, engine, source, itEnergy, pue, pueSource, total, breakdown, range, hardware }
+ * @returns {Object} Step
+ */
+function getEnergyStep(energy) {
+  const formula = energy.pue
+    ? `${formatNumber(energy.itEnergy)} kWh IT energy × PUE ${energy.pue} = ${formatNumber(energy.total)} kWh`
+    : `${formatNumber(energy.total)} kWh`;
+
+  return {
+    step: 'energy',
+    label: 'Energy',
+    method: energy.method,
+    engine: energy.engine,
+    source: energy.source,
+    hardware: energy.hardware || null,
+    breakdown: energy.breakdown,
+    itEnergy: energy.itEnergy,
+    pue: energy.pue,
+    pueSource: energy.pueSource,
+    total: energy.total,
+    unit: 'kWh',
+    range: energy.range,
+    formula
+  };
+}
+
+/**
+ * Build the grid zone step
+ * @param {Object} zone - Zone metadata (see getZoneMetadata in calculations.js)
+ * @param {Object|null} cloudRegion - Cloud region block of the result
+ * @returns {Object} Step
+ */
+function getZoneStep(zone, cloudRegion) {
+  return {
+    step: 'zone',
+    label: 'Grid zone',
+    requested: zone.requested,
+    known: zone.known,
+    kind: zone.kind,
+    zone: zone.id,
+    name: zone.name,
+    countryCode: zone.countryCode,
+    factorSource: zone.factorSource,
+    cloudRegion: cloudRegion ? {
+      key: cloudRegion.key,
+      name: cloudRegion.name,
+      gridZone: cloudRegion.gridZone
+    } : null
+  };
+}
+
+/**
+ * Build the carbon intensity step
+ * @param {Object} intensity - { factor, source, timestamp, period, quality, renewablePercentage, fossilFuelPercentage,
+ *   dataset (fallback dataset version and year, if the factor came from it), recorded }
+ * @returns {Object} Step
+ */
+function getIntensityStep(intensity) {
+  return {
+    step: 'intensity',
+    label: 'Carbon intensity',
+    factor: intensity.factor,
+    unit: 'kg CO2/kWh',
+    source: intensity.source,
+    timestamp: intensity.timestamp,
+    period: intensity.period,
+    quality: intensity.quality || null,
+    renewablePercentage: intensity.renewablePercentage,
+    fossilFuelPercentage: intensity.fossilFuelPercentage,
+    dataset: intensity.dataset || null,
+    note: intensity.recorded? null : 'Source and timestamp were not recorded for this calculation; ' +
+      'the factor is derived from its stored CO2 and energy'
+  };
+}
+
+/**
+ * Build the CO2 step
+ * @param {Object} co2 - { energy, factor, total, marketBased, embodied, range }
+ * @returns {Object} Step
+ */
+function getCo2Step(co2) {
+  return {
+    step: 'co2',
+    label: 'CO2 emissions',
+    locationBased: co2.total,
+    marketBased: co2.marketBased,
+    embodied: co2.embodied,
+    unit: 'kg CO2e',
+    range: co2.range,
+    formula: `${formatNumber(co2.energy)} kWh × ${formatNumber(co2.factor)} kg CO2/kWh = ${formatNumber(co2.total)} kg CO2e`
+  };
+}
+
+/**
+ * Build the equivalences step
+ * @param {Object} equivalenceSet - Described equivalence set (see services/equivalences.js)
+ * @param {Object} values - Equivalences of the result
+ * @returns {Object} Step
+ */
+function getEquivalencesStep(equivalenceSet, values) {
+  const example = equivalenceSet.items[0];
+
+  return {
+    step: 'equivalences',
+    label: 'Equivalences',
+    set: equivalenceSet.id,
+    country: equivalenceSet.country,
+    units: equivalenceSet.units,
+    factors: equivalenceSet.items.map(item => ({
+      key: item.key,
+      label: item.label,
+      factor: item.factor,
+      factorUnit: item.factorUnit,
+      source: item.source,
+      url: item.url
+    })),
+    values,
+    formula: `CO2 (kg) ÷ factor, e.g. ${example.label.toLowerCase()} = CO2 ÷ ${formatNumber(example.factor)} ${example.factorUnit}`
+  };
+}
+
+/**
+ * Build the trace of a calculation
+ * @param {Object} parts - { methodologyVersion, workload, model, energy, zone, cloudRegion, intensity, co2, equivalenceSet, equivalences }
+ * @returns {Object} { methodologyVersion, steps }
+ */
+function buildTrace(parts) {
+  return {
+    methodologyVersion: parts.methodologyVersion,
+    steps: [
+      getWorkloadStep(parts.workload),
+      getModelStep(parts.model),
+      getEnergyStep(parts.energy),
+      getZoneStep(parts.zone, parts.cloudRegion),
+      getIntensityStep(parts.intensity),
+      getCo2Step(parts.co2),
+      getEquivalencesStep(parts.equivalenceSet, parts.equivalences)
+    ]
+  };
+}
+
+module.exports = {
+  buildTrace
+};
@@ -1,230 +1,133 @@
 /**
  * Carbon Intensity Service
  * 
- * Provides real-time carbon intensity data from various free APIs
- * Currently supports CO2Signal API for real-time electricity grid data
+ * Provides real-time carbon intensity data from the configured providers
+ * (see services/carbonProviders.js), with an annual fallback dataset (see services/intensityDatasets.js)
  * 
  * @author AI Environmental Impact Calculator Team
  * @version 3.0.0
  */
 
-const axios = require('axios');
-
-// CO2Signal API configuration
-const CO2SIGNAL_API_BASE = 'https://api.co2signal.com/v1';
-const CO2SIGNAL_API_KEY = process.env.CO2SIGNAL_API_KEY || null;
-
-// Fallback carbon intensity data (kg CO2/kWh)
-const FALLBACK_CARBON_INTENSITY = {
-  'global-average': 0.475,
-  'united-states': 0.386,
-  'europe': 0.276,
-  'china': 0.681,
-  'india': 0.708,
-  'canada': 0.130,
-  'france': 0.052,
-  'germany': 0.338,
-  'united-kingdom': 0.193,
-  'australia': 0.709,
-  'brazil': 0.089,
-  'japan': 0.465,
-  'south-korea': 0.415,
-  'russia': 0.331,
-  'south-africa': 0.928,
-  'mexico': 0.449,
-  'indonesia': 0.619,
-  'turkey': 0.429,
-  'iran': 0.486,
-  'saudi-arabia': 0.505,
-  'egypt': 0.456,
-  'thailand': 0.456,
-  'vietnam': 0.456,
-  'philippines': 0.456,
-  'malaysia': 0.456,
-  'singapore': 0.456,
-  'taiwan': 0.456,
-  'hong-kong': 0.456,
-  'israel': 0.456,
-  'uae': 0.456,
-  'qatar': 0.456,
-  'kuwait': 0.456,
-  'bahrain': 0.456,
-  'oman': 0.456,
-  'jordan': 0.456,
-  'lebanon': 0.456,
-  'syria': 0.456,
-  'iraq': 0.456,
-  'afghanistan': 0.456,
-  'pakistan': 0.456,
-  'bangladesh': 0.456,
-  'sri-lanka': 0.456,
-  'nepal': 0.456,
-  'bhutan': 0.456,
-  'myanmar': 0.456,
-  'cambodia': 0.456,
-  'laos': 0.456,
-  'mongolia': 0.456,
-  'north-korea': 0.456,
-  'kazakhstan': 0.456,
-  'uzbekistan': 0.456,
-  'turkmenistan': 0.456,
-  'tajikistan': 0.456,
-  'kyrgyzstan': 0.456,
-  'azerbaijan': 0.456,
-  'armenia': 0.456,
-  'georgia': 0.456,
-  'ukraine': 0.456,
-  'belarus': 0.456,
-  'moldova': 0.456,
-  'romania': 0.456,
-  'bulgaria': 0.456,
-  'serbia': 0.456,
-  'croatia': 0.456,
-  'slovenia': 0.456,
-  'slovakia': 0.456,
-  'czech-republic': 0.456,
-  'poland': 0.456,
-  'hungary': 0.456,
-  'austria': 0.456,
-  'switzerland': 0.456,
-  'liechtenstein': 0.456,
-  'luxembourg': 0.456,
-  'belgium': 0.456,
-  'netherlands': 0.456,
-  'denmark': 0.456,
-  'sweden': 0.456,
-  'norway': 0.456,
-  'finland': 0.456,
-  'iceland': 0.456,
-  'ireland': 0.456,
-  'portugal': 0.456,
-  'spain': 0.456,
-  'italy': 0.456,
-  'malta': 0.456,
-  'cyprus': 0.456,
-  'greece': 0.456,
-  'albania': 0.456,
-  'macedonia': 0.456,
-  'montenegro': 0.456,
-  'bosnia-herzegovina': 0.456,
-  'kosovo': 0.456,
-  'estonia': 0.456,
-  'latvia': 0.456,
-  'lithuania': 0.456,
-  'argentina': 0.456,
-  'chile': 0.456,
-  'colombia': 0.456,
-  'peru': 0.456,
-  'venezuela': 0.456,
-  'ecuador': 0.456,
-  'bolivia': 0.456,
-  'paraguay': 0.456,
-  'uruguay': 0.456,
-  'guyana': 0.456,
-  'suriname': 0.456,
-  'french-guiana': 0.456,
-  'new-zealand': 0.456,
-  'fiji': 0.456,
-  'papua-new-guinea': 0.456,
-  'solomon-islands': 0.456,
-  'vanuatu': 0.456,
-  'samoa': 0.456,
-  'tonga': 0.456,
-  'kiribati': 0.456,
-  'tuvalu': 0.456,
-  'nauru': 0.456,
-  'palau': 0.456,
-  'marshall-islands': 0.456,
-  'micronesia': 0.456,
-  'cook-islands': 0.456,
-  'niue': 0.456,
-  'tokelau': 0.456,
-  'pitcairn': 0.456,
-  'norfolk-island': 0.456,
-  'christmas-island': 0.456,
-  'cocos-islands': 0.456,
-  'heard-island': 0.456,
-  'mcdonald-islands': 0.456,
-  'british-indian-ocean-territory': 0.456,
-  'south-georgia': 0.456,
-  'south-sandwich-islands': 0.456,
-  'bouvet-island': 0.456,
-  'jan-mayen': 0.456,
-  'svalbard': 0.456,
-  'bear-island': 0.456,
-  'hopen': 0.456,
-  'edgeoya': 0.456,
-  'barentsoya': 0.456,
-  'kvitoya': 0.456,
-  'kong-karls-land': 0.456,
-  'prins-karls-forland': 0.456,
-  'nordaustlandet': 0.456,
-  'spitsbergen': 0.456,
-  'bjornoya': 0.456,
-  'hopen': 0.456,
-  'edgeoya': 0.456,
-  'barentsoya': 0.456,
-  'kvitoya': 0.456,
-  'kong-karls-land': 0.456,
-  'prins-karls-forland': 0.456,
-  'nordaustlandet': 0.456,
-  'spitsbergen': 0.456,
-  'bjornoya': 0.456
+const { Op, fn, col } = require('sequelize');
+const regionResolver = require('./regionResolver');
+const carbonProviders = require('./carbonProviders');
+const intensityDatasets = require('./intensityDatasets');
+const { CarbonIntensityReading } = require('../models');
+
+// A stored reading within this distance of the requested time counts as that hour's intensity
+const READING_MATCH_WINDOW = 60 * 60 * 1000; // 1 hour
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Longest time range per history granularity, so a request stays within a few thousand points
+const HISTORY_GRANULARITIES = {
+  raw: { maxRange: 7 * DAY },
+  hourly: { maxRange: 31 * DAY },
+  daily: { maxRange: 366 * DAY },
+  monthly: { maxRange: 5 * 366 * DAY }
 };
+const DEFAULT_HISTORY_RANGE = DAY;
+
+// Forecast horizon limit and the stored history behind the history-based forecast model
+const MAX_FORECAST_HOURS = 72;
+const FORECAST_HISTORY_WINDOW = 28 * DAY;
+
+// Stored readings behind location-based figures and history series; marginal
+// emissions rates (WattTime) are stored too but are not grid intensity
+const AVERAGE_SIGNAL = 'average';
 
 // Cache for carbon intensity data (5 minutes TTL)
 const carbonIntensityCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+/**
+ * Format a provider's answer like a carbon intensity result
+ * @param {string} zone - Zone key
+ * @param {Object} provider - Adapter that answered
+ * @param {Object} reading - Adapter reading
+ * @returns {Object} Carbon intensity data
+ */
+function formatProviderReading(zone, provider, reading) {
+  return {
+    countryCode: zone,
+    carbonIntensity: reading.carbonIntensity,
+    fossilFuelPercentage: reading.fossilFuelPercentage,
+    renewablePercentage: reading.renewablePercentage,
+    timestamp: reading.measuredAt ? new Date(reading.measuredAt).toISOString() : new Date().toISOString(),
+    source: provider.id,
+    // 'average' grid mix or 'marginal' emissions rate (WattTime)
+    signal: provider.signal,
+    region: mapCountryCodeToRegion(zone)
+  };
+}
+
+/**
+ * Store a provider's reading so it outlives the cache
+ * Readings are unique per zone, time and source, so a reading fetched twice is stored once.
+ * @param {string} zone - Zone key
+ * @param {Object} result - Carbon intensity data from formatProviderReading
+ * @returns {Promise<void>}
+ */
+async function storeReading(zone, result) {
+  try {
+    await CarbonIntensityReading.findOrCreate({
+      where: { zone, measured_at: new Date(result.timestamp), source: result.source },
+      defaults: {
+        carbon_intensity: result.carbonIntensity,
+        fossil_fuel_percentage: result.fossilFuelPercentage,
+        renewable_percentage: result.renewablePercentage,
+        signal: result.signal
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error storing carbon intensity reading for ${zone}:`, error.message);
+  }
+}
+
 /**
  * Get real-time carbon intensity for a specific country/region
- * @param {string} countryCode - ISO 3166-1 alpha-2 country code (e.g., 'US', 'DE', 'FR')
+ * Asks the average-intensity providers selected for the zone in priority order; the first
+ * answer wins and its adapter is reported as `source`. Without an answer the fallback data is used.
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code (e.g., 'US', 'DE', 'FR') or zone key
  * @returns {Promise<Object>} Carbon intensity data
  */
 async function getCarbonIntensity(countryCode) {
-  try {
-    // Check cache first
-    const cacheKey = `carbon_${countryCode}`;
-    const cached = carbonIntensityCache.get(cacheKey);
-    
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-      console.log(`📊 Using cached carbon intensity for ${countryCode}: ${cached.data.carbonIntensity} gCO2/kWh`);
-      return cached.data;
-    }
+  const zone = countryCode.toUpperCase();
 
-    // If no API key, use fallback data
-    if (!CO2SIGNAL_API_KEY) {
-      console.log(`⚠️ No CO2Signal API key found, using fallback data for ${countryCode}`);
-      const fallbackData = getFallbackCarbonIntensity(countryCode);
-      carbonIntensityCache.set(cacheKey, {
-        data: fallbackData,
-        timestamp: Date.now()
-      });
-      return fallbackData;
-    }
+  // Check cache first
+  const cacheKey = `carbon_${zone}`;
+  const cached = carbonIntensityCache.get(cacheKey);
+
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    console.log(`📊 Using cached carbon intensity for ${zone}: ${cached.data.carbonIntensity} gCO2/kWh`);
+    return cached.data;
+  }
 
-    // Fetch real-time data from CO2Signal API
-    const response = await axios.get(`${CO2SIGNAL_API_BASE}/latest`, {
-      params: {
-        countryCode: countryCode.toUpperCase()
-      },
-      headers: {
-        'auth-token': CO2SIGNAL_API_KEY
-      },
-      timeout: 10000 // 10 second timeout
+  // Marginal emissions rates are not grid intensity, so only average providers answer here
+  const providers = carbonProviders.getProvidersForZone(zone, { signal: AVERAGE_SIGNAL });
+
+  // If no provider is configured for the zone, use fallback data
+  if (providers.length === 0) {
+    console.log(`⚠️ No carbon intensity provider configured for ${zone}, using fallback data`);
+    const fallbackData = getFallbackCarbonIntensity(zone);
+    carbonIntensityCache.set(cacheKey, {
+      data: fallbackData,
+      timestamp: Date.now()
     });
+    return fallbackData;
+  }
 
-    if (response.data && response.data.data) {
-      const carbonData = response.data.data;
-      const result = {
-        countryCode: countryCode.toUpperCase(),
-        carbonIntensity: carbonData.carbonIntensity || getFallbackCarbonIntensity(countryCode).carbonIntensity,
-        fossilFuelPercentage: carbonData.fossilFuelPercentage || null,
-        renewablePercentage: carbonData.renewablePercentage || null,
-        timestamp: new Date().toISOString(),
-        source: 'co2signal',
-        region: mapCountryCodeToRegion(countryCode)
-      };
+  for (const provider of providers) {
+    try {
+      const reading = await provider.fetchLatest(zone);
+      if (!reading) {
+        console.log(`⚠️ ${provider.name} has no carbon intensity for ${zone}`);
+        continue;
+      }
+
+      const result = formatProviderReading(zone, provider, reading);
+      await storeReading(zone, result);
 
       // Cache the result
       carbonIntensityCache.set(cacheKey, {
@@ -232,238 +135,515 @@ async function getCarbonIntensity(countryCode) {
         timestamp: Date.now()
       });
 
-      console.log(`🌍 Real-time carbon intensity for ${countryCode}: ${result.carbonIntensity} gCO2/kWh`);
+      console.log(`🌍 Real-time carbon intensity for ${zone} from ${provider.name}: ${result.carbonIntensity} gCO2/kWh`);
       return result;
-    } else {
-      throw new Error('Invalid response from CO2Signal API');
+    } catch (error) {
+      console.error(`❌ Error fetching carbon intensity for ${zone} from ${provider.name}:`, error.message);
     }
-
-  } catch (error) {
-    console.error(`❌ Error fetching carbon intensity for ${countryCode}:`, error.message);
-    
-    // Return fallback data on error
-    const fallbackData = getFallbackCarbonIntensity(countryCode);
-    console.log(`🔄 Using fallback data for ${countryCode}: ${fallbackData.carbonIntensity} gCO2/kWh`);
-    return fallbackData;
   }
+
+  // Return fallback data when no provider answered
+  const fallbackData = getFallbackCarbonIntensity(zone);
+  console.log(`🔄 Using fallback data for ${zone}: ${fallbackData.carbonIntensity} gCO2/kWh`);
+  return fallbackData;
 }
 
 /**
  * Get fallback carbon intensity data
- * @param {string} countryCode - Country code
+ * Annual values come from the fallback dataset (see services/intensityDatasets.js): sub-national
+ * zones use their own value when the dataset has one, otherwise their country's, and zones without
+ * either the world average. `dataset` names the record used, with its year, source and license.
+ * @param {string} countryCode - Country code or zone key
+ * @param {Object} options - { year: the year the intensity is for (default: latest available) }
  * @returns {Object} Fallback carbon intensity data
  */
-function getFallbackCarbonIntensity(countryCode) {
-  const region = mapCountryCodeToRegion(countryCode);
-  const carbonIntensity = FALLBACK_CARBON_INTENSITY[region] || FALLBACK_CARBON_INTENSITY['global-average'];
-  
+function getFallbackCarbonIntensity(countryCode, { year = null } = {}) {
+  const fallback = intensityDatasets.getFallbackIntensity(countryCode, { year });
+
   return {
     countryCode: countryCode.toUpperCase(),
-    carbonIntensity: carbonIntensity,
+    carbonIntensity: Math.round(fallback.intensity * 1000), // Dataset is kg CO2/kWh, callers expect gCO2/kWh
     fossilFuelPercentage: null,
     renewablePercentage: null,
     timestamp: new Date().toISOString(),
     source: 'fallback',
-    region: region
+    region: mapCountryCodeToRegion(countryCode),
+    granularity: 'annual',
+    dataset: {
+      version: fallback.datasetVersion,
+      year: fallback.year,
+      zone: fallback.zone,
+      coverage: fallback.coverage,
+      mix: fallback.mix,
+      source: fallback.source
+    }
   };
 }
 
+/**
+ * Format a stored reading like a carbon intensity result
+ * @param {Object} reading - CarbonIntensityReading instance
+ * @returns {Object} Carbon intensity data
+ */
+function formatReading(reading) {
+  return {
+    countryCode: reading.zone,
+    carbonIntensity: reading.carbon_intensity,
+    fossilFuelPercentage: reading.fossil_fuel_percentage,
+    renewablePercentage: reading.renewable_percentage,
+    timestamp: new Date(reading.measured_at).toISOString(),
+    source: reading.source,
+    signal: reading.signal,
+    region: mapCountryCodeToRegion(reading.zone),
+    granularity: 'hourly'
+  };
+}
+
+/**
+ * Find the stored average reading closest to a point in time
+ * @param{string} zone - Zone key
+ * @param {Date} at - Point in time
+ * @returns {Promise<Object|null>} Closest reading within READING_MATCH_WINDOW
+ */
+async function findClosestReading(zone, at) {
+  const window = {
+    [Op.between]: [new Date(at.getTime() - READING_MATCH_WINDOW), new Date(at.getTime() + READING_MATCH_WINDOW)]
+  };
+  const readings = await CarbonIntensityReading.findAll({ where: { zone, signal: AVERAGE_SIGNAL, measured_at: window } });
+
+  return readings.reduce((closest, reading) => (
+    !closest || Math.abs(reading.measured_at - at) < Math.abs(closest.measured_at - at) ? reading : closest
+  ), null);
+}
+
+/**
+ * Fetch the intensity at a past time from the first provider with history for the zone and store it
+ * @param {string} zone - Zone key
+ * @param {Date} at - Point in time
+ * @returns {Promise<Object|null>} Carbon intensity data, or null when no provider answered
+ */
+async function fetchPastCarbonIntensity(zone, at) {
+  const providers = carbonProviders.getProvidersForZone(zone, { signal: AVERAGE_SIGNAL })
+    .filter(provider => provider.fetchPast);
+
+  for (const provider of providers) {
+    try {
+      const past = await provider.fetchPast(zone, at);
+      if (!past) {
+        continue;
+      }
+
+      const [reading] = await CarbonIntensityReading.findOrCreate({
+        where: { zone, measured_at: new Date(past.measuredAt || at), source: provider.id },
+        defaults: {
+          carbon_intensity: past.carbonIntensity,
+          fossil_fuel_percentage: past.fossilFuelPercentage,
+          renewable_percentage: past.renewablePercentage,
+          signal: provider.signal
+        }
+      });
+
+      console.log(`🕰️ Historical carbon intensity for ${zone} at ${reading.measured_at.toISOString()} from ${provider.name}: ${reading.carbon_intensity} gCO2/kWh`);
+      return formatReading(reading);
+    } catch (error) {
+      console.error(`❌ Error fetching historical carbon intensity for ${zone} from ${provider.name}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Average the stored average readings of the month or year containing a point in time
+ * @param {string} zone - Zone key
+ * @param {Date} at - Point in time
+ * @param {string} granularity - 'monthly' or 'annual'
+ * @returns {Promise<Object|null>} Carbon intensity data, or null when no readings are stored for the period
+ */
+async function getAverageCarbonIntensity(zone, at, granularity) {
+  const start = granularity === 'monthly'
+    ? new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1))
+    : new Date(Date.UTC(at.getUTCFullYear(), 0, 1));
+  const end = granularity === 'monthly'
+    ? new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1))
+    : new Date(Date.UTC(at.getUTCFullYear() + 1, 0, 1));
+
+  const [average] = await CarbonIntensityReading.findAll({
+    where: { zone, signal: AVERAGE_SIGNAL, measured_at: { [Op.gte]: start, [Op.lt]: end } },
+    attributes: [
+      [fn('AVG', col('carbon_intensity')), 'carbonIntensity'],
+      [fn('AVG', col('fossil_fuel_percentage')), 'fossilFuelPercentage'],
+      [fn('AVG', col('renewable_percentage')), 'renewablePercentage'],
+      [fn('COUNT', col('id')), 'readings']
+    ],
+    raw: true
+  });
+
+  if (!average || !parseInt(average.readings)) {
+    return null;
+  }
+
+  return {
+    countryCode: zone,
+    carbonIntensity: parseFloat(average.carbonIntensity),
+    fossilFuelPercentage: average.fossilFuelPercentage !== null ? parseFloat(average.fossilFuelPercentage) : null,
+    renewablePercentage: average.renewablePercentage !== null ? parseFloat(average.renewablePercentage) : null,
+    timestamp: start.toISOString(),
+    source: 'stored-average',
+    region: mapCountryCodeToRegion(zone),
+    granularity,
+    readings: parseInt(average.readings)
+  };
+}
+
+/**
+ * Get the carbon intensity of a zone at a past point in time
+ * Tries, in order: a stored reading for that hour, the providers' history endpoints,
+ * the average of stored readings for that month, then for that year, and finally the
+ * annual fallback data.
+ * @param {string} zone - ISO country code or zone key
+ * @param {Date|string} occurredAt - Point in time
+ * @returns {Promise<Object>} Carbon intensity data with `granularity` ('hourly', 'monthly' or 'annual')
+ */
+async function getHistoricalCarbonIntensity(zone, occurredAt) {
+  const key = zone.toUpperCase();
+  const at = new Date(occurredAt);
+
+  try {
+    const reading = await findClosestReading(key, at);
+    if (reading) {
+      return formatReading(reading);
+    }
+
+    const past = await fetchPastCarbonIntensity(key, at);
+    if (past) {
+      return past;
+    }
+  } catch (error) {
+    console.error(`❌ Error fetching historical carbon intensity for ${key}:`, error.message);
+  }
+
+  try {
+    for (const granularity of ['monthly', 'annual']) {
+      const average = await getAverageCarbonIntensity(key, at, granularity);
+      if (average) {
+        return average;
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error averaging stored carbon intensity for ${key}:`, error.message);
+  }
+
+  console.log(`🔄 No historical data for ${key} at ${at.toISOString()}, using fallback data`);
+  return getFallbackCarbonIntensity(key, { year: at.getUTCFullYear() });
+}
+
+/**
+ * Start of the history bucket a point in time falls in (UTC)
+ * @param {Date} date - Point in time
+ * @param {string} granularity - 'hourly', 'daily' or 'monthly'
+ * @returns {Date} Bucket start
+ */
+function getBucketStart(date, granularity) {
+  switch (granularity) {
+    case 'hourly':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()));
+    case 'daily':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    default:
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+}
+
+/**
+ * Average a list of values, ignoring missing ones
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Average rounded to 2 decimal places, or null without values
+ */
+function averageOf(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return null;
+  }
+  return Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 100) / 100;
+}
+
+/**
+ * Validate a history request
+ * Without `to` the range ends now; without `from` it covers the day before `to`.
+ * Without `granularity` the finest one allowed for the range is used.
+ * @param {Object} query - { from, to, granularity }
+ * @returns {Object} { from, to, granularity }
+ * @throws {Error} When a date or the granularity is invalid, or the range is too long for the granularity
+ */
+function normalizeHistoryQuery({ from, to, granularity } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_HISTORY_RANGE);
+  if (Number.isNaN(end.getTime()) || Number.isNaN(start.getTime())) {
+    throw new Error('from and to must be ISO 8601 dates');
+  }
+  if (start >= end) {
+    throw new Error('from must be before to');
+  }
+
+  const range = end - start;
+  const resolvedGranularity = granularity ||
+    ['hourly', 'daily', 'monthly'].find(key => range <= HISTORY_GRANULARITIES[key].maxRange);
+  const limits = HISTORY_GRANULARITIES[resolvedGranularity];
+  if (!limits) {
+    throw new Error(`granularity must be one of: ${Object.keys(HISTORY_GRANULARITIES).join(', ')}`);
+  }
+  if (range > limits.maxRange) {
+    throw new Error(`${resolvedGranularity} history covers at most ${Math.round(limits.maxRange / DAY)} days`);
+  }
+
+  return { from: start, to: end, granularity: resolvedGranularity };
+}
+
+/**
+ * Get the stored carbon intensity of a zone over a time range
+ * Only average readings are included. Raw history lists every reading;hourly, daily and monthly history averages the
+ * readings of each UTC period (with their minimum and maximum). Periods without
+ * readings are left out.
+ * @param {string} zone - ISO country code or zone key
+ * @param {Object} query - { from, to, granularity } (see normalizeHistoryQuery)
+ * @returns {Promise<Object>} { zone, region, from, to, granularity, points, summary, fallbackIntensity }
+ */
+async function getIntensityHistory(zone, query) {
+  const key = zone.toUpperCase();
+  const { from, to, granularity } = normalizeHistoryQuery(query);
+
+  const readings = await CarbonIntensityReading.findAll({
+    where: { zone: key, signal: AVERAGE_SIGNAL, measured_at: { [Op.gte]: from, [Op.lte]: to } },
+    order: [['measured_at', 'ASC']]
+  });
+
+  let points;
+  if (granularity === 'raw') {
+    points = readings.map(reading => ({
+      timestamp: new Date(reading.measured_at).toISOString(),
+      carbonIntensity: reading.carbon_intensity,
+      fossilFuelPercentage: reading.fossil_fuel_percentage,
+      renewablePercentage: reading.renewable_percentage,
+      source: reading.source
+    }));
+  } else {
+    const buckets = new Map();
+    for (const reading of readings) {
+      const bucket = getBucketStart(new Date(reading.measured_at), granularity).toISOString();
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(reading);
+    }
+
+    points = [...buckets.entries()].map(([timestamp, bucketReadings]) => {
+      const intensities = bucketReadings.map(reading => reading.carbon_intensity);
+      return {
+        timestamp,
+        carbonIntensity: averageOf(intensities),
+        min: Math.min(...intensities),
+        max: Math.max(...intensities),
+        fossilFuelPercentage: averageOf(bucketReadings.map(reading => reading.fossil_fuel_percentage)),
+        renewablePercentage: averageOf(bucketReadings.map(reading => reading.renewable_percentage)),
+        readings: bucketReadings.length,
+        sources: [...new Set(bucketReadings.map(reading => reading.source))]
+      };
+    });
+  }
+
+  const intensities = readings.map(reading => reading.carbon_intensity);
+
+  return {
+    zone: key,
+    region: mapCountryCodeToRegion(key),
+    from: from.toISOString(),
+    to: to.toISOString(),
+    granularity,
+    unit: 'gCO2/kWh',
+    points,
+    summary: {
+      readings: readings.length,
+      average: averageOf(intensities),
+      min: intensities.length > 0 ? Math.min(...intensities) : null,
+      max: intensities.length > 0 ? Math.max(...intensities) : null
+    },
+    // Annual fallback value for the zone's country, for reference
+    fallbackIntensity: getFallbackCarbonIntensity(key).carbonIntensity
+  };
+}
+
+/**
+ * Resample forecast points into hourly slots starting at an hour
+ * Each slot averages the points inside it; slots before the first point take its
+ * value and gaps take the previous slot's. Slots past the last point are left out,
+ * so a short provider forecast yields a short horizon.
+ * @param {Object[]} points - [{ timestamp, carbonIntensity }]
+ * @param {Date} start - First slot (start of an hour)
+ * @param {number} hours - Number of slots wanted
+ * @returns {Object[]} [{ timestamp, carbonIntensity }]
+ */
+function toHourlySlots(points, start, hours) {
+  const sums = new Map();
+  for (const point of points) {
+    const index = Math.floor((new Date(point.timestamp) - start) / HOUR);
+    if (index < 0 || index >= hours || typeof point.carbonIntensity !== 'number') {
+      continue;
+    }
+    const slot = sums.get(index) || { total: 0, count: 0 };
+    sums.set(index, { total: slot.total + point.carbonIntensity, count: slot.count + 1 });
+  }
+  if (sums.size === 0) {
+    return [];
+  }
+
+  const lastIndex = Math.max(...sums.keys());
+  const firstIndex = Math.min(...sums.keys());
+  const slots = [];
+  let previous = Math.round((sums.get(firstIndex).total / sums.get(firstIndex).count) * 100) / 100;
+  for (let index = 0; index <= lastIndex; index++) {
+    const slot = sums.get(index);
+    if (slot) {
+      previous = Math.round((slot.total / slot.count) * 100) / 100;
+    }
+    slots.push({ timestamp: new Date(start.getTime() + index * HOUR).toISOString(), carbonIntensity: previous });
+  }
+  return slots;
+}
+
+/**
+ * Forecast from stored history: each hour gets the average of past average readings on the same
+ * weekday and hour (UTC), or of the same hour on any day, or of all readings
+ * @param {string} zone - Zone key
+ * @param {Date} start - First slot (start of an hour)
+ * @param {number} hours - Number of slots
+ * @returns {Promise<Object|null>} { points, readings }, or null without stored readings
+ */
+async function forecastFromHistory(zone, start, hours) {
+  const readings = await CarbonIntensityReading.findAll({
+    where: { zone, signal: AVERAGE_SIGNAL, measured_at: { [Op.gte]: new Date(start.getTime() - FORECAST_HISTORY_WINDOW), [Op.lt]: start } },
+    attributes: ['measured_at', 'carbon_intensity'],
+    raw: true
+  });
+  if (readings.length === 0) {
+    return null;
+  }
+
+  const byWeekdayHour = new Map();
+  const byHour = new Map();
+  const add = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+  for (const reading of readings) {
+    const at = new Date(reading.measured_at);
+    add(byWeekdayHour, `${at.getUTCDay()}-${at.getUTCHours()}`, reading.carbon_intensity);
+    add(byHour, at.getUTCHours(), reading.carbon_intensity);
+  }
+  const overall = averageOf(readings.map(reading => reading.carbon_intensity));
+
+  const points = Array.from({ length: hours }, (_, index) => {
+    const at = new Date(start.getTime() + index * HOUR);
+    const sameWeekdayHour = byWeekdayHour.get(`${at.getUTCDay()}-${at.getUTCHours()}`);
+    const sameHour = byHour.get(at.getUTCHours());
+    return {
+      timestamp: at.toISOString(),
+      carbonIntensity: sameWeekdayHour ? averageOf(sameWeekdayHour) : sameHour ? averageOf(sameHour) : overall
+    };
+  });
+
+  return { points, readings: readings.length };
+}
+
+/**
+ * Forecast the carbon intensity of a zone hour by hour, starting with the current hour
+ * Uses the forecast endpoint of the first provider offering one for the zone; otherwise a
+ * model of stored history by weekday and hour of day; otherwise the flat fallback value.
+ * @param {string} zone - ISO country code or zone key
+ * @param {Object} options - { hours } (1-72, default 24)
+ * @returns {Promise<Object>} { zone, region, generatedAt, from, hours, method ('provider', 'history'
+ *   or 'fallback'), source, signal, unit, points: [{ timestamp, carbonIntensity }] }
+ * @throws {Error} When the number of hours is invalid
+ */
+async function getCarbonIntensityForecast(zone, { hours = 24 } = {}) {
+  const key = zone.toUpperCase();
+  const horizon = Number(hours);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_FORECAST_HOURS) {
+    throw new Error(`hours must be a whole number from 1 to ${MAX_FORECAST_HOURS}`);
+  }
+
+  const cacheKey = `forecast_${key}_${horizon}`;
+  const cached = carbonIntensityCache.get(cacheKey);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const start = getBucketStart(new Date(), 'hourly');
+  const base = {
+    zone: key,
+    region: mapCountryCodeToRegion(key),
+    generatedAt: new Date().toISOString(),
+    from: start.toISOString(),
+    unit: 'gCO2/kWh'
+  };
+  let forecast = null;
+
+  const providers = carbonProviders.getProvidersForZone(key).filter(provider => provider.fetchForecast);
+  for (const provider of providers) {
+    try {
+      const points = toHourlySlots(await provider.fetchForecast(key), start, horizon);
+      if (points.length > 0) {
+        forecast = { ...base, hours: points.length, method: 'provider', source: provider.id, signal: provider.signal, points };
+        console.log(`🔮 Carbon intensity forecast for ${key} from ${provider.name}: ${points.length} hours`);
+        break;
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching carbon intensity forecast for ${key} from ${provider.name}:`, error.message);
+    }
+  }
+
+  if (!forecast) {
+    const history = await forecastFromHistory(key, start, horizon);
+    if (history) {
+      forecast = {
+        ...base,
+        hours: horizon,
+        method: 'history',
+        source: 'stored-history',
+        signal: 'average',
+        readings: history.readings,
+        points: history.points
+      };
+    }
+  }
+
+  if (!forecast) {
+    const { carbonIntensity } = getFallbackCarbonIntensity(key);
+    forecast = {
+      ...base,
+      hours: horizon,
+      method: 'fallback',
+      source: 'fallback',
+      signal: 'average',
+      points: Array.from({ length: horizon }, (_, index) => ({
+        timestamp: new Date(start.getTime() + index * HOUR).toISOString(),
+        carbonIntensity
+      }))
+    };
+  }
+
+  carbonIntensityCache.set(cacheKey, {
+    data: forecast,
+    timestamp: Date.now()
+  });
+  return forecast;
+}
+
 /**
  * Map country code to region name
- * @param {string} countryCode - ISO country code
+ * @param {string} countryCode - ISO country code or sub-national zone key (mapped to its country)
  * @returns {string} Region name
  */
 function mapCountryCodeToRegion(countryCode) {
-  const countryToRegion = {
-    'US': 'united-states',
-    'CA': 'canada',
-    'MX': 'mexico',
-    'BR': 'brazil',
-    'AR': 'argentina',
-    'CL': 'chile',
-    'CO': 'colombia',
-    'PE': 'peru',
-    'VE': 'venezuela',
-    'EC': 'ecuador',
-    'BO': 'bolivia',
-    'PY': 'paraguay',
-    'UY': 'uruguay',
-    'GY': 'guyana',
-    'SR': 'suriname',
-    'GF': 'french-guiana',
-    'GB': 'united-kingdom',
-    'FR': 'france',
-    'DE': 'germany',
-    'IT': 'italy',
-    'ES': 'spain',
-    'PT': 'portugal',
-    'NL': 'netherlands',
-    'BE': 'belgium',
-    'CH': 'switzerland',
-    'AT': 'austria',
-    'SE': 'sweden',
-    'NO': 'norway',
-    'DK': 'denmark',
-    'FI': 'finland',
-    'IS': 'iceland',
-    'IE': 'ireland',
-    'PL': 'poland',
-    'CZ': 'czech-republic',
-    'SK': 'slovakia',
-    'HU': 'hungary',
-    'RO': 'romania',
-    'BG': 'bulgaria',
-    'HR': 'croatia',
-    'SI': 'slovenia',
-    'EE': 'estonia',
-    'LV': 'latvia',
-    'LT': 'lithuania',
-    'GR': 'greece',
-    'CY': 'cyprus',
-    'MT': 'malta',
-    'LU': 'luxembourg',
-    'LI': 'liechtenstein',
-    'MC': 'monaco',
-    'SM': 'san-marino',
-    'VA': 'vatican',
-    'AD': 'andorra',
-    'CN': 'china',
-    'IN': 'india',
-    'JP': 'japan',
-    'KR': 'south-korea',
-    'TH': 'thailand',
-    'VN': 'vietnam',
-    'PH': 'philippines',
-    'MY': 'malaysia',
-    'SG': 'singapore',
-    'ID': 'indonesia',
-    'TW': 'taiwan',
-    'HK': 'hong-kong',
-    'MO': 'macau',
-    'MN': 'mongolia',
-    'KZ': 'kazakhstan',
-    'UZ': 'uzbekistan',
-    'TM': 'turkmenistan',
-    'TJ': 'tajikistan',
-    'KG': 'kyrgyzstan',
-    'AF': 'afghanistan',
-    'PK': 'pakistan',
-    'BD': 'bangladesh',
-    'LK': 'sri-lanka',
-    'NP': 'nepal',
-    'BT': 'bhutan',
-    'MV': 'maldives',
-    'MM': 'myanmar',
-    'LA': 'laos',
-    'KH': 'cambodia',
-    'BN': 'brunei',
-    'TL': 'east-timor',
-    'AU': 'australia',
-    'NZ': 'new-zealand',
-    'FJ': 'fiji',
-    'PG': 'papua-new-guinea',
-    'SB': 'solomon-islands',
-    'VU': 'vanuatu',
-    'NC': 'new-caledonia',
-    'PF': 'french-polynesia',
-    'WS': 'samoa',
-    'TO': 'tonga',
-    'KI': 'kiribati',
-    'TV': 'tuvalu',
-    'NR': 'nauru',
-    'PW': 'palau',
-    'MH': 'marshall-islands',
-    'FM': 'micronesia',
-    'CK': 'cook-islands',
-    'NU': 'niue',
-    'TK': 'tokelau',
-    'WF': 'wallis-futuna',
-    'AS': 'american-samoa',
-    'GU': 'guam',
-    'MP': 'northern-mariana-islands',
-    'VI': 'us-virgin-islands',
-    'PR': 'puerto-rico',
-    'RU': 'russia',
-    'UA': 'ukraine',
-    'BY': 'belarus',
-    'MD': 'moldova',
-    'GE': 'georgia',
-    'AM': 'armenia',
-    'AZ': 'azerbaijan',
-    'TR': 'turkey',
-    'IR': 'iran',
-    'IQ': 'iraq',
-    'SY': 'syria',
-    'LB': 'lebanon',
-    'JO': 'jordan',
-    'IL': 'israel',
-    'PS': 'palestine',
-    'SA': 'saudi-arabia',
-    'AE': 'uae',
-    'QA': 'qatar',
-    'BH': 'bahrain',
-    'KW': 'kuwait',
-    'OM': 'oman',
-    'YE': 'yemen',
-    'EG': 'egypt',
-    'LY': 'libya',
-    'TN': 'tunisia',
-    'DZ': 'algeria',
-    'MA': 'morocco',
-    'SD': 'sudan',
-    'SS': 'south-sudan',
-    'ET': 'ethiopia',
-    'ER': 'eritrea',
-    'DJ': 'djibouti',
-    'SO': 'somalia',
-    'KE': 'kenya',
-    'UG': 'uganda',
-    'TZ': 'tanzania',
-    'RW': 'rwanda',
-    'BI': 'burundi',
-    'CD': 'congo-democratic',
-    'CG': 'congo',
-    'CF': 'central-african-republic',
-    'TD': 'chad',
-    'CM': 'cameroon',
-    'GQ': 'equatorial-guinea',
-    'GA': 'gabon',
-    'ST': 'sao-tome-principe',
-    'AO': 'angola',
-    'ZM': 'zambia',
-    'ZW': 'zimbabwe',
-    'BW': 'botswana',
-    'NA': 'namibia',
-    'ZA': 'south-africa',
-    'LS': 'lesotho',
-    'SZ': 'eswatini',
-    'MG': 'madagascar',
-    'MU': 'mauritius',
-    'SC': 'seychelles',
-    'KM': 'comoros',
-    'YT': 'mayotte',
-    'RE': 'reunion',
-    'MZ': 'mozambique',
-    'MW': 'malawi',
-    'GH': 'ghana',
-    'TG': 'togo',
-    'BJ': 'benin',
-    'NE': 'niger',
-    'BF': 'burkina-faso',
-    'ML': 'mali',
-    'SN': 'senegal',
-    'GM': 'gambia',
-    'GW': 'guinea-bissau',
-    'GN': 'guinea',
-    'SL': 'sierra-leone',
-    'LR': 'liberia',
-    'CI': 'ivory-coast',
-    'MR': 'mauritania',
-    'CV': 'cape-verde',
-    'EH': 'western-sahara'
-  };
-
-  return countryToRegion[countryCode.toUpperCase()] || 'global-average';
+  const country = regionResolver.getCountry(countryCode);
+  return country ? country.slug : 'global-average';
 }
 
 /**
@@ -478,197 +658,23 @@ async function getMultipleCarbonIntensities(countryCodes) {
 
 /**
  * Get available countries/regions for carbon intensity data
- * @returns {Object} Available regions with their codes
+ * @returns {Object} Available regions with their codes; sub-national zones are keyed by
+ *   zone and name their parent country
  */
 function getAvailableRegions() {
   return {
     'global-average': { name: 'Global Average', code: 'GLOBAL' },
-    'united-states': { name: 'United States', code: 'US' },
-    'canada': { name: 'Canada', code: 'CA' },
-    'mexico': { name: 'Mexico', code: 'MX' },
-    'brazil': { name: 'Brazil', code: 'BR' },
-    'argentina': { name: 'Argentina', code: 'AR' },
-    'chile': { name: 'Chile', code: 'CL' },
-    'colombia': { name: 'Colombia', code: 'CO' },
-    'peru': { name: 'Peru', code: 'PE' },
-    'venezuela': { name: 'Venezuela', code: 'VE' },
-    'ecuador': { name: 'Ecuador', code: 'EC' },
-    'bolivia': { name: 'Bolivia', code: 'BO' },
-    'paraguay': { name: 'Paraguay', code: 'PY' },
-    'uruguay': { name: 'Uruguay', code: 'UY' },
-    'guyana': { name: 'Guyana', code: 'GY' },
-    'suriname': { name: 'Suriname', code: 'SR' },
-    'french-guiana': { name: 'French Guiana', code: 'GF' },
-    'united-kingdom': { name: 'United Kingdom', code: 'GB' },
-    'france': { name: 'France', code: 'FR' },
-    'germany': { name: 'Germany', code: 'DE' },
-    'italy': { name: 'Italy', code: 'IT' },
-    'spain': { name: 'Spain', code: 'ES' },
-    'portugal': { name: 'Portugal', code: 'PT' },
-    'netherlands': { name: 'Netherlands', code: 'NL' },
-    'belgium': { name: 'Belgium', code: 'BE' },
-    'switzerland': { name: 'Switzerland', code: 'CH' },
-    'austria': { name: 'Austria', code: 'AT' },
-    'sweden': { name: 'Sweden', code: 'SE' },
-    'norway': { name: 'Norway', code: 'NO' },
-    'denmark': { name: 'Denmark', code: 'DK' },
-    'finland': { name: 'Finland', code: 'FI' },
-    'iceland': { name: 'Iceland', code: 'IS' },
-    'ireland': { name: 'Ireland', code: 'IE' },
-    'poland': { name: 'Poland', code: 'PL' },
-    'czech-republic': { name: 'Czech Republic', code: 'CZ' },
-    'slovakia': { name: 'Slovakia', code: 'SK' },
-    'hungary': { name: 'Hungary', code: 'HU' },
-    'romania': { name: 'Romania', code: 'RO' },
-    'bulgaria': { name: 'Bulgaria', code: 'BG' },
-    'croatia': { name: 'Croatia', code: 'HR' },
-    'slovenia': { name: 'Slovenia', code: 'SI' },
-    'estonia': { name: 'Estonia', code: 'EE' },
-    'latvia': { name: 'Latvia', code: 'LV' },
-    'lithuania': { name: 'Lithuania', code: 'LT' },
-    'greece': { name: 'Greece', code: 'GR' },
-    'cyprus': { name: 'Cyprus', code: 'CY' },
-    'malta': { name: 'Malta', code: 'MT' },
-    'luxembourg': { name: 'Luxembourg', code: 'LU' },
-    'liechtenstein': { name: 'Liechtenstein', code: 'LI' },
-    'monaco': { name: 'Monaco', code: 'MC' },
-    'san-marino': { name: 'San Marino', code: 'SM' },
-    'vatican': { name: 'Vatican City', code: 'VA' },
-    'andorra': { name: 'Andorra', code: 'AD' },
-    'china': { name: 'China', code: 'CN' },
-    'india': { name: 'India', code: 'IN' },
-    'japan': { name: 'Japan', code: 'JP' },
-    'south-korea': { name: 'South Korea', code: 'KR' },
-    'thailand': { name: 'Thailand', code: 'TH' },
-    'vietnam': { name: 'Vietnam', code: 'VN' },
-    'philippines': { name: 'Philippines', code: 'PH' },
-    'malaysia': { name: 'Malaysia', code: 'MY' },
-    'singapore': { name: 'Singapore', code: 'SG' },
-    'indonesia': { name: 'Indonesia', code: 'ID' },
-    'taiwan': { name: 'Taiwan', code: 'TW' },
-    'hong-kong': { name: 'Hong Kong', code: 'HK' },
-    'macau': { name: 'Macau', code: 'MO' },
-    'mongolia': { name: 'Mongolia', code: 'MN' },
-    'kazakhstan': { name: 'Kazakhstan', code: 'KZ' },
-    'uzbekistan': { name: 'Uzbekistan', code: 'UZ' },
-    'turkmenistan': { name: 'Turkmenistan', code: 'TM' },
-    'tajikistan': { name: 'Tajikistan', code: 'TJ' },
-    'kyrgyzstan': { name: 'Kyrgyzstan', code: 'KG' },
-    'afghanistan': { name: 'Afghanistan', code: 'AF' },
-    'pakistan': { name: 'Pakistan', code: 'PK' },
-    'bangladesh': { name: 'Bangladesh', code: 'BD' },
-    'sri-lanka': { name: 'Sri Lanka', code: 'LK' },
-    'nepal': { name: 'Nepal', code: 'NP' },
-    'bhutan': { name: 'Bhutan', code: 'BT' },
-    'maldives': { name: 'Maldives', code: 'MV' },
-    'myanmar': { name: 'Myanmar', code: 'MM' },
-    'laos': { name: 'Laos', code: 'LA' },
-    'cambodia': { name: 'Cambodia', code: 'KH' },
-    'brunei': { name: 'Brunei', code: 'BN' },
-    'east-timor': { name: 'East Timor', code: 'TL' },
-    'australia': { name: 'Australia', code: 'AU' },
-    'new-zealand': { name: 'New Zealand', code: 'NZ' },
-    'fiji': { name: 'Fiji', code: 'FJ' },
-    'papua-new-guinea': { name: 'Papua New Guinea', code: 'PG' },
-    'solomon-islands': { name: 'Solomon Islands', code: 'SB' },
-    'vanuatu': { name: 'Vanuatu', code: 'VU' },
-    'new-caledonia': { name: 'New Caledonia', code: 'NC' },
-    'french-polynesia': { name: 'French Polynesia', code: 'PF' },
-    'samoa': { name: 'Samoa', code: 'WS' },
-    'tonga': { name: 'Tonga', code: 'TO' },
-    'kiribati': { name: 'Kiribati', code: 'KI' },
-    'tuvalu': { name: 'Tuvalu', code: 'TV' },
-    'nauru': { name: 'Nauru', code: 'NR' },
-    'palau': { name: 'Palau', code: 'PW' },
-    'marshall-islands': { name: 'Marshall Islands', code: 'MH' },
-    'micronesia': { name: 'Micronesia', code: 'FM' },
-    'cook-islands': { name: 'Cook Islands', code: 'CK' },
-    'niue': { name: 'Niue', code: 'NU' },
-    'tokelau': { name: 'Tokelau', code: 'TK' },
-    'wallis-futuna': { name: 'Wallis and Futuna', code: 'WF' },
-    'american-samoa': { name: 'American Samoa', code: 'AS' },
-    'guam': { name: 'Guam', code: 'GU' },
-    'northern-mariana-islands': { name: 'Northern Mariana Islands', code: 'MP' },
-    'us-virgin-islands': { name: 'US Virgin Islands', code: 'VI' },
-    'puerto-rico': { name: 'Puerto Rico', code: 'PR' },
-    'russia': { name: 'Russia', code: 'RU' },
-    'ukraine': { name: 'Ukraine', code: 'UA' },
-    'belarus': { name: 'Belarus', code: 'BY' },
-    'moldova': { name: 'Moldova', code: 'MD' },
-    'georgia': { name: 'Georgia', code: 'GE' },
-    'armenia': { name: 'Armenia', code: 'AM' },
-    'azerbaijan': { name: 'Azerbaijan', code: 'AZ' },
-    'turkey': { name: 'Turkey', code: 'TR' },
-    'iran': { name: 'Iran', code: 'IR' },
-    'iraq': { name: 'Iraq', code: 'IQ' },
-    'syria': { name: 'Syria', code: 'SY' },
-    'lebanon': { name: 'Lebanon', code: 'LB' },
-    'jordan': { name: 'Jordan', code: 'JO' },
-    'israel': { name: 'Israel', code: 'IL' },
-    'palestine': { name: 'Palestine', code: 'PS' },
-    'saudi-arabia': { name: 'Saudi Arabia', code: 'SA' },
-    'uae': { name: 'United Arab Emirates', code: 'AE' },
-    'qatar': { name: 'Qatar', code: 'QA' },
-    'bahrain': { name: 'Bahrain', code: 'BH' },
-    'kuwait': { name: 'Kuwait', code: 'KW' },
-    'oman': { name: 'Oman', code: 'OM' },
-    'yemen': { name: 'Yemen', code: 'YE' },
-    'egypt': { name: 'Egypt', code: 'EG' },
-    'libya': { name: 'Libya', code: 'LY' },
-    'tunisia': { name: 'Tunisia', code: 'TN' },
-    'algeria': { name: 'Algeria', code: 'DZ' },
-    'morocco': { name: 'Morocco', code: 'MA' },
-    'sudan': { name: 'Sudan', code: 'SD' },
-    'south-sudan': { name: 'South Sudan', code: 'SS' },
-    'ethiopia': { name: 'Ethiopia', code: 'ET' },
-    'eritrea': { name: 'Eritrea', code: 'ER' },
-    'djibouti': { name: 'Djibouti', code: 'DJ' },
-    'somalia': { name: 'Somalia', code: 'SO' },
-    'kenya': { name: 'Kenya', code: 'KE' },
-    'uganda': { name: 'Uganda', code: 'UG' },
-    'tanzania': { name: 'Tanzania', code: 'TZ' },
-    'rwanda': { name: 'Rwanda', code: 'RW' },
-    'burundi': { name: 'Burundi', code: 'BI' },
-    'congo-democratic': { name: 'Democratic Republic of Congo', code: 'CD' },
-    'congo': { name: 'Congo', code: 'CG' },
-    'central-african-republic': { name: 'Central African Republic', code: 'CF' },
-    'chad': { name: 'Chad', code: 'TD' },
-    'cameroon': { name: 'Cameroon', code: 'CM' },
-    'equatorial-guinea': { name: 'Equatorial Guinea', code: 'GQ' },
-    'gabon': { name: 'Gabon', code: 'GA' },
-    'sao-tome-principe': { name: 'São Tomé and Príncipe', code: 'ST' },
-    'angola': { name: 'Angola', code: 'AO' },
-    'zambia': { name: 'Zambia', code: 'ZM' },
-    'zimbabwe': { name: 'Zimbabwe', code: 'ZW' },
-    'botswana': { name: 'Botswana', code: 'BW' },
-    'namibia': { name: 'Namibia', code: 'NA' },
-    'south-africa': { name: 'South Africa', code: 'ZA' },
-    'lesotho': { name: 'Lesotho', code: 'LS' },
-    'eswatini': { name: 'Eswatini', code: 'SZ' },
-    'madagascar': { name: 'Madagascar', code: 'MG' },
-    'mauritius': { name: 'Mauritius', code: 'MU' },
-    'seychelles': { name: 'Seychelles', code: 'SC' },
-    'comoros': { name: 'Comoros', code: 'KM' },
-    'mayotte': { name: 'Mayotte', code: 'YT' },
-    'reunion': { name: 'Réunion', code: 'RE' },
-    'mozambique': { name: 'Mozambique', code: 'MZ' },
-    'malawi': { name: 'Malawi', code: 'MW' },
-    'ghana': { name: 'Ghana', code: 'GH' },
-    'togo': { name: 'Togo', code: 'TG' },
-    'benin': { name: 'Benin', code: 'BJ' },
-    'niger': { name: 'Niger', code: 'NE' },
-    'burkina-faso': { name: 'Burkina Faso', code: 'BF' },
-    'mali': { name: 'Mali', code: 'ML' },
-    'senegal': { name: 'Senegal', code: 'SN' },
-    'gambia': { name: 'Gambia', code: 'GM' },
-    'guinea-bissau': { name: 'Guinea-Bissau', code: 'GW' },
-    'guinea': { name: 'Guinea', code: 'GN' },
-    'sierra-leone': { name: 'Sierra Leone', code: 'SL' },
-    'liberia': { name: 'Liberia', code: 'LR' },
-    'ivory-coast': { name: 'Ivory Coast', code: 'CI' },
-    'mauritania': { name: 'Mauritania', code: 'MR' },
-    'cape-verde': { name: 'Cape Verde', code: 'CV' },
-    'western-sahara': { name: 'Western Sahara', code: 'EH' }
+    ...Object.fromEntries(
+      Object.entries(regionResolver.COUNTRIES).map(([code, country]) => [country.slug, { name: country.name, code }])
+    ),
+    ...Object.fromEntries(
+      Object.entries(regionResolver.SUBNATIONAL_ZONES).map(([zone, { name, countryCode }]) => [zone, {
+        name,
+        code: zone,
+        countryCode,
+        parent: regionResolver.COUNTRIES[countryCode].slug
+      }])
+    )
   };
 }
 
@@ -711,6 +717,10 @@ module.exports = {
   getMultipleCarbonIntensities,
   getAvailableRegions,
   getFallbackCarbonIntensity,
+  getHistoricalCarbonIntensity,
+  getIntensityHistory,
+  normalizeHistoryQuery,
+  getCarbonIntensityForecast,
   clearCache,
   getCacheStats
 };
@@ -0,0 +1,422 @@
+/**
+ * Carbon Intensity Providers
+ *
+ * Adapters for the grid carbon intensity data providers. The carbon intensity
+ * service asks the adapters selected for a zone in priority order and uses the
+ * first answer; the static fallback dataset always answers last. An adapter has
+ * the shape:
+ * - id, name, signal: identification reported as a result's `source`, and whether it
+ *   reports the average or the marginal intensity of the grid
+ * - configured: whether its credentials are set
+ * - supportsZone(zone): whether it covers a grid zone
+ * - fetchLatest(zone): { carbonIntensity (gCO2/kWh), fossilFuelPercentage, renewablePercentage, measuredAt },
+ *   or null when it has no data for the zone
+ * - fetchPast(zone, at) (optional): the same for a past point in time
+ * - fetchForecast(zone) (optional): [{ timestamp, carbonIntensity }] for the coming hours
+ *
+ * Base URLs can be overridden (e.g. *_API_BASE environment variables) to run the
+ * adapters against a local stub.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const axios = require('axios');
+const regionResolver = require('./regionResolver');
+
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+
+// Adapters tried when no order is configured. WattTime reports marginal emissions, which
+// are not grid intensity: it is only asked for forecasts (time shifting), never for the
+// factor of a calculation or a stored reading. The
+// National Grid adapter needs no key, so it is opt-in (CARBON_PROVIDERS or
+// CARBON_PROVIDER_ZONES) to keep an unconfigured install from calling out.
+const DEFAULT_PROVIDER_ORDER = ['electricitymaps', 'co2signal', 'watttime'];
+
+const FALLBACK_PROVIDER = 'fallback';
+
+// WattTime balancing authority regions of the sub-national zones (see WattTime /v3/maps)
+const WATTTIME_REGIONS = {
+  'US-CAL-CISO': 'CAISO_NORTH',
+  'US-CAR-DUK': 'DUK',
+  'US-CAR-SC': 'SC',
+  'US-CENT-SWPP': 'SPP_KANSAS',
+  'US-FLA-FPL': 'FPL',
+  'US-MIDA-PJM': 'PJM_DC',
+  'US-MIDW-MISO': 'MISO_INDIANAPOLIS',
+  'US-NE-ISNE': 'ISONE_WCMA',
+  'US-NW-BPAT': 'BPA',
+  'US-NW-PACE': 'PACE',
+  'US-NY-NYIS': 'NYISO_NYC',
+  'US-SE-SOCO': 'SOCO',
+  'US-SW-AZPS': 'AZPS',
+  'US-TEN-TVA': 'TVA',
+  'US-TEX-ERCO': 'ERCOT_NORTHCENTRAL'
+};
+
+// WattTime reports lbs CO2 per MWh
+const GRAMS_PER_KWH_PER_LBS_PER_MWH = 0.453592;
+
+// WattTime login tokens expire after 30 minutes
+const WATTTIME_TOKEN_TTL = 25 * 60 * 1000;
+
+// WattTime forecasts reach up to 72 hours ahead
+const WATTTIME_FORECAST_HOURS = 72;
+
+/**
+ * CO2Signal (legacy Electricity Maps free tier), /v1/latest
+ * @param {Object} options - { baseUrl, apiKey }
+ * @returns {Object} Adapter
+ */
+function createCo2SignalAdapter({ baseUrl = 'https://api.co2signal.com/v1', apiKey = null } = {}) {
+  return {
+    id: 'co2signal',
+    name: 'CO2Signal',
+    signal: 'average',
+    configured: !!apiKey,
+    supportsZone: () => true,
+    async fetchLatest(zone) {
+      const response = await axios.get(`${baseUrl}/latest`, {
+        params: { countryCode: zone },
+        headers: { 'auth-token': apiKey },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      const data = response.data && response.data.data;
+      if (!data) {
+        throw new Error('Invalid response from CO2Signal API');
+      }
+      if (typeof data.carbonIntensity !== 'number') {
+        return null;
+      }
+
+      return {
+        carbonIntensity: data.carbonIntensity,
+        fossilFuelPercentage: data.fossilFuelPercentage ?? null,
+        renewablePercentage: data.renewablePercentage ?? null,
+        measuredAt: data.datetime || null
+      };
+    }
+  };
+}
+
+/**
+ * Electricity Maps v3, /carbon-intensity/latest and /carbon-intensity/past
+ * @param {Object} options - { baseUrl, apiKey }
+ * @returns {Object} Adapter
+ */
+function createElectricityMapsAdapter({ baseUrl = 'https://api.electricitymap.org/v3', apiKey = null } = {}) {
+  const request = async (path, params) => {
+    const response = await axios.get(`${baseUrl}${path}`, {
+      params,
+      headers: { 'auth-token': apiKey },
+      timeout: REQUEST_TIMEOUT
+    });
+
+    if (!response.data || typeof response.data.carbonIntensity !== 'number') {
+      throw new Error('Invalid response from Electricity Maps API');
+    }
+
+    return {
+      carbonIntensity: response.data.carbonIntensity,
+      fossilFuelPercentage: null,
+      renewablePercentage: null,
+      measuredAt: response.data.datetime || null
+    };
+  };
+
+  return {
+    id: 'electricitymaps',
+    name: 'Electricity Maps',
+    signal: 'average',
+    configured: !!apiKey,
+    supportsZone: () => true,
+    fetchLatest: zone => request('/carbon-intensity/latest', { zone }),
+    fetchPast: (zone, at) => request('/carbon-intensity/past', { zone, datetime: at.toISOString() }),
+    async fetchForecast(zone) {
+      const response = await axios.get(`${baseUrl}/carbon-intensity/forecast`, {
+        params: { zone },
+        headers: { 'auth-token': apiKey },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      if (!response.data || !Array.isArray(response.data.forecast)) {
+        throw new Error('Invalid forecast response from Electricity Maps API');
+      }
+
+      return response.data.forecast.map(point => ({
+        timestamp: point.datetime,
+        carbonIntensity: point.carbonIntensity
+      }));
+    }
+  };
+}
+
+/**
+ * WattTime v3 marginal operating emissions rate (co2_moer), current value of the forecast
+ * @param {Object} options - { baseUrl, username, password, regions }
+ * @returns {Object} Adapter
+ */
+function createWattTimeAdapter({
+  baseUrl = 'https://api.watttime.org',
+  username = null,
+  password = null,
+  regions = WATTTIME_REGIONS
+} = {}) {
+  let token = null;
+
+  const getToken = async () => {
+    if (token && Date.now() - token.obtainedAt < WATTTIME_TOKEN_TTL) {
+      return token.value;
+    }
+
+    const response = await axios.get(`${baseUrl}/login`, {
+      auth: { username, password },
+      timeout: REQUEST_TIMEOUT
+    });
+    if (!response.data || !response.data.token) {
+      throw new Error('Invalid login response from WattTime API');
+    }
+
+    token = { value: response.data.token, obtainedAt: Date.now() };
+    return token.value;
+  };
+
+  // Forecast points (every 5 minutes) from now up to the horizon
+  const getForecast = async (zone, horizonHours) => {
+    const response = await axios.get(`${baseUrl}/v3/forecast`, {
+      params: { region: regions[zone], signal_type: 'co2_moer', horizon_hours: horizonHours },
+      headers: { Authorization: `Bearer ${await getToken()}` },
+      timeout: REQUEST_TIMEOUT
+    });
+
+    const points = response.data && Array.isArray(response.data.data) ? response.data.data : [];
+    if (points.length === 0 || points.some(point => typeof point.value !== 'number')) {
+      throw new Error('Invalid response from WattTime API');
+    }
+
+    return points.map(point => ({
+      timestamp: point.point_time,
+      carbonIntensity: Math.round(point.value * GRAMS_PER_KWH_PER_LBS_PER_MWH * 100) / 100
+    }));
+  };
+
+  return {
+    id: 'watttime',
+    name: 'WattTime',
+    signal: 'marginal',
+    configured: !!(username && password),
+    supportsZone: zone => !!regions[zone],
+    async fetchLatest(zone) {
+      const [point] = await getForecast(zone, 0);
+      return {
+        carbonIntensity: point.carbonIntensity,
+        fossilFuelPercentage: null,
+        renewablePercentage: null,
+        measuredAt: point.timestamp || null
+      };
+    },
+    fetchForecast: zone => getForecast(zone, WATTTIME_FORECAST_HOURS)
+  };
+}
+
+/**
+ * National Grid ESO Carbon Intensity API (Great Britain, no key needed)
+ * @param {Object} options - { baseUrl }
+ * @returns {Object} Adapter
+ */
+function createUkGridAdapter({ baseUrl = 'https://api.carbonintensity.org.uk' } = {}) {
+  const getPeriods = async (path) => {
+    const response = await axios.get(`${baseUrl}${path}`, { timeout: REQUEST_TIMEOUT });
+    return response.data && Array.isArray(response.data.data) ? response.data.data : [];
+  };
+
+  const request = async (path) => {
+    const [period] = await getPeriods(path);
+    if (!period || !period.intensity) {
+      throw new Error('Invalid response from Carbon Intensity API');
+    }
+
+    // The latest half hour often only has a forecast yet
+    const carbonIntensity = period.intensity.actual ?? period.intensity.forecast;
+    if (typeof carbonIntensity !== 'number') {
+      return null;
+    }
+
+    return {
+      carbonIntensity,
+      fossilFuelPercentage: null,
+      renewablePercentage: null,
+      measuredAt: period.from ? new Date(period.from).toISOString() : null
+    };
+  };
+
+  return {
+    id: 'ukgrid',
+    name: 'National Grid ESO Carbon Intensity',
+    signal: 'average',
+    configured: true,
+    supportsZone: zone => zone === 'GB',
+    fetchLatest: () => request('/intensity'),
+    fetchPast: (zone, at) => request(`/intensity/${at.toISOString().slice(0, 16)}Z`),
+    async fetchForecast() {
+      const periods = await getPeriods(`/intensity/${new Date().toISOString().slice(0, 16)}Z/fw48h`);
+      if (periods.length === 0) {
+        throw new Error('Invalid forecast response from Carbon Intensity API');
+      }
+
+      return periods
+        .filter(period => period.intensity && typeof period.intensity.forecast === 'number')
+        .map(period => ({ timestamp: new Date(period.from).toISOString(), carbonIntensity: period.intensity.forecast }));
+    }
+  };
+}
+
+const ADAPTER_FACTORIES = {
+  co2signal: createCo2SignalAdapter,
+  electricitymaps: createElectricityMapsAdapter,
+  watttime: createWattTimeAdapter,
+  ukgrid: createUkGridAdapter
+};
+
+/**
+ * Create an adapter
+ * @param {string} id - Adapter ID
+ * @param {Object} options - Adapter options (base URL and credentials)
+ * @returns {Object} Adapter
+ * @throws {Error} When the adapter is unknown
+ */
+function createAdapter(id, options = {}) {
+  const factory = ADAPTER_FACTORIES[id];
+  if (!factory) {
+    throw new Error(`Unknown carbon intensity provider "${id}". Supported: ${Object.keys(ADAPTER_FACTORIES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Parse a comma-separated provider list
+ * @param {string} value - e.g. "electricitymaps,co2signal"
+ * @returns {string[]} Provider IDs
+ * @throws {Error} When a provider is unknown
+ */
+function parseProviderList(value) {
+  const ids = value.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  ids.forEach(id => createAdapter(id));
+  return ids;
+}
+
+/**
+ * Parse per-zone provider selection
+ * @param {string} value - e.g. "GB=ukgrid;US-CAL-CISO=watttime,electricitymaps"
+ * @returns {Object} Provider IDs keyed by zone (or country code, applying to its zones)
+ */
+function parseZoneProviders(value) {
+  return Object.fromEntries(
+    value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [zone, providers] = entry.split('=');
+      if (!zone || !providers) {
+        throw new Error(`Invalid zone provider entry "${entry}". Expected ZONE=provider[,provider]`);
+      }
+      return [zone.trim().toUpperCase(), parseProviderList(providers)];
+    })
+  );
+}
+
+/**
+ * Build the provider configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { adapters, order, zoneProviders }
+ */
+function loadConfig(env = process.env) {
+  const adapters = {
+    co2signal: createCo2SignalAdapter({
+      baseUrl: env.CO2SIGNAL_API_BASE || undefined,
+      apiKey: env.CO2SIGNAL_API_KEY || null
+    }),
+    electricitymaps: createElectricityMapsAdapter({
+      baseUrl: env.ELECTRICITYMAPS_API_BASE || undefined,
+      apiKey: env.ELECTRICITYMAPS_API_KEY || null
+    }),
+    watttime: createWattTimeAdapter({
+      baseUrl: env.WATTTIME_API_BASE || undefined,
+      username: env.WATTTIME_USERNAME || null,
+      password: env.WATTTIME_PASSWORD || null
+    }),
+    ukgrid: createUkGridAdapter({
+      baseUrl: env.UK_CARBON_INTENSITY_API_BASE || undefined
+    })
+  };
+
+  return {
+    adapters,
+    order: env.CARBON_PROVIDERS ? parseProviderList(env.CARBON_PROVIDERS) : DEFAULT_PROVIDER_ORDER,
+    zoneProviders: env.CARBON_PROVIDER_ZONES ? parseZoneProviders(env.CARBON_PROVIDER_ZONES) : {}
+  };
+}
+
+let config = loadConfig();
+
+/**
+ * Replace the provider configuration (e.g. to point the adapters at a local stub)
+ * @param {Object} overrides - { adapters, order, zoneProviders }; adapters are merged by ID
+ */
+function configure(overrides = {}) {
+  config = {
+    adapters: { ...config.adapters, ...overrides.adapters },
+    order: overrides.order || config.order,
+    zoneProviders: overrides.zoneProviders || config.zoneProviders
+  };
+}
+
+/**
+ * Get the adapters to ask for a zone, in priority order
+ * A zone's own selection wins over its country's, which wins over the global order.
+ * Adapters without credentials or coverage of the zone are skipped.
+ * @param {string} zone - ISO country code or zone key
+ * @param {Object} options - { signal }: only adapters reporting that signal ('average' or 'marginal')
+ * @returns {Object[]} Adapters
+ */
+function getProvidersForZone(zone, { signal = null } = {}) {
+  const key = zone.toUpperCase();
+  const country = regionResolver.getCountry(key);
+  const order = config.zoneProviders[key] ||
+    (country && config.zoneProviders[country.code]) ||
+    config.order;
+
+  return order
+    .map(id => config.adapters[id])
+    .filter(adapter => adapter && adapter.configured && adapter.supportsZone(key))
+    .filter(adapter => !signal || adapter.signal === signal);
+}
+
+/**
+ * List the adapters and the configured selection
+ * @returns {Object} { order, zoneProviders, providers: [{ id, name, signal, configured, priority, historical, forecast }] }
+ */
+function listProviders() {
+  return {
+    order: [...config.order, FALLBACK_PROVIDER],
+    zoneProviders: config.zoneProviders,
+    providers: Object.values(config.adapters).map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      signal: adapter.signal,
+      configured: adapter.configured,
+      priority: config.order.includes(adapter.id) ? config.order.indexOf(adapter.id) + 1 : null,
+      historical: typeof adapter.fetchPast === 'function',
+      forecast: typeof adapter.fetchForecast === 'function'
+    }))
+  };
+}
+
+module.exports = {
+  createAdapter,
+  loadConfig,
+  configure,
+  getProvidersForZone,
+  listProviders,
+  DEFAULT_PROVIDER_ORDER,
+  FALLBACK_PROVIDER,
+  WATTTIME_REGIONS
+};
@@ -0,0 +1,145 @@
+/**
+ * Carbon Intensity Sampler
+ *
+ * Periodically fetches the live carbon intensity of the grid zones our users
+ * actually use, so their history is recorded even between calculations. A zone
+ * is in use when it is the region of a recent calculation or a user's default
+ * region. Readings are stored by the carbon intensity service; zones without a
+ * configured provider are skipped since they would only yield fallback data.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { Op } = require('sequelize');
+const { Calculation, UserPreference } = require('../models');
+const carbonIntensityService = require('./carbonIntensity');
+const carbonProviders = require('./carbonProviders');
+const regionResolver = require('./regionResolver');
+
+// Minutes between samples; 0 disables the sampler
+const SAMPLE_INTERVAL_MINUTES = parseInt(process.env.CARBON_SAMPLER_INTERVAL_MINUTES || '60');
+
+// Calculations within this window count as a zone being in use
+const ACTIVE_ZONE_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Delay before the first sample, so startup is not slowed down
+const FIRST_SAMPLE_DELAY = 30 * 1000;
+
+let samplerTimer = null;
+
+/**
+ * Resolve a stored region to its live grid zone
+ * @param {string} region - Region, country, zone or cloud region identifier
+ * @returns {string|null} Live zone key, or null for aggregates and unknown regions
+ */
+function getLiveZone(region) {
+  try {
+    const resolved = regionResolver.resolveRegion(region);
+    return resolved.known ? resolved.liveZone : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the grid zones in use
+ * @returns {Promise<string[]>} Distinct live zone keys
+ */
+async function getActiveZones() {
+  const [calculations, preferences] = await Promise.all([
+    Calculation.findAll({
+      attributes: ['region', 'cloud_region'],
+      where: { occurred_at: { [Op.gte]: new Date(Date.now() - ACTIVE_ZONE_WINDOW) } },
+      group: ['region', 'cloud_region'],
+      raw: true
+    }),
+    UserPreference.findAll({
+      attributes: ['default_region'],
+      group: ['default_region'],
+      raw: true
+    })
+  ]);
+
+  const regions = [
+    ...calculations.map(calc => calc.cloud_region || calc.region),
+    ...preferences.map(preference => preference.default_region)
+  ].filter(Boolean);
+
+  return [...new Set(regions.map(getLiveZone).filter(Boolean))];
+}
+
+/**
+ * Sample the live carbon intensity of every zone in use
+ * @returns {Promise<Object>} { zones, sampled, skipped, failed }
+ */
+async function sampleActiveZones() {
+  const zones = await getActiveZones();
+  const summary = { zones: zones.length, sampled: [], skipped: [], failed: [] };
+
+  for (const zone of zones) {
+    if (carbonProviders.getProvidersForZone(zone).length === 0) {
+      summary.skipped.push(zone);
+      continue;
+    }
+
+    const data = await carbonIntensityService.getCarbonIntensity(zone);
+    if (data.source === carbonProviders.FALLBACK_PROVIDER) {
+      summary.failed.push(zone);
+    } else {
+      summary.sampled.push(zone);
+    }
+  }
+
+  console.log(`🛰️ Sampled carbon intensity for ${summary.sampled.length}/${zones.length} zones` +
+    (summary.failed.length > 0 ? `, no answer for ${summary.failed.join(', ')}` : ''));
+  return summary;
+}
+
+/**
+ * Run one sample, logging rather than throwing on failure
+ * @returns {Promise<void>}
+ */
+async function runSample() {
+  try {
+    await sampleActiveZones();
+  } catch (error) {
+    console.error('❌ Carbon intensity sampling failed:', error.message);
+  }
+}
+
+/**
+ * Start sampling in the background
+ * Does nothing in tests or when CARBON_SAMPLER_INTERVAL_MINUTES is 0.
+ * @returns {boolean} Whether the sampler was started
+ */
+function startSampler() {
+  if (samplerTimer || process.env.NODE_ENV === 'test' || !(SAMPLE_INTERVAL_MINUTES > 0)) {
+    return false;
+  }
+
+  // unref: the sampler alone should not keep the process alive
+  setTimeout(runSample, FIRST_SAMPLE_DELAY).unref();
+  samplerTimer = setInterval(runSample, SAMPLE_INTERVAL_MINUTES * 60 * 1000);
+  samplerTimer.unref();
+
+  console.log(`🛰️ Carbon intensity sampler running every ${SAMPLE_INTERVAL_MINUTES} minutes`);
+  return true;
+}
+
+/**
+ * Stop background sampling
+ */
+function stopSampler() {
+  if (samplerTimer) {
+    clearInterval(samplerTimer);
+    samplerTimer = null;
+  }
+}
+
+module.exports = {
+  getActiveZones,
+  sampleActiveZones,
+  startSampler,
+  stopSampler
+};
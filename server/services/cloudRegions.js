@@ -0,0 +1,146 @@
+/**
+ * Cloud Regions Service
+ *
+ * Catalog of AWS, Google Cloud and Azure regions with the electricity grid
+ * each one draws from and the provider's fleet PUE. A cloud region resolves to:
+ * - countryCode: ISO 3166-1 alpha-2 code used to look up carbon intensity
+ * - gridZone: Electricity Maps zone of the local grid operator
+ * - region: closest static calculator region, used for water and instrument matching
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const CLOUD_PROVIDERS = {
+  aws: {
+    name: 'Amazon Web Services',
+    pue: 1.15,
+    pueSource: 'Amazon 2023 Sustainability Report (AWS global PUE)',
+    regions: {
+      'us-east-1': { name: 'US East (N. Virginia)', countryCode: 'US', gridZone: 'US-MIDA-PJM', region: 'usa-average' },
+      'us-east-2': { name: 'US East (Ohio)', countryCode: 'US', gridZone: 'US-MIDA-PJM', region: 'usa-average' },
+      'us-west-1': { name: 'US West (N. California)', countryCode: 'US', gridZone: 'US-CAL-CISO', region: 'usa-average' },
+      'us-west-2': { name: 'US West (Oregon)', countryCode: 'US', gridZone: 'US-NW-BPAT', region: 'usa-average' },
+      'ca-central-1': { name: 'Canada (Central)', countryCode: 'CA', gridZone: 'CA-QC', region: 'quebec-canada' },
+      'sa-east-1': { name: 'South America (São Paulo)', countryCode: 'BR', gridZone: 'BR-CS', region: 'global-average' },
+      'eu-west-1': { name: 'Europe (Ireland)', countryCode: 'IE', gridZone: 'IE', region: 'europe-average' },
+      'eu-west-2': { name: 'Europe (London)', countryCode: 'GB', gridZone: 'GB', region: 'europe-average' },
+      'eu-west-3': { name: 'Europe (Paris)', countryCode: 'FR', gridZone: 'FR', region: 'europe-average' },
+      'eu-central-1': { name: 'Europe (Frankfurt)', countryCode: 'DE', gridZone: 'DE', region: 'europe-average' },
+      'eu-north-1': { name: 'Europe (Stockholm)', countryCode: 'SE', gridZone: 'SE-SE3', region: 'europe-average' },
+      'ap-south-1': { name: 'Asia Pacific (Mumbai)', countryCode: 'IN', gridZone: 'IN-WE', region: 'global-average' },
+      'ap-southeast-1': { name: 'Asia Pacific (Singapore)', countryCode: 'SG', gridZone: 'SG', region: 'global-average' },
+      'ap-southeast-2': { name: 'Asia Pacific (Sydney)', countryCode: 'AU', gridZone: 'AU-NSW', region: 'global-average' },
+      'ap-northeast-1': { name: 'Asia Pacific (Tokyo)', countryCode: 'JP', gridZone: 'JP-TK', region: 'global-average' }
+    }
+  },
+  gcp: {
+    name: 'Google Cloud',
+    pue: 1.10,
+    pueSource: 'Google 2024 Environmental Report (fleet-wide trailing twelve-month PUE)',
+    regions: {
+      'us-central1': { name: 'Iowa', countryCode: 'US', gridZone: 'US-MIDW-MISO', region: 'iowa-usa' },
+      'us-east1': { name: 'South Carolina', countryCode: 'US', gridZone: 'US-CAR-SC', region: 'usa-average' },
+      'us-east4': { name: 'Northern Virginia', countryCode: 'US', gridZone: 'US-MIDA-PJM', region: 'usa-average' },
+      'us-west1': { name: 'Oregon', countryCode: 'US', gridZone: 'US-NW-BPAT', region: 'usa-average' },
+      'northamerica-northeast1': { name: 'Montréal', countryCode: 'CA', gridZone: 'CA-QC', region: 'quebec-canada' },
+      'southamerica-east1': { name: 'São Paulo', countryCode: 'BR', gridZone: 'BR-CS', region: 'global-average' },
+      'europe-west1': { name: 'Belgium', countryCode: 'BE', gridZone: 'BE', region: 'europe-average' },
+      'europe-west2': { name: 'London', countryCode: 'GB', gridZone: 'GB', region: 'europe-average' },
+      'europe-west3': { name: 'Frankfurt', countryCode: 'DE', gridZone: 'DE', region: 'europe-average' },
+      'europe-west4': { name: 'Netherlands', countryCode: 'NL', gridZone: 'NL', region: 'europe-average' },
+      'europe-north1': { name: 'Finland', countryCode: 'FI', gridZone: 'FI', region: 'europe-average' },
+      'asia-south1': { name: 'Mumbai', countryCode: 'IN', gridZone: 'IN-WE', region: 'global-average' },
+      'asia-southeast1': { name: 'Singapore', countryCode: 'SG', gridZone: 'SG', region: 'global-average' },
+      'asia-northeast1': { name: 'Tokyo', countryCode: 'JP', gridZone: 'JP-TK', region: 'global-average' },
+      'australia-southeast1': { name: 'Sydney', countryCode: 'AU', gridZone: 'AU-NSW', region: 'global-average' }
+    }
+  },
+  azure: {
+    name: 'Microsoft Azure',
+    pue: 1.18,
+    pueSource: 'Microsoft 2024 Environmental Sustainability Report (design PUE of current-generation data centers)',
+    regions: {
+      eastus: { name: 'East US (Virginia)', countryCode: 'US', gridZone: 'US-MIDA-PJM', region: 'usa-average' },
+      eastus2: { name: 'East US 2 (Virginia)', countryCode: 'US', gridZone: 'US-MIDA-PJM', region: 'usa-average' },
+      centralus: { name: 'Central US (Iowa)', countryCode: 'US', gridZone: 'US-MIDW-MISO', region: 'iowa-usa' },
+      westus2: { name: 'West US 2 (Washington)', countryCode: 'US', gridZone: 'US-NW-BPAT', region: 'usa-average' },
+      southcentralus: { name: 'South Central US (Texas)', countryCode: 'US', gridZone: 'US-TEX-ERCO', region: 'usa-average' },
+      canadacentral: { name: 'Canada Central (Toronto)', countryCode: 'CA', gridZone: 'CA-ON', region: 'canada-average' },
+      canadaeast: { name: 'Canada East (Québec City)', countryCode: 'CA', gridZone: 'CA-QC', region: 'quebec-canada' },
+      brazilsouth: { name: 'Brazil South (São Paulo)', countryCode: 'BR', gridZone: 'BR-CS', region: 'global-average' },
+      northeurope: { name: 'North Europe (Ireland)', countryCode: 'IE', gridZone: 'IE', region: 'europe-average' },
+      westeurope: { name: 'West Europe (Netherlands)', countryCode: 'NL', gridZone: 'NL', region: 'europe-average' },
+      uksouth: { name: 'UK South (London)', countryCode: 'GB', gridZone: 'GB', region: 'europe-average' },
+      francecentral: { name: 'France Central (Paris)', countryCode: 'FR', gridZone: 'FR', region: 'europe-average' },
+      swedencentral: { name: 'Sweden Central (Gävle)', countryCode: 'SE', gridZone: 'SE-SE3', region: 'europe-average' },
+      centralindia: { name: 'Central India (Pune)', countryCode: 'IN', gridZone: 'IN-WE', region: 'global-average' },
+      southeastasia: { name: 'Southeast Asia (Singapore)', countryCode: 'SG', gridZone: 'SG', region: 'global-average' },
+      japaneast: { name: 'Japan East (Tokyo)', countryCode: 'JP', gridZone: 'JP-TK', region: 'global-average' },
+      australiaeast: { name: 'Australia East (New South Wales)', countryCode: 'AU', gridZone: 'AU-NSW', region: 'global-average' }
+    }
+  }
+};
+
+/**
+ * Resolve a cloud region to its grid and PUE
+ * @param {string|Object} cloudRegion - "provider:regionId" (e.g. "aws:eu-west-1") or { provider, region }
+ * @returns {Object} { key, provider, providerName, regionId, name, countryCode, gridZone, region, pue, pueSource }
+ * @throws {Error} When the provider or region is not in the catalog
+ */
+function resolveCloudRegion(cloudRegion) {
+  let provider;
+  let regionId;
+
+  if (typeof cloudRegion === 'string') {
+    [provider, regionId] = cloudRegion.split(':');
+  } else if (cloudRegion && typeof cloudRegion === 'object') {
+    ({ provider, region: regionId } = cloudRegion);
+  }
+
+  provider = typeof provider === 'string' ? provider.trim().toLowerCase() : provider;
+  regionId = typeof regionId === 'string' ? regionId.trim().toLowerCase() : regionId;
+
+  const catalog = CLOUD_PROVIDERS[provider];
+  if (!catalog) {
+    throw new Error(`cloudRegion must be "provider:regionId" with provider one of: ${Object.keys(CLOUD_PROVIDERS).join(', ')}`);
+  }
+
+  const entry = catalog.regions[regionId];
+  if (!entry) {
+    throw new Error(`Unknown ${provider} region "${regionId}". Use one of: ${Object.keys(catalog.regions).join(', ')}`);
+  }
+
+  return {
+    key: `${provider}:${regionId}`,
+    provider,
+    providerName: catalog.name,
+    regionId,
+    ...entry,
+    pue: catalog.pue,
+    pueSource: catalog.pueSource
+  };
+}
+
+/**
+ * Get the cloud region catalog grouped by provider
+ * @returns {Object} Providers keyed by ID, each with name, PUE and regions keyed by "provider:regionId"
+ */
+function getCloudRegionCatalog() {
+  return Object.fromEntries(
+    Object.entries(CLOUD_PROVIDERS).map(([provider, catalog]) => [provider, {
+      name: catalog.name,
+      pue: catalog.pue,
+      pueSource: catalog.pueSource,
+      regions: Object.fromEntries(
+        Object.entries(catalog.regions).map(([regionId, entry]) => [`${provider}:${regionId}`, { regionId, ...entry }])
+      )
+    }])
+  );
+}
+
+module.exports = {
+  resolveCloudRegion,
+  getCloudRegionCatalog,
+  CLOUD_PROVIDERS
+};
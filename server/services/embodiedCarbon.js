@@ -0,0 +1,115 @@
+/**
+ * Embodied Carbon Service
+ *
+ * Amortizes hardware manufacturing emissions over the hardware lifetime and
+ * attributes a share to each GPU-hour (hardware estimates) or token (per-token
+ * estimates). Reported separately from operational CO2.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { GPU_CATALOG } = require('./hardwareCatalog');
+
+const EMBODIED_SOURCE = 'Luccioni et al. 2022, Estimating the Carbon Footprint of BLOOM: ' +
+  '2.5 t CO2e per 8-GPU server, 150 kg CO2e per A100, 6-year lifetime at 85% use';
+
+// Host server share per GPU (kg CO2e): 2,500 kg per 8-GPU node
+const SERVER_EMBODIED_KG = 2500;
+const GPUS_PER_SERVER = 8;
+
+const DEFAULT_LIFETIME_YEARS = 6;
+const FLEET_UTILIZATION = 0.85; // Share of the lifetime the hardware is allocated to workloads
+const HOURS_PER_YEAR = 8760;
+
+// Hardware assumed to serve per-token (API) models when deriving per-token factors
+const REFERENCE_GPU = 'a100';
+
+/**
+ * Get the embodied emissions of one GPU including its share of the host server
+ * @param {string} gpuType - GPU catalog key
+ * @returns {number} kg CO2e per GPU
+ */
+function getEmbodiedKgPerGpu(gpuType) {
+  return GPU_CATALOG[gpuType].embodiedKg + SERVER_EMBODIED_KG / GPUS_PER_SERVER;
+}
+
+/**
+ * Get the amortized embodied emissions per GPU-hour
+ * @param {number} embodiedKg - Embodied emissions per GPU (kg CO2e)
+ * @param {number} lifetimeYears - Hardware lifetime in years
+ * @returns {number} kg CO2e per GPU-hour
+ */
+function getAmortizationRate(embodiedKg, lifetimeYears = DEFAULT_LIFETIME_YEARS) {
+  return embodiedKg / (lifetimeYears * HOURS_PER_YEAR * FLEET_UTILIZATION);
+}
+
+/**
+ * Derive a per-token embodied factor from a model's blended energy factor
+ * Assumes tokens are served on the reference GPU at full board power, so the
+ * GPU-hours per token follow from the energy per token.
+ * @param {number} blendedKwhPerToken - Blended energy factor (kWh per token)
+ * @returns {number} kg CO2e per token
+ */
+function deriveEmbodiedPerToken(blendedKwhPerToken) {
+  const gpu = GPU_CATALOG[REFERENCE_GPU];
+  const gpuHoursPerToken = blendedKwhPerToken / (gpu.tdpWatts / 1000);
+  return gpuHoursPerToken * getAmortizationRate(getEmbodiedKgPerGpu(REFERENCE_GPU));
+}
+
+/**
+ * Calculate embodied emissions for a per-token estimate
+ * Output tokens occupy the hardware longer than prompt tokens, so the share
+ * follows energy: tokens are weighted by their energy relative to the blended factor.
+ * @param {number} energyKwh - Operational energy of the request (kWh)
+ * @param {Object} modelFactor - Resolved model factor
+ * @returns {Object} Embodied emissions block
+ */
+function calculateTokenEmbodied(energyKwh, modelFactor) {
+  const kgPerToken = modelFactor.embodied.kgPerToken;
+  const equivalentTokens = modelFactor.coefficients.blended > 0 ? energyKwh / modelFactor.coefficients.blended : 0;
+
+  return {
+    total: equivalentTokens * kgPerToken,
+    unit: 'kg CO2e',
+    method: 'per_token',
+    factor: kgPerToken,
+    factorUnit: 'kg CO2e/token',
+    source: modelFactor.embodied.derived
+      ? EMBODIED_SOURCE
+      : `Model factor registry (${modelFactor.modelKey} v${modelFactor.version})`
+  };
+}
+
+/**
+ * Calculate embodied emissions for a hardware estimate
+ * GPUs are reserved for the whole run, so utilization does not reduce the share.
+ * @param {Object} spec - Normalized hardware specification
+ * @returns {Object} Embodied emissions block
+ */
+function calculateHardwareEmbodied(spec) {
+  const embodiedKg = spec.embodiedKg ?? getEmbodiedKgPerGpu(spec.gpuType);
+  const lifetimeYears = spec.lifetimeYears ?? DEFAULT_LIFETIME_YEARS;
+  const rate = getAmortizationRate(embodiedKg, lifetimeYears);
+  const gpuHours = spec.gpuCount * spec.hours;
+
+  return {
+    total: gpuHours * rate,
+    unit: 'kg CO2e',
+    method: 'gpu_hours',
+    factor: rate,
+    factorUnit: 'kg CO2e/GPU-hour',
+    gpuHours,
+    embodiedKgPerGpu: embodiedKg,
+    lifetimeYears,
+    source: spec.embodiedKg !== null || spec.lifetimeYears !== null ? 'user-provided' : EMBODIED_SOURCE
+  };
+}
+
+module.exports = {
+  calculateTokenEmbodied,
+  calculateHardwareEmbodied,
+  deriveEmbodiedPerToken,
+  getEmbodiedKgPerGpu,
+  DEFAULT_LIFETIME_YEARS
+};
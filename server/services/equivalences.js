@@ -0,0 +1,423 @@
+/**
+ * Equivalence Registry Service
+ *
+ * Single source of the real-world equivalences shown for an amount of CO2: car and
+ * flight distance, burgers, phone charges, tree growth and so on. Every factor is
+ * kg CO2 per unit with its source, may be localized per country (a car mile in the
+ * EU emits less than one in the US) and distances and volumes come in metric and
+ * imperial variants. Equivalences are grouped into sets a user can choose from;
+ * calculation results use `everyday` and offset suggestions use `offsets`.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { UNIT_SYSTEMS, KM_PER_MILE, LITERS_PER_US_GALLON } = require('./units');
+const intensityDatasets = require('./intensityDatasets');
+
+const DEFAULT_SET = 'everyday';
+// Results have always been reported in miles, so imperial stays the default
+const DEFAULT_UNITS = 'imperial';
+
+// Units of measured quantities per unit system. Factors of these quantities are
+// stored per base unit (km, litre) and converted with `perBase` base units per unit.
+const MEASURES = {
+  distance: {
+    metric: { unit: 'km', perBase: 1 },
+    imperial: { unit: 'miles', perBase: KM_PER_MILE }
+  },
+  volume: {
+    metric: { unit: 'litres', perBase: 1 },
+    imperial: { unit: 'US gallons', perBase: LITERS_PER_US_GALLON }
+  }
+};
+
+// Country groups whose members share localized factors
+const COUNTRY_GROUPS = {
+  EU: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE']
+};
+
+const EPA_CALCULATOR = {
+  source: 'US EPA Greenhouse Gas Equivalencies Calculator',
+  url: 'https://www.epa.gov/energy/greenhouse-gas-equivalencies-calculator'
+};
+const UK_CONVERSION_FACTORS = {
+  source: 'UK DESNZ Greenhouse gas reporting: conversion factors 2024',
+  url: 'https://www.gov.uk/government/collections/government-conversion-factors-for-company-reporting'
+};
+const EPA_EMISSION_FACTORS_HUB = {
+  source: 'US EPA GHG Emission Factors Hub',
+  url: 'https://www.epa.gov/climateleadership/ghg-emission-factors-hub'
+};
+const DOE_APPLIANCE_ENERGY = {
+  source: 'US DOE Energy Saver, Estimating Appliance and Home Electronic Energy Use',
+  url: 'https://www.energy.gov/energysaver/estimating-appliance-and-home-electronic-energy-use'
+};
+
+// Grid intensities (kg CO2/kWh) of electricity-based equivalences, from the sourced fallback dataset
+// (see services/intensityDatasets.js), the UK conversion factors and the EEA
+const WORLD_GRID = intensityDatasets.getFallbackIntensity(intensityDatasets.WORLD);
+const US_GRID = intensityDatasets.getFallbackIntensity('US');
+const GB_GRID_FACTOR = 0.207;
+const EU_GRID = {
+  value: 0.251,
+  source: 'EEA, Greenhouse gas emission intensity of electricity generation: EU-27, 2022',
+  url: 'https://www.eea.europa.eu/en/analysis/indicators/greenhouse-gas-emission-intensity-of-1'
+};
+
+/**
+ * Describe a grid intensity from the fallback dataset for a factor source
+ * @param {Object} grid - Result of intensityDatasets.getFallbackIntensity
+ * @returns {string} e.g. "Ember, Yearly Electricity Data (...): US 2023, 0.369 kg CO2/kWh"
+ */
+function describeGrid(grid) {
+  return `${grid.source.name}: ${grid.zone} ${grid.year}, ${grid.intensity} kg CO2/kWh`;
+}
+
+// Equivalences. `factors` holds kg CO2 per unit (per base unit for distances and
+// volumes) keyed by country code or group, with `default` for everywhere else.
+// `keys` names the value in results per unit system.
+const EQUIVALENCES = {
+  car: {
+    label: 'Miles driven by car',
+    metricLabel: 'Kilometres driven by car',
+    measure: 'distance',
+    keys: { metric: 'carKm', imperial: 'carMiles' },
+    decimals: 2,
+    factors: {
+      default: { value: 0.411 / KM_PER_MILE, source: `${EPA_CALCULATOR.source}: average US passenger car, 0.411 kg CO2 per mile`, url: EPA_CALCULATOR.url },
+      GB: { value: 0.1666, source: `${UK_CONVERSION_FACTORS.source}: average car, unknown fuel`, url: UK_CONVERSION_FACTORS.url },
+      EU: {
+        value: 0.1064,
+        source: 'EEA, CO2 performance of new passenger cars: EU average of new registrations 2023 (WLTP)',
+        url: 'https://www.eea.europa.eu/en/analysis/indicators/co2-performance-of-new-passenger'
+      }
+    }
+  },
+  flight: {
+    label: 'Miles flown',
+    metricLabel: 'Kilometres flown',
+    measure: 'distance',
+    keys: { metric: 'flightKm', imperial: 'flightMiles' },
+    decimals: 2,
+    factors: {
+      default: { value: 0.207 / KM_PER_MILE, source: `${EPA_EMISSION_FACTORS_HUB.source}: air travel, short haul (< 300 miles), 0.207 kg CO2 per passenger-mile`, url: EPA_EMISSION_FACTORS_HUB.url }
+    }
+  },
+  beefBurger: {
+    label: 'Beef burgers',
+    unit: 'burgers',
+    keys: { metric: 'beefBurgers', imperial: 'beefBurgers' },
+    decimals: 2,
+    factors: {
+      // A quarter-pound (0.1134 kg) patty at the global mean for beef from the beef herd, 99.48 kg CO2e/kg
+      default: {
+        value: 0.1134 * 99.48,
+        source: 'Poore & Nemecek (2018), Reducing food\'s environmental impacts through producers and consumers, Science 360: ' +
+          'beef (beef herd), 99.48 kg CO2e per kg, for a quarter-pound patty',
+        url: 'https://doi.org/10.1126/science.aaq0216'
+      }
+    }
+  },
+  smartphone: {
+    label: 'Smartphone charges',
+    unit: 'charges',
+    keys: { metric: 'smartphoneCharges', imperial: 'smartphoneCharges' },
+    decimals: 0,
+    factors: {
+      default: { value: 0.00822, source: `${EPA_CALCULATOR.source}: 8.22 × 10⁻⁶ t CO2 per smartphone charged`, url: EPA_CALCULATOR.url }
+    }
+  },
+  householdElectricity: {
+    label: 'Days of household electricity',
+    unit: 'days',
+    keys: { metric: 'householdElectricityDays', imperial: 'householdElectricityDays' },
+    decimals: 2,
+    factors: {
+      // EIA average residential consumption of 10,791 kWh a year at the US grid intensity
+      default: {
+        value: (10791 * US_GRID.intensity) / 365,
+        source: `US EIA, average annual residential electricity consumption 2022 (10,791 kWh); ${describeGrid(US_GRID)}`,
+        url: 'https://www.eia.gov/tools/faqs/faq.php?id=97&t=3'
+      },
+      // Ofgem typical domestic consumption of 2,700 kWh a year at the UK grid factor
+      GB: { value: (2700 * GB_GRID_FACTOR) / 365, source: `Ofgem typical domestic consumption (2,700 kWh/year); ${UK_CONVERSION_FACTORS.source}: UK electricity`, url: 'https://www.ofgem.gov.uk/average-gas-and-electricity-usage' },
+      // About 3,550 kWh a year per EU household at the EU grid intensity
+      EU: {
+        value: (3550 * EU_GRID.value) / 365,
+        source: `Eurostat household electricity consumption (~3,550 kWh/household/year); ${EU_GRID.source} (${EU_GRID.value} kg/kWh)`,
+        url: 'https://ec.europa.eu/eurostat/statistics-explained/index.php?title=Energy_consumption_in_households'
+      }
+    }
+  },
+  gridElectricity: {
+    label: 'Grid electricity',
+    unit: 'kWh',
+    keys: { metric: 'electricityKwh', imperial: 'electricityKwh' },
+    decimals: 2,
+    // The world and US values are the fallback dataset's, as used for results without live data
+    factors: {
+      default: { value: WORLD_GRID.intensity, source: describeGrid(WORLD_GRID), url: WORLD_GRID.source.url },
+      US: { value: US_GRID.intensity, source: describeGrid(US_GRID), url: US_GRID.source.url },
+      GB: { value: GB_GRID_FACTOR, source: `${UK_CONVERSION_FACTORS.source}: UK electricity generation`, url: UK_CONVERSION_FACTORS.url },
+      EU: EU_GRID
+    }
+  },
+  gasoline: {
+    label: 'Gallons of gasoline burned',
+    metricLabel: 'Litres of petrol burned',
+    measure: 'volume',
+    keys: { metric: 'gasolineLiters', imperial: 'gasolineGallons' },
+    decimals: 2,
+    factors: {
+      default: { value: 8.887 / LITERS_PER_US_GALLON, source: `${EPA_CALCULATOR.source}: 8.887 kg CO2 per gallon of gasoline`, url: EPA_CALCULATOR.url },
+      GB: { value: 2.0844, source: `${UK_CONVERSION_FACTORS.source}: petrol (average biofuel blend)`, url: UK_CONVERSION_FACTORS.url }
+    }
+  },
+  tree: {
+    label: 'Years of tree absorption',
+    unit: 'tree-years',
+    keys: { metric: 'treeYears', imperial: 'treeYears' },
+    decimals: 2,
+    factors: {
+      default: {
+        value: 22,
+        source: 'EEA, Trees help tackle climate change: a mature tree absorbs roughly 22 kg CO2 per year',
+        url: 'https://www.eea.europa.eu/articles/forests-health-and-climate-change/key-facts/trees-help-tackle-climate-change'
+      }
+    }
+  },
+  treeSeedling: {
+    label: 'Tree seedlings grown for 10 years',
+    unit: 'seedlings',
+    keys: { metric: 'treeSeedlings', imperial: 'treeSeedlings' },
+    decimals: 2,
+    factors: {
+      default: { value: 60, source: `${EPA_CALCULATOR.source}: 0.060 t CO2 per urban tree seedling grown for 10 years`, url: EPA_CALCULATOR.url }
+    }
+  },
+  laptop: {
+    label: 'Hours of laptop use',
+    unit: 'hours',
+    keys: { metric: 'laptopHours', imperial: 'laptopHours' },
+    decimals: 2,
+    factors: {
+      // 50 W for an hour at the US grid intensity
+      default: {
+        value: 0.05 * US_GRID.intensity,
+        source: `${DOE_APPLIANCE_ENERGY.source}: laptop, 50 W; ${describeGrid(US_GRID)}`,
+        url: DOE_APPLIANCE_ENERGY.url
+      }
+    }
+  },
+  lightbulb: {
+    label: 'Hours of LED bulb',
+    unit: 'hours',
+    keys: { metric: 'lightbulbHours', imperial: 'lightbulbHours' },
+    decimals: 0,
+    factors: {
+      // 10 W for an hour at the US grid intensity
+      default: {
+        value: 0.010 * US_GRID.intensity,
+        source: `ENERGY STAR certified light bulbs: 10 W LED (60 W incandescent equivalent); ${describeGrid(US_GRID)}`,
+        url: 'https://www.energystar.gov/products/light_bulbs'
+      }
+    }
+  }
+};
+
+// Equivalence sets, in display order
+const EQUIVALENCE_SETS = {
+  everyday: {
+    name: 'Everyday activities',
+    equivalences: ['car', 'flight', 'beefBurger', 'smartphone', 'householdElectricity', 'tree', 'laptop', 'lightbulb']
+  },
+  transport: {
+    name: 'Transport',
+    equivalences: ['car', 'flight', 'gasoline']
+  },
+  home: {
+    name: 'Home energy',
+    equivalences: ['householdElectricity', 'gridElectricity', 'laptop', 'lightbulb', 'smartphone']
+  },
+  offsets: {
+    name: 'Offsetting',
+    equivalences: ['treeSeedling', 'car', 'flight', 'gridElectricity', 'gasoline', 'householdElectricity']
+  }
+};
+
+/**
+ * Normalize equivalence options
+ * @param {Object} options - { set, country, units }, all optional
+ * @returns {Object} { set, country, units } with defaults applied; country is an upper-case code or null
+ * @throws {Error} When the set, units or country code is invalid
+ */
+function normalizeEquivalenceOptions(options = {}) {
+  const set = options.set || DEFAULT_SET;
+  if (!EQUIVALENCE_SETS[set]) {
+    throw new Error(`Unknown equivalence set "${set}". Supported: ${Object.keys(EQUIVALENCE_SETS).join(', ')}`);
+  }
+
+  const units = options.units || DEFAULT_UNITS;
+  if (!UNIT_SYSTEMS.includes(units)) {
+    throw new Error(`Unknown unit system "${units}". Supported: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+
+  let country = null;
+  if (options.country) {
+    if (typeof options.country !== 'string' || !/^[A-Za-z]{2}$/.test(options.country)) {
+      throw new Error('Equivalence country must be a two-letter country code or EU');
+    }
+    country = options.country.toUpperCase();
+  }
+
+  return { set, country, units };
+}
+
+/**
+ * Read equivalence options from a request body
+ * @param {Object} body - Request body with optional equivalenceSet, equivalenceCountry and equivalenceUnits
+ * @param {string|null} defaultUnits - Units when equivalenceUnits is not set, e.g. the request's unit system
+ * @returns {Object} Normalized { set, country, units }
+ * @throws {Error} When an option is invalid
+ */
+function getEquivalenceOptions(body = {}, defaultUnits = null) {
+  return normalizeEquivalenceOptions({
+    set: body.equivalenceSet,
+    country: body.equivalenceCountry,
+    units: body.equivalenceUnits || defaultUnits
+  });
+}
+
+/**
+ * Get the factor of an equivalence for a country
+ * @param {Object} equivalence - Registry entry
+ * @param {string|null} country - Country code
+ * @returns {Object} { value, source, url, country } where country is the localization used (null: default)
+ */
+function getFactor(equivalence, country) {
+  const group = country && Object.keys(COUNTRY_GROUPS).find(id => COUNTRY_GROUPS[id].includes(country));
+  const localized = [country, group].find(code => code && equivalence.factors[code]);
+  return {
+    ...(localized ? equivalence.factors[localized] : equivalence.factors.default),
+    country: localized || null
+  };
+}
+
+/**
+ * Describe one equivalence for a unit system and country
+ * @param {string} id - Registry entry ID
+ * @param {Object} options - Normalized { country, units }
+ * @returns {Object} { id, key, label, unit, factor, factorUnit, decimals, source, url, country }
+ */
+function describeEquivalence(id, options) {
+  const equivalence = EQUIVALENCES[id];
+  const factor = getFactor(equivalence, options.country);
+  const unit = equivalence.measure ? MEASURES[equivalence.measure][options.units] : { unit: equivalence.unit, perBase: 1 };
+
+  return {
+    id,
+    key: equivalence.keys[options.units],
+    label: options.units === 'metric' && equivalence.metricLabel ? equivalence.metricLabel : equivalence.label,
+    unit: unit.unit,
+    factor: factor.value * unit.perBase,
+    factorUnit: `kg CO2 per ${unit.unit.replace(/s$/, '')}`,
+    decimals: equivalence.decimals,
+    source: factor.source,
+    url: factor.url,
+    country: factor.country
+  };
+}
+
+/**
+ * Describe the equivalences of a set
+ * @param {Object} options - { set, country, units }, all optional
+ * @returns {Object} { id, name, country, units, items } where items are described equivalences
+ */
+function getEquivalenceSet(options = {}) {
+  const normalized = normalizeEquivalenceOptions(options);
+  const set = EQUIVALENCE_SETS[normalized.set];
+
+  return {
+    id: normalized.set,
+    name: set.name,
+    country: normalized.country,
+    units: normalized.units,
+    items: set.equivalences.map(id => describeEquivalence(id, normalized))
+  };
+}
+
+/**
+ * Calculate the equivalences of an amount of CO2
+ * @param {number} co2Kg - CO2 emissions (kg)
+ * @param {Object} options - { set, country, units }, all optional
+ * @returns {Object} Rounded values keyed by each equivalence's result key
+ */
+function calculateEquivalences(co2Kg, options = {}) {
+  return Object.fromEntries(
+    getEquivalenceSet(options).items.map(item => {
+      const scale = 10 ** item.decimals;
+      return [item.key, Math.round((co2Kg / item.factor) * scale) / scale];
+    })
+  );
+}
+
+/**
+ * Read a stored equivalence in a unit system
+ * Saved calculations hold the variant of their own unit system, e.g. carKm or carMiles.
+ * @param {Object} values - Stored equivalences keyed by result key
+ * @param {string} id - Registry entry ID, e.g. car
+ * @param {string} units - Unit system to read the value in
+ * @returns {number|null} Value, or null when the calculation's set did not include it
+ */
+function getStoredEquivalence(values, id, units) {
+  const equivalence = EQUIVALENCES[id];
+  if (!values) {
+    return null;
+  }
+  if (values[equivalence.keys[units]] !== undefined) {
+    return values[equivalence.keys[units]];
+  }
+
+  const other = UNIT_SYSTEMS.find(system => system !== units);
+  const value = values[equivalence.keys[other]];
+  if (value === undefined) {
+    return null;
+  }
+  const measure = MEASURES[equivalence.measure];
+  const scale = 10 ** equivalence.decimals;
+  return Math.round(value * (measure[other].perBase / measure[units].perBase) * scale) / scale;
+}
+
+/**
+ * Describe the whole registry for GET /api/equivalences
+ * @returns {Object} { defaults, unitSystems, countryGroups, sets, equivalences }
+ */
+function getEquivalenceRegistry() {
+  return {
+    defaults: { set: DEFAULT_SET, units: DEFAULT_UNITS },
+    unitSystems: UNIT_SYSTEMS,
+    countryGroups: COUNTRY_GROUPS,
+    sets: Object.entries(EQUIVALENCE_SETS).map(([id, set]) => ({ id, ...set })),
+    equivalences: Object.keys(EQUIVALENCES).map(id => ({
+      id,
+      metric: describeEquivalence(id, { country: null, units: 'metric' }),
+      imperial: describeEquivalence(id, { country: null, units: 'imperial' }),
+      localizedFor: Object.keys(EQUIVALENCES[id].factors).filter(code => code !== 'default')
+    }))
+  };
+}
+
+module.exports = {
+  normalizeEquivalenceOptions,
+  getEquivalenceOptions,
+  getEquivalenceSet,
+  calculateEquivalences,
+  getStoredEquivalence,
+  getEquivalenceRegistry,
+  DEFAULT_SET,
+  DEFAULT_UNITS,
+  EQUIVALENCES,
+  EQUIVALENCE_SETS
+};
@@ -0,0 +1,297 @@
+/**
+ * Estimation Engines Service
+ *
+ * Published methodologies for estimating the energy of model inference. Every
+ * engine turns a normalized workload and the resolved model factor into IT energy
+ * (kWh, before data-center overhead); grid intensity, PUE, water, embodied carbon
+ * and uncertainty bands are then applied the same way whichever engine is used.
+ * An engine has the shape:
+ * - id, name, description: identification shown in results and GET /api/methodology
+ * - workloadTypes: workload types the engine can estimate
+ * - estimateEnergy(workload, modelFactor): { total, breakdown, uncertainty, source, assumptions }
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { GPU_CATALOG } = require('./hardwareCatalog');
+
+const DEFAULT_ENGINE = 'per_token';
+
+// Image generation, speech recognition and embeddings are served by dedicated
+// models, so their energy is modelled per image, audio minute or embedded token.
+// `uncertainty` is the 90% range as multipliers of the central value.
+const WORKLOAD_ENERGY_FACTORS = {
+  image: {
+    kwhPerImage: 0.0029, // kWh per 512x512 image, scaled linearly with pixel count
+    referencePixels: 512 * 512,
+    uncertainty: { low: 0.3, high: 3 },
+    source: 'Luccioni et al. 2024, Power Hungry Processing: image generation, 2.9 kWh per 1,000 images'
+  },
+  audio: {
+    kwhPerMinute: 0.0003, // kWh per minute of transcribed audio
+    uncertainty: { low: 0.4, high: 2.5 },
+    source: 'Whisper large-v2 throughput on an A100 at board power, including PUE'
+  },
+  embedding: {
+    kwhPerToken: 0.00000002, // kWh per embedded token (single encoder forward pass)
+    uncertainty: { low: 0.3, high: 3 },
+    source: 'Luccioni et al. 2024, Power Hungry Processing: text encoders, ~0.002 kWh per 1,000 inferences'
+  },
+  fine_tuning: {
+    // Forward plus backward pass costs about three forward passes per token,
+    // applied to the model's prompt (prefill) factor
+    trainingMultiplier: 3,
+    source: 'Kaplan et al. 2020, Scaling Laws for Neural Language Models: ~6N training FLOPs vs ~2N forward FLOPs per token'
+  }
+};
+
+// Active parameters per generated token (billions) for the parameter-count engine.
+// Mixture-of-experts models only run their active experts for each token.
+// `disclosed` is false where the provider has not published the architecture.
+const MODEL_PARAMETERS = {
+  gpt3: {
+    activeBillions: 175,
+    disclosed: true,
+    source: 'Brown et al. 2020, Language Models are Few-Shot Learners'
+  },
+  gpt4: {
+    activeBillions: 280,
+    disclosed: false,
+    source: 'Unofficial estimate of a ~1.8T-parameter mixture of experts with ~280B active parameters'
+  },
+  claude: {
+    activeBillions: 200,
+    disclosed: false,
+    source: 'Not disclosed by Anthropic; assumed comparable to other frontier models'
+  },
+  gemini: {
+    activeBillions: 200,
+    disclosed: false,
+    source: 'Not disclosed by Google; assumed comparable to other frontier models'
+  },
+  default: {
+    activeBillions: 70,
+    disclosed: false,
+    source: 'Assumed: a 70B-parameter dense model, the size of the largest common open-weight models'
+  }
+};
+
+// Accelerator and serving assumptions of the parameter-count engine. Prompt tokens
+// are processed in parallel and keep the accelerator compute-bound; generated
+// tokens are produced one forward pass at a time and are bound by memory
+// bandwidth, so far fewer of the peak FLOPs do useful work.
+const FLOP_ENGINE_ASSUMPTIONS = {
+  accelerator: 'h100',
+  peakFlops: 989e12, // Dense BF16 FLOP/s, NVIDIA H100 SXM datasheet
+  flopsPerParameter: 2, // Forward pass: one multiply and one add per parameter per token (Kaplan et al. 2020)
+  prefillUtilization: 0.5, // Model FLOPs utilization while processing the prompt
+  decodeUtilization: 0.1, // Model FLOPs utilization while generating, at typical batch sizes
+  trainingUtilization: 0.4, // Model FLOPs utilization during fine-tuning
+  trainingFlopsPerParameter: 6, // Forward plus backward pass (Kaplan et al. 2020)
+  cachedInputShare: 0.1, // Share of prefill compute still spent on cached prompt tokens (attention over the cache)
+  blendedOutputShare: 1 / 3, // Share of output tokens assumed when only a total is known, as in the per-token factors
+  serverOverhead: 1.5 // Host CPUs, memory and networking on top of accelerator power
+};
+
+// 90% ranges of the parameter-count engine. Utilization varies several-fold with
+// batch size and serving stack; undisclosed parameter counts add their own spread.
+const FLOP_ENGINE_UNCERTAINTY = {
+  disclosed: { low: 0.3, high: 3 },
+  undisclosed: { low: 0.15, high: 5 }
+};
+
+/**
+ * Calculate per-token energy for normalized token usage
+ * @param {Object} usage - Normalized token usage from normalizeTokenUsage
+ * @param {Object} coefficients - Per-token energy coefficients (kWh) with input, output, cachedInput and blended
+ * @returns {Object} { total, breakdown }
+ */
+function calculateTokenEnergy(usage, coefficients) {
+  if (!usage.split) {
+    return {
+      total: usage.total * coefficients.blended,
+      breakdown: null
+    };
+  }
+
+  const input = (usage.input - usage.cachedInput) * coefficients.input;
+  const cachedInput = usage.cachedInput * coefficients.cachedInput;
+  const output = usage.output * coefficients.output;
+
+  return {
+    total: input + cachedInput + output,
+    breakdown: { input, cachedInput, output }
+  };
+}
+
+/**
+ * Estimate energy of the workloads served by dedicated models
+ * @param {Object} workload - Normalized image, audio or embedding workload
+ * @returns {Object} { total, breakdown, uncertainty, source, assumptions }
+ */
+function estimateDedicatedModelEnergy(workload) {
+  const factors = WORKLOAD_ENERGY_FACTORS[workload.type];
+  let total;
+
+  switch (workload.type) {
+    case 'image':
+      total = workload.details.imageCount * factors.kwhPerImage * (workload.details.pixels / factors.referencePixels);
+      break;
+    case 'audio':
+      total = workload.details.audioMinutes * factors.kwhPerMinute;
+      break;
+    default:
+      total = workload.details.embeddingTokens * factors.kwhPerToken;
+  }
+
+  return {
+    total,
+    breakdown: null,
+    uncertainty: factors.uncertainty,
+    source: factors.source,
+    assumptions: null
+  };
+}
+
+/**
+ * Get the parameter count assumed for a model
+ * @param {string} modelKey - Registry model key
+ * @returns {Object} { modelKey, activeBillions, disclosed, source }
+ */
+function getModelParameters(modelKey) {
+  const key = MODEL_PARAMETERS[modelKey] ? modelKey : 'default';
+  return { modelKey: key, ...MODEL_PARAMETERS[key] };
+}
+
+/**
+ * Energy of computing a number of FLOPs at a given utilization (kWh)
+ * @param {number} flops - Useful FLOPs
+ * @param {number} utilization - Share of peak FLOPs doing useful work
+ * @returns {number} Energy including server overhead (kWh)
+ */
+function flopsToKwh(flops, utilization) {
+  const assumptions = FLOP_ENGINE_ASSUMPTIONS;
+  const joulesPerFlop = GPU_CATALOG[assumptions.accelerator].tdpWatts / assumptions.peakFlops;
+  return (flops / utilization) * joulesPerFlop * assumptions.serverOverhead / 3.6e6;
+}
+
+const ESTIMATION_ENGINES = {
+  per_token: {
+    id: 'per_token',
+    name: 'Per-token energy factors',
+    description: 'Energy per input, output and cached token from the versioned model factor registry',
+    workloadTypes: ['text', 'image', 'audio', 'embedding', 'fine_tuning'],
+    estimateEnergy(workload, modelFactor) {
+      switch (workload.type) {
+        case 'image':
+        case 'audio':
+        case 'embedding':
+          return estimateDedicatedModelEnergy(workload);
+
+        case 'fine_tuning':
+          return {
+            total: workload.tokenUsage.total * modelFactor.coefficients.input * WORKLOAD_ENERGY_FACTORS.fine_tuning.trainingMultiplier,
+            breakdown: null,
+            uncertainty: modelFactor.uncertainty,
+            source: `${modelFactor.source.citation}; ${WORKLOAD_ENERGY_FACTORS.fine_tuning.source}`,
+            assumptions: null
+          };
+
+        default:
+          return {
+            ...calculateTokenEnergy(workload.tokenUsage, modelFactor.coefficients),
+            uncertainty: modelFactor.uncertainty,
+            source: modelFactor.source.citation,
+            assumptions: null
+          };
+      }
+    }
+  },
+
+  parameter_count: {
+    id: 'parameter_count',
+    name: 'Parameter count and FLOPs',
+    description: 'Compute of 2 FLOPs per active parameter per token, converted to energy at H100 ' +
+      'efficiency with separate utilization for prompt processing and generation',
+    workloadTypes: ['text', 'fine_tuning'],
+    estimateEnergy(workload, modelFactor) {
+      const assumptions = FLOP_ENGINE_ASSUMPTIONS;
+      const parameters = getModelParameters(modelFactor.modelKey);
+      const parameterCount = parameters.activeBillions * 1e9;
+      const uncertainty = parameters.disclosed ? FLOP_ENGINE_UNCERTAINTY.disclosed : FLOP_ENGINE_UNCERTAINTY.undisclosed;
+      const source = `Kaplan et al. 2020 (2N FLOPs per token); ${parameters.source}`;
+
+      if (workload.type === 'fine_tuning') {
+        return {
+          total: flopsToKwh(workload.tokenUsage.total * assumptions.trainingFlopsPerParameter * parameterCount, assumptions.trainingUtilization),
+          breakdown: null,
+          uncertainty,
+          source,
+          assumptions: { parameters, ...assumptions }
+        };
+      }
+
+      // Per-token coefficients in the registry's shape, so splits are handled like the per-token engine
+      const forwardFlops = assumptions.flopsPerParameter * parameterCount;
+      const input = flopsToKwh(forwardFlops, assumptions.prefillUtilization);
+      const output = flopsToKwh(forwardFlops, assumptions.decodeUtilization);
+      const coefficients = {
+        input,
+        output,
+        cachedInput: input * assumptions.cachedInputShare,
+        blended: input * (1 - assumptions.blendedOutputShare) + output * assumptions.blendedOutputShare
+      };
+
+      return {
+        ...calculateTokenEnergy(workload.tokenUsage, coefficients),
+        uncertainty,
+        source,
+        assumptions: { parameters, ...assumptions, coefficients }
+      };
+    }
+  }
+};
+
+/**
+ * Get an estimation engine
+ * @param {string} methodology - Engine ID (defaults to the per-token engine)
+ * @param {string} workloadType - Workload type the engine must support, if any
+ * @returns {Object} Engine
+ * @throws {Error} When the engine is unknown or does not support the workload type
+ */
+function getEngine(methodology, workloadType = null) {
+  const id = methodology || DEFAULT_ENGINE;
+  const engine = ESTIMATION_ENGINES[id];
+  if (!engine) {
+    throw new Error(`Unknown methodology "${id}". Supported: ${Object.keys(ESTIMATION_ENGINES).join(', ')}`);
+  }
+  if (workloadType && !engine.workloadTypes.includes(workloadType)) {
+    throw new Error(`Methodology "${id}" does not support ${workloadType} workloads. Supported: ${engine.workloadTypes.join(', ')}`);
+  }
+  return engine;
+}
+
+/**
+ * List the estimation engines
+ * @returns {Object[]} { id, name, description, workloadTypes, default } for every engine
+ */
+function listEngines() {
+  return Object.values(ESTIMATION_ENGINES).map(engine => ({
+    id: engine.id,
+    name: engine.name,
+    description: engine.description,
+    workloadTypes: engine.workloadTypes,
+    default: engine.id === DEFAULT_ENGINE
+  }));
+}
+
+module.exports = {
+  getEngine,
+  listEngines,
+  getModelParameters,
+  DEFAULT_ENGINE,
+  WORKLOAD_ENERGY_FACTORS,
+  MODEL_PARAMETERS,
+  FLOP_ENGINE_ASSUMPTIONS
+};
@@ -0,0 +1,158 @@
+/**
+ * Hardware Catalog Service
+ *
+ * GPU power specifications for hardware-based estimation of self-hosted models.
+ * Energy is estimated from board power rather than a per-token constant:
+ * TDP x GPU count x utilization x hours x PUE.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+// Board power (TDP) from NVIDIA product datasheets. `embodiedKg` is the
+// manufacturing footprint of the card itself (kg CO2e), scaled by die and
+// memory size from the 150 kg A100 estimate in Luccioni et al. 2022.
+const GPU_CATALOG = {
+  a100: {
+    displayName: 'NVIDIA A100 80GB (SXM)',
+    tdpWatts: 400,
+    embodiedKg: 150,
+    source: 'NVIDIA A100 Tensor Core GPU datasheet'
+  },
+  h100: {
+    displayName: 'NVIDIA H100 (SXM)',
+    tdpWatts: 700,
+    embodiedKg: 165,
+    source: 'NVIDIA H100 Tensor Core GPU datasheet'
+  },
+  l4: {
+    displayName: 'NVIDIA L4',
+    tdpWatts: 72,
+    embodiedKg: 50,
+    source: 'NVIDIA L4 Tensor Core GPU datasheet'
+  },
+  t4: {
+    displayName: 'NVIDIA T4',
+    tdpWatts: 70,
+    embodiedKg: 40,
+    source: 'NVIDIA T4 Tensor Core GPU datasheet'
+  }
+};
+
+// 90% range of hardware-based energy, as multipliers. Board power at the given
+// utilization overstates typical GPU draw, while host CPUs, memory and networking
+// are not counted.
+const HARDWARE_ENERGY_UNCERTAINTY = { low: 0.7, high: 1.15 };
+
+// Global average data-center PUE (Uptime Institute Global Data Center Survey 2023)
+const DEFAULT_PUE = 1.58;
+
+/**
+ * Validate and normalize a hardware specification
+ * @param {Object} spec - { gpuType, gpuCount, utilization, hours, pue, tdpWatts, wue, embodiedKg, lifetimeYears }
+ *   `tdpWatts` overrides the catalog value, e.g. for PCIe variants; `wue` is the
+ *   site's water usage effectiveness (L/kWh) if known; `embodiedKg` (per GPU,
+ *   including its share of the host server) and `lifetimeYears` override the
+ *   embodied carbon defaults
+ * @returns {Object} Normalized specification with catalog details
+ */
+function normalizeHardwareSpec(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Hardware specification must be an object');
+  }
+
+  const gpuType = String(spec.gpuType || '').toLowerCase();
+  const gpu = GPU_CATALOG[gpuType];
+  if (!gpu) {
+    throw new Error(`Unknown GPU type "${spec.gpuType}". Supported: ${Object.keys(GPU_CATALOG).join(', ')}`);
+  }
+
+  const gpuCount = spec.gpuCount ?? 1;
+  if (!Number.isInteger(gpuCount) || gpuCount < 1) {
+    throw new Error('gpuCount must be a positive integer');
+  }
+
+  const utilization = spec.utilization ?? 1;
+  if (typeof utilization !== 'number' || utilization <= 0 || utilization > 1) {
+    throw new Error('utilization must be a number between 0 and 1');
+  }
+
+  const hours = spec.hours;
+  if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0) {
+    throw new Error('hours must be a positive number');
+  }
+
+  const pue = spec.pue ?? DEFAULT_PUE;
+  if (typeof pue !== 'number' || pue < 1 || pue > 3) {
+    throw new Error('pue must be a number between 1 and 3');
+  }
+
+  const tdpWatts = spec.tdpWatts ?? gpu.tdpWatts;
+  if (typeof tdpWatts !== 'number' || !Number.isFinite(tdpWatts) || tdpWatts <= 0) {
+    throw new Error('tdpWatts must be a positive number');
+  }
+
+  const wue = spec.wue ?? null;
+  if (wue !== null && (typeof wue !== 'number' || !Number.isFinite(wue) || wue < 0)) {
+    throw new Error('wue must be a non-negative number (litres per kWh)');
+  }
+
+  const embodiedKg = spec.embodiedKg ?? null;
+  if (embodiedKg !== null && (typeof embodiedKg !== 'number' || !Number.isFinite(embodiedKg) || embodiedKg < 0)) {
+    throw new Error('embodiedKg must be a non-negative number (kg CO2e per GPU)');
+  }
+
+  const lifetimeYears = spec.lifetimeYears ?? null;
+  if (lifetimeYears !== null && (typeof lifetimeYears !== 'number' || !Number.isFinite(lifetimeYears) || lifetimeYears <= 0)) {
+    throw new Error('lifetimeYears must be a positive number');
+  }
+
+  return {
+    gpuType,
+    gpuName: gpu.displayName,
+    gpuCount,
+    tdpWatts,
+    utilization,
+    hours,
+    pue,
+    wue,
+    embodiedKg,
+    lifetimeYears
+  };
+}
+
+/**
+ * Calculate energy use of a hardware specification
+ * @param {Object} spec - Normalized hardware specification
+ * @returns {Object} { total, itEnergy, overheadEnergy } in kWh
+ */
+function calculateHardwareEnergy(spec) {
+  const itEnergy = (spec.tdpWatts * spec.gpuCount * spec.utilization * spec.hours) / 1000;
+  const total = itEnergy * spec.pue;
+
+  return {
+    total,
+    itEnergy,
+    overheadEnergy: total - itEnergy
+  };
+}
+
+/**
+ * Get the GPU catalog
+ * @returns {Object} GPU specifications keyed by GPU type, plus the default PUE
+ */
+function getGpuCatalog() {
+  return {
+    gpus: GPU_CATALOG,
+    defaultPue: DEFAULT_PUE
+  };
+}
+
+module.exports = {
+  normalizeHardwareSpec,
+  calculateHardwareEnergy,
+  getGpuCatalog,
+  GPU_CATALOG,
+  DEFAULT_PUE,
+  HARDWARE_ENERGY_UNCERTAINTY
+};
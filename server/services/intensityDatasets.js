@@ -0,0 +1,571 @@
+/**
+ * Fallback Carbon Intensity Datasets
+ *
+ * Annual grid carbon intensity used when no live or stored reading is available.
+ * A dataset version holds one record per zone and year: the intensity (kg CO2/kWh),
+ * the source it was taken from (each source carries its license) and, where the
+ * source publishes one, the generation mix. Countries are keyed by ISO code,
+ * sub-national zones by zone key and the world average by `WORLD`.
+ *
+ * Datasets are validated when loaded: duplicate zone/year records, unknown zones,
+ * records without a known source, sources without a license and malformed mixes are
+ * rejected, so a bad edit fails at startup instead of silently skewing results.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { COUNTRIES, SUBNATIONAL_ZONES } = require('./regionResolver');
+
+// Zone key of the world average, the last resort for zones without a record
+const WORLD = 'WORLD';
+
+// Generation mix fuels, as a percentage of generation; the remainder is other sources
+// (oil, bioenergy, geothermal, other fossil)
+const MIX_FUELS = ['coal', 'gas', 'nuclear', 'hydro', 'wind', 'solar'];
+
+// Countries without a grid of their own, supplied by a neighbour's; Ember publishes no
+// figures for them, so they use the neighbour's record
+const SERVED_BY = {
+  AD: 'ES',
+  LI: 'CH',
+  MC: 'FR',
+  SM: 'IT',
+  VA: 'IT',
+  PS: 'IL',
+  EH: 'MA'
+};
+
+const EMBER = {
+  name: 'Ember, Yearly Electricity Data (lifecycle emissions intensity and generation by fuel)',
+  url: 'https://ember-energy.org/data/yearly-electricity-data/',
+  license: 'CC-BY-4.0'
+};
+
+// Oldest first; the last entry is the current dataset
+const DATASETS = [
+  {
+    version: '2026.1',
+    releasedAt: '2026-10-19',
+    description: 'Country intensity and generation mix from Ember (2021-2023), sub-national zones from ' +
+      'national grid operators and inventories',
+    sources: {
+      ember: EMBER,
+      eia: {
+        name: 'US EIA, Hourly Electric Grid Monitor (annual generation by fuel per balancing authority)',
+        url: 'https://www.eia.gov/electricity/gridmonitor/',
+        license: 'Public domain (US Government work)'
+      },
+      eccc: {
+        name: 'Environment and Climate Change Canada, National Inventory Report, Annex 13 (electricity intensity by province)',
+        url: 'https://www.canada.ca/en/environment-climate-change/services/climate-change/greenhouse-gas-emissions/inventory.html',
+        license: 'Open Government Licence - Canada'
+      },
+      dcceew: {
+        name: 'Australian Government DCCEEW, National Greenhouse Accounts Factors (Scope 2 factors by state)',
+        url: 'https://www.dcceew.gov.au/climate-change/publications/national-greenhouse-accounts-factors',
+        license: 'CC-BY-4.0'
+      },
+      electricitymaps: {
+        name: 'Electricity Maps, yearly carbon intensity data',
+        url: 'https://www.electricitymaps.com/data-portal',
+        license: 'ODbL-1.0'
+      }
+    },
+    records: [
+      // World
+      { zone: 'WORLD', year: 2022, intensity: 0.485, source: 'ember', mix: { coal: 36, gas: 22, nuclear: 9, hydro: 15, wind: 7, solar: 5 } },
+      { zone: 'WORLD', year: 2023, intensity: 0.480, source: 'ember', mix: { coal: 35, gas: 22, nuclear: 9, hydro: 14, wind: 8, solar: 5 } },
+
+      // Americas
+      { zone: 'US', year: 2022, intensity: 0.380, source: 'ember', mix: { coal: 20, gas: 39, nuclear: 18, hydro: 6, wind: 10, solar: 4 } },
+      { zone: 'US', year: 2023, intensity: 0.369, source: 'ember', mix: { coal: 16, gas: 42, nuclear: 18, hydro: 6, wind: 10, solar: 5 } },
+      { zone: 'CA', year: 2022, intensity: 0.165, source: 'ember', mix: { coal: 5, gas: 11, nuclear: 13, hydro: 61, wind: 6, solar: 1 } },
+      { zone: 'CA', year: 2023, intensity: 0.170, source: 'ember', mix: { coal: 4, gas: 12, nuclear: 14, hydro: 58, wind: 7, solar: 1 } },
+      { zone: 'MX', year: 2023, intensity: 0.423, source: 'ember', mix: { coal: 4, gas: 60, nuclear: 4, hydro: 6, wind: 6, solar: 8 } },
+      { zone: 'BR', year: 2022, intensity: 0.103, source: 'ember', mix: { coal: 2, gas: 6, nuclear: 2, hydro: 63, wind: 12, solar: 4 } },
+      { zone: 'BR', year: 2023, intensity: 0.098, source: 'ember', mix: { coal: 2, gas: 5, nuclear: 2, hydro: 60, wind: 13, solar: 7 } },
+      { zone: 'AR', year: 2023, intensity: 0.354, source: 'ember', mix: { coal: 1, gas: 56, nuclear: 7, hydro: 25, wind: 10, solar: 2 } },
+      { zone: 'CL', year: 2023, intensity: 0.291, source: 'ember', mix: { coal: 18, gas: 17, nuclear: 0, hydro: 27, wind: 12, solar: 20 } },
+      { zone: 'CO', year: 2023, intensity: 0.260, source: 'ember', mix: { coal: 10, gas: 12, nuclear: 0, hydro: 67, wind: 0, solar: 2 } },
+      { zone: 'PE', year: 2023, intensity: 0.260, source: 'ember', mix: { coal: 0, gas: 37, nuclear: 0, hydro: 55, wind: 3, solar: 2 } },
+      { zone: 'UY', year: 2023, intensity: 0.128, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 37, wind: 35, solar: 4 } },
+      { zone: 'PY', year: 2023, intensity: 0.024, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 99, wind: 0, solar: 0 } },
+      { zone: 'VE', year: 2023, intensity: 0.185, source: 'ember', mix: null },
+      { zone: 'EC', year: 2023, intensity: 0.175, source: 'ember', mix: null },
+      { zone: 'BO', year: 2023, intensity: 0.450, source: 'ember', mix: null },
+      { zone: 'GY', year: 2023, intensity: 0.630, source: 'ember', mix: null },
+      { zone: 'SR', year: 2023, intensity: 0.350, source: 'ember', mix: null },
+      { zone: 'GF', year: 2023, intensity: 0.220, source: 'ember', mix: null },
+      { zone: 'PR', year: 2023, intensity: 0.590, source: 'ember', mix: null },
+
+      // Europe
+      { zone: 'DE', year: 2022, intensity: 0.434, source: 'ember', mix: { coal: 33, gas: 14, nuclear: 6, hydro: 3, wind: 22, solar: 11 } },
+      { zone: 'DE', year: 2023, intensity: 0.381, source: 'ember', mix: { coal: 26, gas: 15, nuclear: 1, hydro: 4, wind: 31, solar: 12 } },
+      { zone: 'FR', year: 2022, intensity: 0.085, source: 'ember', mix: { coal: 1, gas: 10, nuclear: 63, hydro: 10, wind: 9, solar: 4 } },
+      { zone: 'FR', year: 2023, intensity: 0.056, source: 'ember', mix: { coal: 0, gas: 6, nuclear: 65, hydro: 12, wind: 10, solar: 5 } },
+      { zone: 'GB', year: 2022, intensity: 0.257, source: 'ember', mix: { coal: 2, gas: 39, nuclear: 15, hydro: 2, wind: 25, solar: 4 } },
+      { zone: 'GB', year: 2023, intensity: 0.238, source: 'ember', mix: { coal: 1, gas: 34, nuclear: 14, hydro: 2, wind: 29, solar: 5 } },
+      { zone: 'IT', year: 2023, intensity: 0.331, source: 'ember', mix: { coal: 5, gas: 45, nuclear: 0, hydro: 15, wind: 8, solar: 12 } },
+      { zone: 'ES', year: 2023, intensity: 0.174, source: 'ember', mix: { coal: 1, gas: 17, nuclear: 20, hydro: 10, wind: 24, solar: 17 } },
+      { zone: 'PT', year: 2023, intensity: 0.112, source: 'ember', mix: { coal: 0, gas: 17, nuclear: 0, hydro: 23, wind: 26, solar: 10 } },
+      { zone: 'NL', year: 2023, intensity: 0.268, source: 'ember', mix: { coal: 9, gas: 38, nuclear: 3, hydro: 0, wind: 24, solar: 17 } },
+      { zone: 'BE', year: 2023, intensity: 0.138, source: 'ember', mix: { coal: 0, gas: 19, nuclear: 41, hydro: 0, wind: 19, solar: 9 } },
+      { zone: 'CH', year: 2023, intensity: 0.035, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 34, hydro: 57, wind: 0, solar: 6 } },
+      { zone: 'AT', year: 2023, intensity: 0.108, source: 'ember', mix: { coal: 0, gas: 12, nuclear: 0, hydro: 60, wind: 12, solar: 7 } },
+      { zone: 'SE', year: 2023, intensity: 0.041, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 28, hydro: 39, wind: 21, solar: 1 } },
+      { zone: 'NO', year: 2023, intensity: 0.030, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 88, wind: 10, solar: 0 } },
+      { zone: 'DK', year: 2023, intensity: 0.151, source: 'ember', mix: { coal: 8, gas: 3, nuclear: 0, hydro: 0, wind: 56, solar: 10 } },
+      { zone: 'FI', year: 2023, intensity: 0.079, source: 'ember', mix: { coal: 3, gas: 1, nuclear: 42, hydro: 18, wind: 18, solar: 1 } },
+      { zone: 'IS', year: 2023, intensity: 0.028, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 70, wind: 0, solar: 0 } },
+      { zone: 'IE', year: 2023, intensity: 0.282, source: 'ember', mix: { coal: 4, gas: 44, nuclear: 0, hydro: 3, wind: 35, solar: 1 } },
+      { zone: 'PL', year: 2022, intensity: 0.709, source: 'ember', mix: { coal: 70, gas: 7, nuclear: 0, hydro: 2, wind: 11, solar: 5 } },
+      { zone: 'PL', year: 2023, intensity: 0.662, source: 'ember', mix: { coal: 61, gas: 10, nuclear: 0, hydro: 2, wind: 15, solar: 9 } },
+      { zone: 'CZ', year: 2023, intensity: 0.449, source: 'ember', mix: { coal: 38, gas: 3, nuclear: 41, hydro: 3, wind: 1, solar: 4 } },
+      { zone: 'SK', year: 2023, intensity: 0.116, source: 'ember', mix: { coal: 4, gas: 6, nuclear: 62, hydro: 17, wind: 0, solar: 2 } },
+      { zone: 'HU', year: 2023, intensity: 0.204, source: 'ember', mix: { coal: 6, gas: 19, nuclear: 44, hydro: 1, wind: 2, solar: 18 } },
+      { zone: 'RO', year: 2023, intensity: 0.240, source: 'ember', mix: { coal: 14, gas: 16, nuclear: 20, hydro: 31, wind: 13, solar: 3 } },
+      { zone: 'BG', year: 2023, intensity: 0.335, source: 'ember', mix: { coal: 34, gas: 5, nuclear: 40, hydro: 8, wind: 4, solar: 9 } },
+      { zone: 'HR', year: 2023, intensity: 0.205, source: 'ember', mix: { coal: 7, gas: 17, nuclear: 0, hydro: 50, wind: 14, solar: 2 } },
+      { zone: 'SI', year: 2023, intensity: 0.231, source: 'ember', mix: { coal: 22, gas: 2, nuclear: 37, hydro: 33, wind: 0, solar: 5 } },
+      { zone: 'EE', year: 2023, intensity: 0.416, source: 'ember', mix: { coal: 0, gas: 2, nuclear: 0, hydro: 0, wind: 18, solar: 9 } },
+      { zone: 'LV', year: 2023, intensity: 0.123, source: 'ember', mix: { coal: 0, gas: 30, nuclear: 0, hydro: 50, wind: 3, solar: 1 } },
+      { zone: 'LT', year: 2023, intensity: 0.160, source: 'ember', mix: { coal: 0, gas: 18, nuclear: 0, hydro: 10, wind: 36, solar: 11 } },
+      { zone: 'GR', year: 2023, intensity: 0.336, source: 'ember', mix: { coal: 10, gas: 39, nuclear: 0, hydro: 8, wind: 22, solar: 19 } },
+      { zone: 'CY', year: 2023, intensity: 0.600, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 0, wind: 4, solar: 14 } },
+      { zone: 'UA', year: 2021, intensity: 0.259, source: 'ember', mix: { coal: 23, gas: 8, nuclear: 55, hydro: 6, wind: 2, solar: 5 } },
+      { zone: 'RU', year: 2023, intensity: 0.441, source: 'ember', mix: { coal: 17, gas: 44, nuclear: 19, hydro: 18, wind: 1, solar: 0 } },
+      { zone: 'TR', year: 2023, intensity: 0.420, source: 'ember', mix: { coal: 36, gas: 21, nuclear: 0, hydro: 20, wind: 11, solar: 6 } },
+      { zone: 'MT', year: 2023, intensity: 0.440, source: 'ember', mix: null },
+      { zone: 'LU', year: 2023, intensity: 0.105, source: 'ember', mix: null },
+      { zone: 'BY', year: 2023, intensity: 0.330, source: 'ember', mix: null },
+      { zone: 'MD', year: 2023, intensity: 0.610, source: 'ember', mix: null },
+      { zone: 'GE', year: 2023, intensity: 0.130, source: 'ember', mix: null },
+      { zone: 'AM', year: 2023, intensity: 0.240, source: 'ember', mix: null },
+      { zone: 'AZ', year: 2023, intensity: 0.470, source: 'ember', mix: null },
+
+      // Asia-Pacific
+      { zone: 'CN', year: 2022, intensity: 0.571, source: 'ember', mix: { coal: 61, gas: 3, nuclear: 5, hydro: 15, wind: 9, solar: 5 } },
+      { zone: 'CN', year: 2023, intensity: 0.582, source: 'ember', mix: { coal: 61, gas: 3, nuclear: 5, hydro: 13, wind: 9, solar: 6 } },
+      { zone: 'IN', year: 2022, intensity: 0.716, source: 'ember', mix: { coal: 74, gas: 3, nuclear: 3, hydro: 9, wind: 4, solar: 5 } },
+      { zone: 'IN', year: 2023, intensity: 0.713, source: 'ember', mix: { coal: 75, gas: 2, nuclear: 3, hydro: 8, wind: 5, solar: 6 } },
+      { zone: 'JP', year: 2022, intensity: 0.495, source: 'ember', mix: { coal: 30, gas: 34, nuclear: 6, hydro: 7, wind: 1, solar: 10 } },
+      { zone: 'JP', year: 2023, intensity: 0.485, source: 'ember', mix: { coal: 29, gas: 33, nuclear: 8, hydro: 8, wind: 1, solar: 11 } },
+      { zone: 'KR', year: 2023, intensity: 0.432, source: 'ember', mix: { coal: 33, gas: 27, nuclear: 31, hydro: 1, wind: 1, solar: 5 } },
+      { zone: 'TW', year: 2023, intensity: 0.561, source: 'ember', mix: { coal: 42, gas: 40, nuclear: 6, hydro: 2, wind: 2, solar: 5 } },
+      { zone: 'AU', year: 2022, intensity: 0.569, source: 'ember', mix: { coal: 49, gas: 17, nuclear: 0, hydro: 7, wind: 11, solar: 14 } },
+      { zone: 'AU', year: 2023, intensity: 0.549, source: 'ember', mix: { coal: 47, gas: 17, nuclear: 0, hydro: 6, wind: 12, solar: 16 } },
+      { zone: 'NZ', year: 2023, intensity: 0.112, source: 'ember', mix: { coal: 4, gas: 10, nuclear: 0, hydro: 58, wind: 7, solar: 1 } },
+      { zone: 'ID', year: 2023, intensity: 0.676, source: 'ember', mix: { coal: 62, gas: 16, nuclear: 0, hydro: 7, wind: 0, solar: 0 } },
+      { zone: 'TH', year: 2023, intensity: 0.549, source: 'ember', mix: { coal: 19, gas: 58, nuclear: 0, hydro: 3, wind: 1, solar: 3 } },
+      { zone: 'VN', year: 2023, intensity: 0.475, source: 'ember', mix: { coal: 50, gas: 8, nuclear: 0, hydro: 29, wind: 3, solar: 10 } },
+      { zone: 'PH', year: 2023, intensity: 0.610, source: 'ember', mix: { coal: 62, gas: 16, nuclear: 0, hydro: 8, wind: 1, solar: 2 } },
+      { zone: 'MY', year: 2023, intensity: 0.605, source: 'ember', mix: { coal: 44, gas: 38, nuclear: 0, hydro: 16, wind: 0, solar: 1 } },
+      { zone: 'SG', year: 2023, intensity: 0.470, source: 'ember', mix: { coal: 0, gas: 94, nuclear: 0, hydro: 0, wind: 0, solar: 2 } },
+      { zone: 'PK', year: 2023, intensity: 0.440, source: 'ember', mix: { coal: 19, gas: 25, nuclear: 17, hydro: 26, wind: 4, solar: 1 } },
+      { zone: 'BD', year: 2023, intensity: 0.670, source: 'ember', mix: { coal: 19, gas: 55, nuclear: 0, hydro: 1, wind: 0, solar: 1 } },
+      { zone: 'KZ', year: 2023, intensity: 0.743, source: 'ember', mix: { coal: 64, gas: 24, nuclear: 0, hydro: 9, wind: 3, solar: 0 } },
+      { zone: 'HK', year: 2023, intensity: 0.660, source: 'ember', mix: null },
+      { zone: 'MO', year: 2023, intensity: 0.470, source: 'ember', mix: null },
+      { zone: 'MN', year: 2023, intensity: 0.775, source: 'ember', mix: null },
+      { zone: 'UZ', year: 2023, intensity: 0.520, source: 'ember', mix: null },
+      { zone: 'TM', year: 2023, intensity: 0.490, source: 'ember', mix: null },
+      { zone: 'TJ', year: 2023, intensity: 0.100, source: 'ember', mix: null },
+      { zone: 'KG', year: 2023, intensity: 0.150, source: 'ember', mix: null },
+      { zone: 'AF', year: 2023, intensity: 0.120, source: 'ember', mix: null },
+      { zone: 'LK', year: 2023, intensity: 0.500, source: 'ember', mix: null },
+      { zone: 'NP', year: 2023, intensity: 0.024, source: 'ember', mix: null },
+      { zone: 'BT', year: 2023, intensity: 0.024, source: 'ember', mix: null },
+      { zone: 'MV', year: 2023, intensity: 0.610, source: 'ember', mix: null },
+      { zone: 'MM', year: 2023, intensity: 0.400, source: 'ember', mix: null },
+      { zone: 'LA', year: 2023, intensity: 0.260, source: 'ember', mix: null },
+      { zone: 'KH', year: 2023, intensity: 0.420, source: 'ember', mix: null },
+      { zone: 'BN', year: 2023, intensity: 0.550, source: 'ember', mix: null },
+      { zone: 'TL', year: 2023, intensity: 0.650, source: 'ember', mix: null },
+      { zone: 'FJ', year: 2023, intensity: 0.290, source: 'ember', mix: null },
+      { zone: 'PG', year: 2023, intensity: 0.500, source: 'ember', mix: null },
+      { zone: 'SB', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'VU', year: 2023, intensity: 0.550, source: 'ember', mix: null },
+      { zone: 'NC', year: 2023, intensity: 0.660, source: 'ember', mix: null },
+      { zone: 'PF', year: 2023, intensity: 0.460, source: 'ember', mix: null },
+      { zone: 'WS', year: 2023, intensity: 0.450, source: 'ember', mix: null },
+      { zone: 'TO', year: 2023, intensity: 0.570, source: 'ember', mix: null },
+      { zone: 'KI', year: 2023, intensity: 0.670, source: 'ember', mix: null },
+      { zone: 'TV', year: 2023, intensity: 0.530, source: 'ember', mix: null },
+      { zone: 'NR', year: 2023, intensity: 0.690, source: 'ember', mix: null },
+      { zone: 'PW', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'MH', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'FM', year: 2023, intensity: 0.680, source: 'ember', mix: null },
+      { zone: 'CK', year: 2023, intensity: 0.600, source: 'ember', mix: null },
+      { zone: 'AS', year: 2023, intensity: 0.690, source: 'ember', mix: null },
+      { zone: 'GU', year: 2023, intensity: 0.620, source: 'ember', mix: null },
+      { zone: 'MP', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'VI', year: 2023, intensity: 0.650, source: 'ember', mix: null },
+
+      // Middle East and Africa
+      { zone: 'SA', year: 2023, intensity: 0.696, source: 'ember', mix: { coal: 0, gas: 63, nuclear: 0, hydro: 0, wind: 0, solar: 1 } },
+      { zone: 'AE', year: 2023, intensity: 0.408, source: 'ember', mix: { coal: 0, gas: 74, nuclear: 20, hydro: 0, wind: 0, solar: 6 } },
+      { zone: 'IL', year: 2023, intensity: 0.500, source: 'ember', mix: { coal: 20, gas: 70, nuclear: 0, hydro: 0, wind: 0, solar: 10 } },
+      { zone: 'IR', year: 2023, intensity: 0.491, source: 'ember', mix: { coal: 0, gas: 84, nuclear: 2, hydro: 6, wind: 0, solar: 0 } },
+      { zone: 'QA', year: 2023, intensity: 0.490, source: 'ember', mix: { coal: 0, gas: 99, nuclear: 0, hydro: 0, wind: 0, solar: 1 } },
+      { zone: 'EG', year: 2023, intensity: 0.470, source: 'ember', mix: { coal: 0, gas: 79, nuclear: 0, hydro: 7, wind: 3, solar: 3 } },
+      { zone: 'DZ', year: 2023, intensity: 0.490, source: 'ember', mix: { coal: 0, gas: 99, nuclear: 0, hydro: 0, wind: 0, solar: 1 } },
+      { zone: 'MA', year: 2023, intensity: 0.630, source: 'ember', mix: { coal: 67, gas: 8, nuclear: 0, hydro: 1, wind: 14, solar: 5 } },
+      { zone: 'TN', year: 2023, intensity: 0.470, source: 'ember', mix: { coal: 0, gas: 95, nuclear: 0, hydro: 0, wind: 2, solar: 2 } },
+      { zone: 'GH', year: 2023, intensity: 0.484, source: 'ember', mix: { coal: 0, gas: 64, nuclear: 0, hydro: 35, wind: 0, solar: 1 } },
+      { zone: 'KE', year: 2023, intensity: 0.080, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 20, wind: 17, solar: 2 } },
+      { zone: 'ET', year: 2023, intensity: 0.025, source: 'ember', mix: { coal: 0, gas: 0, nuclear: 0, hydro: 95, wind: 4, solar: 0 } },
+      { zone: 'ZA', year: 2022, intensity: 0.709, source: 'ember', mix: { coal: 85, gas: 0, nuclear: 4, hydro: 1, wind: 5, solar: 4 } },
+      { zone: 'ZA', year: 2023, intensity: 0.709, source: 'ember', mix: { coal: 83, gas: 0, nuclear: 4, hydro: 1, wind: 5, solar: 5 } },
+      { zone: 'IQ', year: 2023, intensity: 0.690, source: 'ember', mix: null },
+      { zone: 'SY', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'LB', year: 2023, intensity: 0.640, source: 'ember', mix: null },
+      { zone: 'JO', year: 2023, intensity: 0.400, source: 'ember', mix: null },
+      { zone: 'BH', year: 2023, intensity: 0.500, source: 'ember', mix: null },
+      { zone: 'KW', year: 2023, intensity: 0.570, source: 'ember', mix: null },
+      { zone: 'OM', year: 2023, intensity: 0.480, source: 'ember', mix: null },
+      { zone: 'YE', year: 2023, intensity: 0.570, source: 'ember', mix: null },
+      { zone: 'LY', year: 2023, intensity: 0.580, source: 'ember', mix: null },
+      { zone: 'SD', year: 2023, intensity: 0.300, source: 'ember', mix: null },
+      { zone: 'SS', year: 2023, intensity: 0.630, source: 'ember', mix: null },
+      { zone: 'ER', year: 2023, intensity: 0.630, source: 'ember', mix: null },
+      { zone: 'DJ', year: 2023, intensity: 0.690, source: 'ember', mix: null },
+      { zone: 'SO', year: 2023, intensity: 0.580, source: 'ember', mix: null },
+      { zone: 'UG', year: 2023, intensity: 0.045, source: 'ember', mix: null },
+      { zone: 'TZ', year: 2023, intensity: 0.360, source: 'ember', mix: null },
+      { zone: 'RW', year: 2023, intensity: 0.320, source: 'ember', mix: null },
+      { zone: 'BI', year: 2023, intensity: 0.250, source: 'ember', mix: null },
+      { zone: 'CD', year: 2023, intensity: 0.025, source: 'ember', mix: null },
+      { zone: 'CG', year: 2023, intensity: 0.400, source: 'ember', mix: null },
+      { zone: 'CF', year: 2023, intensity: 0.030, source: 'ember', mix: null },
+      { zone: 'TD', year: 2023, intensity: 0.670, source: 'ember', mix: null },
+      { zone: 'CM', year: 2023, intensity: 0.290, source: 'ember', mix: null },
+      { zone: 'GQ', year: 2023, intensity: 0.590, source: 'ember', mix: null },
+      { zone: 'GA', year: 2023, intensity: 0.430, source: 'ember', mix: null },
+      { zone: 'ST', year: 2023, intensity: 0.640, source: 'ember', mix: null },
+      { zone: 'AO', year: 2023, intensity: 0.170, source: 'ember', mix: null },
+      { zone: 'ZM', year: 2023, intensity: 0.110, source: 'ember', mix: null },
+      { zone: 'ZW', year: 2023, intensity: 0.350, source: 'ember', mix: null },
+      { zone: 'BW', year: 2023, intensity: 0.850, source: 'ember', mix: null },
+      { zone: 'NA', year: 2023, intensity: 0.060, source: 'ember', mix: null },
+      { zone: 'LS', year: 2023, intensity: 0.020, source: 'ember', mix: null },
+      { zone: 'SZ', year: 2023, intensity: 0.170, source: 'ember', mix: null },
+      { zone: 'MG', year: 2023, intensity: 0.480, source: 'ember', mix: null },
+      { zone: 'MU', year: 2023, intensity: 0.630, source: 'ember', mix: null },
+      { zone: 'SC', year: 2023, intensity: 0.560, source: 'ember', mix: null },
+      { zone: 'KM', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'RE', year: 2023, intensity: 0.580, source: 'ember', mix: null },
+      { zone: 'MZ', year: 2023, intensity: 0.140, source: 'ember', mix: null },
+      { zone: 'MW', year: 2023, intensity: 0.070, source: 'ember', mix: null },
+      { zone: 'TG', year: 2023, intensity: 0.450, source: 'ember', mix: null },
+      { zone: 'BJ', year: 2023, intensity: 0.600, source: 'ember', mix: null },
+      { zone: 'NE', year: 2023, intensity: 0.670, source: 'ember', mix: null },
+      { zone: 'BF', year: 2023, intensity: 0.470, source: 'ember', mix: null },
+      { zone: 'ML', year: 2023, intensity: 0.410, source: 'ember', mix: null },
+      { zone: 'SN', year: 2023, intensity: 0.510, source: 'ember', mix: null },
+      { zone: 'GM', year: 2023, intensity: 0.650, source: 'ember', mix: null },
+      { zone: 'GW', year: 2023, intensity: 0.700, source: 'ember', mix: null },
+      { zone: 'GN', year: 2023, intensity: 0.200, source: 'ember', mix: null },
+      { zone: 'SL', year: 2023, intensity: 0.400, source: 'ember', mix: null },
+      { zone: 'LR', year: 2023, intensity: 0.230, source: 'ember', mix: null },
+      { zone: 'CI', year: 2023, intensity: 0.410, source: 'ember', mix: null },
+      { zone: 'MR', year: 2023, intensity: 0.460, source: 'ember', mix: null },
+      { zone: 'CV', year: 2023, intensity: 0.560, source: 'ember', mix: null },
+
+      // US balancing authorities
+      { zone: 'US-CAL-CISO', year: 2023, intensity: 0.228, source: 'eia', mix: null },
+      { zone: 'US-CAR-DUK', year: 2023, intensity: 0.332, source: 'eia', mix: null },
+      { zone: 'US-CAR-SC', year: 2023, intensity: 0.325, source: 'eia', mix: null },
+      { zone: 'US-CENT-SWPP', year: 2023, intensity: 0.421, source: 'eia', mix: null },
+      { zone: 'US-FLA-FPL', year: 2023, intensity: 0.378, source: 'eia', mix: null },
+      { zone: 'US-MIDA-PJM', year: 2023, intensity: 0.381, source: 'eia', mix: null },
+      { zone: 'US-MIDW-MISO', year: 2023, intensity: 0.468, source: 'eia', mix: null },
+      { zone: 'US-NE-ISNE', year: 2023, intensity: 0.247, source: 'eia', mix: null },
+      { zone: 'US-NW-BPAT', year: 2023, intensity: 0.082, source: 'eia', mix: null },
+      { zone: 'US-NW-PACE', year: 2023, intensity: 0.640, source: 'eia', mix: null },
+      { zone: 'US-NY-NYIS', year: 2023, intensity: 0.238, source: 'eia', mix: null },
+      { zone: 'US-SE-SOCO', year: 2023, intensity: 0.401, source: 'eia', mix: null },
+      { zone: 'US-SW-AZPS', year: 2023, intensity: 0.379, source: 'eia', mix: null },
+      { zone: 'US-TEN-TVA', year: 2023, intensity: 0.327, source: 'eia', mix: null },
+      { zone: 'US-TEX-ERCO', year: 2023, intensity: 0.393, source: 'eia', mix: null },
+
+      // Canadian provinces
+      { zone: 'CA-AB', year: 2022, intensity: 0.530, source: 'eccc', mix: null },
+      { zone: 'CA-BC', year: 2022, intensity: 0.015, source: 'eccc', mix: null },
+      { zone: 'CA-MB', year: 2022, intensity: 0.002, source: 'eccc', mix: null },
+      { zone: 'CA-NB', year: 2022, intensity: 0.290, source: 'eccc', mix: null },
+      { zone: 'CA-NL', year: 2022, intensity: 0.020, source: 'eccc', mix: null },
+      { zone: 'CA-NS', year: 2022, intensity: 0.670, source: 'eccc', mix: null },
+      { zone: 'CA-ON', year: 2022, intensity: 0.030, source: 'eccc', mix: null },
+      { zone: 'CA-PE', year: 2022, intensity: 0.290, source: 'eccc', mix: null },
+      { zone: 'CA-QC', year: 2022, intensity: 0.002, source: 'eccc', mix: null },
+      { zone: 'CA-SK', year: 2022, intensity: 0.640, source: 'eccc', mix: null },
+
+      // Australian states
+      { zone: 'AU-NSW', year: 2023, intensity: 0.680, source: 'dcceew', mix: null },
+      { zone: 'AU-QLD', year: 2023, intensity: 0.730, source: 'dcceew', mix: null },
+      { zone: 'AU-SA', year: 2023, intensity: 0.250, source: 'dcceew', mix: null },
+      { zone: 'AU-TAS', year: 2023, intensity: 0.200, source: 'dcceew', mix: null },
+      { zone: 'AU-VIC', year: 2023, intensity: 0.790, source: 'dcceew', mix: null },
+      { zone: 'AU-WA', year: 2023, intensity: 0.510, source: 'dcceew', mix: null },
+
+      // Other sub-national zones
+      { zone: 'BR-CS', year: 2023, intensity: 0.100, source: 'electricitymaps', mix: null },
+      { zone: 'SE-SE3', year: 2023, intensity: 0.030, source: 'electricitymaps', mix: null },
+      { zone: 'IN-WE', year: 2023, intensity: 0.720, source: 'electricitymaps', mix: null },
+      { zone: 'JP-TK', year: 2023, intensity: 0.460, source: 'electricitymaps', mix: null }
+    ]
+  }
+];
+
+/**
+ * Check a generation mix
+ * @param {Object} mix - Percentage per fuel
+ * @returns {string|null} Problem, or null when the mix is valid
+ */
+function validateMix(mix) {
+  const unknown = Object.keys(mix).filter(fuel => !MIX_FUELS.includes(fuel));
+  if (unknown.length > 0) {
+    return `unknown fuels ${unknown.join(', ')} (use ${MIX_FUELS.join(', ')})`;
+  }
+  const shares = MIX_FUELS.map(fuel => mix[fuel]);
+  if (shares.some(share => typeof share !== 'number' || share < 0 || share > 100)) {
+    return `every fuel needs a percentage from 0 to 100 (${MIX_FUELS.join(', ')})`;
+  }
+  // Shares are rounded, so allow a little over 100
+  if (shares.reduce((total, share) => total + share, 0) > 102) {
+    return 'fuel shares add up to more than 100%';
+  }
+  return null;
+}
+
+/**
+ * Validate a dataset definition
+ * @param {Object} dataset - { version, releasedAt, sources, records }
+ * @returns {string[]} Problems found (empty when the dataset is valid)
+ */
+function validateDataset(dataset) {
+  const errors = [];
+  const sources = dataset.sources || {};
+
+  if (!dataset.version) {
+    errors.push('Dataset has no version');
+  }
+  for (const [id, source] of Object.entries(sources)) {
+    if (!source.name || !source.license) {
+      errors.push(`Source "${id}" needs a name and a license`);
+    }
+  }
+  if (!Array.isArray(dataset.records) || dataset.records.length === 0) {
+    errors.push('Dataset has no records');
+    return errors;
+  }
+
+  const seen = new Set();
+  for (const record of dataset.records) {
+    const label = `${record.zone} ${record.year}`;
+    const key = String(record.zone).toUpperCase();
+
+    if (key !== WORLD && !COUNTRIES[key] && !SUBNATIONAL_ZONES[key]) {
+      errors.push(`${label}: unknown zone`);
+    }
+    if (seen.has(`${key}-${record.year}`)) {
+      errors.push(`${label}: duplicate record`);
+    }
+    seen.add(`${key}-${record.year}`);
+
+    if (!Number.isInteger(record.year)) {
+      errors.push(`${label}: year must be a whole number`);
+    }
+    if (typeof record.intensity !== 'number' || record.intensity < 0 || record.intensity > 2) {
+      errors.push(`${label}: intensity must be in kg CO2/kWh (0 to 2)`);
+    }
+    if (!record.source) {
+      errors.push(`${label}: missing source`);
+    } else if (!sources[record.source]) {
+      errors.push(`${label}: unknown source "${record.source}"`);
+    }
+    if (record.mix) {
+      const problem = validateMix(record.mix);
+      if (problem) {
+        errors.push(`${label}: ${problem}`);
+      }
+    }
+  }
+
+  if (!dataset.records.some(record => record.zone === WORLD)) {
+    errors.push(`Dataset needs a ${WORLD} record as the last-resort fallback`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a dataset definition and index its records by zone
+ * @param {Object} definition - { version, releasedAt, description, sources, records }
+ * @returns {Object} Loaded dataset with `zones` (Map of zone key to records, oldest year first)
+ * @throws {Error} When the dataset is invalid
+ */
+function loadDataset(definition) {
+  const errors = validateDataset(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid carbon intensity dataset ${definition.version || ''}: ${errors.join('; ')}`);
+  }
+
+  const zones = new Map();
+  for (const record of definition.records) {
+    const key = record.zone.toUpperCase();
+    zones.set(key, [...(zones.get(key) || []), { ...record, zone: key }]);
+  }
+  for (const records of zones.values()) {
+    records.sort((a, b) => a.year - b.year);
+  }
+
+  return { ...definition, zones };
+}
+
+const LOADED_DATASETS = DATASETS.map(loadDataset);
+const CURRENT_DATASET_VERSION = LOADED_DATASETS[LOADED_DATASETS.length - 1].version;
+
+/**
+ * Get a loaded dataset
+ * @param {string} version - Dataset version (default: current)
+ * @returns {Object} Loaded dataset
+ * @throws {Error} When the version does not exist
+ */
+function getDataset(version = CURRENT_DATASET_VERSION) {
+  const dataset = LOADED_DATASETS.find(entry => entry.version === version);
+  if (!dataset) {
+    throw new Error(`Unknown carbon intensity dataset "${version}". Available: ${LOADED_DATASETS.map(entry => entry.version).join(', ')}`);
+  }
+  return dataset;
+}
+
+/**
+ * Pick a zone's record for a year: that year, else the latest before it, else the earliest
+ * @param {Object[]} records - Records of one zone, oldest first
+ * @param {number|null} year - Year wanted (null: latest)
+ * @returns {Object} Record
+ */
+function pickRecord(records, year) {
+  if (!year) {
+    return records[records.length - 1];
+  }
+  const earlier = records.filter(record => record.year <= year);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : records[0];
+}
+
+/**
+ * Get the fallback intensity of a zone
+ * Sub-national zones without a record use their country's, countries without a grid of their own
+ * the neighbour's that serves them, and zones without either the world average.
+ * @param {string} zone - ISO country code or zone key
+ * @param {Object} options - { year (default: latest available), version (default: current) }
+ * @returns {Object} { intensity (kg CO2/kWh), year, zone (of the record used), coverage ('zone',
+ *   'country' or 'world'), mix, source: { id, name, url, license }, datasetVersion }
+ */
+function getFallbackIntensity(zone, { year = null, version = CURRENT_DATASET_VERSION } = {}) {
+  const dataset = getDataset(version);
+  const key = String(zone).toUpperCase();
+  const countryCode = SUBNATIONAL_ZONES[key] ? SUBNATIONAL_ZONES[key].countryCode : (SERVED_BY[key] || key);
+
+  let coverage = 'world';
+  let records = dataset.zones.get(WORLD);
+  if (dataset.zones.has(key)) {
+    coverage = SUBNATIONAL_ZONES[key] ? 'zone' : 'country';
+    records = dataset.zones.get(key);
+  } else if (dataset.zones.has(countryCode)) {
+    coverage = 'country';
+    records = dataset.zones.get(countryCode);
+  }
+
+  const record = pickRecord(records, year);
+  return {
+    intensity: record.intensity,
+    year: record.year,
+    zone: record.zone,
+    coverage,
+    mix: record.mix || null,
+    source: { id: record.source, ...dataset.sources[record.source] },
+    datasetVersion: dataset.version
+  };
+}
+
+/**
+ * List the known zones a dataset has no record for, which use the world average
+ * @param {Object} dataset - Loaded dataset
+ * @returns {string[]} Zone keys, sorted
+ */
+function getWorldCoverageZones(dataset) {
+  return [...Object.keys(COUNTRIES), ...Object.keys(SUBNATIONAL_ZONES)]
+    .filter(zone => getFallbackIntensity(zone, { version: dataset.version }).coverage === 'world')
+    .sort();
+}
+
+/**
+ * Describe a dataset for the API
+ * @param {Object} dataset - Loaded dataset
+ * @returns {Object} { version, releasedAt, description, current, years, zones, records, sources, worldCoverage }
+ */
+function describeDataset(dataset) {
+  const years = dataset.records.map(record => record.year);
+  return {
+    version: dataset.version,
+    releasedAt: dataset.releasedAt,
+    description: dataset.description,
+    current: dataset.version === CURRENT_DATASET_VERSION,
+    years: { from: Math.min(...years), to: Math.max(...years) },
+    zones: dataset.zones.size,
+    records: dataset.records.length,
+    sources: Object.entries(dataset.sources).map(([id, source]) => ({
+      id,
+      ...source,
+      records: dataset.records.filter(record => record.source === id).length
+    })),
+    worldCoverage: getWorldCoverageZones(dataset)
+  };
+}
+
+/**
+ * List the dataset versions
+ * @returns {Object} { current, datasets } (oldest first)
+ */
+function listDatasets() {
+  return {
+    current: CURRENT_DATASET_VERSION,
+    datasets: LOADED_DATASETS.map(describeDataset)
+  };
+}
+
+/**
+ * Get the records of a zone in a dataset, with what the fallback uses today
+ * @param {string} zone - ISO country code or zone key
+ * @param {string} version - Dataset version (default: current)
+ * @returns {Object} { zone, datasetVersion, records (oldest year first, with their source), fallback }
+ */
+function getZoneRecords(zone, version = CURRENT_DATASET_VERSION) {
+  const dataset = getDataset(version);
+  const key = String(zone).toUpperCase();
+  return {
+    zone: key,
+    datasetVersion: dataset.version,
+    records: (dataset.zones.get(key) || []).map(record => ({
+      year: record.year,
+      intensity: record.intensity,
+      mix: record.mix || null,
+      source: { id: record.source, ...dataset.sources[record.source] }
+    })),
+    fallback: getFallbackIntensity(key, { version })
+  };
+}
+
+module.exports = {
+  validateDataset,
+  loadDataset,
+  getDataset,
+  getFallbackIntensity,
+  getZoneRecords,
+  listDatasets,
+  CURRENT_DATASET_VERSION,
+  MIX_FUELS,
+  WORLD
+};
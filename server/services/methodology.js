@@ -0,0 +1,58 @@
+/**
+ * Methodology Versions
+ *
+ * Every calculation is stamped with the methodology version it was computed under:
+ * the built-in energy, workload, grid and equivalence factors in calculations.js and
+ * the services it uses. Model factors have their own versions in the registry and are
+ * stamped separately. When one of those built-in factors is corrected, add a version
+ * here so stored history can be recalculated (see services/recalculation) and reports
+ * can state which methodology their figures use.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+// Oldest first; the last entry is the current methodology
+const METHODOLOGY_VERSIONS = [
+  {
+    version: '2026.1',
+    releasedAt: '2026-10-19',
+    summary: 'Grid zones resolved for every region input, fallback intensity corrected from kg to g CO2/kWh, ' +
+      'cloud region PUE, and time-matched intensity for back-dated usage'
+  },
+  {
+    version: '2026.2',
+    releasedAt: '2026-10-19',
+    summary: 'Fallback intensity from the sourced dataset 2026.1 (Ember country data by year, grid operator ' +
+      'and inventory values for sub-national zones) instead of placeholder values'
+  },
+  {
+    version: '2026.3',
+    releasedAt: '2026-10-19',
+    summary: 'Cited equivalence factors: EPA smartphone charge (0.00822 kg) and short-haul flight, Poore & Nemecek ' +
+      'beef burger, and household, laptop and LED figures at the sourced grid intensity'
+  }
+];
+
+const CURRENT_METHODOLOGY_VERSION = METHODOLOGY_VERSIONS[METHODOLOGY_VERSIONS.length - 1].version;
+
+// Label for calculations saved before methodology versions were recorded
+const UNVERSIONED = 'unversioned';
+
+/**
+ * Get the methodology version history
+ * @returns {Object} { current, versions }
+ */
+function getMethodologyVersions() {
+  return {
+    current: CURRENT_METHODOLOGY_VERSION,
+    versions: METHODOLOGY_VERSIONS
+  };
+}
+
+module.exports = {
+  getMethodologyVersions,
+  METHODOLOGY_VERSIONS,
+  CURRENT_METHODOLOGY_VERSION,
+  UNVERSIONED
+};
@@ -0,0 +1,193 @@
+/**
+ * Model Alias Resolver
+ *
+ * Maps provider model IDs as they appear in API logs (e.g. `gpt-4o-2024-08-06`,
+ * `claude-3-5-sonnet-20241022`, `models/gemini-1.5-pro-002`) to a canonical model
+ * in the factor registry plus a size class. Unknown IDs are reported back to the
+ * caller rather than silently mapped to the default model.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const modelRegistry = require('./modelRegistry');
+
+// Size classes of the built-in canonical models
+const CANONICAL_SIZE_CLASSES = {
+  gpt3: 'medium',
+  gpt4: 'large',
+  claude: 'large',
+  gemini: 'medium',
+  default: null
+};
+
+// Exact provider model IDs (after normalization and version stripping)
+const MODEL_ALIASES = {
+  // OpenAI
+  'gpt-3.5-turbo': { model: 'gpt3', sizeClass: 'medium' },
+  'gpt-3.5-turbo-instruct': { model: 'gpt3', sizeClass: 'medium' },
+  'text-davinci-003': { model: 'gpt3', sizeClass: 'large' },
+  'davinci-002': { model: 'gpt3', sizeClass: 'large' },
+  'gpt-4': { model: 'gpt4', sizeClass: 'large' },
+  'gpt-4-turbo': { model: 'gpt4', sizeClass: 'large' },
+  'gpt-4o': { model: 'gpt4', sizeClass: 'large' },
+  'gpt-4o-mini': { model: 'gpt3', sizeClass: 'small' },
+  'gpt-4.1': { model: 'gpt4', sizeClass: 'large' },
+  'gpt-4.1-mini': { model: 'gpt3', sizeClass: 'small' },
+  'gpt-4.1-nano': { model: 'gpt3', sizeClass: 'small' },
+  'o1': { model: 'gpt4', sizeClass: 'large' },
+  'o1-mini': { model: 'gpt3', sizeClass: 'small' },
+  'o3': { model: 'gpt4', sizeClass: 'large' },
+  'o3-mini': { model: 'gpt3', sizeClass: 'small' },
+
+  // Anthropic
+  'claude-3-haiku': { model: 'claude', sizeClass: 'small' },
+  'claude-3-5-haiku': { model: 'claude', sizeClass: 'small' },
+  'claude-3-sonnet': { model: 'claude', sizeClass: 'medium' },
+  'claude-3-5-sonnet': { model: 'claude', sizeClass: 'medium' },
+  'claude-3-7-sonnet': { model: 'claude', sizeClass: 'medium' },
+  'claude-sonnet-4': { model: 'claude', sizeClass: 'medium' },
+  'claude-3-opus': { model: 'claude', sizeClass: 'large' },
+  'claude-opus-4': { model: 'claude', sizeClass: 'large' },
+
+  // Google
+  'gemini-pro': { model: 'gemini', sizeClass: 'medium' },
+  'gemini-1.0-pro': { model: 'gemini', sizeClass: 'medium' },
+  'gemini-1.5-pro': { model: 'gemini', sizeClass: 'medium' },
+  'gemini-1.5-flash': { model: 'gemini', sizeClass: 'small' },
+  'gemini-1.5-flash-8b': { model: 'gemini', sizeClass: 'small' },
+  'gemini-2.0-flash': { model: 'gemini', sizeClass: 'small' },
+  'gemini-2.5-pro': { model: 'gemini', sizeClass: 'large' },
+  'gemini-2.5-flash': { model: 'gemini', sizeClass: 'small' },
+  'gemini-ultra': { model: 'gemini', sizeClass: 'large' }
+};
+
+// Prefix patterns for IDs not listed above, most specific first
+const PREFIX_ALIASES = [
+  { prefix: 'gpt-4o-mini', model: 'gpt3', sizeClass: 'small' },
+  { prefix: 'gpt-4.1-mini', model: 'gpt3', sizeClass: 'small' },
+  { prefix: 'gpt-4.1-nano', model: 'gpt3', sizeClass: 'small' },
+  { prefix: 'gpt-3.5', model: 'gpt3', sizeClass: 'medium' },
+  { prefix: 'gpt-4', model: 'gpt4', sizeClass: 'large' },
+  { prefix: 'claude-instant', model: 'claude', sizeClass: 'small' },
+  { prefix: 'claude-3-5-haiku', model: 'claude', sizeClass: 'small' },
+  { prefix: 'claude-3-haiku', model: 'claude', sizeClass: 'small' },
+  { prefix: 'claude-haiku', model: 'claude', sizeClass: 'small' },
+  { prefix: 'claude-opus', model: 'claude', sizeClass: 'large' },
+  { prefix: 'claude-3-opus', model: 'claude', sizeClass: 'large' },
+  { prefix: 'claude', model: 'claude', sizeClass: 'medium' },
+  { prefix: 'gemini-1.5-flash', model: 'gemini', sizeClass: 'small' },
+  { prefix: 'gemini-2.0-flash', model: 'gemini', sizeClass: 'small' },
+  { prefix: 'gemini-2.5-flash', model: 'gemini', sizeClass: 'small' },
+  { prefix: 'gemini', model: 'gemini', sizeClass: 'medium' }
+].sort((a, b) => b.prefix.length - a.prefix.length);
+
+// Provider namespaces prepended by gateways and SDKs
+const NAMESPACE_PATTERNS = [
+  /^models\//, // Gemini API
+  /^(openai|anthropic|google|vertex_ai|bedrock)\//, // LiteLLM / OpenRouter style
+  /^(anthropic|amazon|meta|cohere)\./, // AWS Bedrock
+  /^(us|eu|apac)\.(anthropic|amazon|meta)\./ // Bedrock cross-region inference profiles
+];
+
+// Version and release suffixes, stripped one at a time from the end of an ID
+const VERSION_SUFFIX_PATTERNS = [
+  /-v\d+(:\d+)?$/, // Bedrock revision: -v2:0
+  /-\d{4}-\d{2}-\d{2}$/, // OpenAI snapshot: -2024-08-06
+  /[-@]\d{8}$/, // Anthropic snapshot: -20241022 / Vertex @20241022
+  /-\d{4}$/, // Legacy OpenAI snapshot: -0613
+  /-\d{3}$/, // Gemini revision: -002
+  /-(latest|preview|exp)(-\d{2}-\d{2})?$/ // Release channels: -latest, -preview-05-06
+];
+
+/**
+ * Normalize a provider model ID for matching
+ * @param {string} modelId - Raw model ID
+ * @returns {string} Lowercased ID without provider namespaces
+ */
+function normalizeModelId(modelId) {
+  let normalized = String(modelId).trim().toLowerCase();
+  NAMESPACE_PATTERNS.forEach(pattern => {
+    normalized = normalized.replace(pattern, '');
+  });
+  return normalized;
+}
+
+/**
+ * Strip one version suffix from a model ID
+ * @param {string} modelId - Normalized model ID
+ * @returns {string|null} ID without its trailing version, or null if none matched
+ */
+function stripVersionSuffix(modelId) {
+  for (const pattern of VERSION_SUFFIX_PATTERNS) {
+    if (pattern.test(modelId)) {
+      return modelId.replace(pattern, '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a provider model ID to a canonical registry model
+ * @param {string} modelId - Model ID as sent by the caller (empty means `default`)
+ * @returns {Promise<Object>} { requested, canonical, sizeClass, matchedBy, known }
+ *   `matchedBy` is one of 'default', 'canonical', 'exact', 'version', 'prefix' or null when unknown
+ */
+async function resolveModelId(modelId) {
+  const factors = await modelRegistry.getCurrentFactors();
+  const resolved = (canonical, sizeClass, matchedBy) => ({
+    requested: modelId || null,
+    canonical,
+    sizeClass,
+    matchedBy,
+    known: true
+  });
+  const lookup = (candidate) => {
+    if (factors[candidate]) {
+      return { model: candidate, sizeClass: CANONICAL_SIZE_CLASSES[candidate] ?? null, canonical: true };
+    }
+    const alias = MODEL_ALIASES[candidate];
+    return alias && factors[alias.model] ? alias : null;
+  };
+
+  if (!modelId) {
+    return resolved('default', null, 'default');
+  }
+
+  const normalized = normalizeModelId(modelId);
+
+  const direct = lookup(normalized);
+  if (direct) {
+    return resolved(direct.model, direct.sizeClass, direct.canonical ? 'canonical' : 'exact');
+  }
+
+  let candidate = stripVersionSuffix(normalized);
+  while (candidate) {
+    const versioned = lookup(candidate);
+    if (versioned) {
+      return resolved(versioned.model, versioned.sizeClass, 'version');
+    }
+    candidate = stripVersionSuffix(candidate);
+  }
+
+  const prefixMatch = PREFIX_ALIASES.find(alias => normalized.startsWith(alias.prefix) && factors[alias.model]);
+  if (prefixMatch) {
+    return resolved(prefixMatch.model, prefixMatch.sizeClass, 'prefix');
+  }
+
+  return {
+    requested: modelId,
+    canonical: null,
+    sizeClass: null,
+    matchedBy: null,
+    known: false
+  };
+}
+
+module.exports = {
+  resolveModelId,
+  normalizeModelId,
+  stripVersionSuffix,
+  MODEL_ALIASES,
+  PREFIX_ALIASES
+};
@@ -0,0 +1,443 @@
+/**
+ * Model Factor Registry Service
+ *
+ * Resolves per-model energy coefficients from the versioned `model_factors` table.
+ * Built-in factors are used as version 1 when the table is empty or unavailable,
+ * so calculations keep working before the database has been initialized.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { ModelFactor } = require('../models');
+const { Op } = require('sequelize');
+const { validateRange } = require('./uncertainty');
+const { deriveEmbodiedPerToken } = require('./embodiedCarbon');
+
+const BUILTIN_VALID_FROM = '2023-01-01T00:00:00.000Z';
+const BUILTIN_CITATION = 'Derived from GPT-3 training energy (~1,287 MWh for ~300B tokens, Patterson et al. 2021) ' +
+  'assuming inference is 10-100x more efficient than training; output tokens weighted 4x input tokens';
+
+// 90% range of the built-in per-token factors, as multipliers of the central value.
+// The 10-100x training-to-inference efficiency assumption alone spans an order of magnitude.
+const BUILTIN_UNCERTAINTY = { low: 0.4, high: 2.5 };
+
+// Built-in model factors (kWh per token), seeded as version 1 of each model
+const BUILTIN_MODEL_FACTORS = {
+  gpt3: {
+    displayName: 'GPT-3 (OpenAI)',
+    provider: 'openai',
+    input: 0.00000215,
+    output: 0.0000086,
+    cachedInput: 0.00000043,
+    blended: 0.0000043
+  },
+  gpt4: {
+    displayName: 'GPT-4 (OpenAI)',
+    provider: 'openai',
+    input: 0.0000043,
+    output: 0.0000172,
+    cachedInput: 0.00000086,
+    blended: 0.0000086
+  },
+  claude: {
+    displayName: 'Claude (Anthropic)',
+    provider: 'anthropic',
+    input: 0.00000325,
+    output: 0.000013,
+    cachedInput: 0.00000065,
+    blended: 0.0000065
+  },
+  gemini: {
+    displayName: 'Gemini (Google)',
+    provider: 'google',
+    input: 0.00000275,
+    output: 0.000011,
+    cachedInput: 0.00000055,
+    blended: 0.0000055
+  },
+  default: {
+    displayName: 'Average Model',
+    provider: null,
+    input: 0.000003,
+    output: 0.000012,
+    cachedInput: 0.0000006,
+    blended: 0.000006
+  }
+};
+
+// Cache of resolved factors (5 minutes TTL), cleared on every registry write
+const factorCache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Build a factor object from a built-in entry
+ * @param {string} modelKey - Model key
+ * @returns {Object} Factor in registry format
+ */
+function getBuiltinFactor(modelKey) {
+  const builtin = BUILTIN_MODEL_FACTORS[modelKey];
+  return {
+    id: null,
+    modelKey,
+    version: 1,
+    displayName: builtin.displayName,
+    provider: builtin.provider,
+    coefficients: {
+      input: builtin.input,
+      output: builtin.output,
+      cachedInput: builtin.cachedInput,
+      blended: builtin.blended
+    },
+    uncertainty: { ...BUILTIN_UNCERTAINTY },
+    embodied: {
+      kgPerToken: deriveEmbodiedPerToken(builtin.blended),
+      derived: true
+    },
+    source: {
+      citation: BUILTIN_CITATION,
+      url: null
+    },
+    validFrom: BUILTIN_VALID_FROM,
+    validTo: null,
+    builtin: true
+  };
+}
+
+/**
+ * Convert a ModelFactor row to registry format
+ * @param {Object} row - ModelFactor instance
+ * @returns {Object} Factor in registry format
+ */
+function formatFactor(row) {
+  return {
+    id: row.id,
+    modelKey: row.model_key,
+    version: row.version,
+    displayName: row.display_name,
+    provider: row.provider,
+    coefficients: {
+      input: row.energy_input_kwh,
+      output: row.energy_output_kwh,
+      cachedInput: row.energy_cached_input_kwh,
+      blended: row.energy_blended_kwh
+    },
+    uncertainty: {
+      low: row.energy_low_multiplier ?? BUILTIN_UNCERTAINTY.low,
+      high: row.energy_high_multiplier ?? BUILTIN_UNCERTAINTY.high
+    },
+    // Without an explicit value the embodied factor follows the energy factor
+    embodied: {
+      kgPerToken: row.embodied_kg_per_token ?? deriveEmbodiedPerToken(row.energy_blended_kwh),
+      derived: row.embodied_kg_per_token === null || row.embodied_kg_per_token === undefined
+    },
+    source: {
+      citation: row.source_citation,
+      url: row.source_url
+    },
+    validFrom: row.valid_from,
+    validTo: row.valid_to,
+    builtin: false
+  };
+}
+
+/**
+ * Where clause for factors valid at a point in time
+ * @param {Date} at - Point in time
+ * @returns {Object} Sequelize where clause
+ */
+function validAt(at) {
+  return {
+    valid_from: { [Op.lte]: at },
+    [Op.or]: [
+      { valid_to: null },
+      { valid_to: { [Op.gt]: at } }
+    ]
+  };
+}
+
+/**
+ * Get all factors valid at a point in time, keyed by model
+ * Falls back to built-in factors when the registry table is empty or unavailable.
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Object>} Factors keyed by model key
+ */
+async function getActiveFactors(at = new Date()) {
+  const rows = await ModelFactor.findAll({
+    where: validAt(at),
+    order: [['model_key', 'ASC'], ['version', 'DESC']]
+  });
+
+  const hasRegistryData = rows.length > 0 || await ModelFactor.count() > 0;
+  if (!hasRegistryData) {
+    return Object.fromEntries(Object.keys(BUILTIN_MODEL_FACTORS).map(key => [key, getBuiltinFactor(key)]));
+  }
+
+  const factors = {};
+  rows.forEach(row => {
+    // Rows are ordered by version DESC, so the first one per model wins
+    if (!factors[row.model_key]) {
+      factors[row.model_key] = formatFactor(row);
+    }
+  });
+  return factors;
+}
+
+/**
+ * Get all currently valid factors, cached
+ * @returns {Promise<Object>} Factors keyed by model key
+ */
+async function getCurrentFactors() {
+  const cached = factorCache.get('current');
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    return cached.data;
+  }
+
+  try {
+    const factors = await getActiveFactors();
+    factorCache.set('current', { data: factors, timestamp: Date.now() });
+    return factors;
+  } catch (error) {
+    console.warn('⚠️ Model factor registry unavailable, using built-in factors:', error.message);
+    return Object.fromEntries(Object.keys(BUILTIN_MODEL_FACTORS).map(key => [key, getBuiltinFactor(key)]));
+  }
+}
+
+/**
+ * Get the first version of a model's factor
+ * @param {string} modelKey - Model key
+ * @returns {Promise<Object|null>} Factor, or null when the model has no registry rows
+ */
+async function getFirstFactor(modelKey) {
+  const row = await ModelFactor.findOne({
+    where: { model_key: modelKey },
+    order: [['version', 'ASC']]
+  });
+  return row ? formatFactor(row) : null;
+}
+
+/**
+ * Resolve the energy factor for a model
+ * Unknown models resolve to the `default` factor. With `at`, the version valid at that time is
+ * used; usage from before a model's first version uses that first version.
+ * @param {string} modelKey - Model key
+ * @param {Date} at - Point in time (optional, defaults to now)
+ * @returns {Promise<Object>} Resolved factor
+ */
+async function resolveModelFactor(modelKey = 'default', at = null) {
+  if (at) {
+    try {
+      const factors = await getActiveFactors(new Date(at));
+      if (factors[modelKey]) {
+        return factors[modelKey];
+      }
+      // Usage from before the model's first version uses that version
+      const first = await getFirstFactor(modelKey);
+      if (first && new Date(first.validFrom) > new Date(at)) {
+        return first;
+      }
+      return factors.default || await getFirstFactor('default') || getBuiltinFactor('default');
+    } catch (error) {
+      console.warn('⚠️ Model factor registry unavailable, using current factors:', error.message);
+    }
+  }
+
+  const factors = await getCurrentFactors();
+  return factors[modelKey] || factors.default || getBuiltinFactor('default');
+}
+
+/**
+ * Get every version of a model's factor, newest first
+ * @param {string} modelKey - Model key
+ * @returns {Promise<Object[]>} Factor versions
+ */
+async function getModelFactorHistory(modelKey) {
+  const rows = await ModelFactor.findAll({
+    where: { model_key: modelKey },
+    order: [['version', 'DESC']]
+  });
+
+  if (rows.length === 0 && BUILTIN_MODEL_FACTORS[modelKey]) {
+    return [getBuiltinFactor(modelKey)];
+  }
+
+  return rows.map(formatFactor);
+}
+
+/**
+ * Validate factor input from the admin API
+ * @param {Object} data - Factor input
+ * @param {Object} previous - Previous version (for partial updates)
+ * @returns {Object} Normalized factor input
+ */
+function normalizeFactorInput(data, previous = null) {
+  const coefficients = {
+    input: data.energyInputKwh ?? previous?.coefficients.input,
+    output: data.energyOutputKwh ?? previous?.coefficients.output,
+    cachedInput: data.energyCachedInputKwh ?? previous?.coefficients.cachedInput,
+    blended: data.energyBlendedKwh ?? previous?.coefficients.blended
+  };
+
+  Object.entries(coefficients).forEach(([name, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Energy coefficient "${name}" must be a non-negative number (kWh per token)`);
+    }
+  });
+
+  const uncertainty = validateRange({
+    low: data.energyLowMultiplier ?? previous?.uncertainty.low ?? BUILTIN_UNCERTAINTY.low,
+    high: data.energyHighMultiplier ?? previous?.uncertainty.high ?? BUILTIN_UNCERTAINTY.high
+  }, 'Energy uncertainty');
+
+  // Derived embodied factors are recomputed from the new energy factor rather than carried over
+  const embodiedKgPerToken = data.embodiedKgPerToken ??
+    (previous && !previous.embodied.derived ? previous.embodied.kgPerToken : null);
+  if (embodiedKgPerToken !== null && (typeof embodiedKgPerToken !== 'number' || !Number.isFinite(embodiedKgPerToken) || embodiedKgPerToken < 0)) {
+    throw new Error('embodiedKgPerToken must be a non-negative number (kg CO2e per token)');
+  }
+
+  const displayName = data.displayName ?? previous?.displayName;
+  if (!displayName) {
+    throw new Error('displayName is required');
+  }
+
+  const validFrom = data.validFrom ? new Date(data.validFrom) : new Date();
+  if (isNaN(validFrom.getTime())) {
+    throw new Error('validFrom must be a valid date');
+  }
+
+  return {
+    display_name: displayName,
+    provider: data.provider ?? previous?.provider ?? null,
+    energy_input_kwh: coefficients.input,
+    energy_output_kwh: coefficients.output,
+    energy_cached_input_kwh: coefficients.cachedInput,
+    energy_blended_kwh: coefficients.blended,
+    energy_low_multiplier: uncertainty.low,
+    energy_high_multiplier: uncertainty.high,
+    embodied_kg_per_token: embodiedKgPerToken,
+    source_citation: data.sourceCitation ?? previous?.source.citation ?? null,
+    source_url: data.sourceUrl ?? previous?.source.url ?? null,
+    valid_from: validFrom
+  };
+}
+
+/**
+ * Publish a new version of a model factor
+ * Closes the validity window of the previous open version. Existing rows are never
+ * modified otherwise, so calculations that reference them remain reproducible.
+ * @param {string} modelKey - Model key
+ * @param {Object} data - Factor input
+ * @param {number} userId - User ID of the admin publishing the version
+ * @returns {Promise<Object>} Created factor
+ */
+async function publishModelFactor(modelKey, data, userId = null) {
+  // Persist the built-in factors first so a new version has something to supersede
+  await seedDefaultModelFactors();
+
+  const history = await getModelFactorHistory(modelKey);
+  const previous = history[0] || null;
+  const attributes = normalizeFactorInput(data, previous);
+
+  if (previous && new Date(previous.validFrom) >= attributes.valid_from) {
+    throw new Error('validFrom must be later than the current version');
+  }
+
+  return ModelFactor.sequelize.transaction(async (transaction) => {
+    await ModelFactor.update(
+      { valid_to: attributes.valid_from },
+      { where: { model_key: modelKey, valid_to: null }, transaction }
+    );
+
+    const created = await ModelFactor.create({
+      ...attributes,
+      model_key: modelKey,
+      version: previous ? previous.version + 1 : 1,
+      valid_to: null,
+      created_by: userId
+    }, { transaction });
+
+    clearCache();
+    return formatFactor(created);
+  });
+}
+
+/**
+ * Retire a model so it is no longer offered for new calculations
+ * @param {string} modelKey - Model key
+ * @returns {Promise<number>} Number of versions closed
+ */
+async function retireModel(modelKey) {
+  if (modelKey === 'default') {
+    throw new Error('The default model factor cannot be retired');
+  }
+
+  await seedDefaultModelFactors();
+
+  const [closed] = await ModelFactor.update(
+    { valid_to: new Date() },
+    { where: { model_key: modelKey, valid_to: null } }
+  );
+  clearCache();
+  return closed;
+}
+
+/**
+ * Convert a registry factor to ModelFactor attributes
+ * @param {Object} factor - Factor in registry format
+ * @returns {Object} Row attributes
+ */
+function toRow(factor) {
+  return {
+    model_key: factor.modelKey,
+    version: factor.version,
+    display_name: factor.displayName,
+    provider: factor.provider,
+    energy_input_kwh: factor.coefficients.input,
+    energy_output_kwh: factor.coefficients.output,
+    energy_cached_input_kwh: factor.coefficients.cachedInput,
+    energy_blended_kwh: factor.coefficients.blended,
+    energy_low_multiplier: factor.uncertainty.low,
+    energy_high_multiplier: factor.uncertainty.high,
+    embodied_kg_per_token: factor.embodied.derived ? null : factor.embodied.kgPerToken,
+    source_citation: factor.source.citation,
+    source_url: factor.source.url,
+    valid_from: factor.validFrom,
+    valid_to: factor.validTo
+  };
+}
+
+/**
+ * Seed built-in factors as version 1 when the registry is empty
+ * @returns {Promise<number>} Number of factors seeded
+ */
+async function seedDefaultModelFactors() {
+  const existing = await ModelFactor.count();
+  if (existing > 0) {
+    return 0;
+  }
+
+  const rows = Object.keys(BUILTIN_MODEL_FACTORS).map(key => toRow(getBuiltinFactor(key)));
+  await ModelFactor.bulkCreate(rows);
+  clearCache();
+  return rows.length;
+}
+
+/**
+ * Clear the resolved factor cache
+ */
+function clearCache() {
+  factorCache.clear();
+}
+
+module.exports = {
+  resolveModelFactor,
+  getCurrentFactors,
+  getModelFactorHistory,
+  publishModelFactor,
+  retireModel,
+  seedDefaultModelFactors,
+  clearCache,
+  BUILTIN_MODEL_FACTORS,
+  BUILTIN_UNCERTAINTY
+};
@@ -8,6 +8,8 @@
  * @version 4.0.0
  */
 
+const equivalenceRegistry = require('./equivalences');
+
 // Carbon offset project data (based on publicly available information)
 const OFFSET_PROJECTS = {
   'reforestation': {
@@ -183,15 +185,16 @@ function suggestProjects(co2Kg, preferences = {}) {
   try {
     const co2Tons = co2Kg / 1000;
     const suggestions = [];
+    const equivalences = equivalenceRegistry.calculateEquivalences(co2Kg, {
+      set: 'offsets',
+      country: preferences.country,
+      units: 'imperial'
+    });
 
     // Generate suggestions for each project type
     Object.entries(OFFSET_PROJECTS).forEach(([type, project]) => {
       const calculation = calculateOffsetCost(co2Kg, type);
       
-      // Calculate impact metrics
-      const treesEquivalent = Math.round(co2Tons * 0.5); // Rough estimate: 0.5 trees per ton
-      const carMilesOffset = Math.round(co2Tons * 2200); // Rough estimate: 1 ton = 2200 car miles
-      
       suggestions.push({
         type,
         name: project.name,
@@ -206,8 +209,8 @@ function suggestProjects(co2Kg, preferences = {}) {
         providerUrls: project.providerUrls,
         impact: {
           co2Offset: calculation.impact.co2Offset,
-          treesEquivalent,
-          carMilesOffset,
+          treesEquivalent: Math.round(equivalences.treeSeedlings),
+          carMilesOffset: Math.round(equivalences.carMiles),
           costPerTon: project.costPerTon
         },
         recommendation: getRecommendation(type, co2Tons, preferences)
@@ -299,25 +302,38 @@ function getOffsetProviders() {
   };
 }
 
+// Equivalence keys of earlier releases, still returned for existing clients (deprecated).
+// They were always in miles and US gallons, whatever the requested units.
+const LEGACY_EQUIVALENCE_KEYS = {
+  treesPlanted: 'treeSeedlings',
+  carMilesOffset: 'carMiles',
+  electricityOffset: 'electricityKwh',
+  gasolineOffset: 'gasolineGallons'
+};
+
 /**
  * Calculate offset impact equivalences
  * @param {number} co2Kg - CO₂ amount in kg
+ * @param {Object} options - Equivalence set, country and units (see services/equivalences.js);
+ *   defaults to the `offsets` set
  * @returns {Object} Impact equivalences
  */
-function calculateOffsetEquivalences(co2Kg) {
+function calculateOffsetEquivalences(co2Kg, options = {}) {
   const co2Tons = co2Kg / 1000;
+  const equivalenceOptions = { ...options, set: options.set || 'offsets' };
+  const imperial = equivalenceRegistry.calculateEquivalences(co2Kg, { ...equivalenceOptions, units: 'imperial' });
+  const legacy = Object.entries(LEGACY_EQUIVALENCE_KEYS)
+    .filter(([, key]) => imperial[key] !== undefined)
+    .map(([legacyKey, key]) => [legacyKey, Math.round(imperial[key])]);
   
   return {
     co2Kg,
     co2Tons: Math.round(co2Tons * 1000) / 1000,
     equivalences: {
-      treesPlanted: Math.round(co2Tons * 0.5), // Rough estimate
-      carMilesOffset: Math.round(co2Tons * 2200), // 1 ton CO₂ ≈ 2200 car miles
-      flightsOffset: Math.round(co2Tons * 0.4), // 1 ton CO₂ ≈ 0.4 short flights
-      electricityOffset: Math.round(co2Tons * 1200), // 1 ton CO₂ ≈ 1200 kWh
-      gasolineOffset: Math.round(co2Tons * 100), // 1 ton CO₂ ≈ 100 gallons
-      homeEnergyOffset: Math.round(co2Tons * 0.05) // 1 ton CO₂ ≈ 0.05 homes for a year
+      ...equivalenceRegistry.calculateEquivalences(co2Kg, equivalenceOptions),
+      ...Object.fromEntries(legacy)
     },
+    equivalenceSet: equivalenceRegistry.getEquivalenceSet(equivalenceOptions),
     impact: {
       description: `Offsetting ${co2Kg} kg of CO₂ is equivalent to:`,
       benefits: [
@@ -10,6 +10,11 @@
 
 const { Organization, OrganizationMember, User, Calculation } = require('../models');
 const { Op } = require('sequelize');
+const { getCostPerKgCo2, roundCost, PRICE_CURRENCY } = require('./pricing');
+const regionResolver = require('./regionResolver');
+
+// CO2 of priced calculations only, so cost per kg CO2 is not diluted by unpriced workloads
+const PRICED_CO2 = Calculation.sequelize.literal('CASE WHEN cost IS NOT NULL THEN co2_kg END');
 
 /**
  * Create a new organization
@@ -449,7 +454,10 @@ async function getOrganizationStats(orgId, userId) {
         [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'totalCalculations'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('tokens')), 'totalTokens'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'totalCo2'],
-        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('energy_kwh')), 'totalEnergy']
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.fn('COALESCE', Calculation.sequelize.col('co2_kg_market'), Calculation.sequelize.col('co2_kg'))), 'totalCo2Market'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('energy_kwh')), 'totalEnergy'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('cost')), 'totalCost'],
+        [Calculation.sequelize.fn('SUM', PRICED_CO2), 'pricedCo2']
       ]
     });
 
@@ -464,13 +472,15 @@ async function getOrganizationStats(orgId, userId) {
         'model',
         [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'count'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('tokens')), 'tokens'],
-        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'co2']
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'co2'],
+        [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('cost')), 'cost'],
+        [Calculation.sequelize.fn('SUM', PRICED_CO2), 'pricedCo2']
       ],
       group: ['model'],
       order: [[Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'DESC']]
     });
 
-    // Get regional breakdown
+    // Get regional breakdown by grid zone, rolled up to countries below
     const regionalStats = await Calculation.findAll({
       where: {
         user_id: {
@@ -479,18 +489,44 @@ async function getOrganizationStats(orgId, userId) {
       },
       attributes: [
         'region',
+        'grid_zone',
+        'grid_country',
         [Calculation.sequelize.fn('COUNT', Calculation.sequelize.col('id')), 'count'],
         [Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'co2']
       ],
-      group: ['region'],
-      order: [[Calculation.sequelize.fn('SUM', Calculation.sequelize.col('co2_kg')), 'DESC']]
+      group: ['region', 'grid_zone', 'grid_country'],
+      raw: true
     });
 
+    const zoneBreakdown = new Map();
+    const countryBreakdown = new Map();
+    for (const stat of regionalStats) {
+      const { zone, countryCode } = regionResolver.getCalculationZone(stat);
+      const count = parseInt(stat.count);
+      const co2 = parseFloat(stat.co2) || 0;
+
+      const zoneEntry = zoneBreakdown.get(zone) || { region: zone, countryCode, count: 0, co2: 0 };
+      zoneBreakdown.set(zone, { ...zoneEntry, count: zoneEntry.count + count, co2: zoneEntry.co2 + co2 });
+
+      if (countryCode) {
+        const countryEntry = countryBreakdown.get(countryCode) || { countryCode, zones: [], count: 0, co2: 0 };
+        countryBreakdown.set(countryCode, {
+          ...countryEntry,
+          zones: countryEntry.zones.includes(zone) ? countryEntry.zones : [...countryEntry.zones, zone],
+          count: countryEntry.count + count,
+          co2: countryEntry.co2 + co2
+        });
+      }
+    }
+
     const totalStats = stats[0]?.dataValues || {
       totalCalculations: 0,
       totalTokens: 0,
       totalCo2: 0,
-      totalEnergy: 0
+      totalCo2Market: 0,
+      totalEnergy: 0,
+      totalCost: null,
+      pricedCo2: null
     };
 
     return {
@@ -502,22 +538,26 @@ async function getOrganizationStats(orgId, userId) {
         totalCalculations: parseInt(totalStats.totalCalculations) || 0,
         totalTokens: parseInt(totalStats.totalTokens) || 0,
         totalCo2: parseFloat(totalStats.totalCo2) || 0,
+        totalCo2Market: parseFloat(totalStats.totalCo2Market) || 0,
         totalEnergy: parseFloat(totalStats.totalEnergy) || 0,
         averageCo2PerCalculation: totalStats.totalCalculations > 0 ? 
-          parseFloat(totalStats.totalCo2) / parseInt(totalStats.totalCalculations) : 0
+          parseFloat(totalStats.totalCo2) / parseInt(totalStats.totalCalculations) : 0,
+        totalCost: roundCost(parseFloat(totalStats.totalCost) || 0),
+        costPerKgCo2: getCostPerKgCo2(parseFloat(totalStats.totalCost) || 0, parseFloat(totalStats.pricedCo2) || 0),
+        currency: PRICE_CURRENCY
       },
       breakdown: {
         models: modelStats.map(stat => ({
           model: stat.dataValues.model,
           count: parseInt(stat.dataValues.count),
-          tokens: parseInt(stat.dataValues.tokens),
-          co2: parseFloat(stat.dataValues.co2)
+          tokens: parseInt(stat.dataValues.tokens) || 0,
+          co2: parseFloat(stat.dataValues.co2),
+          cost: stat.dataValues.cost !== null ? roundCost(parseFloat(stat.dataValues.cost)) : null,
+          costPerKgCo2: stat.dataValues.cost !== null ?
+            getCostPerKgCo2(parseFloat(stat.dataValues.cost), parseFloat(stat.dataValues.pricedCo2)) : null
         })),
-        regions: regionalStats.map(stat => ({
-          region: stat.dataValues.region,
-          count: parseInt(stat.dataValues.count),
-          co2: parseFloat(stat.dataValues.co2)
-        }))
+        regions: [...zoneBreakdown.values()].sort((a, b) => b.co2 - a.co2),
+        countries: [...countryBreakdown.values()].sort((a, b) => b.co2 - a.co2)
       }
     };
 
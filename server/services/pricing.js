@@ -0,0 +1,297 @@
+/**
+ * Pricing Service
+ *
+ * Estimates what a text workload cost from the providers' list prices for input,
+ * output and cached input tokens. Prices are dated: a calculation is priced with
+ * the entry in effect when the usage happened, so back-dated and recalculated
+ * usage keeps the price of its time. Provider model IDs are matched like the
+ * model alias resolver does (namespaces and version suffixes stripped); IDs
+ * without a price of their own use the price of their registry model.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { normalizeModelId, stripVersionSuffix } = require('./modelAliases');
+
+// All prices below are list prices in this currency, per million tokens
+const PRICE_CURRENCY = 'USD';
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+// Share of output tokens assumed when only a total is known, matching the blended
+// energy factors (output tokens weigh 4x input tokens, blended = 2x input)
+const BLENDED_OUTPUT_SHARE = 1 / 3;
+
+const OPENAI_PRICING_URL = 'https://openai.com/api/pricing/';
+const ANTHROPIC_PRICING_URL = 'https://www.anthropic.com/pricing#api';
+const GOOGLE_PRICING_URL = 'https://ai.google.dev/gemini-api/docs/pricing';
+
+// Price history per provider model ID, oldest first. cachedInput is null when the
+// provider does not discount cached prompts (they are billed as input).
+const MODEL_PRICES = {
+  // OpenAI
+  'gpt-3.5-turbo': {
+    source: OPENAI_PRICING_URL,
+    prices: [
+      { effectiveFrom: '2023-06-13', input: 1.5, output: 2, cachedInput: null },
+      { effectiveFrom: '2024-01-25', input: 0.5, output: 1.5, cachedInput: null }
+    ]
+  },
+  'gpt-4': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2023-03-14', input: 30, output: 60, cachedInput: null }]
+  },
+  'gpt-4-turbo': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2023-11-06', input: 10, output: 30, cachedInput: null }]
+  },
+  'gpt-4o': {
+    source: OPENAI_PRICING_URL,
+    prices: [
+      { effectiveFrom: '2024-05-13', input: 5, output: 15, cachedInput: null },
+      { effectiveFrom: '2024-10-01', input: 2.5, output: 10, cachedInput: 1.25 }
+    ]
+  },
+  'gpt-4o-mini': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-07-18', input: 0.15, output: 0.6, cachedInput: 0.075 }]
+  },
+  'gpt-4.1': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-04-14', input: 2, output: 8, cachedInput: 0.5 }]
+  },
+  'gpt-4.1-mini': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-04-14', input: 0.4, output: 1.6, cachedInput: 0.1 }]
+  },
+  'gpt-4.1-nano': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-04-14', input: 0.1, output: 0.4, cachedInput: 0.025 }]
+  },
+  'o1': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-12-17', input: 15, output: 60, cachedInput: 7.5 }]
+  },
+  'o3': {
+    source: OPENAI_PRICING_URL,
+    prices: [
+      { effectiveFrom: '2025-04-16', input: 10, output: 40, cachedInput: 2.5 },
+      { effectiveFrom: '2025-06-10', input: 2, output: 8, cachedInput: 0.5 }
+    ]
+  },
+  'o3-mini': {
+    source: OPENAI_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-01-31', input: 1.1, output: 4.4, cachedInput: 0.55 }]
+  },
+
+  // Anthropic (cachedInput is the cache read price)
+  'claude-3-haiku': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-03-13', input: 0.25, output: 1.25, cachedInput: 0.03 }]
+  },
+  'claude-3-5-haiku': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-11-04', input: 0.8, output: 4, cachedInput: 0.08 }]
+  },
+  'claude-3-5-sonnet': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-06-20', input: 3, output: 15, cachedInput: 0.3 }]
+  },
+  'claude-3-7-sonnet': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-02-24', input: 3, output: 15, cachedInput: 0.3 }]
+  },
+  'claude-sonnet-4': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-05-22', input: 3, output: 15, cachedInput: 0.3 }]
+  },
+  'claude-3-opus': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-03-04', input: 15, output: 75, cachedInput: 1.5 }]
+  },
+  'claude-opus-4': {
+    source: ANTHROPIC_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-05-22', input: 15, output: 75, cachedInput: 1.5 }]
+  },
+
+  // Google (prompts up to 128k tokens, 200k for 2.5 Pro)
+  'gemini-1.5-pro': {
+    source: GOOGLE_PRICING_URL,
+    prices: [
+      { effectiveFrom: '2024-05-14', input: 3.5, output: 10.5, cachedInput: 0.875 },
+      { effectiveFrom: '2024-10-01', input: 1.25, output: 5, cachedInput: 0.3125 }
+    ]
+  },
+  'gemini-1.5-flash': {
+    source: GOOGLE_PRICING_URL,
+    prices: [{ effectiveFrom: '2024-08-12', input: 0.075, output: 0.3, cachedInput: 0.01875 }]
+  },
+  'gemini-2.0-flash': {
+    source: GOOGLE_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-02-05', input: 0.1, output: 0.4, cachedInput: 0.025 }]
+  },
+  'gemini-2.5-pro': {
+    source: GOOGLE_PRICING_URL,
+    prices: [{ effectiveFrom: '2025-06-17', input: 1.25, output: 10, cachedInput: 0.31 }]
+  }
+};
+
+// Fallback price history per registry model, for IDs without a price of their own.
+// The `default` model stands in for unknown models and has no representative price.
+const REGISTRY_MODEL_PRICES = {
+  gpt3: { ...MODEL_PRICES['gpt-3.5-turbo'], basis: 'gpt-3.5-turbo' },
+  gpt4: { ...MODEL_PRICES['gpt-4o'], basis: 'gpt-4o' },
+  claude: { ...MODEL_PRICES['claude-3-5-sonnet'], basis: 'claude-3-5-sonnet' },
+  gemini: { ...MODEL_PRICES['gemini-1.5-pro'], basis: 'gemini-1.5-pro' }
+};
+
+/**
+ * Find the price history of a provider model ID
+ * @param {string|null} modelId - Provider model ID as sent by the caller
+ * @returns {Object|null} { key, history }
+ */
+function findModelPrices(modelId) {
+  if (!modelId) {
+    return null;
+  }
+
+  let candidate = normalizeModelId(modelId);
+  while (candidate) {
+    if (MODEL_PRICES[candidate]) {
+      return { key: candidate, history: MODEL_PRICES[candidate] };
+    }
+    candidate = stripVersionSuffix(candidate);
+  }
+  return null;
+}
+
+/**
+ * Resolve the price of a model at a point in time
+ * @param {string|null} modelId - Provider model ID
+ * @param {string} modelKey - Registry model the ID resolved to
+ * @param {Date|string} at - When the usage happened
+ * @returns {Object|null} { key, matchedBy, basis, effectiveFrom, input, output, cachedInput, currency, unit, source },
+ *   or null when the model has no known price or no price was in effect yet
+ */
+function resolvePrice(modelId, modelKey, at = new Date()) {
+  const byId = findModelPrices(modelId);
+  const match = byId || (REGISTRY_MODEL_PRICES[modelKey]
+    ? { key: modelKey, history: REGISTRY_MODEL_PRICES[modelKey] }
+    : null);
+  if (!match) {
+    return null;
+  }
+
+  const day = new Date(at).toISOString().split('T')[0];
+  const price = match.history.prices.filter(entry => entry.effectiveFrom <= day).pop();
+  if (!price) {
+    return null;
+  }
+
+  return {
+    key: match.key,
+    matchedBy: byId ? 'model_id' : 'model',
+    basis: match.history.basis || null,
+    ...price,
+    currency: PRICE_CURRENCY,
+    unit: `${PRICE_CURRENCY} per 1M tokens`,
+    source: match.history.source
+  };
+}
+
+/**
+ * Round a cost to a millionth of the currency unit
+ * @param {number} value - Cost
+ * @returns {number} Rounded cost
+ */
+function roundCost(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Estimate the cost of a workload
+ * Only text workloads are priced: image, audio, embedding and fine-tuning prices are
+ * not per generated token, and self-hosted (hardware) estimates have no list price.
+ * @param {Object} params - { workload, modelId, modelKey, occurredAt }
+ * @returns {Object|null} { total, currency, breakdown, blended, pricing }, or null when not priced
+ */
+function estimateCost({ workload, modelId, modelKey, occurredAt }) {
+  if (workload.type !== 'text') {
+    return null;
+  }
+
+  const price = resolvePrice(modelId, modelKey, occurredAt);
+  if (!price) {
+    return null;
+  }
+
+  const usage = workload.tokenUsage;
+  const perToken = rate => rate / TOKENS_PER_PRICE_UNIT;
+  let tokens;
+  if (usage.split) {
+    tokens = { input: usage.input - usage.cachedInput, cachedInput: usage.cachedInput, output: usage.output };
+  } else {
+    const output = usage.total * BLENDED_OUTPUT_SHARE;
+    tokens = { input: usage.total - output, cachedInput: 0, output };
+  }
+
+  const breakdown = {
+    input: roundCost(tokens.input * perToken(price.input)),
+    cachedInput: roundCost(tokens.cachedInput * perToken(price.cachedInput ?? price.input)),
+    output: roundCost(tokens.output * perToken(price.output))
+  };
+
+  return {
+    total: roundCost(breakdown.input + breakdown.cachedInput + breakdown.output),
+    currency: PRICE_CURRENCY,
+    breakdown,
+    // Without an input/output split the total is priced at the assumed output share
+    blended: !usage.split,
+    pricing: {
+      key: price.key,
+      matchedBy: price.matchedBy,
+      basis: price.basis,
+      effectiveFrom: price.effectiveFrom,
+      input: price.input,
+      output: price.output,
+      cachedInput: price.cachedInput,
+      unit: price.unit,
+      source: price.source
+    }
+  };
+}
+
+/**
+ * Cost per kg of CO2
+ * @param {number|null} cost - Total cost of the priced calculations
+ * @param {number} co2Kg - CO2 of the same calculations (kg)
+ * @returns {number|null} Cost per kg CO2, or null without priced CO2
+ */
+function getCostPerKgCo2(cost, co2Kg) {
+  if (cost === null || cost === undefined || !co2Kg) {
+    return null;
+  }
+  return Math.round((cost / co2Kg) * 10000) / 10000;
+}
+
+/**
+ * Get the price table
+ * @returns {Object} { currency, unit, models, registryModels }
+ */
+function getPriceTable() {
+  return {
+    currency: PRICE_CURRENCY,
+    unit: `${PRICE_CURRENCY} per 1M tokens`,
+    models: MODEL_PRICES,
+    registryModels: REGISTRY_MODEL_PRICES
+  };
+}
+
+module.exports = {
+  resolvePrice,
+  estimateCost,
+  getCostPerKgCo2,
+  getPriceTable,
+  roundCost,
+  PRICE_CURRENCY
+};
@@ -0,0 +1,486 @@
+/**
+ * Recalculation Service
+ *
+ * Recomputes a user's or an organization's stored calculations under the current
+ * methodology version, or whose model factor version has been superseded for the time
+ * of their usage (see modelRegistry.publishModelFactor). A dry run returns the diff (totals before and after, by
+ * model and by region) without saving anything; an applied run updates every
+ * outdated calculation, stamps it with the new version and keeps a
+ * RecalculationRun as the audit record.
+ *
+ * A scope has at most one running run, enforced by a unique index. Runs execute in
+ * the process that started them, so runs still running at startup were interrupted
+ * and are marked failed, as are runs still running after STALE_RUN_TIMEOUT.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { Op, fn, col, UniqueConstraintError } = require('sequelize');
+const { Calculation, OrganizationMember, RecalculationRun } = require('../models');
+const { calculateEnvironmentalImpact, calculateHardwareImpact, getCalculationAttributes } = require('../calculations');
+const scope2 = require('./scope2');
+const { CURRENT_METHODOLOGY_VERSION, UNVERSIONED } = require('./methodology');
+
+// A run still running after this long is considered dead and no longer blocks its scope
+const STALE_RUN_TIMEOUT = 60 * 60 * 1000; // 1 hour
+
+// Stored hardware fields that are derived from the spec rather than part of it
+const DERIVED_HARDWARE_FIELDS = ['gpuName', 'itEnergy', 'overheadEnergy'];
+
+// A calculation's model factor is superseded when another version of the same model's
+// factor is valid at the time of its usage
+const SUPERSEDED_MODEL_FACTOR = Calculation.sequelize.literal(`EXISTS (
+  SELECT 1 FROM model_factors AS used_factor
+  JOIN model_factors AS factor_in_effect ON factor_in_effect.model_key = used_factor.model_key
+  WHERE used_factor.id = "Calculation"."model_factor_id"
+    AND factor_in_effect.id <> used_factor.id
+    AND factor_in_effect.valid_from <= COALESCE("Calculation"."occurred_at", "Calculation"."created_at")
+    AND (factor_in_effect.valid_to IS NULL OR factor_in_effect.valid_to > COALESCE("Calculation"."occurred_at", "Calculation"."created_at"))
+)`);
+
+/**
+ * Round a figure for diff output
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 6 decimal places
+ */
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Build the calculation filter for a scope
+ * @param {Object} scope - { userId } or { orgId } (active members' calculations)
+ * @returns {Promise<Object>} Where clause
+ */
+async function getScopeWhere(scope) {
+  if (scope.orgId) {
+    const members = await OrganizationMember.findAll({
+      where: { org_id: scope.orgId, is_active: true },
+      attributes: ['user_id']
+    });
+    return { user_id: { [Op.in]: members.map(member => member.user_id) } };
+  }
+  return { user_id: scope.userId };
+}
+
+/**
+ * Get the calculations of a scope that are out of date: not computed under the current
+ * methodology, or computed with a model factor version no longer in effect for their time
+ * @param {Object} scope - { userId } or { orgId }
+ * @returns {Promise<Object[]>} Calculation instances, oldest first
+ */
+async function getOutdatedCalculations(scope) {
+  return Calculation.findAll({
+    where: {
+      ...await getScopeWhere(scope),
+      [Op.or]: [
+        { methodology_version: null },
+        { methodology_version: { [Op.ne]: CURRENT_METHODOLOGY_VERSION } },
+        SUPERSEDED_MODEL_FACTOR
+      ]
+    },
+    order: [['occurred_at', 'ASC']]
+  });
+}
+
+/**
+ * Rebuild the workload input of a stored calculation
+ * @param {Object} calc - Calculation instance
+ * @returns {number|Object} Usage accepted by normalizeWorkload
+ */
+function getStoredUsage(calc) {
+  if (calc.workload_type && calc.workload_type !== 'text') {
+    return { workloadType: calc.workload_type, ...calc.workload_details };
+  }
+  if (calc.input_tokens !== null || calc.output_tokens !== null) {
+    return {
+      inputTokens: calc.input_tokens,
+      outputTokens: calc.output_tokens,
+      cachedInputTokens: calc.cached_input_tokens
+    };
+  }
+  return calc.tokens;
+}
+
+/**
+ * Rebuild the hardware specification of a stored calculation
+ * @param {Object} hardwareSpec - Stored hardware_spec
+ * @returns {Object} Specification accepted by normalizeHardwareSpec
+ */
+function getStoredHardware(hardwareSpec) {
+  return Object.fromEntries(
+    Object.entries(hardwareSpec).filter(([key, value]) => !DERIVED_HARDWARE_FIELDS.includes(key) && value !== null)
+  );
+}
+
+/**
+ * Recompute one stored calculation under the current methodology
+ * @param {Object} calc - Calculation instance
+ * @returns {Promise<Object>} Calculation attributes
+ */
+async function recalculateCalculation(calc) {
+  const usage = getStoredUsage(calc);
+  const options = {
+    cloudRegion: calc.cloud_region || undefined,
+    occurredAt: calc.occurred_at || calc.created_at,
+    equivalences: calc.equivalence_options || undefined
+  };
+
+  const result = calc.estimation_method === 'hardware'
+    ? await calculateHardwareImpact(usage, getStoredHardware(calc.hardware_spec), calc.model, calc.region, true, options)
+    : await calculateEnvironmentalImpact(usage, calc.model_id || calc.model, calc.region, true, {
+      ...options,
+      methodology: calc.estimation_engine || undefined
+    });
+
+  // Keep the instruments the calculation already claimed instead of drawing down new volume
+  result.co2.marketBased = scope2.reapplyAllocations({
+    energyKwh: result.energy.total,
+    previousEnergyKwh: parseFloat(calc.energy_kwh),
+    locationFactor: result.co2.factor,
+    allocations: calc.scope2_allocations
+  });
+
+  return getCalculationAttributes(result);
+}
+
+/**
+ * Recompute a list of calculations, collecting the ones that can no longer be computed
+ * @param {Object[]} calculations - Calculation instances
+ * @returns {Promise<Object>} { recalculated: [{ calc, attributes }], failed: [{ id, error }] }
+ */
+async function recalculateAll(calculations) {
+  const recalculated = [];
+  const failed = [];
+
+  for (const calc of calculations) {
+    try {
+      recalculated.push({ calc, attributes: await recalculateCalculation(calc) });
+    } catch (error) {
+      failed.push({ id: calc.id, error: error.message });
+    }
+  }
+
+  return { recalculated, failed };
+}
+
+/**
+ * Get the before and after figures of a recalculated calculation
+ * @param {Object} entry - { calc, attributes }
+ * @returns {Object} { before, after } with co2Kg, co2MarketKg and energyKwh
+ */
+function getFigures({ calc, attributes }) {
+  const co2Before = parseFloat(calc.co2_kg);
+  return {
+    before: {
+      co2Kg: co2Before,
+      co2MarketKg: calc.co2_kg_market !== null ? parseFloat(calc.co2_kg_market) : co2Before,
+      energyKwh: parseFloat(calc.energy_kwh)
+    },
+    after: {
+      co2Kg: attributes.co2_kg,
+      co2MarketKg: attributes.co2_kg_market,
+      energyKwh: attributes.energy_kwh
+    }
+  };
+}
+
+/**
+ * Add figures to a group of the diff
+ * @param {Object} groups - Groups keyed by model or region
+ * @param {string} key - Group key
+ * @param {Object} figures - { before, after }
+ */
+function addToGroup(groups, key, figures) {
+  if (!groups[key]) {
+    groups[key] = {
+      calculations: 0,
+      before: { co2Kg: 0, co2MarketKg: 0, energyKwh: 0 },
+      after: { co2Kg: 0, co2MarketKg: 0, energyKwh: 0 }
+    };
+  }
+
+  const group = groups[key];
+  group.calculations += 1;
+  for (const field of ['co2Kg', 'co2MarketKg', 'energyKwh']) {
+    group.before[field] += figures.before[field];
+    group.after[field] += figures.after[field];
+  }
+}
+
+/**
+ * Format a diff group with rounded totals and its change
+ * @param {Object} group - Group from addToGroup
+ * @returns {Object} { calculations, before, after, change }
+ */
+function formatGroup(group) {
+  const format = totals => Object.fromEntries(Object.entries(totals).map(([field, value]) => [field, round(value)]));
+  const change = Object.fromEntries(
+    ['co2Kg', 'co2MarketKg', 'energyKwh'].map(field => [field, round(group.after[field] - group.before[field])])
+  );
+  change.co2Percent = group.before.co2Kg > 0
+    ? Math.round(((group.after.co2Kg - group.before.co2Kg) / group.before.co2Kg) * 10000) / 100
+    : null;
+
+  return {
+    calculations: group.calculations,
+    before: format(group.before),
+    after: format(group.after),
+    change
+  };
+}
+
+/**
+ * Summarize the changes of a recalculation
+ * @param {Object[]} recalculated - Entries from recalculateAll
+ * @returns {Object} { fromVersions, totals, byModel, byRegion, changes }
+ */
+function summarizeChanges(recalculated) {
+  const totals = {};
+  const byModel = {};
+  const byRegion = {};
+  const fromVersions = {};
+  const changes = [];
+
+  for (const entry of recalculated) {
+    const figures = getFigures(entry);
+    const fromVersion = entry.calc.methodology_version || UNVERSIONED;
+
+    addToGroup(totals, 'all', figures);
+    addToGroup(byModel, entry.calc.model, figures);
+    addToGroup(byRegion, entry.calc.cloud_region || entry.calc.region, figures);
+    fromVersions[fromVersion] = (fromVersions[fromVersion] || 0) + 1;
+
+    changes.push({
+      id: entry.calc.id,
+      fromVersion,
+      co2KgBefore: round(figures.before.co2Kg),
+      co2KgAfter: round(figures.after.co2Kg),
+      co2MarketKgBefore: round(figures.before.co2MarketKg),
+      co2MarketKgAfter: round(figures.after.co2MarketKg)
+    });
+  }
+
+  return {
+    fromVersions,
+    totals: totals.all ? formatGroup(totals.all) : null,
+    byModel: Object.entries(byModel).map(([model, group]) => ({ model, ...formatGroup(group) })),
+    byRegion: Object.entries(byRegion).map(([region, group]) => ({ region, ...formatGroup(group) })),
+    changes
+  };
+}
+
+/**
+ * Format a RecalculationRun for API responses
+ * @param {Object} run - RecalculationRun instance
+ * @param {boolean} includeChanges - Whether to include the per-calculation changes
+ * @returns {Object} Run
+ */
+function formatRun(run, includeChanges = false) {
+  const diff = run.diff || {};
+  return {
+    id: run.id,
+    userId: run.user_id,
+    orgId: run.org_id,
+    requestedBy: run.requested_by,
+    toVersion: run.to_version,
+    fromVersions: run.from_versions,
+    status: run.status,
+    calculationCount: run.calculation_count,
+    totals: diff.totals || null,
+    byModel: diff.byModel || [],
+    byRegion: diff.byRegion || [],
+    failed: diff.failed || [],
+    ...(includeChanges ? { changes: diff.changes || [] } : {}),
+    error: run.error,
+    createdAt: run.created_at,
+    completedAt: run.completed_at
+  };
+}
+
+/**
+ * Preview a recalculation without saving anything
+ * @param {Object} scope - { userId } or { orgId }
+ * @returns {Promise<Object>} Diff of the outdated calculations under the current methodology
+ */
+async function previewRecalculation(scope) {
+  const { recalculated, failed } = await recalculateAll(await getOutdatedCalculations(scope));
+  const { changes, ...summary } = summarizeChanges(recalculated);
+
+  return {
+    dryRun: true,
+    toVersion: CURRENT_METHODOLOGY_VERSION,
+    calculationCount: recalculated.length,
+    ...summary,
+    failed
+  };
+}
+
+/**
+ * Recalculate the outdated calculations of a run's scope and complete its audit record
+ * @param {Object} run - RecalculationRun instance
+ * @param {Object} scope - { userId } or { orgId }
+ * @returns {Promise<void>}
+ */
+async function executeRun(run, scope) {
+  try {
+    const { recalculated, failed } = await recalculateAll(await getOutdatedCalculations(scope));
+    // Summarize before saving, while the instances still hold the previous figures
+    const { fromVersions, ...diff } = summarizeChanges(recalculated);
+    const recalculatedAt = new Date();
+
+    // All calculations move to the new version together with the run's completion, or none do
+    await RecalculationRun.sequelize.transaction(async (transaction) => {
+      for (const { calc, attributes } of recalculated) {
+        await calc.update({ ...attributes, recalculated_at: recalculatedAt, recalculation_run_id: run.id }, { transaction });
+      }
+
+      await run.update({
+        status: 'completed',
+        from_versions: fromVersions,
+        calculation_count: recalculated.length,
+        diff: { ...diff, failed },
+        completed_at: new Date()
+      }, { transaction });
+    });
+
+    console.log(`✅ Recalculation run ${run.id}: ${recalculated.length} calculations moved to methodology ${run.to_version}` +
+      (failed.length > 0 ? `, ${failed.length} failed` : ''));
+  } catch (error) {
+    console.error(`❌ Recalculation run ${run.id} failed:`, error);
+    await run.update({ status: 'failed', error: error.message, completed_at: new Date() });
+  }
+}
+
+/**
+ * Mark running runs as failed
+ * @param {Object} where - Filter on the running runs
+ * @param {string} reason - Error stored on the runs
+ * @returns {Promise<number>} Number of runs marked failed
+ */
+async function failRunningRuns(where, reason) {
+  const [failed] = await RecalculationRun.update(
+    { status: 'failed', error: reason, completed_at: new Date() },
+    { where: { ...where, status: 'running' } }
+  );
+  return failed;
+}
+
+/**
+ * Mark the runs interrupted by a restart as failed, so they no longer block their scope
+ * Call once at startup, before any run is started.
+ * @returns {Promise<number>} Number of runs marked failed
+ */
+async function failInterruptedRuns() {
+  const failed = await failRunningRuns({}, 'Interrupted by a server restart');
+  if (failed > 0) {
+    console.log(`⚠️ Marked ${failed} interrupted recalculation runs as failed`);
+  }
+  return failed;
+}
+
+/**
+ * Start recalculating a scope's history under the current methodology
+ * The run continues in the background; poll getRun for its result.
+ * @param {Object} scope - { userId } or { orgId }
+ * @param {number} requestedBy - ID of the user starting the run
+ * @returns {Promise<Object>} Started run
+ * @throws {Error} When a run is already in progress for the scope
+ */
+async function startRecalculation(scope, requestedBy) {
+  const owner = scope.orgId ? { org_id: scope.orgId } : { user_id: scope.userId };
+
+  await failRunningRuns(
+    { ...owner, created_at: { [Op.lt]: new Date(Date.now() - STALE_RUN_TIMEOUT) } },
+    `Did not complete within ${STALE_RUN_TIMEOUT / 60000} minutes`
+  );
+
+  let run;
+  try {
+    run = await RecalculationRun.create({
+      ...owner,
+      requested_by: requestedBy,
+      to_version: CURRENT_METHODOLOGY_VERSION
+    });
+  } catch (error) {
+    // Another run of the scope is running (unique index on running runs)
+    if (error instanceof UniqueConstraintError) {
+      const running = await RecalculationRun.findOne({ where: { ...owner, status: 'running' } });
+      throw new Error(running
+        ? `Recalculation run ${running.id} is already in progress`
+        : 'A recalculation run is already in progress');
+    }
+    throw error;
+  }
+
+  console.log(`🔁 Started recalculation run ${run.id} (${scope.orgId ? `org ${scope.orgId}` : `user ${scope.userId}`})`);
+  executeRun(run, scope);
+
+  return formatRun(run);
+}
+
+/**
+ * List a scope's recalculation runs
+ * @param {Object} scope - { userId } or { orgId }
+ * @returns {Promise<Object[]>} Runs, newest first, without per-calculation changes
+ */
+async function listRuns(scope) {
+  const where = scope.orgId ? { org_id: scope.orgId } : { user_id: scope.userId };
+  const runs = await RecalculationRun.findAll({ where, order: [['created_at', 'DESC']] });
+  return runs.map(run => formatRun(run));
+}
+
+/**
+ * Get a recalculation run of a scope
+ * @param {Object} scope - { userId } or { orgId }
+ * @param {number} runId - Run ID
+ * @returns {Promise<Object|null>} Run with per-calculation changes, or null if not found
+ */
+async function getRun(scope, runId) {
+  const where = scope.orgId ? { id: runId, org_id: scope.orgId } : { id: runId, user_id: scope.userId };
+  const run = await RecalculationRun.findOne({ where });
+  return run ? formatRun(run, true) : null;
+}
+
+/**
+ * Describe the methodology behind a scope's figures, for reports
+ * @param {Object} scope - { userId } or { orgId }
+ * @returns {Promise<Object>} { currentVersion, versions: [{ version, calculations }], lastRecalculation }
+ */
+async function getMethodologySummary(scope) {
+  const counts = await Calculation.findAll({
+    where: await getScopeWhere(scope),
+    attributes: ['methodology_version', [fn('COUNT', col('id')), 'calculations']],
+    group: ['methodology_version'],
+    raw: true
+  });
+
+  const lastRun = await RecalculationRun.findOne({
+    where: { ...(scope.orgId ? { org_id: scope.orgId } : { user_id: scope.userId }), status: 'completed' },
+    order: [['completed_at', 'DESC']]
+  });
+
+  return {
+    currentVersion: CURRENT_METHODOLOGY_VERSION,
+    versions: counts.map(row => ({
+      version: row.methodology_version || UNVERSIONED,
+      calculations: parseInt(row.calculations)
+    })),
+    lastRecalculation: lastRun ? {
+      id: lastRun.id,
+      toVersion: lastRun.to_version,
+      calculationCount: lastRun.calculation_count,
+      completedAt: lastRun.completed_at
+    } : null
+  };
+}
+
+module.exports = {
+  previewRecalculation,
+  startRecalculation,
+  failInterruptedRuns,
+  listRuns,
+  getRun,
+  getMethodologySummary
+};
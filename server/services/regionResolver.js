@@ -0,0 +1,474 @@
+/**
+ * Region Resolver
+ *
+ * Single place that turns any region identifier the API accepts into a canonical
+ * grid zone (Electricity Maps zone keys, e.g. "US", "US-MIDA-PJM"). Accepted inputs:
+ * - Static calculator regions with their own factors ("usa-average", "iowa-usa")
+ * - ISO 3166-1 alpha-2 country codes ("DE") and country keys ("germany")
+ * - Sub-national grid zones ("US-MIDA-PJM", "CA-QC", "AU-NSW"), each belonging to a country
+ * - Cloud regions ("aws:eu-west-1", see cloudRegions)
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const cloudRegions = require('./cloudRegions');
+
+// Static regions with the calculator's own emission factors (kg CO2/kWh).
+// Aggregates without a single grid (global, Europe, renewable) have no live zone.
+const STATIC_REGIONS = {
+  'global-average': { name: 'Global Average', factor: 0.475, zone: 'GLOBAL', countryCode: null, live: false },
+  'usa-average': { name: 'USA Average', factor: 0.416, zone: 'US', countryCode: 'US', live: true },
+  'europe-average': { name: 'Europe Average', factor: 0.276, zone: 'EU', countryCode: null, live: false },
+  'china-average': { name: 'China Average', factor: 0.581, zone: 'CN', countryCode: 'CN', live: true },
+  'canada-average': { name: 'Canada Average', factor: 0.130, zone: 'CA', countryCode: 'CA', live: true },
+  'iowa-usa': { name: 'Iowa, USA (High Carbon)', factor: 0.737, zone: 'US-MIDW-MISO', countryCode: 'US', live: true },
+  'quebec-canada': { name: 'Quebec, Canada (Low Carbon)', factor: 0.020, zone: 'CA-QC', countryCode: 'CA', live: true },
+  'renewable': { name: 'Renewable Energy', factor: 0.050, zone: 'RENEWABLE', countryCode: null, live: false }
+};
+
+// Countries keyed by ISO 3166-1 alpha-2 code; `slug` is the key of the fallback intensity dataset
+const COUNTRIES = {
+  US: { slug: 'united-states', name: 'United States' },
+  CA: { slug: 'canada', name: 'Canada' },
+  MX: { slug: 'mexico', name: 'Mexico' },
+  BR: { slug: 'brazil', name: 'Brazil' },
+  AR: { slug: 'argentina', name: 'Argentina' },
+  CL: { slug: 'chile', name: 'Chile' },
+  CO: { slug: 'colombia', name: 'Colombia' },
+  PE: { slug: 'peru', name: 'Peru' },
+  VE: { slug: 'venezuela', name: 'Venezuela' },
+  EC: { slug: 'ecuador', name: 'Ecuador' },
+  BO: { slug: 'bolivia', name: 'Bolivia' },
+  PY: { slug: 'paraguay', name: 'Paraguay' },
+  UY: { slug: 'uruguay', name: 'Uruguay' },
+  GY: { slug: 'guyana', name: 'Guyana' },
+  SR: { slug: 'suriname', name: 'Suriname' },
+  GF: { slug: 'french-guiana', name: 'French Guiana' },
+  GB: { slug: 'united-kingdom', name: 'United Kingdom' },
+  FR: { slug: 'france', name: 'France' },
+  DE: { slug: 'germany', name: 'Germany' },
+  IT: { slug: 'italy', name: 'Italy' },
+  ES: { slug: 'spain', name: 'Spain' },
+  PT: { slug: 'portugal', name: 'Portugal' },
+  NL: { slug: 'netherlands', name: 'Netherlands' },
+  BE: { slug: 'belgium', name: 'Belgium' },
+  CH: { slug: 'switzerland', name: 'Switzerland' },
+  AT: { slug: 'austria', name: 'Austria' },
+  SE: { slug: 'sweden', name: 'Sweden' },
+  NO: { slug: 'norway', name: 'Norway' },
+  DK: { slug: 'denmark', name: 'Denmark' },
+  FI: { slug: 'finland', name: 'Finland' },
+  IS: { slug: 'iceland', name: 'Iceland' },
+  IE: { slug: 'ireland', name: 'Ireland' },
+  PL: { slug: 'poland', name: 'Poland' },
+  CZ: { slug: 'czech-republic', name: 'Czech Republic' },
+  SK: { slug: 'slovakia', name: 'Slovakia' },
+  HU: { slug: 'hungary', name: 'Hungary' },
+  RO: { slug: 'romania', name: 'Romania' },
+  BG: { slug: 'bulgaria', name: 'Bulgaria' },
+  HR: { slug: 'croatia', name: 'Croatia' },
+  SI: { slug: 'slovenia', name: 'Slovenia' },
+  EE: { slug: 'estonia', name: 'Estonia' },
+  LV: { slug: 'latvia', name: 'Latvia' },
+  LT: { slug: 'lithuania', name: 'Lithuania' },
+  GR: { slug: 'greece', name: 'Greece' },
+  CY: { slug: 'cyprus', name: 'Cyprus' },
+  MT: { slug: 'malta', name: 'Malta' },
+  LU: { slug: 'luxembourg', name: 'Luxembourg' },
+  LI: { slug: 'liechtenstein', name: 'Liechtenstein' },
+  MC: { slug: 'monaco', name: 'Monaco' },
+  SM: { slug: 'san-marino', name: 'San Marino' },
+  VA: { slug: 'vatican', name: 'Vatican City' },
+  AD: { slug: 'andorra', name: 'Andorra' },
+  CN: { slug: 'china', name: 'China' },
+  IN: { slug: 'india', name: 'India' },
+  JP: { slug: 'japan', name: 'Japan' },
+  KR: { slug: 'south-korea', name: 'South Korea' },
+  TH: { slug: 'thailand', name: 'Thailand' },
+  VN: { slug: 'vietnam', name: 'Vietnam' },
+  PH: { slug: 'philippines', name: 'Philippines' },
+  MY: { slug: 'malaysia', name: 'Malaysia' },
+  SG: { slug: 'singapore', name: 'Singapore' },
+  ID: { slug: 'indonesia', name: 'Indonesia' },
+  TW: { slug: 'taiwan', name: 'Taiwan' },
+  HK: { slug: 'hong-kong', name: 'Hong Kong' },
+  MO: { slug: 'macau', name: 'Macau' },
+  MN: { slug: 'mongolia', name: 'Mongolia' },
+  KZ: { slug: 'kazakhstan', name: 'Kazakhstan' },
+  UZ: { slug: 'uzbekistan', name: 'Uzbekistan' },
+  TM: { slug: 'turkmenistan', name: 'Turkmenistan' },
+  TJ: { slug: 'tajikistan', name: 'Tajikistan' },
+  KG: { slug: 'kyrgyzstan', name: 'Kyrgyzstan' },
+  AF: { slug: 'afghanistan', name: 'Afghanistan' },
+  PK: { slug: 'pakistan', name: 'Pakistan' },
+  BD: { slug: 'bangladesh', name: 'Bangladesh' },
+  LK: { slug: 'sri-lanka', name: 'Sri Lanka' },
+  NP: { slug: 'nepal', name: 'Nepal' },
+  BT: { slug: 'bhutan', name: 'Bhutan' },
+  MV: { slug: 'maldives', name: 'Maldives' },
+  MM: { slug: 'myanmar', name: 'Myanmar' },
+  LA: { slug: 'laos', name: 'Laos' },
+  KH: { slug: 'cambodia', name: 'Cambodia' },
+  BN: { slug: 'brunei', name: 'Brunei' },
+  TL: { slug: 'east-timor', name: 'East Timor' },
+  AU: { slug: 'australia', name: 'Australia' },
+  NZ: { slug: 'new-zealand', name: 'New Zealand' },
+  FJ: { slug: 'fiji', name: 'Fiji' },
+  PG: { slug: 'papua-new-guinea', name: 'Papua New Guinea' },
+  SB: { slug: 'solomon-islands', name: 'Solomon Islands' },
+  VU: { slug: 'vanuatu', name: 'Vanuatu' },
+  NC: { slug: 'new-caledonia', name: 'New Caledonia' },
+  PF: { slug: 'french-polynesia', name: 'French Polynesia' },
+  WS: { slug: 'samoa', name: 'Samoa' },
+  TO: { slug: 'tonga', name: 'Tonga' },
+  KI: { slug: 'kiribati', name: 'Kiribati' },
+  TV: { slug: 'tuvalu', name: 'Tuvalu' },
+  NR: { slug: 'nauru', name: 'Nauru' },
+  PW: { slug: 'palau', name: 'Palau' },
+  MH: { slug: 'marshall-islands', name: 'Marshall Islands' },
+  FM: { slug: 'micronesia', name: 'Micronesia' },
+  CK: { slug: 'cook-islands', name: 'Cook Islands' },
+  NU: { slug: 'niue', name: 'Niue' },
+  TK: { slug: 'tokelau', name: 'Tokelau' },
+  WF: { slug: 'wallis-futuna', name: 'Wallis and Futuna' },
+  AS: { slug: 'american-samoa', name: 'American Samoa' },
+  GU: { slug: 'guam', name: 'Guam' },
+  MP: { slug: 'northern-mariana-islands', name: 'Northern Mariana Islands' },
+  VI: { slug: 'us-virgin-islands', name: 'US Virgin Islands' },
+  PR: { slug: 'puerto-rico', name: 'Puerto Rico' },
+  RU: { slug: 'russia', name: 'Russia' },
+  UA: { slug: 'ukraine', name: 'Ukraine' },
+  BY: { slug: 'belarus', name: 'Belarus' },
+  MD: { slug: 'moldova', name: 'Moldova' },
+  GE: { slug: 'georgia', name: 'Georgia' },
+  AM: { slug: 'armenia', name: 'Armenia' },
+  AZ: { slug: 'azerbaijan', name: 'Azerbaijan' },
+  TR: { slug: 'turkey', name: 'Turkey' },
+  IR: { slug: 'iran', name: 'Iran' },
+  IQ: { slug: 'iraq', name: 'Iraq' },
+  SY: { slug: 'syria', name: 'Syria' },
+  LB: { slug: 'lebanon', name: 'Lebanon' },
+  JO: { slug: 'jordan', name: 'Jordan' },
+  IL: { slug: 'israel', name: 'Israel' },
+  PS: { slug: 'palestine', name: 'Palestine' },
+  SA: { slug: 'saudi-arabia', name: 'Saudi Arabia' },
+  AE: { slug: 'uae', name: 'United Arab Emirates' },
+  QA: { slug: 'qatar', name: 'Qatar' },
+  BH: { slug: 'bahrain', name: 'Bahrain' },
+  KW: { slug: 'kuwait', name: 'Kuwait' },
+  OM: { slug: 'oman', name: 'Oman' },
+  YE: { slug: 'yemen', name: 'Yemen' },
+  EG: { slug: 'egypt', name: 'Egypt' },
+  LY: { slug: 'libya', name: 'Libya' },
+  TN: { slug: 'tunisia', name: 'Tunisia' },
+  DZ: { slug: 'algeria', name: 'Algeria' },
+  MA: { slug: 'morocco', name: 'Morocco' },
+  SD: { slug: 'sudan', name: 'Sudan' },
+  SS: { slug: 'south-sudan', name: 'South Sudan' },
+  ET: { slug: 'ethiopia', name: 'Ethiopia' },
+  ER: { slug: 'eritrea', name: 'Eritrea' },
+  DJ: { slug: 'djibouti', name: 'Djibouti' },
+  SO: { slug: 'somalia', name: 'Somalia' },
+  KE: { slug: 'kenya', name: 'Kenya' },
+  UG: { slug: 'uganda', name: 'Uganda' },
+  TZ: { slug: 'tanzania', name: 'Tanzania' },
+  RW: { slug: 'rwanda', name: 'Rwanda' },
+  BI: { slug: 'burundi', name: 'Burundi' },
+  CD: { slug: 'congo-democratic', name: 'Democratic Republic of Congo' },
+  CG: { slug: 'congo', name: 'Congo' },
+  CF: { slug: 'central-african-republic', name: 'Central African Republic' },
+  TD: { slug: 'chad', name: 'Chad' },
+  CM: { slug: 'cameroon', name: 'Cameroon' },
+  GQ: { slug: 'equatorial-guinea', name: 'Equatorial Guinea' },
+  GA: { slug: 'gabon', name: 'Gabon' },
+  ST: { slug: 'sao-tome-principe', name: 'São Tomé and Príncipe' },
+  AO: { slug: 'angola', name: 'Angola' },
+  ZM: { slug: 'zambia', name: 'Zambia' },
+  ZW: { slug: 'zimbabwe', name: 'Zimbabwe' },
+  BW: { slug: 'botswana', name: 'Botswana' },
+  NA: { slug: 'namibia', name: 'Namibia' },
+  ZA: { slug: 'south-africa', name: 'South Africa' },
+  LS: { slug: 'lesotho', name: 'Lesotho' },
+  SZ: { slug: 'eswatini', name: 'Eswatini' },
+  MG: { slug: 'madagascar', name: 'Madagascar' },
+  MU: { slug: 'mauritius', name: 'Mauritius' },
+  SC: { slug: 'seychelles', name: 'Seychelles' },
+  KM: { slug: 'comoros', name: 'Comoros' },
+  YT: { slug: 'mayotte', name: 'Mayotte' },
+  RE: { slug: 'reunion', name: 'Réunion' },
+  MZ: { slug: 'mozambique', name: 'Mozambique' },
+  MW: { slug: 'malawi', name: 'Malawi' },
+  GH: { slug: 'ghana', name: 'Ghana' },
+  TG: { slug: 'togo', name: 'Togo' },
+  BJ: { slug: 'benin', name: 'Benin' },
+  NE: { slug: 'niger', name: 'Niger' },
+  BF: { slug: 'burkina-faso', name: 'Burkina Faso' },
+  ML: { slug: 'mali', name: 'Mali' },
+  SN: { slug: 'senegal', name: 'Senegal' },
+  GM: { slug: 'gambia', name: 'Gambia' },
+  GW: { slug: 'guinea-bissau', name: 'Guinea-Bissau' },
+  GN: { slug: 'guinea', name: 'Guinea' },
+  SL: { slug: 'sierra-leone', name: 'Sierra Leone' },
+  LR: { slug: 'liberia', name: 'Liberia' },
+  CI: { slug: 'ivory-coast', name: 'Ivory Coast' },
+  MR: { slug: 'mauritania', name: 'Mauritania' },
+  CV: { slug: 'cape-verde', name: 'Cape Verde' },
+  EH: { slug: 'western-sahara', name: 'Western Sahara' },
+};
+
+// Sub-national grid zones: US balancing authorities, Canadian provinces, Australian states
+// and the bidding zones of a few other large grids. Each has its own fallback intensity
+// (see carbonIntensity) and rolls up to its parent country in analytics.
+const SUBNATIONAL_ZONES = {
+  'US-CAL-CISO': { name: 'California (CAISO)', countryCode: 'US' },
+  'US-CAR-DUK': { name: 'Carolinas (Duke Energy)', countryCode: 'US' },
+  'US-CAR-SC': { name: 'South Carolina (SCEG)', countryCode: 'US' },
+  'US-CENT-SWPP': { name: 'Central (SPP)', countryCode: 'US' },
+  'US-FLA-FPL': { name: 'Florida (FPL)', countryCode: 'US' },
+  'US-MIDA-PJM': { name: 'Mid-Atlantic (PJM)', countryCode: 'US' },
+  'US-MIDW-MISO': { name: 'Midwest (MISO)', countryCode: 'US' },
+  'US-NE-ISNE': { name: 'New England (ISO-NE)', countryCode: 'US' },
+  'US-NW-BPAT': { name: 'Pacific Northwest (BPA)', countryCode: 'US' },
+  'US-NW-PACE': { name: 'Rocky Mountains (PacifiCorp East)', countryCode: 'US' },
+  'US-NY-NYIS': { name: 'New York (NYISO)', countryCode: 'US' },
+  'US-SE-SOCO': { name: 'Southeast (Southern Company)', countryCode: 'US' },
+  'US-SW-AZPS': { name: 'Arizona (APS)', countryCode: 'US' },
+  'US-TEN-TVA': { name: 'Tennessee Valley (TVA)', countryCode: 'US' },
+  'US-TEX-ERCO': { name: 'Texas (ERCOT)', countryCode: 'US' },
+  'CA-AB': { name: 'Alberta', countryCode: 'CA' },
+  'CA-BC': { name: 'British Columbia', countryCode: 'CA' },
+  'CA-MB': { name: 'Manitoba', countryCode: 'CA' },
+  'CA-NB': { name: 'New Brunswick', countryCode: 'CA' },
+  'CA-NL': { name: 'Newfoundland and Labrador', countryCode: 'CA' },
+  'CA-NS': { name: 'Nova Scotia', countryCode: 'CA' },
+  'CA-ON': { name: 'Ontario', countryCode: 'CA' },
+  'CA-PE': { name: 'Prince Edward Island', countryCode: 'CA' },
+  'CA-QC': { name: 'Québec', countryCode: 'CA' },
+  'CA-SK': { name: 'Saskatchewan', countryCode: 'CA' },
+  'AU-NSW': { name: 'New South Wales', countryCode: 'AU' },
+  'AU-QLD': { name: 'Queensland', countryCode: 'AU' },
+  'AU-SA': { name: 'South Australia', countryCode: 'AU' },
+  'AU-TAS': { name: 'Tasmania', countryCode: 'AU' },
+  'AU-VIC': { name: 'Victoria', countryCode: 'AU' },
+  'AU-WA': { name: 'Western Australia', countryCode: 'AU' },
+  'BR-CS': { name: 'Brazil Central-South', countryCode: 'BR' },
+  'SE-SE3': { name: 'Sweden SE3 (Stockholm)', countryCode: 'SE' },
+  'IN-WE': { name: 'India Western Grid', countryCode: 'IN' },
+  'JP-TK': { name: 'Japan Tokyo Area', countryCode: 'JP' }
+};
+
+const COUNTRY_CODES_BY_SLUG = Object.fromEntries(
+  Object.entries(COUNTRIES).map(([code, country]) => [country.slug, code])
+);
+
+const DEFAULT_REGION = 'global-average';
+
+/**
+ * Resolve a static calculator region
+ * @param {string} key - Static region key
+ * @returns {Object} Resolved region
+ */
+function resolveStatic(key) {
+  const region = STATIC_REGIONS[key];
+  return {
+    kind: 'static',
+    zone: region.zone,
+    name: region.name,
+    countryCode: region.countryCode,
+    region: key,
+    liveZone: region.live ? region.zone : null,
+    staticFactor: region.factor,
+    factorSource: 'static',
+    cloud: null
+  };
+}
+
+/**
+ * Resolve a country by ISO code
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @returns {Object} Resolved region
+ */
+function resolveCountry(code) {
+  const country = COUNTRIES[code];
+  return {
+    kind: 'country',
+    zone: code,
+    name: country.name,
+    countryCode: code,
+    region: country.slug,
+    liveZone: code,
+    staticFactor: null,
+    factorSource: 'fallback',
+    cloud: null
+  };
+}
+
+/**
+ * Resolve a sub-national zone
+ * @param {string} zone - Zone key
+ * @returns {Object} Resolved region
+ */
+function resolveZone(zone) {
+  const { name, countryCode } = SUBNATIONAL_ZONES[zone];
+  return {
+    kind: 'zone',
+    zone,
+    name,
+    countryCode,
+    region: COUNTRIES[countryCode].slug,
+    liveZone: zone,
+    staticFactor: null,
+    factorSource: 'fallback',
+    cloud: null
+  };
+}
+
+/**
+ * Resolve any supported region identifier to its grid zone
+ * Unknown identifiers resolve to the global average with `known: false`.
+ * @param {string|Object} input - Static region key, ISO country code, country key, zone key,
+ *   or cloud region ("provider:regionId" or { provider, region })
+ * @returns {Object} { requested, known, kind, zone, name, countryCode, region, liveZone,
+ *   staticFactor (kg CO2/kWh, null when the fallback dataset applies), factorSource, cloud }
+ * @throws {Error} When a cloud region is not in the catalog
+ */
+function resolveRegion(input = DEFAULT_REGION) {
+  const requested = input && typeof input === 'object' ? `${input.provider}:${input.region}` : input;
+
+  if ((input && typeof input === 'object') || (typeof input === 'string' && input.includes(':'))) {
+    const cloud = cloudRegions.resolveCloudRegion(input);
+    const grid = resolveRegion(cloud.gridZone);
+    return {
+      ...grid,
+      requested,
+      kind: 'cloud',
+      name: `${cloud.providerName} ${cloud.name}`,
+      // Cloud regions keep their closest static region for region-keyed lookups
+      region: cloud.region,
+      cloud
+    };
+  }
+
+  const key = typeof input === 'string' ? input.trim() : '';
+  const upper = key.toUpperCase();
+  let resolved = null;
+
+  if (STATIC_REGIONS[key.toLowerCase()]) {
+    resolved = resolveStatic(key.toLowerCase());
+  } else if (COUNTRIES[upper]) {
+    resolved = resolveCountry(upper);
+  } else if (COUNTRY_CODES_BY_SLUG[key.toLowerCase()]) {
+    resolved = resolveCountry(COUNTRY_CODES_BY_SLUG[key.toLowerCase()]);
+  } else if (SUBNATIONAL_ZONES[upper]) {
+    resolved = resolveZone(upper);
+  }
+
+  if (!resolved) {
+    console.warn(`⚠️ Unknown region "${input}", using ${DEFAULT_REGION}`);
+    return { ...resolveStatic(DEFAULT_REGION), requested, known: false };
+  }
+
+  return { ...resolved, requested, known: true };
+}
+
+/**
+ * Get the country a zone or country code belongs to
+ * @param {string} code - ISO country code or zone key
+ * @returns {Object|null} { code, slug, name }
+ */
+function getCountry(code) {
+  const upper = String(code).toUpperCase();
+  const countryCode = SUBNATIONAL_ZONES[upper] ? SUBNATIONAL_ZONES[upper].countryCode : upper;
+  const country = COUNTRIES[countryCode];
+  return country ? { code: countryCode, ...country } : null;
+}
+
+/**
+ * Get the grid zone and country of a stored calculation
+ * Rows saved before zones were recorded take the zone of their region.
+ * @param {Object} calc - { region, grid_zone, grid_country }
+ * @returns {Object} { zone, countryCode } (an unknown region is its own zone, without a country)
+ */
+function getCalculationZone(calc) {
+  if (calc.grid_zone) {
+    return { zone: calc.grid_zone, countryCode: calc.grid_country || null };
+  }
+  const key = String(calc.region || '');
+  const upper = key.toUpperCase();
+  if (STATIC_REGIONS[key.toLowerCase()]) {
+    const { zone, countryCode } = STATIC_REGIONS[key.toLowerCase()];
+    return { zone, countryCode };
+  }
+  if (SUBNATIONAL_ZONES[upper]) {
+    return { zone: upper, countryCode: SUBNATIONAL_ZONES[upper].countryCode };
+  }
+  const code = COUNTRIES[upper] ? upper : COUNTRY_CODES_BY_SLUG[key.toLowerCase()];
+  return code ? { zone: code, countryCode: code } : { zone: key, countryCode: null };
+}
+
+/**
+ * Describe a grid zone key
+ * Covers sub-national zones, countries and the zones of static aggregates ("GLOBAL", "EU").
+ * @param {string} zone - Zone key
+ * @returns {Object|null} { zone, name, kind ('zone', 'country' or 'aggregate'), countryCode, countryName }
+ */
+function getZone(zone) {
+  const key = String(zone).toUpperCase();
+  if (SUBNATIONAL_ZONES[key]) {
+    const { name, countryCode } = SUBNATIONAL_ZONES[key];
+    return { zone: key, name, kind: 'zone', countryCode, countryName: COUNTRIES[countryCode].name };
+  }
+  if (COUNTRIES[key]) {
+    return { zone: key, name: COUNTRIES[key].name, kind: 'country', countryCode: key, countryName: COUNTRIES[key].name };
+  }
+  const aggregate = Object.values(STATIC_REGIONS).find(region => region.zone === key && !region.countryCode);
+  return aggregate ? { zone: key, name: aggregate.name, kind: 'aggregate', countryCode: null, countryName: null } : null;
+}
+
+/**
+ * Get the sub-national grid zones grouped by country, for region pickers
+ * @returns {Object} Countries keyed by ISO code, each with { name, slug, zones: { zoneKey: name } }
+ */
+function getGridZoneCatalog() {
+  const catalog = {};
+  for (const [zone, { name, countryCode }] of Object.entries(SUBNATIONAL_ZONES)) {
+    if (!catalog[countryCode]) {
+      catalog[countryCode] = { name: COUNTRIES[countryCode].name, slug: COUNTRIES[countryCode].slug, zones: {} };
+    }
+    catalog[countryCode].zones[zone] = name;
+  }
+  return catalog;
+}
+
+/**
+ * List the regions the resolver accepts, except cloud regions (see cloudRegions.getCloudRegionCatalog)
+ * @returns {Object} Regions keyed by identifier, each with { name, kind, zone, countryCode }
+ */
+function listRegions() {
+  return {
+    ...Object.fromEntries(Object.keys(STATIC_REGIONS).map(key => {
+      const { name, zone, countryCode } = STATIC_REGIONS[key];
+      return [key, { name, kind: 'static', zone, countryCode }];
+    })),
+    ...Object.fromEntries(Object.entries(COUNTRIES).map(([code, country]) =>
+      [country.slug, { name: country.name, kind: 'country', zone: code, countryCode: code }]
+    )),
+    ...Object.fromEntries(Object.entries(SUBNATIONAL_ZONES).map(([zone, { name, countryCode }]) =>
+      [zone, { name, kind: 'zone', zone, countryCode }]
+    ))
+  };
+}
+
+module.exports = {
+  resolveRegion,
+  getCountry,
+  getZone,
+  getGridZoneCatalog,
+  getCalculationZone,
+  listRegions,
+  STATIC_REGIONS,
+  COUNTRIES,
+  SUBNATIONAL_ZONES,
+  DEFAULT_REGION
+};
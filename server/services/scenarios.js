@@ -0,0 +1,242 @@
+/**
+ * Scenario Service
+ *
+ * Runs one token workload through every combination of models, regions and
+ * estimation methodologies, so users can choose between them on energy, CO2,
+ * water and cost at once. Each scenario is compared with a baseline (the user's
+ * default model and region) and the matrix is ranked on one metric.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const {
+  calculateEnvironmentalImpact,
+  normalizeWorkload,
+  normalizeOccurredAt,
+  assertKnownModel
+} = require('../calculations');
+const { getEngine, DEFAULT_ENGINE } = require('./estimationEngines');
+const { resolveRegion } = require('./regionResolver');
+const { convertFields } = require('./units');
+
+// Largest number of model × region × methodology combinations per request
+const MAX_SCENARIOS = 60;
+
+const RANK_METRICS = ['co2', 'energy', 'water', 'cost'];
+const DEFAULT_RANK_METRIC = 'co2';
+
+// Mass and volume fields of a scenario row, converted for imperial users
+const SCENARIO_FIELDS = { co2: 'mass', co2Market: 'mass', carbonIntensity: 'mass', water: 'volume' };
+
+/**
+ * Validate a list of scenario dimension values
+ * @param {*} values - Values from the request
+ * @param {string} field - Field name for error messages
+ * @returns {string[]} Distinct values
+ * @throws {Error} When the list is not a non-empty array of strings
+ */
+function normalizeDimension(values, field) {
+  if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string' || !value.trim())) {
+    throw new Error(`${field} must be a non-empty array of strings`);
+  }
+  return [...new Set(values.map(value => value.trim()))];
+}
+
+/**
+ * Validate a scenario request
+ * @param {Object} body - { tokens | inputTokens, outputTokens, cachedInputTokens, models, regions,
+ *   methodologies, rankBy, occurredAt }
+ * @returns {Promise<Object>} { usage, models, regions, methodologies, rankBy, occurredAt }
+ * @throws {Error} When the workload, a dimension or the rank metric is invalid
+ */
+async function normalizeScenarioInput(body) {
+  const { tokens, inputTokens, outputTokens, cachedInputTokens } = body;
+  const usage = { tokens, inputTokens, outputTokens, cachedInputTokens };
+  normalizeWorkload(usage);
+
+  const models = normalizeDimension(body.models, 'models');
+  const regions = normalizeDimension(body.regions, 'regions');
+  const methodologies = body.methodologies === undefined
+    ? [DEFAULT_ENGINE]
+    : normalizeDimension(body.methodologies, 'methodologies');
+
+  const count = models.length * regions.length * methodologies.length;
+  if (count > MAX_SCENARIOS) {
+    throw new Error(`At most ${MAX_SCENARIOS} scenarios can be compared at once (requested ${count})`);
+  }
+
+  const rankBy = body.rankBy || DEFAULT_RANK_METRIC;
+  if (!RANK_METRICS.includes(rankBy)) {
+    throw new Error(`rankBy must be one of: ${RANK_METRICS.join(', ')}`);
+  }
+
+  for (const model of models) {
+    await assertKnownModel(model);
+  }
+  for (const region of regions) {
+    // Unknown regions would silently fall back to the global average
+    if (!resolveRegion(region).known) {
+      throw new Error(`Unknown region "${region}"`);
+    }
+  }
+  methodologies.forEach(methodology => getEngine(methodology, 'text'));
+
+  return {
+    usage,
+    models,
+    regions,
+    methodologies,
+    rankBy,
+    occurredAt: normalizeOccurredAt(body.occurredAt)
+  };
+}
+
+/**
+ * Reduce a calculation result to the figures compared across scenarios
+ * @param {Object} result - Result from calculateEnvironmentalImpact
+ * @param {Object} requested - { model, region, methodology } as requested
+ * @returns {Object} Scenario row
+ */
+function summarizeScenario(result, requested) {
+  return {
+    model: requested.model,
+    resolvedModel: result.model,
+    region: requested.region,
+    zone: result.metadata.zone.id,
+    methodology: requested.methodology,
+    energy: result.energy.total,
+    co2: result.co2.total,
+    co2Market: result.co2.marketBased.total,
+    carbonIntensity: result.co2.factor,
+    dataQuality: result.metadata.dataQuality,
+    water: result.water.total,
+    cost: result.cost ? result.cost.total : null,
+    currency: result.cost ? result.cost.currency : null
+  };
+}
+
+/**
+ * Compare a scenario with the baseline
+ * @param {Object} scenario - Scenario row
+ * @param {Object} baseline - Baseline row
+ * @returns {Object} Savings per metric: { amount, percent }; positive means the scenario uses less
+ */
+function getSavings(scenario, baseline) {
+  return Object.fromEntries(RANK_METRICS.map(metric => {
+    const value = scenario[metric];
+    const reference = baseline[metric];
+    if (value === null || reference === null) {
+      return [metric, null];
+    }
+    return [metric, {
+      amount: Math.round((reference - value) * 1e9) / 1e9,
+      percent: reference > 0 ? Math.round(((reference - value) / reference) * 10000) / 100 : null
+    }];
+  }));
+}
+
+/**
+ * Run a workload through a matrix of models, regions and methodologies
+ * Scenarios are ranked on `rankBy`, lowest first; scenarios without a value for it
+ * (unpriced models when ranking on cost) come last.
+ * @param {Object} input - Result of normalizeScenarioInput
+ * @param {Object} baseline - { model, region, source } to compare with; runs on the default methodology
+ * @param {Object} options - { instruments } for market-based CO2 (see scope2.getActiveInstruments)
+ * @returns {Promise<Object>} { workload, rankBy, baseline, scenarios, best, dimensions }
+ */
+async function runScenarios(input, baseline, options = {}) {
+  const calculate = (model, region, methodology) => calculateEnvironmentalImpact(input.usage, model, region, true, {
+    methodology,
+    occurredAt: input.occurredAt,
+    instruments: options.instruments
+  });
+
+  const scenarios = [];
+  for (const model of input.models) {
+    for (const region of input.regions) {
+      for (const methodology of input.methodologies) {
+        const result = await calculate(model, region, methodology);
+        scenarios.push(summarizeScenario(result, { model, region, methodology }));
+      }
+    }
+  }
+
+  const baselineRow = scenarios.find(scenario =>
+    scenario.model === baseline.model && scenario.region === baseline.region && scenario.methodology === DEFAULT_ENGINE
+  ) || summarizeScenario(
+    await calculate(baseline.model, baseline.region, DEFAULT_ENGINE),
+    { model: baseline.model, region: baseline.region, methodology: DEFAULT_ENGINE }
+  );
+
+  const metric = input.rankBy;
+  const ranked = scenarios
+    .map(scenario => ({ ...scenario, savings: getSavings(scenario, baselineRow) }))
+    .sort((a, b) => {
+      if (a[metric] === null || b[metric] === null) {
+        return (a[metric] === null) - (b[metric] === null);
+      }
+      return a[metric] - b[metric];
+    })
+    .map((scenario, index) => ({ rank: index + 1, ...scenario }));
+
+  const workload = normalizeWorkload(input.usage).tokenUsage;
+
+  return {
+    workload: {
+      tokens: workload.total,
+      tokenBreakdown: workload.split
+        ? { input: workload.input, output: workload.output, cachedInput: workload.cachedInput }
+        : null
+    },
+    occurredAt: input.occurredAt.toISOString(),
+    rankBy: metric,
+    baseline: { ...baselineRow, source: baseline.source },
+    scenarios: ranked,
+    best: ranked[0],
+    dimensions: {
+      models: input.models,
+      regions: input.regions,
+      methodologies: input.methodologies
+    }
+  };
+}
+
+/**
+ * Express a scenario matrix in a unit system
+ * @param {Object} matrix - Result of runScenarios
+ * @param {string|null} unitSystem - metric or imperial (null: unchanged)
+ * @returns {Object} Matrix with CO2, intensity and water converted
+ */
+function localizeScenarios(matrix, unitSystem) {
+  const localizeRow = row => {
+    const converted = convertFields(row, SCENARIO_FIELDS, unitSystem);
+    if (!row.savings) {
+      return converted;
+    }
+    return {
+      ...converted,
+      savings: {
+        ...row.savings,
+        co2: convertFields(row.savings.co2, { amount: 'mass' }, unitSystem),
+        water: convertFields(row.savings.water, { amount: 'volume' }, unitSystem)
+      }
+    };
+  };
+  const scenarios = matrix.scenarios.map(localizeRow);
+
+  return {
+    ...matrix,
+    baseline: localizeRow(matrix.baseline),
+    scenarios,
+    best: scenarios[0]
+  };
+}
+
+module.exports = {
+  normalizeScenarioInput,
+  runScenarios,
+  localizeScenarios,
+  MAX_SCENARIOS,
+  RANK_METRICS
+};
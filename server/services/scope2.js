@@ -0,0 +1,426 @@
+/**
+ * Scope 2 Service
+ *
+ * Dual reporting of electricity emissions under the GHG Protocol Scope 2 Guidance:
+ * - Location-based: average intensity of the grid where the energy is consumed
+ * - Market-based: emission factors conveyed by contractual instruments, in order
+ *   of the Guidance's quality hierarchy: energy attribute certificates and PPAs
+ *   first, then the provider's renewable matching, then the grid factor for
+ *   whatever remains uncovered
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const { Op } = require('sequelize');
+const { EnergyInstrument, OrganizationMember } = require('../models');
+const regionResolver = require('./regionResolver');
+
+const INSTRUMENT_TYPES = ['ppa', 'rec', 'go', 'provider_matching'];
+
+// Instruments that convey a fixed volume of energy and are used up as calculations claim it
+const VOLUME_INSTRUMENT_TYPES = ['ppa', 'rec', 'go'];
+
+// No residual mix dataset is available, so uncovered energy uses the location-based factor.
+// This overstates market-based emissions slightly where other buyers claim renewables.
+const RESIDUAL_FACTOR_SOURCE = 'Location-based grid factor (residual mix not available)';
+
+/**
+ * Get the grid zone and country a region stands for
+ * Instruments store a grid zone key; rows registered before that may hold any region input.
+ * @param {string} region - Grid zone key, country code or key, static region or cloud region
+ * @returns {Object|null} { zone, countryCode }, or null when the region is unknown
+ */
+function getMarketBoundary(region) {
+  const described = regionResolver.getZone(region);
+  if (described) {
+    return { zone: described.zone, countryCode: described.countryCode };
+  }
+
+  try {
+    const resolved = regionResolver.resolveRegion(region);
+    return resolved.known ? { zone: resolved.zone, countryCode: resolved.countryCode } : null;
+  } catch (error) {
+    return null; // Unknown cloud region
+  }
+}
+
+/**
+ * Validate instrument input and map it to EnergyInstrument attributes
+ * The region is stored as its grid zone, so "DE", "germany" and "aws:eu-central-1" are one market.
+ * @param {Object} input - { name, type, volumeKwh, matchingPercentage, emissionFactor, region, provider, validFrom, validTo }
+ * @returns {Object} Row attributes
+ */
+function normalizeInstrumentInput(input) {
+  const { name, type, volumeKwh, matchingPercentage, emissionFactor = 0, region, provider, validFrom, validTo } = input || {};
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new Error('Instrument name is required');
+  }
+  if (!INSTRUMENT_TYPES.includes(type)) {
+    throw new Error(`Instrument type must be one of: ${INSTRUMENT_TYPES.join(', ')}`);
+  }
+
+  const isVolume = VOLUME_INSTRUMENT_TYPES.includes(type);
+  if (isVolume && (typeof volumeKwh !== 'number' || !Number.isFinite(volumeKwh) || volumeKwh <= 0)) {
+    throw new Error('volumeKwh must be a positive number for PPAs, RECs and GOs');
+  }
+  if (!isVolume && (typeof matchingPercentage !== 'number' || matchingPercentage < 0 || matchingPercentage > 100)) {
+    throw new Error('matchingPercentage must be a number between 0 and 100 for provider matching');
+  }
+  if (typeof emissionFactor !== 'number' || !Number.isFinite(emissionFactor) || emissionFactor < 0) {
+    throw new Error('emissionFactor must be a non-negative number (kg CO2/kWh)');
+  }
+
+  const from = validFrom ? new Date(validFrom) : null;
+  const to = validTo ? new Date(validTo) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    throw new Error('validFrom and validTo must be valid dates');
+  }
+  if (from && to && to < from) {
+    throw new Error('validTo must not be before validFrom');
+  }
+
+  const boundary = region ? getMarketBoundary(region) : null;
+  if (region && !boundary) {
+    throw new Error(`Unknown region "${region}". Use a country code (e.g., DE), a grid zone (e.g., US-CAL-CISO), a region or a cloud region`);
+  }
+
+  return {
+    name: name.trim(),
+    instrument_type: type,
+    volume_kwh: isVolume ? volumeKwh : null,
+    matching_percentage: isVolume ? null : matchingPercentage,
+    emission_factor: emissionFactor,
+    region: boundary ? boundary.zone : null,
+    provider: provider ? String(provider).toLowerCase() : null,
+    valid_from: from,
+    valid_to: to
+  };
+}
+
+/**
+ * Format an EnergyInstrument row for API responses and calculations
+ * @param {Object} row - EnergyInstrument instance
+ * @returns {Object} Instrument
+ */
+function formatInstrument(row) {
+  const volumeKwh = row.volume_kwh;
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.instrument_type,
+    userId: row.user_id,
+    orgId: row.org_id,
+    region: row.region,
+    provider: row.provider,
+    volumeKwh,
+    allocatedKwh: row.allocated_kwh,
+    remainingKwh: volumeKwh !== null ? Math.max(volumeKwh - row.allocated_kwh, 0) : null,
+    matchingPercentage: row.matching_percentage,
+    emissionFactor: row.emission_factor,
+    validFrom: row.valid_from,
+    validTo: row.valid_to,
+    isActive: row.is_active
+  };
+}
+
+/**
+ * Check whether an instrument covers consumption in a grid zone and by a provider
+ * An instrument for a country covers its sub-national zones; one for a zone only that zone.
+ * @param {Object} instrument - Formatted instrument
+ * @param {Object} gridZone - { zone, countryCode } of the calculation
+ * @param {string|null} provider - Model provider of the calculation
+ * @returns {boolean} Whether the instrument applies
+ */
+function isApplicable(instrument, gridZone, provider) {
+  if (instrument.region) {
+    const boundary = getMarketBoundary(instrument.region);
+    const covers = boundary && (boundary.zone === gridZone.zone ||
+      (boundary.zone === boundary.countryCode && boundary.countryCode === gridZone.countryCode));
+    if (!covers) {
+      return false;
+    }
+  }
+  return !instrument.provider || instrument.provider === provider;
+}
+
+/**
+ * Build the market-based CO2 block from the energy instruments cover
+ * @param {number} energyKwh - Energy consumed (kWh)
+ * @param {number} locationFactor - Location-based grid factor for the uncovered energy (kg CO2/kWh)
+ * @param {Object[]} allocations - Energy claimed from each instrument
+ * @returns {Object} Market-based CO2 block
+ */
+function buildMarketBased(energyKwh, locationFactor, allocations) {
+  const coveredEnergy = allocations.reduce((sum, allocation) => sum + allocation.kwh, 0);
+  const residualEnergy = energyKwh - coveredEnergy;
+  const total = allocations.reduce((sum, allocation) => sum + allocation.kwh * allocation.emissionFactor, 0) +
+    residualEnergy * locationFactor;
+
+  return {
+    total,
+    unit: 'kg CO2e',
+    factor: energyKwh > 0 ? total / energyKwh : locationFactor,
+    factorUnit: 'kg CO2/kWh',
+    coveredEnergy,
+    residualEnergy,
+    residualFactor: locationFactor,
+    residualFactorSource: RESIDUAL_FACTOR_SOURCE,
+    allocations
+  };
+}
+
+/**
+ * Calculate market-based emissions for an amount of energy
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.energyKwh - Energy consumed (kWh)
+ * @param {number} params.locationFactor - Location-based grid factor (kg CO2/kWh)
+ * @param {Object} params.gridZone - { zone, countryCode } the energy was drawn from (see regionResolver)
+ * @param {string|null} params.provider - Model provider
+ * @param {Object[]} params.instruments - Active instruments from getActiveInstruments
+ * @returns {Object} Market-based CO2 block with instrument allocations
+ */
+function calculateMarketBased({ energyKwh, locationFactor, gridZone, provider = null, instruments = [] }) {
+  const applicable = instruments.filter(instrument => isApplicable(instrument, gridZone, provider));
+  const allocations = [];
+  let residualEnergy = energyKwh;
+
+  // Certificates and PPAs, soonest-expiring first so nothing is left to lapse
+  const certificates = applicable
+    .filter(instrument => VOLUME_INSTRUMENT_TYPES.includes(instrument.type) && instrument.remainingKwh > 0)
+    .sort((a, b) => (a.validTo ? new Date(a.validTo).getTime() : Infinity) - (b.validTo ? new Date(b.validTo).getTime() : Infinity) || a.id - b.id);
+
+  for (const certificate of certificates) {
+    if (residualEnergy <= 0) break;
+    const kwh = Math.min(residualEnergy, certificate.remainingKwh);
+    allocations.push({
+      instrumentId: certificate.id,
+      type: certificate.type,
+      name: certificate.name,
+      kwh,
+      emissionFactor: certificate.emissionFactor
+    });
+    residualEnergy -= kwh;
+  }
+
+  // Provider renewable matching covers a share of what is left; the best claim wins
+  const matching = applicable
+    .filter(instrument => instrument.type === 'provider_matching')
+    .sort((a, b) => b.matchingPercentage - a.matchingPercentage)[0];
+
+  if (matching && residualEnergy > 0) {
+    const kwh = residualEnergy * (matching.matchingPercentage / 100);
+    allocations.push({
+      instrumentId: matching.id,
+      type: matching.type,
+      name: matching.name,
+      kwh,
+      emissionFactor: matching.emissionFactor
+    });
+    residualEnergy -= kwh;
+  }
+
+  return buildMarketBased(energyKwh, locationFactor, allocations);
+}
+
+/**
+ * Recompute a saved calculation's market-based emissions from the instruments it already claimed
+ * Used when history is recalculated, so no new certificate volume is drawn down. Certificate
+ * claims are kept up to the new energy total; provider matching scales with the energy.
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.energyKwh - Recalculated energy (kWh)
+ * @param {number} params.previousEnergyKwh - Energy the allocations were made for (kWh)
+ * @param {number} params.locationFactor - Recalculated location-based grid factor (kg CO2/kWh)
+ * @param {Object[]} params.allocations - Stored allocations of the calculation
+ * @returns {Object} Market-based CO2 block, in the shape of calculateMarketBased
+ */
+function reapplyAllocations({ energyKwh, previousEnergyKwh, locationFactor, allocations = [] }) {
+  const ratio = previousEnergyKwh > 0 ? energyKwh / previousEnergyKwh : 0;
+  const reapplied = [];
+  let residualEnergy = energyKwh;
+
+  for (const allocation of allocations || []) {
+    const claimed = allocation.type === 'provider_matching' ? allocation.kwh * ratio : allocation.kwh;
+    const kwh = Math.min(residualEnergy, claimed);
+    if (kwh <= 0) continue;
+    reapplied.push({ ...allocation, kwh });
+    residualEnergy -= kwh;
+  }
+
+  return buildMarketBased(energyKwh, locationFactor, reapplied);
+}
+
+/**
+ * Get the instruments a user can claim: their own and those of their organizations
+ * @param {number} userId - User ID
+ * @param {Date} at - Time of consumption
+ * @returns {Promise<Object[]>} Active, valid instruments
+ */
+async function getActiveInstruments(userId, at = new Date()) {
+  const memberships = await OrganizationMember.findAll({
+    where: { user_id: userId, is_active: true },
+    attributes: ['org_id']
+  });
+  const orgIds = memberships.map(membership => membership.org_id);
+
+  const rows = await EnergyInstrument.findAll({
+    where: {
+      is_active: true,
+      [Op.and]: [
+        { [Op.or]: [{ user_id: userId }, { org_id: { [Op.in]: orgIds } }] },
+        { [Op.or]: [{ valid_from: null }, { valid_from: { [Op.lte]: at } }] },
+        { [Op.or]: [{ valid_to: null }, { valid_to: { [Op.gte]: at } }] }
+      ]
+    },
+    order: [['id', 'ASC']]
+  });
+
+  return rows.map(formatInstrument);
+}
+
+/**
+ * Claim the energy a calculation being saved allocated from its volume-based instruments
+ * Each instrument's remaining volume is read again inside the save's transaction (locked where
+ * the database supports it) and the claim capped at it, so saves running side by side, or
+ * several calculations of one import, never claim more than an instrument holds. When a claim
+ * is capped, provider matching covers its share of the larger remainder and the grid the rest.
+ * @param {Object} marketBased - Market-based CO2 block from calculateMarketBased
+ * @param {Object} options - { transaction } the calculation is saved in
+ * @returns {Promise<Object>} Market-based CO2 block as claimed, to save with the calculation
+ */
+async function allocateInstruments(marketBased, { transaction }) {
+  const energyKwh = marketBased.coveredEnergy + marketBased.residualEnergy;
+  const claimed = [];
+  let capped = false;
+
+  for (const allocation of marketBased.allocations) {
+    if (!VOLUME_INSTRUMENT_TYPES.includes(allocation.type)) {
+      continue;
+    }
+    const instrument = await EnergyInstrument.findByPk(allocation.instrumentId, { transaction, lock: transaction.LOCK.UPDATE });
+    const remainingKwh = instrument ? formatInstrument(instrument).remainingKwh : 0;
+    const kwh = Math.min(allocation.kwh, remainingKwh);
+    capped = capped || kwh < allocation.kwh;
+    if (kwh <= 0) continue;
+
+    await EnergyInstrument.increment('allocated_kwh', { by: kwh, where: { id: allocation.instrumentId }, transaction });
+    claimed.push({ ...allocation, kwh });
+  }
+
+  if (!capped) {
+    return marketBased;
+  }
+
+  const matching = marketBased.allocations.find(allocation => allocation.type === 'provider_matching');
+  if (matching) {
+    // Matching covered a fixed share of what the certificates left
+    const remainderBefore = energyKwh - marketBased.allocations
+      .filter(allocation => allocation !== matching)
+      .reduce((sum, allocation) => sum + allocation.kwh, 0);
+    const remainderAfter = energyKwh - claimed.reduce((sum, allocation) => sum + allocation.kwh, 0);
+    claimed.push({ ...matching, kwh: remainderBefore > 0 ? matching.kwh * (remainderAfter / remainderBefore) : 0 });
+  }
+
+  return buildMarketBased(energyKwh, marketBased.residualFactor, claimed);
+}
+
+/**
+ * Return the energy deleted calculations claimed to their volume-based instruments
+ * @param {Object[]} allocations - Stored allocations (scope2_allocations) of the calculations
+ * @param {Object} options - { transaction } the deletion runs in
+ * @returns {Promise<void>}
+ */
+async function releaseInstruments(allocations = [], { transaction } = {}) {
+  for (const allocation of allocations || []) {
+    if (VOLUME_INSTRUMENT_TYPES.includes(allocation.type)) {
+      await EnergyInstrument.decrement('allocated_kwh', {
+        by: allocation.kwh,
+        where: { id: allocation.instrumentId },
+        transaction
+      });
+    }
+  }
+}
+
+/**
+ * Ensure a user may view or manage an organization's instruments
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - User ID
+ * @param {boolean} manage - Whether owner or admin rights are required
+ * @returns {Promise<void>}
+ */
+async function assertOrganizationAccess(orgId, userId, manage = false) {
+  const where = { org_id: orgId, user_id: userId, is_active: true };
+  if (manage) {
+    where.role = { [Op.in]: ['owner', 'admin'] };
+  }
+
+  const membership = await OrganizationMember.findOne({ where });
+  if (!membership) {
+    throw new Error(manage ? 'Access denied: Insufficient permissions' : 'Access denied: Not a member of this organization');
+  }
+}
+
+/**
+ * List instruments owned by a user or an organization
+ * @param {Object} owner - { userId } or { orgId }
+ * @returns {Promise<Object[]>} Instruments, including expired and deactivated ones
+ */
+async function listInstruments(owner) {
+  const where = owner.orgId ? { org_id: owner.orgId } : { user_id: owner.userId };
+  const rows = await EnergyInstrument.findAll({ where, order: [['created_at', 'DESC']] });
+  return rows.map(formatInstrument);
+}
+
+/**
+ * Register an instrument for a user or an organization
+ * @param {Object} owner - { userId } or { orgId }
+ * @param {Object} input - Instrument fields accepted by normalizeInstrumentInput
+ * @returns {Promise<Object>} Created instrument
+ */
+async function createInstrument(owner, input) {
+  const row = await EnergyInstrument.create({
+    ...normalizeInstrumentInput(input),
+    user_id: owner.orgId ? null : owner.userId,
+    org_id: owner.orgId || null
+  });
+
+  console.log(`✅ Registered ${row.instrument_type} instrument "${row.name}" (${owner.orgId ? `org ${owner.orgId}` : `user ${owner.userId}`})`);
+  return formatInstrument(row);
+}
+
+/**
+ * Deactivate an instrument. Rows are kept because saved calculations reference their allocations.
+ * @param {Object} owner - { userId } or { orgId }
+ * @param {number} instrumentId - Instrument ID
+ * @returns {Promise<Object|null>} Deactivated instrument, or null if not found
+ */
+async function deactivateInstrument(owner, instrumentId) {
+  const where = owner.orgId
+    ? { id: instrumentId, org_id: owner.orgId }
+    : { id: instrumentId, user_id: owner.userId };
+
+  const row = await EnergyInstrument.findOne({ where });
+  if (!row) {
+    return null;
+  }
+
+  await row.update({ is_active: false });
+  return formatInstrument(row);
+}
+
+module.exports = {
+  normalizeInstrumentInput,
+  calculateMarketBased,
+  reapplyAllocations,
+  getActiveInstruments,
+  allocateInstruments,
+  releaseInstruments,
+  assertOrganizationAccess,
+  listInstruments,
+  createInstrument,
+  deactivateInstrument,
+  INSTRUMENT_TYPES,
+  RESIDUAL_FACTOR_SOURCE
+};
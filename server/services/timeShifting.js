@@ -0,0 +1,224 @@
+/**
+ * Time Shifting Service
+ *
+ * Carbon-aware scheduling advice for flexible jobs: given the zones a job could
+ * run in, how long it runs and when it must be done, find the start time and zone
+ * with the lowest forecast carbon intensity, and what that saves compared with
+ * starting now in the first zone listed.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const carbonIntensityService = require('./carbonIntensity');
+const regionResolver = require('./regionResolver');
+
+const HOUR = 60 * 60 * 1000;
+
+const MAX_ZONES = 10;
+const DEFAULT_DURATION_HOURS = 1;
+const DEFAULT_DEADLINE_HOURS = 24;
+// Matches the longest forecast horizon
+const MAX_DEADLINE_HOURS = 72;
+
+/**
+ * Round an intensity for output
+ * @param {number} value - gCO2/kWh
+ * @returns {number} Value rounded to 2 decimal places
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a best-window request
+ * @param {Object} query - { zones (array or comma-separated), durationHours, deadline, energyKwh }
+ * @param {Date} now - Current time
+ * @returns {Object} { zones: [{ requested, zone, name }], durationHours, deadline, energyKwh }
+ * @throws {Error} When a zone, the duration, the deadline or the energy is invalid
+ */
+function normalizeWindowQuery(query, now = new Date()) {
+  const requested = Array.isArray(query.zones)
+    ? query.zones
+    : String(query.zones || '').split(',');
+  const zoneList = requested.map(zone => String(zone).trim()).filter(Boolean);
+  if (zoneList.length === 0) {
+    throw new Error('zones must list at least one zone (e.g., zones=DE,FR)');
+  }
+  if (zoneList.length > MAX_ZONES) {
+    throw new Error(`At most ${MAX_ZONES} zones can be compared at once`);
+  }
+
+  const zones = [];
+  for (const zone of zoneList) {
+    const resolved = regionResolver.resolveRegion(zone);
+    if (!resolved.known || !resolved.liveZone) {
+      throw new Error(`No grid zone for "${zone}"`);
+    }
+    if (!zones.some(entry => entry.zone === resolved.liveZone)) {
+      zones.push({ requested: zone, zone: resolved.liveZone, name: resolved.name });
+    }
+  }
+
+  const durationHours = query.durationHours === undefined ? DEFAULT_DURATION_HOURS : Number(query.durationHours);
+  if (!Number.isFinite(durationHours) || durationHours <= 0 || durationHours > MAX_DEADLINE_HOURS) {
+    throw new Error(`durationHours must be a number of hours above 0 and up to ${MAX_DEADLINE_HOURS}`);
+  }
+
+  const deadline = query.deadline ? new Date(query.deadline) : new Date(now.getTime() + DEFAULT_DEADLINE_HOURS * HOUR);
+  if (Number.isNaN(deadline.getTime())) {
+    throw new Error('deadline must be an ISO 8601 date');
+  }
+  if (deadline.getTime() - now.getTime() > MAX_DEADLINE_HOURS * HOUR) {
+    throw new Error(`deadline must be within ${MAX_DEADLINE_HOURS} hours`);
+  }
+  if (deadline.getTime() < now.getTime() + durationHours * HOUR) {
+    throw new Error('deadline leaves too little time to run the job');
+  }
+
+  let energyKwh = null;
+  if (query.energyKwh !== undefined) {
+    energyKwh = Number(query.energyKwh);
+    if (!Number.isFinite(energyKwh) || energyKwh <= 0) {
+      throw new Error('energyKwh must be a positive number');
+    }
+  }
+
+  return { zones, durationHours, deadline, energyKwh };
+}
+
+/**
+ * Average forecast intensity over a time window
+ * @param {Object[]} points - Hourly forecast slots [{ timestamp, carbonIntensity }]
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {number|null} Time-weighted average, or null when the forecast does not cover the window
+ */
+function getWindowAverage(points, start, end) {
+  let weighted = 0;
+  let covered = 0;
+  for (const point of points) {
+    const slotStart = new Date(point.timestamp).getTime();
+    const overlap = Math.min(slotStart + HOUR, end.getTime()) - Math.max(slotStart, start.getTime());
+    if (overlap > 0) {
+      weighted += overlap * point.carbonIntensity;
+      covered += overlap;
+    }
+  }
+
+  // Allow for rounding of millisecond timestamps
+  return end - start - covered > 1000 ? null : weighted / covered;
+}
+
+/**
+ * Find the lowest-carbon start in one zone
+ * Candidate starts are now and every whole hour after it that still finishes by the deadline.
+ * @param {Object} forecast - Result of getCarbonIntensityForecast
+ * @param {Object} options - { now, durationHours, deadline }
+ * @returns {Object} { now, best } windows as { start, end, averageIntensity } (null when not covered)
+ */
+function findZoneWindows(forecast, { now, durationHours, deadline }) {
+  const duration = durationHours * HOUR;
+  const toWindow = (start) => {
+    const end = new Date(start.getTime() + duration);
+    const average = getWindowAverage(forecast.points, start, end);
+    return average === null ? null : { start: start.toISOString(), end: end.toISOString(), averageIntensity: round(average) };
+  };
+
+  const candidates = [now];
+  for (const point of forecast.points) {
+    const start = new Date(point.timestamp);
+    if (start > now && start.getTime() + duration <= deadline.getTime()) {
+      candidates.push(start);
+    }
+  }
+
+  const windows = candidates.map(toWindow).filter(Boolean);
+  const best = windows.reduce((lowest, window) => (
+    !lowest || window.averageIntensity < lowest.averageIntensity ? window : lowest
+  ), null);
+
+  return { now: toWindow(now), best };
+}
+
+/**
+ * Savings of one window over another
+ * @param {Object} baseline - Window run otherwise
+ * @param {Object} window - Window chosen
+ * @param {number|null} energyKwh - Energy of the job (kWh), if known
+ * @returns {Object|null} { intensity (gCO2/kWh), percent, co2Kg (null without energyKwh) }
+ */
+function getWindowSavings(baseline, window, energyKwh) {
+  if (!baseline || !window) {
+    return null;
+  }
+  const intensity = baseline.averageIntensity - window.averageIntensity;
+  return {
+    intensity: round(intensity),
+    percent: baseline.averageIntensity > 0 ? round((intensity / baseline.averageIntensity) * 100) : null,
+    // gCO2/kWh × kWh = g
+    co2Kg: energyKwh === null ? null : Math.round(intensity * energyKwh * 1000) / 1e6
+  };
+}
+
+/**
+ * Find the lowest-carbon start time and zone for a job
+ * Marginal and average intensities are not comparable, so only zones whose forecast has the
+ * same signal as the first zone's compete for `best`; the others report `comparable: false`.
+ * @param {Object} query - See normalizeWindowQuery
+ * @returns {Promise<Object>} { requestedAt, deadline, durationHours, energyKwh, signal, best, now, savings, zones }
+ * @throws {Error} When the request is invalid
+ */
+async function findBestWindow(query) {
+  const now = new Date();
+  const { zones, durationHours, deadline, energyKwh } = normalizeWindowQuery(query, now);
+  const hours = Math.min(Math.ceil((deadline - now) / HOUR) + 1, MAX_DEADLINE_HOURS);
+
+  let results = [];
+  for (const entry of zones) {
+    const forecast = await carbonIntensityService.getCarbonIntensityForecast(entry.zone, { hours });
+    const windows = findZoneWindows(forecast, { now, durationHours, deadline });
+    results.push({
+      ...entry,
+      forecast: {
+        method: forecast.method,
+        source: forecast.source,
+        signal: forecast.signal,
+        horizonHours: forecast.hours
+      },
+      now: windows.now,
+      best: windows.best,
+      savings: getWindowSavings(windows.now, windows.best, energyKwh)
+    });
+  }
+
+  // Running now means running in the first zone listed
+  const baseline = results[0];
+  const signal = baseline.forecast.signal;
+  results = results.map(result => ({ ...result, comparable: result.forecast.signal === signal }));
+
+  const covered = results.filter(result => result.best && result.comparable);
+  const best = covered.reduce((lowest, result) => (
+    !lowest || result.best.averageIntensity < lowest.best.averageIntensity ? result : lowest
+  ), null);
+
+  return {
+    requestedAt: now.toISOString(),
+    deadline: deadline.toISOString(),
+    durationHours,
+    energyKwh,
+    unit: 'gCO2/kWh',
+    signal,
+    best: best ? { zone: best.zone, name: best.name, ...best.best, forecast: best.forecast } : null,
+    now: baseline.now ? { zone: baseline.zone, name: baseline.name, ...baseline.now } : null,
+    savings: best ? getWindowSavings(baseline.now, best.best, energyKwh) : null,
+    zones: results
+  };
+}
+
+module.exports = {
+  findBestWindow,
+  normalizeWindowQuery,
+  MAX_ZONES,
+  MAX_DEADLINE_HOURS
+};
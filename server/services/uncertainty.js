@@ -0,0 +1,85 @@
+/**
+ * Uncertainty Service
+ *
+ * Propagates factor uncertainty to result bands. Each factor carries a 90% range
+ * expressed as multipliers of its central value ({ low: 0.5, high: 2 } means the
+ * true value is between half and double the estimate). Factors are treated as
+ * independent log-normal variables, so the ranges of a product combine in log
+ * space: ln(high) = sqrt(sum of ln(high_i)^2), and likewise for low.
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const CONFIDENCE_LEVEL = 0.9;
+
+// Carbon intensity ranges (multipliers). Live grid data is measured, static
+// factors are annual averages that hide hourly and seasonal variation.
+const GRID_INTENSITY_UNCERTAINTY = {
+  realTime: { low: 0.9, high: 1.1 },
+  static: { low: 0.7, high: 1.3 }
+};
+
+/**
+ * Combine independent multiplicative ranges
+ * @param {...Object} ranges - Ranges as { low, high } multipliers
+ * @returns {Object} Combined { low, high } multipliers
+ */
+function combineRanges(...ranges) {
+  const down = Math.sqrt(ranges.reduce((sum, range) => sum + Math.log(range.low) ** 2, 0));
+  const up = Math.sqrt(ranges.reduce((sum, range) => sum + Math.log(range.high) ** 2, 0));
+
+  return {
+    low: Math.exp(-down),
+    high: Math.exp(up)
+  };
+}
+
+/**
+ * Apply a range to a central estimate
+ * @param {number} central - Central estimate
+ * @param {Object} range - { low, high } multipliers
+ * @returns {Object} { low, central, high }
+ */
+function toBand(central, range) {
+  return {
+    low: central * range.low,
+    central,
+    high: central * range.high
+  };
+}
+
+/**
+ * Validate a range from user or admin input
+ * @param {Object} range - { low, high } multipliers
+ * @param {string} name - Name used in error messages
+ * @returns {Object} Validated range
+ */
+function validateRange(range, name = 'range') {
+  const { low, high } = range || {};
+  if (typeof low !== 'number' || !Number.isFinite(low) || low <= 0 || low > 1) {
+    throw new Error(`${name} low multiplier must be a number greater than 0 and at most 1`);
+  }
+  if (typeof high !== 'number' || !Number.isFinite(high) || high < 1) {
+    throw new Error(`${name} high multiplier must be a number of at least 1`);
+  }
+  return { low, high };
+}
+
+/**
+ * Get the carbon intensity range for a data source
+ * @param {boolean} realTime - Whether live grid data was used
+ * @returns {Object} { low, high } multipliers
+ */
+function getGridIntensityRange(realTime) {
+  return realTime ? GRID_INTENSITY_UNCERTAINTY.realTime : GRID_INTENSITY_UNCERTAINTY.static;
+}
+
+module.exports = {
+  combineRanges,
+  toBand,
+  validateRange,
+  getGridIntensityRange,
+  CONFIDENCE_LEVEL,
+  GRID_INTENSITY_UNCERTAINTY
+};
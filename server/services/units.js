@@ -0,0 +1,191 @@
+/**
+ * Units Service
+ *
+ * Converts figures from the units they are computed and stored in (kg, tonnes, km,
+ * litres) to the unit system a user prefers. Metric leaves figures unchanged;
+ * imperial reports mass in pounds (short tons where metric uses tonnes), distance
+ * in miles and volume in US gallons. Energy stays in kWh in both systems. Responses
+ * keep their field names and describe their units under `units` (see getUnitLabels).
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+const LB_PER_KG = 2.2046226218;
+const KG_PER_SHORT_TON = 907.18474;
+const KM_PER_MILE = 1.609344;
+const LITERS_PER_US_GALLON = 3.785411784;
+
+// Unit of each quantity per system, with the multiplier from the metric unit
+const QUANTITIES = {
+  mass: {
+    metric: { unit: 'kg', factor: 1 },
+    imperial: { unit: 'lb', factor: LB_PER_KG }
+  },
+  // Rates per unit of mass, e.g. cost per kg CO2
+  perMass: {
+    metric: { unit: 'kg', factor: 1 },
+    imperial: { unit: 'lb', factor: 1 / LB_PER_KG }
+  },
+  largeMass: {
+    metric: { unit: 't', factor: 1 },
+    imperial: { unit: 'short ton', factor: 1000 / KG_PER_SHORT_TON }
+  },
+  distance: {
+    metric: { unit: 'km', factor: 1 },
+    imperial: { unit: 'mi', factor: 1 / KM_PER_MILE }
+  },
+  volume: {
+    metric: { unit: 'L', factor: 1 },
+    imperial: { unit: 'gal', factor: 1 / LITERS_PER_US_GALLON }
+  }
+};
+
+/**
+ * Validate a unit system
+ * @param {string} system - Unit system
+ * @returns {string} The unit system
+ * @throws {Error} When the system is not metric or imperial
+ */
+function normalizeUnitSystem(system) {
+  if (!UNIT_SYSTEMS.includes(system)) {
+    throw new Error(`units must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+  return system;
+}
+
+/**
+ * Convert a figure from its metric unit
+ * @param {number|null} value - Value in the metric unit
+ * @param {string} quantity - mass, perMass, largeMass, distance or volume
+ * @param {string|null} system - Target unit system (null: metric)
+ * @returns {number|null} Converted value to 6 significant digits; null and undefined pass through
+ */
+function convert(value, quantity, system) {
+  if (value === null || value === undefined || !system || system === 'metric') {
+    return value;
+  }
+  return Number((value * QUANTITIES[quantity][system].factor).toPrecision(6));
+}
+
+/**
+ * Copy an object with some of its fields converted
+ * @param {Object|null} object - Source object
+ * @param {Object} fields - Quantity per field name, e.g. { totalCo2: 'mass', totalWater: 'volume' }
+ * @param {string|null} system - Target unit system
+ * @returns {Object|null} Copy with the fields converted
+ */
+function convertFields(object, fields, system) {
+  if (!object || !system || system === 'metric') {
+    return object;
+  }
+  const converted = { ...object };
+  for (const [field, quantity] of Object.entries(fields)) {
+    // DECIMAL columns can arrive as numeric strings
+    const value = converted[field];
+    if (value !== null && value !== undefined && value !== '' && !isNaN(value)) {
+      converted[field] = convert(Number(value), quantity, system);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Describe the units of a system
+ * @param {string|null} system - Unit system (null: metric)
+ * @returns {Object} { system, mass, largeMass, distance, volume, energy, co2, intensity }
+ */
+function getUnitLabels(system) {
+  const key = system || DEFAULT_UNIT_SYSTEM;
+  return {
+    system: key,
+    mass: QUANTITIES.mass[key].unit,
+    largeMass: QUANTITIES.largeMass[key].unit,
+    distance: QUANTITIES.distance[key].unit,
+    volume: QUANTITIES.volume[key].unit,
+    energy: 'kWh',
+    co2: `${QUANTITIES.mass[key].unit} CO2e`,
+    intensity: `${QUANTITIES.mass[key].unit} CO2/kWh`
+  };
+}
+
+/**
+ * Express a calculation result in a unit system
+ * Energy stays in kWh; the trace keeps the units the calculation was computed in.
+ * @param {Object} result - Result from calculateEnvironmentalImpact or calculateHardwareImpact
+ * @param {string|null} system - Unit system (null: unchanged)
+ * @returns {Object} Result with CO2, embodied carbon and water converted, plus `units`
+ */
+function localizeCalculationResult(result, system) {
+  const labels = getUnitLabels(system);
+  if (!system || system === 'metric') {
+    return { ...result, units: labels };
+  }
+
+  const co2Fields = { total: 'mass', factor: 'mass', residualFactor: 'mass' };
+  return {
+    ...result,
+    co2: {
+      ...convertFields(result.co2, co2Fields, system),
+      unit: labels.co2,
+      factorUnit: labels.intensity,
+      marketBased: {
+        ...convertFields(result.co2.marketBased, co2Fields, system),
+        unit: labels.co2,
+        factorUnit: labels.intensity
+      }
+    },
+    embodied: {
+      ...convertFields(result.embodied, { total: 'mass', factor: 'mass' }, system),
+      unit: labels.co2,
+      factorUnit: result.embodied.factorUnit && result.embodied.factorUnit.replace(/^kg/, labels.mass)
+    },
+    water: {
+      ...convertFields(result.water, { total: 'volume', onSite: 'volume', offSite: 'volume', wue: 'volume', offSiteFactor: 'volume' }, system),
+      unit: labels.volume,
+      factorUnit: `${labels.volume}/kWh`
+    },
+    uncertainty: {
+      ...result.uncertainty,
+      co2: convertFields(result.uncertainty.co2, { low: 'mass', central: 'mass', high: 'mass' }, system)
+    },
+    units: labels
+  };
+}
+
+/**
+ * Express a stored calculation in a unit system
+ * Column names keep their metric suffixes; `units` on the response says what they hold.
+ * @param {Object} calc - Calculation as plain object
+ * @param {string|null} system - Unit system
+ * @returns {Object} Calculation with CO2, intensity and water columns converted
+ */
+function localizeCalculationRecord(calc, system) {
+  return convertFields(calc, {
+    co2_kg: 'mass',
+    co2_kg_low: 'mass',
+    co2_kg_high: 'mass',
+    co2_kg_market: 'mass',
+    embodied_co2_kg: 'mass',
+    carbon_intensity_factor: 'mass',
+    water_liters: 'volume',
+    water_onsite_liters: 'volume',
+    water_offsite_liters: 'volume'
+  }, system);
+}
+
+module.exports = {
+  normalizeUnitSystem,
+  convert,
+  convertFields,
+  getUnitLabels,
+  localizeCalculationResult,
+  localizeCalculationRecord,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  KM_PER_MILE,
+  LITERS_PER_US_GALLON
+};
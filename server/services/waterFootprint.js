@@ -0,0 +1,105 @@
+/**
+ * Water Footprint Service
+ *
+ * Estimates water consumed by AI workloads in two scopes:
+ * - On-site: evaporative cooling water at the data center (WUE, litres per kWh of IT energy)
+ * - Off-site: water consumed by power plants generating the electricity (litres per kWh)
+ *
+ * @author AI Environmental Impact Calculator Team
+ * @version 5.0.0
+ */
+
+// On-site water usage effectiveness (L/kWh) by model provider's hosting operator
+const WUE_BY_PROVIDER = {
+  openai: { wue: 0.30, operator: 'Microsoft Azure', source: 'Microsoft 2024 Environmental Sustainability Report (FY23 fleet WUE)' },
+  anthropic: { wue: 0.18, operator: 'Amazon Web Services', source: 'Amazon 2023 Sustainability Report (AWS global WUE)' },
+  google: { wue: 1.0, operator: 'Google Cloud', source: 'Estimated from Google 2024 Environmental Report data-center water consumption' },
+  default: { wue: 1.8, operator: 'Industry average', source: 'Shehabi et al. 2016, United States Data Center Energy Usage Report (LBNL)' }
+};
+
+// Off-site water consumption of electricity generation (L/kWh) by region.
+// Operational consumption factors per generation technology (Macknick et al. 2012)
+// weighted by each grid's generation mix; hydro reservoir evaporation is excluded.
+const OFFSITE_WATER_FACTORS = {
+  'global-average': 3.1,
+  'usa-average': 3.14,
+  'europe-average': 2.0,
+  'china-average': 1.7,
+  'canada-average': 1.0,
+  'iowa-usa': 2.3,
+  'quebec-canada': 0.2,
+  'renewable': 0.3,
+  'united-states': 3.14,
+  'canada': 1.0,
+  'china': 1.7,
+  'india': 3.4,
+  'united-kingdom': 1.5,
+  'france': 2.5,
+  'germany': 1.9,
+  'sweden': 1.2,
+  'norway': 0.2,
+  'japan': 2.2,
+  'australia': 2.0,
+  'brazil': 0.8
+};
+
+const OFFSITE_SOURCE = 'Macknick et al. 2012, Operational water consumption and withdrawal factors for electricity generating technologies (NREL), weighted by grid mix';
+
+/**
+ * Get the on-site WUE for a model provider
+ * @param {string|null} provider - Model provider (e.g. openai)
+ * @returns {Object} { wue, operator, source }
+ */
+function getWueFactor(provider) {
+  return WUE_BY_PROVIDER[provider] || WUE_BY_PROVIDER.default;
+}
+
+/**
+ * Get the off-site water factor for a region
+ * @param {string} region - Geographic region
+ * @returns {number} Litres per kWh of electricity
+ */
+function getOffsiteWaterFactor(region) {
+  return OFFSITE_WATER_FACTORS[region] ?? OFFSITE_WATER_FACTORS['global-average'];
+}
+
+/**
+ * Calculate the water footprint of a workload
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.energyKwh - Total energy drawn from the grid (kWh)
+ * @param {number} params.itEnergyKwh - IT equipment energy (kWh), defaults to energyKwh
+ * @param {string|null} params.provider - Model provider, used for on-site WUE
+ * @param {string} params.region - Geographic region, used for off-site water
+ * @param {number} params.wue - On-site WUE override (L/kWh)
+ * @returns {Object} Water block in litres
+ */
+function calculateWaterFootprint({ energyKwh, itEnergyKwh = energyKwh, provider = null, region = 'global-average', wue = null }) {
+  const wueFactor = getWueFactor(provider);
+  const onSiteFactor = wue ?? wueFactor.wue;
+  const offSiteFactor = getOffsiteWaterFactor(region);
+
+  const onSite = itEnergyKwh * onSiteFactor;
+  const offSite = energyKwh * offSiteFactor;
+
+  return {
+    total: onSite + offSite,
+    unit: 'L',
+    onSite,
+    offSite,
+    wue: onSiteFactor,
+    offSiteFactor,
+    factorUnit: 'L/kWh',
+    sources: {
+      onSite: wue !== null ? 'user-provided' : wueFactor.source,
+      offSite: OFFSITE_SOURCE
+    }
+  };
+}
+
+module.exports = {
+  calculateWaterFootprint,
+  getWueFactor,
+  getOffsiteWaterFactor,
+  WUE_BY_PROVIDER,
+  OFFSITE_WATER_FACTORS
+};
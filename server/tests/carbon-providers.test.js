@@ -0,0 +1,316 @@
+/**
+ * Carbon Intensity Provider Tests
+ *
+ * Runs the provider adapters against a local HTTP stub of each API
+ * and checks response parsing, unit conversion and provider selection.
+ * No external calls are made.
+ */
+
+const http = require('http');
+const carbonProviders = require('../services/carbonProviders');
+const carbonIntensityService = require('../services/carbonIntensity');
+
+const CO2SIGNAL_KEY = 'co2signal-test-key';
+const ELECTRICITYMAPS_KEY = 'electricitymaps-test-key';
+const WATTTIME_TOKEN = 'watttime-test-token';
+
+// Requests received by the stub, for assertions on parameters and headers
+const requests = [];
+let wattTimeLogins = 0;
+
+/**
+ * Answer a request the way the provider APIs do
+ * @param {URL} url - Request URL
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Array} [status, body]
+ */
+function stubResponse(url, req) {
+  const params = url.searchParams;
+
+  switch (url.pathname) {
+    case '/co2signal/v1/latest':
+      if (req.headers['auth-token'] !== CO2SIGNAL_KEY) {
+        return [401, { message: 'Invalid token' }];
+      }
+      if (params.get('countryCode') === 'XX') {
+        return [200, { data: {} }];
+      }
+      return [200, {
+        countryCode: params.get('countryCode'),
+        data: { carbonIntensity: 312, fossilFuelPercentage: 41.5, renewablePercentage: 52.1, datetime: '2026-10-19T10:00:00.000Z' },
+        units: { carbonIntensity: 'gCO2eq/kWh' }
+      }];
+
+    case '/electricitymaps/v3/carbon-intensity/latest':
+      if (req.headers['auth-token'] !== ELECTRICITYMAPS_KEY) {
+        return [401, { error: 'Invalid token' }];
+      }
+      if (params.get('zone') === 'BAD') {
+        return [200, { zone: 'BAD' }];
+      }
+      return [200, { zone: params.get('zone'), carbonIntensity: 48, datetime: '2026-10-19T10:00:00.000Z' }];
+
+    case '/electricitymaps/v3/carbon-intensity/past':
+      return [200, { zone: params.get('zone'), carbonIntensity: 61, datetime: params.get('datetime') }];
+
+    case '/electricitymaps/v3/carbon-intensity/forecast':
+      return [200, {
+        zone: params.get('zone'),
+        forecast: [
+          { datetime: '2026-10-19T11:00:00.000Z', carbonIntensity: 55 },
+          { datetime: '2026-10-19T12:00:00.000Z', carbonIntensity: 42 }
+        ]
+      }];
+
+    case '/watttime/login': {
+      const expected = `Basic ${Buffer.from('wt-user:wt-pass').toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        return [403, { error: 'Invalid credentials' }];
+      }
+      wattTimeLogins++;
+      return [200, { token: WATTTIME_TOKEN }];
+    }
+
+    case '/watttime/v3/forecast':
+      if (req.headers.authorization !== `Bearer ${WATTTIME_TOKEN}`) {
+        return [401, { error: 'Invalid token' }];
+      }
+      return [200, {
+        meta: { region: params.get('region'), signal_type: params.get('signal_type'), units: 'lbs_co2_per_mwh' },
+        data: [
+          { point_time: '2026-10-19T10:00:00+00:00', value: 1000 },
+          { point_time: '2026-10-19T10:05:00+00:00', value: 850.5 }
+        ]
+      }];
+
+    case '/ukgrid/intensity':
+      // The current half hour only has a forecast yet
+      return [200, { data: [{ from: '2026-10-19T10:00Z', to: '2026-10-19T10:30Z', intensity: { forecast: 183, actual: null, index: 'moderate' } }] }];
+
+    default:
+      if (url.pathname.startsWith('/ukgrid/intensity/')) {
+        return [200, { data: [{ from: '2026-01-15T09:00Z', to: '2026-01-15T09:30Z', intensity: { forecast: 210, actual: 204, index: 'moderate' } }] }];
+      }
+      return [404, { error: 'Not found' }];
+  }
+}
+
+/**
+ * Start the stub server on a free local port
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+function startStubServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), headers: req.headers });
+    const [status, body] = stubResponse(url, req);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Throw when a condition does not hold
+ * @param {boolean} condition - Condition
+ * @param {string} message - Failure message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCarbonProviderTests() {
+  console.log('🧪 Running Carbon Intensity Provider Tests...');
+  console.log('');
+
+  const { server, baseUrl } = await startStubServer();
+  const adapters = {
+    co2signal: carbonProviders.createAdapter('co2signal', { baseUrl: `${baseUrl}/co2signal/v1`, apiKey: CO2SIGNAL_KEY }),
+    electricitymaps: carbonProviders.createAdapter('electricitymaps', { baseUrl: `${baseUrl}/electricitymaps/v3`, apiKey: ELECTRICITYMAPS_KEY }),
+    watttime: carbonProviders.createAdapter('watttime', { baseUrl: `${baseUrl}/watttime`, username: 'wt-user', password: 'wt-pass' }),
+    ukgrid: carbonProviders.createAdapter('ukgrid', { baseUrl: `${baseUrl}/ukgrid` })
+  };
+
+  const tests = [
+    ['CO2Signal latest reading', async () => {
+      const reading = await adapters.co2signal.fetchLatest('DE');
+      assert(reading.carbonIntensity === 312, `carbonIntensity ${reading.carbonIntensity}`);
+      assert(reading.fossilFuelPercentage === 41.5 && reading.renewablePercentage === 52.1, 'fuel shares not parsed');
+      assert(reading.measuredAt === '2026-10-19T10:00:00.000Z', `measuredAt ${reading.measuredAt}`);
+      assert(requests[requests.length - 1].params.countryCode === 'DE', 'zone not sent as countryCode');
+      console.log('   DE:', reading.carbonIntensity, 'gCO2/kWh');
+    }],
+
+    ['CO2Signal without data for a zone', async () => {
+      const reading = await adapters.co2signal.fetchLatest('XX');
+      assert(reading === null, 'expected null for a zone without data');
+    }],
+
+    ['Electricity Maps latest, past and forecast', async () => {
+      const latest = await adapters.electricitymaps.fetchLatest('FR');
+      assert(latest.carbonIntensity === 48 && latest.fossilFuelPercentage === null, 'latest not parsed');
+
+      const at = new Date('2026-01-15T09:00:00.000Z');
+      const past = await adapters.electricitymaps.fetchPast('FR', at);
+      assert(past.carbonIntensity === 61 && past.measuredAt === at.toISOString(), 'past not parsed');
+
+      const forecast = await adapters.electricitymaps.fetchForecast('FR');
+      assert(forecast.length === 2 && forecast[1].carbonIntensity === 42, 'forecast not parsed');
+      assert(forecast[0].timestamp === '2026-10-19T11:00:00.000Z', 'forecast timestamp not parsed');
+      console.log('   FR:', latest.carbonIntensity, 'gCO2/kWh, past', past.carbonIntensity, ', forecast points', forecast.length);
+    }],
+
+    ['Electricity Maps invalid response', async () => {
+      let error = null;
+      try {
+        await adapters.electricitymaps.fetchLatest('BAD');
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && /Invalid response/.test(error.message), 'expected an invalid response error');
+    }],
+
+    ['Provider rejecting the credentials', async () => {
+      const adapter = carbonProviders.createAdapter('co2signal', { baseUrl: `${baseUrl}/co2signal/v1`, apiKey: 'wrong' });
+      let error = null;
+      try {
+        await adapter.fetchLatest('DE');
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.response && error.response.status === 401, 'expected a 401 error');
+    }],
+
+    ['WattTime lbs/MWh to g/kWh conversion', async () => {
+      const reading = await adapters.watttime.fetchLatest('US-CAL-CISO');
+      // 1000 lbs/MWh × 0.453592 = 453.59 g/kWh
+      assert(reading.carbonIntensity === 453.59, `carbonIntensity ${reading.carbonIntensity}`);
+      assert(reading.measuredAt === '2026-10-19T10:00:00+00:00', `measuredAt ${reading.measuredAt}`);
+
+      const request = requests[requests.length - 1];
+      assert(request.params.region === 'CAISO_NORTH', `region ${request.params.region}`);
+      assert(request.params.signal_type === 'co2_moer', `signal_type ${request.params.signal_type}`);
+
+      const forecast = await adapters.watttime.fetchForecast('US-CAL-CISO');
+      // 850.5 × 0.453592 = 385.78
+      assert(forecast[1].carbonIntensity === 385.78, `forecast ${forecast[1].carbonIntensity}`);
+      assert(wattTimeLogins === 1, `expected the login token to be reused, logged in ${wattTimeLogins} times`);
+      console.log('   US-CAL-CISO:', reading.carbonIntensity, 'gCO2/kWh (marginal)');
+    }],
+
+    ['WattTime zone coverage', async () => {
+      assert(adapters.watttime.supportsZone('US-TEX-ERCO'), 'US-TEX-ERCO should be covered');
+      assert(!adapters.watttime.supportsZone('DE'), 'DE should not be covered');
+    }],
+
+    ['National Grid forecast and actual values', async () => {
+      const latest = await adapters.ukgrid.fetchLatest('GB');
+      assert(latest.carbonIntensity === 183, `latest ${latest.carbonIntensity}`);
+      assert(latest.measuredAt === '2026-10-19T10:00:00.000Z', `measuredAt ${latest.measuredAt}`);
+
+      const past = await adapters.ukgrid.fetchPast('GB', new Date('2026-01-15T09:00:00.000Z'));
+      assert(past.carbonIntensity === 204, `past ${past.carbonIntensity}`);
+      assert(requests[requests.length - 1].path === '/ukgrid/intensity/2026-01-15T09:00Z', 'past period not requested');
+      assert(!adapters.ukgrid.supportsZone('FR'), 'FR should not be covered');
+    }],
+
+    ['Default order leaves the National Grid out', async () => {
+      const defaults = carbonProviders.loadConfig({});
+      assert(!defaults.order.includes('ukgrid'), `default order ${defaults.order.join(',')}`);
+
+      const optIn = carbonProviders.loadConfig({ CARBON_PROVIDERS: 'ukgrid, electricitymaps' });
+      assert(optIn.order.join(',') === 'ukgrid,electricitymaps', `order ${optIn.order.join(',')}`);
+
+      const zones = carbonProviders.loadConfig({ CARBON_PROVIDER_ZONES: 'gb=ukgrid;US-CAL-CISO=watttime,electricitymaps' });
+      assert(zones.zoneProviders.GB[0] === 'ukgrid', 'zone keys should be upper-cased');
+      assert(zones.zoneProviders['US-CAL-CISO'].join(',') === 'watttime,electricitymaps', 'zone providers not parsed');
+
+      let error = null;
+      try {
+        carbonProviders.loadConfig({ CARBON_PROVIDERS: 'electricitymaps,unknown' });
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && /Unknown carbon intensity provider "unknown"/.test(error.message), 'expected an unknown provider error');
+    }],
+
+    ['Priority order and per-zone selection', async () => {
+      const ids = zone => carbonProviders.getProvidersForZone(zone).map(adapter => adapter.id).join(',');
+
+      carbonProviders.configure({
+        adapters: { ...adapters, co2signal: carbonProviders.createAdapter('co2signal', { baseUrl: `${baseUrl}/co2signal/v1` }) },
+        order: ['co2signal', 'ukgrid', 'electricitymaps', 'watttime'],
+        zoneProviders: { GB: ['ukgrid', 'electricitymaps'], US: ['watttime', 'electricitymaps'], 'US-NY-NYIS': ['electricitymaps'] }
+      });
+
+      // co2signal has no key, ukgrid does not cover DE and watttime only covers US zones
+      assert(ids('DE') === 'electricitymaps', `DE: ${ids('DE')}`);
+      assert(ids('gb') === 'ukgrid,electricitymaps', `GB: ${ids('gb')}`);
+      // A zone inherits its country's selection unless it has its own
+      assert(ids('US-CAL-CISO') === 'watttime,electricitymaps', `US-CAL-CISO: ${ids('US-CAL-CISO')}`);
+      assert(ids('US-NY-NYIS') === 'electricitymaps', `US-NY-NYIS: ${ids('US-NY-NYIS')}`);
+
+      const listed = carbonProviders.listProviders();
+      assert(listed.order[listed.order.length - 1] === carbonProviders.FALLBACK_PROVIDER, 'fallback should answer last');
+      const ukgrid = listed.providers.find(provider => provider.id === 'ukgrid');
+      assert(ukgrid.priority === 2 && ukgrid.historical && ukgrid.forecast, 'ukgrid listing');
+      console.log('   DE:', ids('DE'), '| GB:', ids('GB'), '| US-CAL-CISO:', ids('US-CAL-CISO'));
+    }],
+
+    ['Marginal providers never set the current intensity', async () => {
+      carbonProviders.configure({ adapters, order: ['watttime'], zoneProviders: { 'US-CAL-CISO': ['watttime'] } });
+
+      assert(carbonProviders.getProvidersForZone('US-CAL-CISO').length === 1, 'watttime should stay selected for forecasts');
+      assert(carbonProviders.getProvidersForZone('US-CAL-CISO', { signal: 'average' }).length === 0,
+        'watttime should not be an average-intensity provider');
+
+      const logins = wattTimeLogins;
+      const current = await carbonIntensityService.getCarbonIntensity('US-CAL-CISO');
+      assert(current.source === 'fallback', `source ${current.source}`);
+      assert(wattTimeLogins === logins && requests[requests.length - 1].path !== '/watttime/v3/forecast',
+        'watttime should not be asked for the current intensity');
+    }]
+  ];
+
+  let testsPassed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}:`, error.message);
+    }
+  }
+
+  // Restore the configuration from the environment
+  carbonProviders.configure(carbonProviders.loadConfig());
+  server.close();
+
+  console.log('');
+  console.log('📊 Test Summary:');
+  console.log(`   Tests Passed: ${testsPassed}/${tests.length}`);
+
+  if (testsPassed === tests.length) {
+    console.log('🎉 All carbon intensity provider tests passed!');
+    return true;
+  }
+  console.log('❌ Some tests failed. Please check the errors above.');
+  return false;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runCarbonProviderTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runCarbonProviderTests };
@@ -0,0 +1,220 @@
+/**
+ * Carbon Intensity Dataset Tests
+ *
+ * Checks that dataset validation rejects duplicate, unsourced and unlicensed
+ * records, and that the fallback lookup picks the right record.
+ */
+
+const intensityDatasets = require('../services/intensityDatasets');
+
+/**
+ * Build a minimal valid dataset definition
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Dataset definition
+ */
+function buildDataset(overrides = {}) {
+  return {
+    version: 'test.1',
+    releasedAt: '2026-10-19',
+    description: 'Test dataset',
+    sources: {
+      ember: { name: 'Ember, Yearly Electricity Data', url: 'https://ember-energy.org/', license: 'CC-BY-4.0' }
+    },
+    records: [
+      { zone: 'WORLD', year: 2023, intensity: 0.48, source: 'ember', mix: null },
+      { zone: 'DE', year: 2022, intensity: 0.43, source: 'ember', mix: null },
+      { zone: 'DE', year: 2023, intensity: 0.38, source: 'ember', mix: null }
+    ],
+    ...overrides
+  };
+}
+
+/**
+ * Load a dataset and return the error it was rejected with
+ * @param {Object} definition - Dataset definition
+ * @returns {Error|null} Error thrown by loadDataset, or null when it loaded
+ */
+function loadError(definition) {
+  try {
+    intensityDatasets.loadDataset(definition);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Throw when a condition does not hold
+ * @param {boolean} condition - Condition
+ * @param {string} message - Failure message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Expect loadDataset to reject a definition with a message matching a pattern
+ * @param {Object} definition - Dataset definition
+ * @param {RegExp} pattern - Expected message
+ */
+function assertRejected(definition, pattern) {
+  const error = loadError(definition);
+  assert(error, 'expected the dataset to be rejected');
+  assert(pattern.test(error.message), `unexpected error: ${error.message}`);
+}
+
+async function runIntensityDatasetTests() {
+  console.log('🧪 Running Carbon Intensity Dataset Tests...');
+  console.log('');
+
+  const base = buildDataset();
+
+  const tests = [
+    ['Shipped datasets load', () => {
+      const { current, datasets } = intensityDatasets.listDatasets();
+      assert(datasets.length > 0, 'no datasets listed');
+      assert(current === intensityDatasets.CURRENT_DATASET_VERSION, 'current dataset version');
+      assert(intensityDatasets.getDataset().zones.has(intensityDatasets.WORLD), 'current dataset has no WORLD record');
+      console.log('   Versions:', datasets.map(dataset => dataset.version).join(', '));
+    }],
+
+    ['Valid definition loads', () => {
+      const loaded = intensityDatasets.loadDataset(base);
+      const records = loaded.zones.get('DE');
+      assert(records.length === 2 && records[0].year === 2022, 'DE records should be indexed oldest first');
+    }],
+
+    ['Duplicate zone/year is rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'DE', year: 2023, intensity: 0.40, source: 'ember', mix: null }]
+      }), /DE 2023: duplicate record/);
+    }],
+
+    ['Duplicate zone/year in another case is rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'de', year: 2022, intensity: 0.40, source: 'ember', mix: null }]
+      }), /de 2022: duplicate record/);
+    }],
+
+    ['Record without a source is rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'FR', year: 2023, intensity: 0.05, mix: null }]
+      }), /FR 2023: missing source/);
+    }],
+
+    ['Record with an unknown source is rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'FR', year: 2023, intensity: 0.05, source: 'blog', mix: null }]
+      }), /FR 2023: unknown source "blog"/);
+    }],
+
+    ['Unlicensed source is rejected', () => {
+      assertRejected(buildDataset({
+        sources: { ...base.sources, scraped: { name: 'Scraped figures', url: 'https://example.com/' } },
+        records: [...base.records, { zone: 'FR', year: 2023, intensity: 0.05, source: 'scraped', mix: null }]
+      }), /Source "scraped" needs a name and a license/);
+    }],
+
+    ['Unknown zone and missing WORLD record are rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'ATLANTIS', year: 2023, intensity: 0.3, source: 'ember', mix: null }]
+      }), /ATLANTIS 2023: unknown zone/);
+      assertRejected(buildDataset({ records: base.records.filter(record => record.zone !== 'WORLD') }),
+        /needs a WORLD record/);
+    }],
+
+    ['Invalid values and mixes are rejected', () => {
+      assertRejected(buildDataset({
+        records: [...base.records, { zone: 'FR', year: 2023, intensity: 56, source: 'ember', mix: null }]
+      }), /FR 2023: intensity must be in kg CO2\/kWh/);
+      assertRejected(buildDataset({
+        records: [...base.records, {
+          zone: 'FR', year: 2023, intensity: 0.05, source: 'ember',
+          mix: { coal: 60, gas: 50, nuclear: 0, hydro: 0, wind: 0, solar: 0 }
+        }]
+      }), /FR 2023: fuel shares add up to more than 100%/);
+    }],
+
+    ['Every error is reported at once', () => {
+      const error = loadError(buildDataset({
+        records: [
+          ...base.records,
+          { zone: 'FR', year: 2023, intensity: 0.05, mix: null },
+          { zone: 'DE', year: 2023, intensity: 0.40, source: 'ember', mix: null }
+        ]
+      }));
+      assert(error && /missing source/.test(error.message) && /duplicate record/.test(error.message),
+        `expected both problems: ${error && error.message}`);
+    }],
+
+    ['Fallback lookup picks the year in effect', () => {
+      const latest = intensityDatasets.getFallbackIntensity('DE');
+      const records = intensityDatasets.getDataset().zones.get('DE');
+      assert(latest.year === records[records.length - 1].year, `latest year ${latest.year}`);
+
+      const first = records[0].year;
+      assert(intensityDatasets.getFallbackIntensity('DE', { year: first }).year === first, 'exact year');
+      assert(intensityDatasets.getFallbackIntensity('DE', { year: first - 10 }).year === first,
+        'years before the first record should use the earliest');
+      assert(intensityDatasets.getFallbackIntensity('DE', { year: 2100 }).year === latest.year,
+        'later years should use the latest record');
+      assert(latest.datasetVersion === intensityDatasets.CURRENT_DATASET_VERSION, 'dataset version');
+      assert(latest.source && latest.source.license, 'source license');
+      console.log('   DE:', latest.intensity, 'kg CO2/kWh', `(${latest.year}, ${latest.source.id})`);
+    }],
+
+    ['Fallback coverage falls back to the world average', () => {
+      const unknown = intensityDatasets.getFallbackIntensity('XX');
+      assert(unknown.coverage === 'world' && unknown.zone === intensityDatasets.WORLD, `coverage ${unknown.coverage}`);
+    }],
+
+    ['Countries served by a neighbour use its record', () => {
+      const monaco = intensityDatasets.getFallbackIntensity('MC');
+      assert(monaco.coverage === 'country' && monaco.zone === 'FR', `MC uses ${monaco.zone} (${monaco.coverage})`);
+    }],
+
+    ['Zones on the world average are listed', () => {
+      const { datasets } = intensityDatasets.listDatasets();
+      const current = datasets.find(dataset => dataset.current);
+      assert(Array.isArray(current.worldCoverage), 'worldCoverage missing');
+      for (const zone of current.worldCoverage) {
+        assert(intensityDatasets.getFallbackIntensity(zone).coverage === 'world', `${zone} is not on world coverage`);
+      }
+      assert(!current.worldCoverage.includes('LU') && !current.worldCoverage.includes('HK'), 'LU and HK should have records');
+      console.log('   World coverage:', current.worldCoverage.join(', '));
+    }]
+  ];
+
+  let testsPassed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}:`, error.message);
+    }
+  }
+
+  console.log('');
+  console.log('📊 Test Summary:');
+  console.log(`   Tests Passed: ${testsPassed}/${tests.length}`);
+
+  if (testsPassed === tests.length) {
+    console.log('🎉 All carbon intensity dataset tests passed!');
+    return true;
+  }
+  console.log('❌ Some tests failed. Please check the errors above.');
+  return false;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runIntensityDatasetTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runIntensityDatasetTests };
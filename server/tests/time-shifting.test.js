@@ -0,0 +1,177 @@
+/**
+ * Time Shifting Tests
+ *
+ * Runs the best-window search against stubbed forecasts: the window search
+ * within the deadline, the rule that only forecasts of the same signal as the
+ * first zone compete, and the savings figures.
+ *
+ * Run with NODE_ENV=test so no database or provider is used.
+ */
+
+const carbonIntensityService = require('../services/carbonIntensity');
+const timeShifting = require('../services/timeShifting');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Throw when a condition does not hold
+ * @param {boolean} condition - Condition
+ * @param {string} message - Failure message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Build a 72-hour forecast starting at the current hour
+ * @param {Function} intensityAt - Intensity (gCO2/kWh) for the hour offset from the current hour
+ * @param {string} signal - 'average' or 'marginal'
+ * @returns {Object} Forecast in the shape of getCarbonIntensityForecast
+ */
+function buildForecast(intensityAt, signal = 'average') {
+  const hour = Math.floor(Date.now() / HOUR) * HOUR;
+  return {
+    method: 'provider',
+    source: signal === 'marginal' ? 'watttime' : 'electricitymaps',
+    signal,
+    hours: 72,
+    points: Array.from({ length: 72 }, (_, offset) => ({
+      timestamp: new Date(hour + offset * HOUR).toISOString(),
+      carbonIntensity: intensityAt(offset)
+    }))
+  };
+}
+
+/**
+ * Replace the forecast lookup with fixed forecasts per zone
+ * @param {Object} forecasts - Forecast by zone key
+ */
+function stubForecasts(forecasts) {
+  carbonIntensityService.getCarbonIntensityForecast = async (zone) => {
+    if (!forecasts[zone]) {
+      throw new Error(`No stubbed forecast for ${zone}`);
+    }
+    return forecasts[zone];
+  };
+}
+
+/**
+ * Get the whole hours from the current hour to a time
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number} Hour offset
+ */
+function hourOffset(timestamp) {
+  return Math.round((new Date(timestamp).getTime() - Math.floor(Date.now() / HOUR) * HOUR) / HOUR);
+}
+
+// 300 gCO2/kWh, except a dip to 100 at hours 5 and 6
+const DIP_AT_FIVE = buildForecast(offset => (offset === 5 || offset === 6 ? 100 : 300));
+
+async function runTimeShiftingTests() {
+  console.log('🧪 Running Time Shifting Tests...');
+  console.log('');
+
+  const originalForecast = carbonIntensityService.getCarbonIntensityForecast;
+
+  const tests = [
+    ['Best window is the lowest forecast start', async () => {
+      stubForecasts({ DE: DIP_AT_FIVE });
+      const result = await timeShifting.findBestWindow({ zones: 'DE', durationHours: 2 });
+      assert(result.best.zone === 'DE', `best zone ${result.best.zone}`);
+      assert(hourOffset(result.best.start) === 5, `best start at hour ${hourOffset(result.best.start)}`);
+      assert(result.best.averageIntensity === 100, `best average ${result.best.averageIntensity}`);
+      assert(result.now.averageIntensity === 300, `now average ${result.now.averageIntensity}`);
+    }],
+
+    ['Windows must finish by the deadline', async () => {
+      stubForecasts({ DE: DIP_AT_FIVE });
+      const deadline = new Date(Math.floor(Date.now() / HOUR) * HOUR + 6 * HOUR + 30 * 60 * 1000).toISOString();
+      const result = await timeShifting.findBestWindow({ zones: 'DE', durationHours: 2, deadline });
+      // A start at hour 5 would finish at hour 7; hour 4 is the latest start that overlaps the dip
+      assert(hourOffset(result.best.start) === 4, `best start at hour ${hourOffset(result.best.start)}`);
+      assert(result.best.averageIntensity === 200, `best average ${result.best.averageIntensity}`);
+      assert(new Date(result.best.end) <= new Date(deadline), 'best window ends after the deadline');
+    }],
+
+    ['A lower zone of the same signal wins', async () => {
+      stubForecasts({ DE: DIP_AT_FIVE, FR: buildForecast(() => 50) });
+      const result = await timeShifting.findBestWindow({ zones: 'DE,FR', durationHours: 1 });
+      assert(result.best.zone === 'FR' && result.best.averageIntensity === 50, `best ${result.best.zone}`);
+      assert(result.now.zone === 'DE', 'running now should mean the first zone');
+      assert(result.zones.every(zone => zone.comparable), 'both zones should be comparable');
+    }],
+
+    ['Zones with another signal do not compete', async () => {
+      stubForecasts({ DE: DIP_AT_FIVE, 'US-CAL-CISO': buildForecast(() => 20, 'marginal') });
+      const result = await timeShifting.findBestWindow({ zones: 'DE,US-CAL-CISO', durationHours: 1 });
+      const marginal = result.zones.find(zone => zone.zone === 'US-CAL-CISO');
+      assert(result.signal === 'average', `signal ${result.signal}`);
+      assert(marginal && marginal.comparable === false, 'marginal zone should not be comparable');
+      assert(marginal.best.averageIntensity === 20, 'marginal zone still reports its own best window');
+      assert(result.best.zone === 'DE', `best zone ${result.best.zone}`);
+    }],
+
+    ['Savings compare the best window with running now', async () => {
+      stubForecasts({ DE: DIP_AT_FIVE });
+      const result = await timeShifting.findBestWindow({ zones: 'DE', durationHours: 2, energyKwh: 10 });
+      assert(result.savings.intensity === 200, `intensity saved ${result.savings.intensity}`);
+      assert(result.savings.percent === 66.67, `percent saved ${result.savings.percent}`);
+      // 200 gCO2/kWh × 10 kWh = 2 kg
+      assert(result.savings.co2Kg === 2, `CO2 saved ${result.savings.co2Kg}`);
+
+      const withoutEnergy = await timeShifting.findBestWindow({ zones: 'DE', durationHours: 2 });
+      assert(withoutEnergy.savings.co2Kg === null, 'CO2 saved needs energyKwh');
+    }],
+
+    ['Invalid requests are rejected', async () => {
+      const rejected = async (query, pattern) => {
+        try {
+          await timeShifting.findBestWindow(query);
+        } catch (error) {
+          assert(pattern.test(error.message), `unexpected error: ${error.message}`);
+          return;
+        }
+        throw new Error(`expected ${JSON.stringify(query)} to be rejected`);
+      };
+      await rejected({ zones: '' }, /at least one zone/);
+      await rejected({ zones: 'ATLANTIS' }, /No grid zone/);
+      await rejected({ zones: 'DE', durationHours: 0 }, /durationHours/);
+      await rejected({ zones: 'DE', durationHours: 5, deadline: new Date(Date.now() + 2 * HOUR).toISOString() },
+        /too little time/);
+    }]
+  ];
+
+  let testsPassed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}:`, error.message);
+    }
+  }
+  carbonIntensityService.getCarbonIntensityForecast = originalForecast;
+
+  console.log('');
+  console.log('📊 Test Summary:');
+  console.log(`   Tests Passed: ${testsPassed}/${tests.length}`);
+
+  if (testsPassed === tests.length) {
+    console.log('🎉 All time shifting tests passed!');
+    return true;
+  }
+  console.log('❌ Some tests failed. Please check the errors above.');
+  return false;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTimeShiftingTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runTimeShiftingTests };
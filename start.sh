@@ -47,13 +47,16 @@ if [ ! -d "client/node_modules" ]; then
     cd client && npm install && cd ..
 fi
 
-# Initialize database if it doesn't exist
+# Initialize the database if it doesn't exist, otherwise upgrade it to the current schema
 if [ ! -f "server/database.sqlite" ]; then
     echo "🗄️ Initializing database..."
     cd server && npm run init-db && cd ..
     
     echo "👤 Creating development user..."
     cd server && node scripts/create-dev-user.js && cd ..
+else
+    echo "🗄️ Upgrading database..."
+    cd server && npm run init-db && cd ..
 fi
 
 # Ensure client/public directory exists with required files